@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import { log } from './logger.mjs';
+
+// Caller identity for HTTP requests.
+//
+// The user id is never read from the body or query string: anyone can put any id
+// there. It comes from the API Gateway authorizer instead (a JWT authorizer's claims,
+// a Cognito user pool's claims or a Lambda authorizer's context), or, for function
+// URLs and other callers without an authorizer, from a bearer JWT in the
+// Authorization header that this module verifies:
+//   AUTH_JWT_SECRET: shared secret for HS256 tokens
+//   AUTH_JWT_PUBLIC_KEY: PEM public key for RS256 or ES256 tokens
+//   AUTH_JWT_ISSUER, AUTH_JWT_AUDIENCE: (optional) required iss and aud values
+// AUTH_USER_CLAIM names the claim holding the user id (default sub). Direct
+// invocations are trusted callers and pass requestContext.authorizer themselves.
+
+const ALGORITHMS = {
+  HS256: { hash: 'sha256', type: 'secret' },
+  RS256: { hash: 'sha256', type: 'public' },
+  ES256: { hash: 'sha256', type: 'public', dsaEncoding: 'ieee-p1363' }
+};
+// Clock difference tolerated for exp and nbf
+const CLOCK_SKEW_SECONDS = 60;
+
+function userClaim() {
+  return process.env.AUTH_USER_CLAIM || 'sub';
+}
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+// Check a JWT's signature and time and audience claims. Returns the claims, or
+// throws an "Invalid token" error saying what is wrong.
+export function verifyJwt(token, { secret, publicKey, issuer, audience, now = Date.now() } = {}) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) {
+    throw new Error('Invalid token: not a JWT');
+  }
+  let header;
+  let claims;
+  try {
+    header = decodeSegment(parts[0]);
+    claims = decodeSegment(parts[1]);
+  } catch (error) {
+    throw new Error('Invalid token: malformed header or claims');
+  }
+
+  const algorithm = ALGORITHMS[header.alg];
+  if (!algorithm) {
+    throw new Error(`Invalid token: unsupported algorithm ${header.alg}`);
+  }
+  const data = Buffer.from(`${parts[0]}.${parts[1]}`);
+  const signature = Buffer.from(parts[2], 'base64url');
+  let valid = false;
+  if (algorithm.type === 'secret') {
+    if (!secret) {
+      throw new Error(`Invalid token: ${header.alg} tokens need AUTH_JWT_SECRET`);
+    }
+    const expected = crypto.createHmac(algorithm.hash, secret).update(data).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else {
+    if (!publicKey) {
+      throw new Error(`Invalid token: ${header.alg} tokens need AUTH_JWT_PUBLIC_KEY`);
+    }
+    valid = crypto.verify(algorithm.hash, data, { key: publicKey, dsaEncoding: algorithm.dsaEncoding }, signature);
+  }
+  if (!valid) {
+    throw new Error('Invalid token: bad signature');
+  }
+
+  const seconds = now / 1000;
+  if (typeof claims.exp !== 'number') {
+    throw new Error('Invalid token: no expiry');
+  }
+  if (seconds > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw new Error('Invalid token: expired');
+  }
+  if (typeof claims.nbf === 'number' && seconds < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw new Error('Invalid token: not valid yet');
+  }
+  if (issuer && claims.iss !== issuer) {
+    throw new Error('Invalid token: wrong issuer');
+  }
+  if (audience && !(Array.isArray(claims.aud) ? claims.aud : [claims.aud]).includes(audience)) {
+    throw new Error('Invalid token: wrong audience');
+  }
+  return claims;
+}
+
+// The user id API Gateway's authorizer established, if any
+function authorizerUserId(authorizer) {
+  if (!authorizer) {
+    return null;
+  }
+  const claim = userClaim();
+  return authorizer.jwt?.claims?.[claim]
+    || authorizer.claims?.[claim]
+    || authorizer.lambda?.userId
+    || authorizer.lambda?.[claim]
+    || authorizer.userId
+    || authorizer.principalId
+    || null;
+}
+
+function bearerToken(headers = {}) {
+  const header = Object.entries(headers || {}).find(([name]) => name.toLowerCase() === 'authorization');
+  const match = header && String(header[1]).match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// The authenticated caller's user id, or null when the request has no valid identity
+export function getAuthenticatedUserId(event = {}) {
+  const fromAuthorizer = authorizerUserId(event.requestContext?.authorizer);
+  if (fromAuthorizer) {
+    return String(fromAuthorizer);
+  }
+
+  const token = bearerToken(event.headers);
+  if (!token || (!process.env.AUTH_JWT_SECRET && !process.env.AUTH_JWT_PUBLIC_KEY)) {
+    return null;
+  }
+  try {
+    const claims = verifyJwt(token, {
+      secret: process.env.AUTH_JWT_SECRET,
+      publicKey: process.env.AUTH_JWT_PUBLIC_KEY,
+      issuer: process.env.AUTH_JWT_ISSUER,
+      audience: process.env.AUTH_JWT_AUDIENCE
+    });
+    const userId = claims[userClaim()];
+    return userId === undefined || userId === null || userId === '' ? null : String(userId);
+  } catch (error) {
+    log.warn('Rejected bearer token', { reason: error.message });
+    return null;
+  }
+}
@@ -0,0 +1,274 @@
+import dotenv from 'dotenv';
+import fs from 'fs';
+import readline from 'readline';
+import { parseArgs } from 'util';
+import { createFakePostgrest } from './fakePostgrest.mjs';
+import { TOOL_MODES } from './llmProviders.mjs';
+
+// Command-line interface for running the agent without AWS.
+//   node cli.mjs "add milk to my shopping list"   one query, then exit
+//   node cli.mjs                                 interactive session (REPL)
+// Each iteration's prompt size, reasoning, function calls and results are printed
+// as they happen. With --db memory (the default when SUPABASE_URL isn't set) the
+// agent runs against an in-memory database, optionally seeded from a JSON file.
+
+dotenv.config();
+
+const USAGE = `Usage: node cli.mjs [options] [query]
+
+Options:
+  -u, --user <id>              User id to run as (default: CLI_USER_ID or local-user)
+  -p, --provider <name>        LLM provider, e.g. openrouter, openai, anthropic, local, mock
+  -m, --model <name>           Model name
+  -s, --specialization <name>  Start in this specialization instead of the router
+      --tool-mode <mode>       native or text
+      --session <id>           Continue an existing chat session
+      --new-session            Start a new chat session (always on in the REPL)
+      --confirm <token>        Run the actions held for confirmation under this token
+      --cancel                 With --confirm, cancel them instead
+      --db <memory|url>        In-memory database, or a Supabase/PostgREST URL such as
+                               a local "supabase start" stack (default: SUPABASE_URL, else memory)
+      --db-key <key>           API key for --db <url> (default: SUPABASE_KEY)
+      --seed <file.json>       Rows for the in-memory database: { "table": [rows] }
+  -v, --verbose                Show the agent's full logs
+  -h, --help                   Show this help
+
+REPL commands:
+  /help, /exit, /new (new session), /user <id>, /specialization <name|router>,
+  /provider <name>, /model <name>`;
+
+const { values: flags, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    user: { type: 'string', short: 'u' },
+    provider: { type: 'string', short: 'p' },
+    model: { type: 'string', short: 'm' },
+    specialization: { type: 'string', short: 's' },
+    'tool-mode': { type: 'string' },
+    session: { type: 'string' },
+    'new-session': { type: 'boolean' },
+    confirm: { type: 'string' },
+    cancel: { type: 'boolean' },
+    db: { type: 'string' },
+    'db-key': { type: 'string' },
+    seed: { type: 'string' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' }
+  }
+});
+
+// Longest function result shown before it is cut off
+const MAX_RESULT_CHARACTERS = 600;
+
+function print(text = '') {
+  process.stdout.write(`${text}\n`);
+}
+
+function truncate(text, length = MAX_RESULT_CHARACTERS) {
+  return text.length > length ? `${text.slice(0, length)}... (${text.length - length} more characters)` : text;
+}
+
+// Point the agent at the in-memory database or the given URL. Returns the
+// in-memory server so it can be closed on exit.
+async function connectDatabase() {
+  const database = flags.db || (process.env.SUPABASE_URL ? process.env.SUPABASE_URL : 'memory');
+  if (database !== 'memory') {
+    process.env.SUPABASE_URL = database;
+    process.env.SUPABASE_KEY = flags['db-key'] || process.env.SUPABASE_KEY;
+    print(`Database: ${database}`);
+    return null;
+  }
+
+  const seed = flags.seed ? JSON.parse(fs.readFileSync(flags.seed, 'utf8')) : {};
+  const server = createFakePostgrest(seed);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  process.env.SUPABASE_URL = `http://127.0.0.1:${server.address().port}`;
+  process.env.SUPABASE_KEY = 'local';
+  print(`Database: in memory${flags.seed ? ` (seeded from ${flags.seed})` : ''}`);
+  return server;
+}
+
+// Print the agent's progress events as they arrive
+function printEvent(type, data) {
+  switch (type) {
+    case 'iteration_started':
+      print(`\n-- Iteration ${data.iteration} (${data.specialization})`);
+      break;
+    case 'model_request':
+      print(`   Prompt: ~${data.tokens.total} of ${data.tokens.budget} tokens (${data.promptCharacters} characters) to ${data.provider}/${data.model} (${data.toolMode} tools)`);
+      break;
+    case 'reasoning':
+      print(`   Reasoning: ${data.text}`);
+      break;
+    case 'function_call':
+      print(`   Call ${data.index + 1}: ${data.function} ${JSON.stringify(data.parameters || {})}`);
+      break;
+    case 'function_result':
+      if (data.success) {
+        print(`   Result ${data.index + 1}: ${truncate(JSON.stringify(data.data ?? null))}`);
+      } else {
+        print(`   Result ${data.index + 1}: error: ${data.error}`);
+      }
+      break;
+    case 'spend_limit':
+      print(`   Spend limit reached (${data.limit})${data.fallbackModel ? `, switching to ${data.fallbackModel}` : ''}`);
+      break;
+    default:
+      break;
+  }
+}
+
+// Run one query and print the answer. Returns the result, or null when the run failed.
+async function runQuery(runAIAgent, query, state) {
+  try {
+    const result = await runAIAgent(query, state.userId, {
+      llm: state.llm,
+      specialization: state.specialization,
+      sessionId: state.sessionId,
+      newSession: state.newSession && !state.sessionId,
+      confirmationToken: state.confirmationToken,
+      cancel: state.cancel,
+      onEvent: printEvent
+    });
+
+    print(`\n${result.answer}`);
+    if (result.pendingConfirmation) {
+      print(state.sessionId || result.sessionId
+        ? '\n(Waiting for confirmation: reply "yes" or "no")'
+        : `\n(Waiting for confirmation: rerun with --confirm ${result.pendingConfirmation.token}, adding --cancel to cancel)`);
+    }
+    print(`\n[specialization: ${result.specialization}, time: ${Math.round(result.metrics?.total || 0)} ms, tokens: ${result.metrics?.usage?.totalTokens ?? 0}, cost: $${(result.metrics?.usage?.cost ?? 0).toFixed(4)}${result.sessionId ? `, session: ${result.sessionId}` : ''}]`);
+    state.sessionId = result.sessionId || state.sessionId;
+    return result;
+  } catch (error) {
+    print(`\nError: ${error.message}`);
+    return null;
+  }
+}
+
+// Handle a /command typed in the REPL. Returns false to leave the REPL.
+function runCommand(line, state) {
+  const [command, ...rest] = line.slice(1).trim().split(/\s+/);
+  const argument = rest.join(' ');
+
+  switch (command) {
+    case 'exit':
+    case 'quit':
+      return false;
+    case 'help':
+      print(USAGE.slice(USAGE.indexOf('REPL commands:')));
+      break;
+    case 'new':
+      state.sessionId = undefined;
+      print('Started a new session');
+      break;
+    case 'user':
+      if (argument) {
+        state.userId = argument;
+        state.sessionId = undefined;
+      }
+      print(`User: ${state.userId}`);
+      break;
+    case 'specialization':
+      if (argument) {
+        state.specialization = argument === 'router' ? undefined : argument;
+      }
+      print(`Starting specialization: ${state.specialization || 'router'}`);
+      break;
+    case 'provider':
+    case 'model':
+      if (argument) {
+        state.llm = { ...state.llm, [command]: argument };
+      }
+      print(`${command}: ${state.llm[command] || '(default)'}`);
+      break;
+    default:
+      print(`Unknown command: /${command} (try /help)`);
+  }
+  return true;
+}
+
+async function repl(runAIAgent, state) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  print('Type a message, /help for commands, /exit to quit.');
+
+  const prompt = () => {
+    rl.setPrompt(`\n${state.userId}> `);
+    rl.prompt();
+  };
+
+  // Lines typed (or piped in) while a query runs are queued by the iterator
+  prompt();
+  for await (const input of rl) {
+    const line = input.trim();
+    if (line.startsWith('/')) {
+      if (!runCommand(line, state)) {
+        break;
+      }
+    } else if (line) {
+      await runQuery(runAIAgent, line, state);
+    }
+    prompt();
+  }
+  rl.close();
+}
+
+async function main() {
+  if (flags.help) {
+    print(USAGE);
+    return 0;
+  }
+  if (flags['tool-mode'] && !TOOL_MODES.includes(flags['tool-mode'])) {
+    process.stderr.write(`Unknown --tool-mode "${flags['tool-mode']}": use ${TOOL_MODES.join(' or ')}\n`);
+    return 1;
+  }
+
+  const server = await connectDatabase();
+
+  // The agent logs every step; only show that with --verbose
+  if (!flags.verbose) {
+    console.log = () => {};
+    console.error = () => {};
+  }
+
+  // Imported after the database is chosen so the agent connects to it
+  const { runAIAgent } = await import('./index.mjs');
+
+  const llm = {};
+  if (flags.provider) llm.provider = flags.provider;
+  if (flags.model) llm.model = flags.model;
+  if (flags['tool-mode']) llm.toolMode = flags['tool-mode'];
+
+  const state = {
+    userId: flags.user || process.env.CLI_USER_ID || 'local-user',
+    llm: llm,
+    specialization: flags.specialization,
+    sessionId: flags.session,
+    newSession: flags['new-session'] === true,
+    confirmationToken: flags.confirm,
+    cancel: flags.cancel === true
+  };
+
+  let exitCode = 0;
+  try {
+    if (positionals.length > 0 || flags.confirm) {
+      const result = await runQuery(runAIAgent, positionals.join(' ') || (flags.cancel ? 'no' : 'yes'), state);
+      exitCode = result ? 0 : 1;
+    } else {
+      state.newSession = true;
+      await repl(runAIAgent, state);
+    }
+  } finally {
+    if (server) {
+      server.close();
+    }
+  }
+  return exitCode;
+}
+
+main()
+  .then(exitCode => process.exit(exitCode))
+  .catch(error => {
+    process.stderr.write(`${error.stack || error.message}\n`);
+    process.exit(1);
+  });
@@ -0,0 +1,168 @@
+import { log } from './logger.mjs';
+
+// Prompt token budgets.
+//
+// Tokens are estimated from text length rather than counted with each provider's
+// tokenizer; the estimate errs high for English and JSON, which is the safe side for
+// staying inside a context window. A model's prompt budget is its context window
+// less the tokens reserved for the answer, capped at promptTokens so that models
+// with very large windows don't run up large bills.
+
+// Characters per token, rounded down from the ~4 of English prose for JSON-heavy prompts
+const CHARS_PER_TOKEN = 3.5;
+const DEFAULT_CONTEXT_TOKENS = 32000;
+const DEFAULT_PROMPT_TOKENS = 24000;
+// Reserved for the answer when the model config has no maxTokens
+const DEFAULT_OUTPUT_TOKENS = 4096;
+// A cut function result keeps at least this much
+const MIN_TRUNCATED_TOKENS = 50;
+const TRUNCATION_MARKER = '\n... (truncated to fit the context window; use pagination to read long results in pages)\n';
+
+// Context windows of common model families, matched against the model name
+const MODEL_CONTEXT_WINDOWS = [
+  [/claude/i, 200000],
+  [/gemini/i, 1000000],
+  [/gpt-4o|gpt-4\.1|gpt-4-turbo|(^|\/)o[134](-|$)/i, 128000],
+  [/gpt-3\.5/i, 16385],
+  [/llama-?3\.[123]/i, 128000],
+  [/mistral|mixtral/i, 32000],
+  [/qwen/i, 32000]
+];
+
+export function estimateTokens(value) {
+  if (value === undefined || value === null) {
+    return 0;
+  }
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+// MODEL_CONTEXT_TOKENS, e.g. {"my-local-model": 8192}, keyed by part of the model name
+function configuredContextWindow(model) {
+  if (!process.env.MODEL_CONTEXT_TOKENS || !model) {
+    return undefined;
+  }
+  try {
+    const windows = JSON.parse(process.env.MODEL_CONTEXT_TOKENS);
+    const key = Object.keys(windows).find(name => model.toLowerCase().includes(name.toLowerCase()));
+    return key === undefined ? undefined : Number(windows[key]) || undefined;
+  } catch (error) {
+    log.error('Invalid MODEL_CONTEXT_TOKENS value', error);
+    return undefined;
+  }
+}
+
+// The model's context window: its own contextTokens > MODEL_CONTEXT_TOKENS >
+// the known model families > LLM_CONTEXT_TOKENS > 32000
+export function getContextWindow(modelConfig = {}) {
+  const known = MODEL_CONTEXT_WINDOWS.find(([pattern]) => pattern.test(modelConfig.model || ''));
+  return modelConfig.contextTokens
+    || configuredContextWindow(modelConfig.model)
+    || (known && known[1])
+    || Number(process.env.LLM_CONTEXT_TOKENS)
+    || DEFAULT_CONTEXT_TOKENS;
+}
+
+// Tokens the whole prompt (system prompt, history and tool definitions) may use
+export function getPromptBudget(modelConfig = {}) {
+  const available = getContextWindow(modelConfig) - (modelConfig.maxTokens || DEFAULT_OUTPUT_TOKENS);
+  return Math.max(0, Math.min(available, modelConfig.promptTokens || DEFAULT_PROMPT_TOKENS));
+}
+
+// Cut text to about the given number of tokens, marking the cut
+export function truncateToTokens(text, tokens) {
+  if (estimateTokens(text) <= tokens) {
+    return text;
+  }
+  const length = Math.max(0, Math.floor(tokens * CHARS_PER_TOKEN) - TRUNCATION_MARKER.length);
+  return text.slice(0, length) + TRUNCATION_MARKER;
+}
+
+// Shrink a history to a token budget. Entries are { text, compact, group }: entries
+// without compact are kept as they are, entries with one (function results) are
+// replaced by it oldest first. The newest group (the latest iteration's results) is
+// never compacted; when compacting the older ones is not enough, it is cut instead.
+// Returns the texts to send, in order, and what was done to them.
+export function fitToBudget(entries, budget) {
+  const texts = entries.map(entry => entry.text);
+  const groups = entries.map((entry, index) => entry.group ?? index);
+  const shrinkable = entries.map((entry, index) => index).filter(index => entries[index].compact !== undefined);
+  const newestGroup = shrinkable.length > 0 ? groups[shrinkable[shrinkable.length - 1]] : null;
+  let tokens = texts.reduce((total, text) => total + estimateTokens(text), 0);
+  let compacted = 0;
+  let truncated = false;
+
+  for (const index of shrinkable) {
+    if (tokens <= budget) {
+      break;
+    }
+    if (groups[index] === newestGroup) {
+      continue;
+    }
+    tokens += estimateTokens(entries[index].compact) - estimateTokens(texts[index]);
+    texts[index] = entries[index].compact;
+    compacted++;
+  }
+
+  if (tokens > budget) {
+    // Share what is left among the newest results, in proportion to their size
+    const newest = shrinkable.filter(index => groups[index] === newestGroup);
+    const newestTokens = newest.reduce((total, index) => total + estimateTokens(texts[index]), 0);
+    const keep = Math.max(0, newestTokens - (tokens - budget));
+    for (const index of newest) {
+      const share = Math.max(MIN_TRUNCATED_TOKENS, Math.floor(keep * estimateTokens(texts[index]) / newestTokens));
+      const text = truncateToTokens(texts[index], share);
+      if (text !== texts[index]) {
+        tokens += estimateTokens(text) - estimateTokens(texts[index]);
+        texts[index] = text;
+        truncated = true;
+      }
+    }
+  }
+
+  return { texts: texts, tokens: tokens, compacted: compacted, truncated: truncated };
+}
+
+function words(text, stopWords) {
+  return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word.length > 1 && !stopWords.has(word));
+}
+
+// The topics that fit the budget, most relevant to the query first. A topic scores
+// one point per query word it shares, where words match when one starts with the
+// other (so "car" finds "cars"); ties keep the original order. All topics are
+// returned unchanged when they fit.
+export function selectTopics(topics, query, budget, stopWords = new Set()) {
+  if (estimateTokens(topics) <= budget) {
+    return topics;
+  }
+  const queryWords = words(query, stopWords);
+  const matches = (a, b) => Math.min(a.length, b.length) >= 3 ? a.startsWith(b) || b.startsWith(a) : a === b;
+  const ranked = topics
+    .map((topic, index) => ({
+      topic: topic,
+      index: index,
+      score: words(topic, stopWords).filter(word => queryWords.some(queryWord => matches(word, queryWord))).length
+    }))
+    .sort((a, b) => b.score - a.score || a.index - b.index);
+
+  const selected = [];
+  let tokens = 2;
+  for (const { topic } of ranked) {
+    const topicTokens = estimateTokens(topic) + 1;
+    if (tokens + topicTokens > budget) {
+      break;
+    }
+    selected.push(topic);
+    tokens += topicTokens;
+  }
+  return selected;
+}
+
+// Token estimates of named prompt sections (text, or a count already made) and their total
+export function countSections(sections) {
+  const counts = Object.fromEntries(Object.entries(sections)
+    .map(([name, value]) => [name, typeof value === 'number' ? value : estimateTokens(value)]));
+  counts.total = Object.values(counts).reduce((total, tokens) => total + tokens, 0);
+  return counts;
+}
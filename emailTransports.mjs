@@ -0,0 +1,252 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import tls from 'tls';
+import { log } from './logger.mjs';
+
+// Email transports for sending drafts. Each one implements
+// send({ from, to, cc, subject, text }), where addresses are { name, email },
+// and resolves to { messageId, transport, ... } or throws when sending failed.
+// EMAIL_TRANSPORT picks one: smtp (the default when SMTP_HOST is set) or capture.
+
+const SMTP_TIMEOUT_MS = Number(process.env.SMTP_TIMEOUT_MS) || 30000;
+
+// Emails sent with the capture transport, newest last
+export const capturedEmails = [];
+
+// The sender address: EMAIL_FROM, e.g. "Agent <agent@example.com>"
+export function getSenderAddress() {
+  return parseAddress(process.env.EMAIL_FROM || 'AI Agent <agent@localhost>');
+}
+
+// Parse "Name <email>" or a bare address into { name, email }
+export function parseAddress(text) {
+  const value = String(text || '').trim();
+  const match = value.match(/^"?([^"<]*?)"?\s*<([^>]+)>$/);
+  const address = match ? { name: match[1].trim() || null, email: match[2].trim() } : { name: null, email: value };
+  if (!/^[^\s@<>",]+@[^\s@<>",]+\.[^\s@<>",]+$|^[^\s@<>",]+@localhost$/.test(address.email)) {
+    throw new Error(`Invalid email address: ${value}`);
+  }
+  return address;
+}
+
+// RFC 2047 encoding for header text that isn't plain ASCII
+function encodeHeader(text) {
+  return /^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+}
+
+export function formatAddress({ name, email }) {
+  if (!name) {
+    return email;
+  }
+  const displayName = /^[\x20-\x7e]*$/.test(name) ? `"${name.replace(/["\\]/g, '\\$&')}"` : encodeHeader(name);
+  return `${displayName} <${email}>`;
+}
+
+// Build the MIME message. The body is base64 encoded UTF-8 text, which every server accepts.
+export function buildMessage({ from, to, cc = [], subject, text, messageId, date = new Date() }) {
+  const headers = [
+    `From: ${formatAddress(from)}`,
+    `To: ${to.map(formatAddress).join(', ')}`,
+    ...(cc.length > 0 ? [`Cc: ${cc.map(formatAddress).join(', ')}`] : []),
+    `Subject: ${encodeHeader(subject || '')}`,
+    `Date: ${date.toUTCString().replace('GMT', '+0000')}`,
+    `Message-ID: ${messageId}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ];
+  const body = Buffer.from(String(text || '').replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+  return `${headers.join('\r\n')}\r\n\r\n${body}\r\n`;
+}
+
+function newMessageId(from) {
+  return `<${crypto.randomUUID()}@${from.email.split('@')[1]}>`;
+}
+
+// Reads SMTP replies ("250-first line", "250 last line") off a socket in order
+function createReplyReader() {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  return {
+    push(chunk) {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        lines.push(line.slice(4));
+        if (/^\d{3}(?: |$)/.test(line)) {
+          const reply = { code: Number(line.slice(0, 3)), text: lines.join('\n'), lines: lines };
+          lines = [];
+          if (waiting.length > 0) {
+            waiting.shift().resolve(reply);
+          } else {
+            replies.push(reply);
+          }
+        }
+      }
+    },
+    fail(error) {
+      failure = failure || error;
+      waiting.splice(0).forEach(waiter => waiter.reject(failure));
+    },
+    next() {
+      if (replies.length > 0) {
+        return Promise.resolve(replies.shift());
+      }
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    }
+  };
+}
+
+// Send one message over SMTP: EHLO, STARTTLS when offered, AUTH, MAIL/RCPT/DATA, QUIT.
+// config: { host, port, secure (TLS from the start), user, password, rejectUnauthorized,
+// allowInsecureAuth (send credentials even when the connection isn't encrypted) }
+export async function sendSmtp(config, envelope, message) {
+  const reader = createReplyReader();
+  let socket;
+
+  const attach = nextSocket => {
+    nextSocket.setTimeout(SMTP_TIMEOUT_MS, () => nextSocket.destroy(new Error(`SMTP connection to ${config.host} timed out`)));
+    nextSocket.on('data', chunk => reader.push(chunk));
+    nextSocket.on('error', error => reader.fail(error));
+    nextSocket.on('close', () => reader.fail(new Error('SMTP connection closed')));
+    socket = nextSocket;
+  };
+
+  const tlsOptions = { servername: net.isIP(config.host) ? undefined : config.host, rejectUnauthorized: config.rejectUnauthorized !== false };
+  attach(config.secure
+    ? tls.connect({ host: config.host, port: config.port, ...tlsOptions })
+    : net.connect({ host: config.host, port: config.port }));
+
+  // Send a command and check the reply code
+  const command = async (line, expected, label = line.split(' ')[0]) => {
+    if (line !== null) {
+      socket.write(`${line}\r\n`);
+    }
+    const reply = await reader.next();
+    if (!expected.includes(reply.code)) {
+      throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.text}`);
+    }
+    return reply;
+  };
+
+  try {
+    await command(null, [220], 'greeting');
+    const hostname = os.hostname() || 'localhost';
+    let hello = await command(`EHLO ${hostname}`, [250]);
+    let encrypted = Boolean(config.secure);
+
+    if (!config.secure && hello.lines.some(line => /^STARTTLS\b/i.test(line))) {
+      await command('STARTTLS', [220]);
+      socket.removeAllListeners('data');
+      socket.removeAllListeners('close');
+      attach(tls.connect({ socket: socket, ...tlsOptions }));
+      hello = await command(`EHLO ${hostname}`, [250]);
+      encrypted = true;
+    }
+
+    if (config.user) {
+      if (!encrypted && !config.allowInsecureAuth) {
+        throw new Error(`SMTP server ${config.host} does not offer STARTTLS; refusing to send credentials unencrypted (set SMTP_ALLOW_INSECURE_AUTH=true to allow it)`);
+      }
+      const methods = hello.lines.find(line => /^AUTH\b/i.test(line)) || '';
+      if (/\bPLAIN\b/i.test(methods) || !/\bLOGIN\b/i.test(methods)) {
+        const credentials = Buffer.from(`\0${config.user}\0${config.password || ''}`).toString('base64');
+        await command(`AUTH PLAIN ${credentials}`, [235], 'AUTH');
+      } else {
+        await command('AUTH LOGIN', [334], 'AUTH');
+        await command(Buffer.from(config.user).toString('base64'), [334], 'AUTH');
+        await command(Buffer.from(config.password || '').toString('base64'), [235], 'AUTH');
+      }
+    }
+
+    await command(`MAIL FROM:<${envelope.from}>`, [250], 'MAIL FROM');
+    for (const recipient of envelope.to) {
+      await command(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO');
+    }
+    await command('DATA', [354]);
+    // Lines starting with a dot are escaped, and a lone dot ends the message
+    const data = message.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+    const accepted = await command(`${data}${data.endsWith('\r\n') ? '' : '\r\n'}.`, [250], 'DATA');
+
+    await command('QUIT', [221]).catch(() => {});
+    return accepted.text;
+  } finally {
+    socket.destroy();
+  }
+}
+
+const smtpTransport = {
+  name: 'smtp',
+  async send(email) {
+    if (!process.env.SMTP_HOST) {
+      throw new Error('SMTP_HOST is not set');
+    }
+    const port = Number(process.env.SMTP_PORT) || 587;
+    const messageId = newMessageId(email.from);
+    const response = await sendSmtp({
+      host: process.env.SMTP_HOST,
+      port: port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      user: process.env.SMTP_USER,
+      password: process.env.SMTP_PASSWORD,
+      rejectUnauthorized: process.env.SMTP_TLS_REJECT_UNAUTHORIZED !== 'false',
+      allowInsecureAuth: process.env.SMTP_ALLOW_INSECURE_AUTH === 'true'
+    }, {
+      from: email.from.email,
+      to: [...email.to, ...(email.cc || [])].map(address => address.email)
+    }, buildMessage({ ...email, messageId: messageId }));
+
+    return { messageId: messageId, transport: 'smtp', response: response };
+  }
+};
+
+// Keeps sent emails in capturedEmails and writes each one as an .eml file to
+// EMAIL_CAPTURE_DIR (default: agent-emails in the system temp directory)
+const captureTransport = {
+  name: 'capture',
+  async send(email) {
+    const messageId = newMessageId(email.from);
+    const message = buildMessage({ ...email, messageId: messageId });
+    const directory = process.env.EMAIL_CAPTURE_DIR || path.join(os.tmpdir(), 'agent-emails');
+    const file = path.join(directory, `${Date.now()}-${messageId.slice(1, 9)}.eml`);
+
+    fs.mkdirSync(directory, { recursive: true });
+    fs.writeFileSync(file, message);
+    capturedEmails.push({ ...email, messageId: messageId, message: message, file: file });
+    log.info('Captured email', { subject: email.subject, to: email.to.map(formatAddress), file: file });
+
+    return { messageId: messageId, transport: 'capture', file: file };
+  }
+};
+
+const transports = {
+  smtp: smtpTransport,
+  capture: captureTransport
+};
+
+// Add or replace a transport. Transports implement send(email)
+export function registerEmailTransport(name, transport) {
+  transports[name] = transport;
+}
+
+// The configured transport: EMAIL_TRANSPORT, else smtp when SMTP_HOST is set, else capture
+export function getEmailTransport() {
+  const name = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'capture');
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unsupported email transport: ${name}`);
+  }
+  return transport;
+}
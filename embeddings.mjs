@@ -0,0 +1,153 @@
+import fetch from "node-fetch";
+import crypto from 'crypto';
+
+// Embedding providers for semantic knowledge search.
+// Every provider returns vectors of EMBEDDING_DIMENSIONS numbers, which has to
+// match the size of the knowledge_snippets.embedding column.
+
+const DEFAULT_DIMENSIONS = 1536;
+const DEFAULT_OPENAI_MODEL = 'text-embedding-3-small';
+
+function getDimensions() {
+  return Number(process.env.EMBEDDING_DIMENSIONS) || DEFAULT_DIMENSIONS;
+}
+
+// Scale a vector to unit length so cosine similarity is a dot product
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+// Shared request logic for OpenAI-compatible /embeddings endpoints
+async function openAICompatibleEmbeddings(baseUrl, apiKey, model, texts) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers["Authorization"] = `Bearer ${apiKey}`;
+  }
+
+  const body = { model: model, input: texts };
+  if (process.env.EMBEDDING_DIMENSIONS) {
+    body.dimensions = getDimensions();
+  }
+
+  const response = await fetch(`${baseUrl}/embeddings`, {
+    method: "POST",
+    headers: headers,
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw new Error(`Embedding request failed with status ${response.status}: ${data.error?.message || JSON.stringify(data)}`);
+  }
+
+  return data.data
+    .sort((first, second) => first.index - second.index)
+    .map(item => item.embedding);
+}
+
+const openAIEmbedder = {
+  name: 'openai',
+  model: () => process.env.EMBEDDING_MODEL || DEFAULT_OPENAI_MODEL,
+  async embed(texts) {
+    return openAICompatibleEmbeddings(
+      process.env.EMBEDDING_BASE_URL || process.env.OPENAI_BASE_URL || "https://api.openai.com/v1",
+      process.env.EMBEDDING_API_KEY || process.env.OPENAI_API_KEY,
+      this.model(),
+      texts
+    );
+  }
+};
+
+// Local OpenAI-compatible embedding servers (e.g. Ollama with nomic-embed-text)
+const localEmbedder = {
+  name: 'local',
+  model: () => process.env.EMBEDDING_MODEL || 'nomic-embed-text',
+  async embed(texts) {
+    return openAICompatibleEmbeddings(
+      process.env.LOCAL_EMBEDDING_BASE_URL || process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1",
+      process.env.LOCAL_LLM_API_KEY,
+      this.model(),
+      texts
+    );
+  }
+};
+
+// Deterministic embedder with no external calls, for tests and offline use.
+// Hashes words and character trigrams into buckets, so it matches spelling
+// variants and short words but not synonyms.
+const hashEmbedder = {
+  name: 'hash',
+  model: () => `hash-${getDimensions()}`,
+  async embed(texts) {
+    const dimensions = getDimensions();
+
+    return texts.map(text => {
+      const vector = new Array(dimensions).fill(0);
+      const words = (text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+
+      const addFeature = (feature, weight) => {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        const bucket = hash.readUInt32BE(0) % dimensions;
+        const sign = hash[4] & 1 ? 1 : -1;
+        vector[bucket] += sign * weight;
+      };
+
+      words.forEach(word => {
+        addFeature(`w:${word}`, 1);
+        const padded = `#${word}#`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          addFeature(`t:${padded.slice(i, i + 3)}`, 0.5);
+        }
+      });
+
+      return normalize(vector);
+    });
+  }
+};
+
+const embedders = {
+  openai: openAIEmbedder,
+  local: localEmbedder,
+  hash: hashEmbedder
+};
+
+// Add or replace an embedding provider. Providers implement model() and embed(texts)
+export function registerEmbedder(name, embedder) {
+  embedders[name] = embedder;
+}
+
+// The configured provider: EMBEDDING_PROVIDER, else OpenAI when a key is set, else the hash embedder
+export function getEmbedder() {
+  const name = process.env.EMBEDDING_PROVIDER || (process.env.OPENAI_API_KEY ? 'openai' : 'hash');
+  const embedder = embedders[name];
+  if (!embedder) {
+    throw new Error(`Unknown embedding provider: ${name}`);
+  }
+  return embedder;
+}
+
+// Embed a single text with the configured provider
+export async function embedText(text) {
+  const embedder = getEmbedder();
+  const [embedding] = await embedder.embed([text]);
+  return { embedding: embedding, model: embedder.model() };
+}
+
+// Text that represents a knowledge snippet in the vector index
+export function snippetEmbeddingText(topic, content) {
+  return `${topic}\n${content}`;
+}
+
+// Cosine similarity of two vectors
+export function cosineSimilarity(first, second) {
+  let dot = 0;
+  let firstLength = 0;
+  let secondLength = 0;
+  for (let i = 0; i < Math.min(first.length, second.length); i++) {
+    dot += first[i] * second[i];
+    firstLength += first[i] * first[i];
+    secondLength += second[i] * second[i];
+  }
+  return firstLength && secondLength ? dot / Math.sqrt(firstLength * secondLength) : 0;
+}
@@ -0,0 +1,335 @@
+import http from 'http';
+
+// In-memory stand-in for Supabase's PostgREST API, for running the agent locally
+// without a database. It speaks the part of the REST dialect the agent uses:
+//   - select, order, limit/offset and Range headers
+//   - filters eq, neq, gt, gte, lt, lte, like, ilike, is, in, and/or/not trees
+//   - inserts, upserts (on_conflict), updates and deletes, returning rows on request
+//   - GET /rest/v1/ returns an OpenAPI style description of the tables
+//   - the search_knowledge_snippets and record_llm_usage functions; others return 404
+// Tables are created on first write. Nothing is persisted.
+
+// Parse a value from a filter, e.g. "null", "true" or "\"quoted, text\""
+function parseValue(raw) {
+  if (raw === 'null') return null;
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (raw.startsWith('"') && raw.endsWith('"')) {
+    return raw.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return raw;
+}
+
+// Split a list on commas that aren't inside parentheses or quotes
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+  for (let index = 0; index < text.length; index++) {
+    const character = text[index];
+    if (character === '"' && text[index - 1] !== '\\') quoted = !quoted;
+    if (!quoted && character === '(') depth++;
+    if (!quoted && character === ')') depth--;
+    if (!quoted && depth === 0 && character === ',') {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += character;
+  }
+  if (current) {
+    parts.push(current);
+  }
+  return parts;
+}
+
+// Compare numerically when both values are numbers, as text otherwise
+function compare(first, second) {
+  const firstNumber = Number(first);
+  const secondNumber = Number(second);
+  if (first !== null && second !== null && first !== '' && second !== ''
+    && !Number.isNaN(firstNumber) && !Number.isNaN(secondNumber)) {
+    return firstNumber - secondNumber;
+  }
+  return String(first) < String(second) ? -1 : String(first) > String(second) ? 1 : 0;
+}
+
+function likeToRegExp(pattern, flags) {
+  const escaped = pattern
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/[%*]/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, flags);
+}
+
+function matchesCondition(row, column, operator, raw) {
+  const value = row[column];
+  const present = value !== null && value !== undefined;
+  switch (operator) {
+    case 'eq': return present && compare(value, parseValue(raw)) === 0;
+    case 'neq': return present && compare(value, parseValue(raw)) !== 0;
+    case 'gt': return present && compare(value, parseValue(raw)) > 0;
+    case 'gte': return present && compare(value, parseValue(raw)) >= 0;
+    case 'lt': return present && compare(value, parseValue(raw)) < 0;
+    case 'lte': return present && compare(value, parseValue(raw)) <= 0;
+    case 'like': return present && likeToRegExp(parseValue(raw), '').test(String(value));
+    case 'ilike': return present && likeToRegExp(parseValue(raw), 'i').test(String(value));
+    case 'is': return (value ?? null) === parseValue(raw);
+    case 'in': return present && splitTopLevel(raw.slice(1, -1)).map(parseValue).some(item => compare(value, item) === 0);
+    default: throw new Error(`Unsupported operator in the in-memory database: ${operator}`);
+  }
+}
+
+// A predicate for "column=op.value" (or "not.op.value")
+function parseCondition(column, expression) {
+  const negate = expression.startsWith('not.');
+  const rest = negate ? expression.slice(4) : expression;
+  const dot = rest.indexOf('.');
+  const operator = rest.slice(0, dot);
+  const raw = rest.slice(dot + 1);
+  return row => negate !== matchesCondition(row, column, operator, raw);
+}
+
+// A predicate for a logic tree term, e.g. "or(a.eq.1,not.and(b.is.null,c.gt.2))"
+function parseLogic(term) {
+  const negate = term.startsWith('not.');
+  const rest = negate ? term.slice(4) : term;
+  const group = rest.match(/^(and|or)\((.*)\)$/s);
+  if (group) {
+    const children = splitTopLevel(group[2]).map(parseLogic);
+    const predicate = group[1] === 'and'
+      ? row => children.every(child => child(row))
+      : row => children.some(child => child(row));
+    return row => negate !== predicate(row);
+  }
+  const dot = term.indexOf('.');
+  return parseCondition(term.slice(0, dot), term.slice(dot + 1));
+}
+
+// Read filters, ordering and paging from the query string
+function parseQuery(url, headers) {
+  const query = { predicates: [], order: [], limit: null, offset: 0, select: '*', onConflict: 'id' };
+  for (const [key, value] of url.searchParams.entries()) {
+    if (key === 'select') {
+      query.select = value;
+    } else if (key === 'order') {
+      query.order = value.split(',').map(part => {
+        const [column, direction] = part.split('.');
+        return { column: column, descending: direction === 'desc' };
+      });
+    } else if (key === 'limit') {
+      query.limit = Number(value);
+    } else if (key === 'offset') {
+      query.offset = Number(value);
+    } else if (key === 'on_conflict') {
+      query.onConflict = value;
+    } else if (key === 'columns') {
+      continue;
+    } else if (key === 'or' || key === 'and') {
+      query.predicates.push(parseLogic(`${key}${value}`));
+    } else {
+      query.predicates.push(parseCondition(key, value));
+    }
+  }
+
+  // supabase-js sends .range() as a Range header on some versions
+  const range = (headers.range || '').match(/^(\d+)-(\d+)$/);
+  if (range) {
+    query.offset = Number(range[1]);
+    query.limit = Number(range[2]) - Number(range[1]) + 1;
+  }
+  return query;
+}
+
+// Plain columns of a select list; embedded resources are dropped
+function project(row, select) {
+  if (select.trim() === '*') {
+    return { ...row };
+  }
+  const columns = select
+    .split(',')
+    .map(column => column.trim())
+    .filter(column => column && !column.includes('('));
+  return Object.fromEntries(columns.map(column => {
+    const [alias, name] = column.split('::')[0].includes(':') ? column.split('::')[0].split(':') : [column, column];
+    return [alias, row[name] ?? null];
+  }));
+}
+
+function jsonColumnType(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  if (typeof value === 'boolean') return 'boolean';
+  if (Array.isArray(value)) return 'array';
+  if (value && typeof value === 'object') return 'object';
+  return 'string';
+}
+
+// Keyword search over knowledge snippets, weighting topic matches above content matches
+function searchKnowledgeSnippets(tables, { search_terms: terms = [], results_limit: limit = 5, owner_id: ownerId }) {
+  return (tables.knowledge_snippets || [])
+    .filter(snippet => snippet.user_id === ownerId)
+    .map(snippet => {
+      const topic = String(snippet.topic || '').toLowerCase();
+      const content = String(snippet.content || '').toLowerCase();
+      const score = terms.reduce((total, term) => {
+        const word = String(term).toLowerCase();
+        return total + (topic.includes(word) ? 3 : 0) + (content.includes(word) ? 1 : 0);
+      }, 0);
+      return { id: snippet.id, topic: snippet.topic, content: snippet.content, confidence: snippet.confidence, relevance_score: score };
+    })
+    .filter(snippet => snippet.relevance_score > 0)
+    .sort((first, second) => second.relevance_score - first.relevance_score)
+    .slice(0, limit);
+}
+
+// Add a run's usage to the user's llm_usage row for the day and model, creating it if needed
+function recordLlmUsage(tables, args) {
+  tables.llm_usage = tables.llm_usage || [];
+  let row = tables.llm_usage.find(item => item.user_id === args.owner_id && item.day === args.usage_day
+    && item.provider === args.usage_provider && item.model === args.usage_model);
+  if (!row) {
+    const id = Math.max(0, ...tables.llm_usage.map(item => Number(item.id) || 0)) + 1;
+    row = { id: id, user_id: args.owner_id, day: args.usage_day, provider: args.usage_provider, model: args.usage_model };
+    tables.llm_usage.push(row);
+  }
+  row.requests = (row.requests || 0) + args.added_requests;
+  row.prompt_tokens = (row.prompt_tokens || 0) + args.added_prompt_tokens;
+  row.completion_tokens = (row.completion_tokens || 0) + args.added_completion_tokens;
+  row.total_tokens = (row.total_tokens || 0) + args.added_total_tokens;
+  row.cost = Number(row.cost || 0) + args.added_cost;
+  row.updated_at = new Date().toISOString();
+  return null;
+}
+
+const RPC_FUNCTIONS = {
+  search_knowledge_snippets: searchKnowledgeSnippets,
+  record_llm_usage: recordLlmUsage
+};
+
+// Create the server. seed maps table names to arrays of rows; the returned server
+// exposes the live tables as server.tables.
+export function createFakePostgrest(seed = {}) {
+  const tables = JSON.parse(JSON.stringify(seed));
+  const sequences = {};
+
+  const nextId = table => {
+    sequences[table] = Math.max(sequences[table] || 0, ...tables[table].map(row => Number(row.id) || 0)) + 1;
+    return sequences[table];
+  };
+
+  const handle = (request, body) => {
+    const url = new URL(request.url, 'http://localhost');
+    const path = url.pathname.match(/^\/rest\/v1\/(?:rpc\/([^/]+)|([^/]*))$/);
+    if (!path) {
+      return { status: 404, payload: { message: `Unknown path: ${url.pathname}` } };
+    }
+
+    // Remote procedure calls
+    if (path[1]) {
+      const rpcFunction = RPC_FUNCTIONS[path[1]];
+      if (!rpcFunction) {
+        return { status: 404, payload: { code: 'PGRST202', message: `Could not find the function public.${path[1]}` } };
+      }
+      return { status: 200, payload: rpcFunction(tables, body ? JSON.parse(body) : {}) };
+    }
+
+    // Schema description, as used by loadTableSchemas
+    const table = path[2];
+    if (!table) {
+      const definitions = Object.fromEntries(Object.entries(tables).map(([name, rows]) => {
+        const columns = {};
+        rows.forEach(row => Object.entries(row).forEach(([column, value]) => {
+          columns[column] = columns[column] || { type: jsonColumnType(value) };
+        }));
+        return [name, { properties: columns }];
+      }));
+      return { status: 200, payload: { definitions: definitions } };
+    }
+
+    tables[table] = tables[table] || [];
+    const rows = tables[table];
+    const query = parseQuery(url, request.headers);
+    const prefer = request.headers.prefer || '';
+    const single = (request.headers.accept || '').includes('vnd.pgrst.object');
+    const matches = row => query.predicates.every(predicate => predicate(row));
+    const headers = {};
+    let result = [];
+
+    if (request.method === 'GET' || request.method === 'HEAD') {
+      result = rows.filter(matches);
+      // Sort by the last order column first so earlier columns take precedence.
+      // Nulls sort as the largest value, as in Postgres.
+      [...query.order].reverse().forEach(({ column, descending }) => {
+        result.sort((first, second) => {
+          const [a, b] = [first[column] ?? null, second[column] ?? null];
+          const order = a === null || b === null ? (a === null) - (b === null) : compare(a, b);
+          return (descending ? -1 : 1) * order;
+        });
+      });
+      const total = result.length;
+      result = result.slice(query.offset, query.limit === null ? undefined : query.offset + query.limit);
+      if (prefer.includes('count=exact')) {
+        headers['Content-Range'] = `${query.offset}-${query.offset + result.length - 1}/${total}`;
+      }
+    } else {
+      const payload = body ? JSON.parse(body) : {};
+      if (request.method === 'POST') {
+        const upsert = prefer.includes('resolution=merge-duplicates');
+        for (const item of [].concat(payload)) {
+          const existing = upsert && item[query.onConflict] !== undefined
+            ? rows.find(row => compare(row[query.onConflict], item[query.onConflict]) === 0)
+            : null;
+          if (existing) {
+            Object.assign(existing, item);
+            result.push(existing);
+            continue;
+          }
+          const row = { id: item.id ?? nextId(table), created_at: new Date().toISOString(), ...item };
+          if (rows.some(other => compare(other.id, row.id) === 0)) {
+            return { status: 409, payload: { code: '23505', message: `duplicate key value violates unique constraint "${table}_pkey"` } };
+          }
+          rows.push(row);
+          result.push(row);
+        }
+      } else if (request.method === 'PATCH') {
+        result = rows.filter(matches);
+        result.forEach(row => Object.assign(row, payload));
+      } else if (request.method === 'DELETE') {
+        result = rows.filter(matches);
+        tables[table] = rows.filter(row => !result.includes(row));
+      } else {
+        return { status: 405, payload: { message: `Unsupported method: ${request.method}` } };
+      }
+
+      if (!prefer.includes('return=representation')) {
+        return { status: 204, headers: headers };
+      }
+    }
+
+    result = result.map(row => project(row, query.select));
+    if (single) {
+      return result.length === 1
+        ? { status: 200, payload: result[0], headers: headers }
+        : { status: 406, payload: { code: 'PGRST116', message: 'JSON object requested, multiple (or no) rows returned' } };
+    }
+    return { status: 200, payload: result, headers: headers };
+  };
+
+  const server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      let reply;
+      try {
+        reply = handle(request, body);
+      } catch (error) {
+        reply = { status: 400, payload: { message: error.message } };
+      }
+      response.writeHead(reply.status, { 'Content-Type': 'application/json', ...reply.headers });
+      response.end(reply.payload === undefined ? '' : JSON.stringify(reply.payload));
+    });
+  });
+  server.tables = tables;
+  return server;
+}
@@ -1,25 +1,726 @@
-import fetch from "node-fetch";
 import { createClient } from '@supabase/supabase-js';
 import dotenv from 'dotenv';
+import { clientModelOverrides, getProvider, resolveModelConfig } from './llmProviders.mjs';
+import {
+  getTool,
+  getToolAccess,
+  getToolDefinitions,
+  isToolAllowed,
+  registerTool,
+  renderToolDocumentation,
+  validateToolArguments
+} from './toolRegistry.mjs';
+import { builtInSpecializations, resolveSpecialization } from './specializations.mjs';
+import { cosineSimilarity, embedText, snippetEmbeddingText } from './embeddings.mjs';
+import { applyFilter, applyOrder, applyPagination, FILTER_OPERATORS } from './queryFilters.mjs';
+import { confirmationThreshold, describeTables, enforceTablePolicy, getTablePolicies, loadTableSchemas, upsertConflictColumns } from './tablePolicies.mjs';
+import {
+  describeRecurrence,
+  formatLocalTime,
+  isValidTimeZone,
+  localDateString,
+  nextOccurrence,
+  parseLocalDate,
+  parseReminderSchedule,
+  parseReminderTime
+} from './reminderSchedule.mjs';
+import { getNotifier, getNotifierNames } from './notifiers.mjs';
+import { formatAddress, getEmailTransport, getSenderAddress, parseAddress } from './emailTransports.mjs';
+import { PROFILE_PREFERENCES, renderPreferences, validatePreference } from './userProfile.mjs';
+import { boundingBox, DEFAULT_PLACE_RADIUS_METERS, groupVisits, matchPlace, parseLocationPings } from './locations.mjs';
+import { countSections, fitToBudget, getPromptBudget, selectTopics } from './contextBudget.mjs';
+import { addUsage, createUsageTotals, getSpendLimits, reachedSpendLimit, roundCost, usageCost } from './llmUsage.mjs';
+import { getAuthenticatedUserId } from './auth.mjs';
+import { getLogContext, log, runWithContext, setLogContext } from './logger.mjs';
+import { finishedSpans, withSpan } from './tracing.mjs';
+import crypto from 'crypto';
 
 // Load environment variables
 dotenv.config();
 
-const OPENROUTER_API_KEY = process.env.OPENROUTER_API_KEY;
+// Actions of dynamicSupabaseOperation that only read rows
+const READ_ACTIONS = ['select', 'join', 'search'];
+// Rows a read returns when the call gives no pagination
+const SELECT_PAGE_SIZE = Number(process.env.SELECT_PAGE_SIZE) || 100;
 
-// Available functions mapping
-const functionMap = {
-  dynamicSupabaseOperation: dynamicSupabaseOperation,
-  setSpecialization: setSpecialization,
-  synthesizeKnowledge: synthesizeKnowledge,
-  retrieveRelevantKnowledge: retrieveRelevantKnowledge
+// Register the functions available to the agent. The prompt's AVAILABLE FUNCTIONS
+// section and the native tool definitions are generated from these entries.
+registerTool({
+  name: 'dynamicSupabaseOperation',
+  handler: dynamicSupabaseOperation,
+  confirm: previewDatabaseOperation,
+  access: params => ({
+    resource: [params.from, ...(params.join || []).map(joinSpec => joinSpec && joinSpec.table)]
+      .filter(Boolean)
+      .map(table => `table:${table}`),
+    readOnly: READ_ACTIONS.includes(params.action)
+  }),
+  specializations: ['secretary', 'projectManager'],
+  description: "Retrieve or modify data in the user's database tables.",
+  instructions: () => `- This function retrieves or modifies data in a database.
+- Only the tables below can be used, with the listed actions and columns. Updates and deletes need a filter.
+- Deletes, and updates or upserts of many rows, may be held until the user confirms them. A held call has the status "Awaiting confirmation" and must not be repeated.
+- Select, join and search return at most ${SELECT_PAGE_SIZE} rows unless pagination says otherwise. The result tells how many rows match; request the next page with pagination.offset, or narrow the filter.
+
+Available Database Tables
+${describeTables(databaseTableSchemas)}
+
+Filter Structure (used by every action):
+- A condition: {"column": "column_name", "operator": "eq", "value": "column_value"}
+- Operators: ${FILTER_OPERATORS.join(', ')}
+  * like/ilike match anywhere in the text unless the value contains % wildcards
+  * in takes a list, range takes [from, to], is takes null, true or false
+  * contains/containedBy/overlaps compare arrays or JSON
+  * fts is full-text search, with optional "options": {"type": "plain|phrase|websearch", "config": "english"}
+- All of several conditions: {"and": [filter, filter]} or simply [filter, filter]
+- Any of several conditions: {"or": [filter, filter]}
+- Negation: {"not": filter}, or "negate": true on a condition
+- Example, delete all completed items older than a week:
+  {"and": [{"column": "completed", "operator": "is", "value": true}, {"column": "created_at", "operator": "lt", "value": "2024-05-01T00:00:00Z"}]}`,
+  parameters: {
+    type: 'object',
+    properties: {
+      from: { type: 'string', description: 'Table name (one of the Available Database Tables)' },
+      action: {
+        type: 'string',
+        description: 'Operation type',
+        enum: ['select', 'insert', 'update', 'delete', 'upsert', 'join', 'search']
+      },
+      columns: { type: 'string', description: 'Comma-separated string of column names for select' },
+      data: { type: ['object', 'array'], description: 'Data object for insert/update/upsert' },
+      filter: {
+        type: ['object', 'array'],
+        description: 'Filter condition or and/or/not group for any action (see Filter Structure)'
+      },
+      order: {
+        type: 'array',
+        description: 'Sort order for select, join and search, e.g. [{"column": "created_at", "ascending": false}]',
+        items: {
+          type: 'object',
+          properties: { column: { type: 'string' }, ascending: { type: 'boolean' } },
+          required: ['column']
+        }
+      },
+      pagination: {
+        type: 'object',
+        description: `Pagination for select, join and search, e.g. {"limit": 20, "offset": 0}; without it the first ${SELECT_PAGE_SIZE} rows are returned`,
+        properties: { limit: { type: 'integer', minimum: 1 }, offset: { type: 'integer', minimum: 0 } }
+      },
+      options: { type: 'object', description: 'Upsert options, e.g. {"onConflict": "id"}' },
+      join: { type: 'array', description: 'Join specifications for the join action', items: { type: 'object' } },
+      baseColumns: { type: 'string', description: 'Columns of the base table for the join action' },
+      searchTerm: { type: 'string', description: 'Text to search for with the search action' },
+      searchColumns: { type: 'array', description: 'Columns to search with the search action', items: { type: 'string' } }
+    },
+    required: ['from', 'action']
+  }
+});
+
+registerTool({
+  name: 'setSpecialization',
+  handler: setSpecialization,
+  access: () => ({ resource: 'specialization', readOnly: false }),
+  specializations: ['*'],
+  description: 'Choose which specialization handles the next step of the process.',
+  alwaysAvailable: true,
+  instructions: () => `- This function determines which specialization should handle the next step of the process. 
+- It is important that you call this function with the specialization name as the parameter when you are ready to move on to the next step.
+- Every set of function calls should also include a call to this function. This, however doesn't apply if you have a final answer and are filling the 'answer' parameter. 
+- Setting the specialization will extend the instructions text for the next LLM chat completion with specific instructions for it's role in the process of answering the user query. 
+- Each specialization can also have its own set of functions and its own model.
+- Example: Assigning the 'secretary' specialization will provide the next LLM a thorough background on the user's recent history of modifications to their lists, the user's goals and current projects, the user's preferences of how they like their agent to communicate (sense of humor, offering suggestions, etc.), as well as the user's recent history of location data, and functions for scheduling reminders and writing emails. 
+- This additional specialization data and associated instructions will be added to the next LLM's instructions, and will increase the prompt size.
+- The specializations have been created so that only chat completions that need extra information receive it in their prompt. 
+
+Available Specializations:
+${availableSpecializations.map(specialization => ` - ${specialization.name} - ${specialization.description}`).join('\n')}`,
+  parameters: {
+    type: 'object',
+    properties: {
+      specializationName: { type: 'string', description: 'Specialization name (one of the Available Specializations)' }
+    },
+    required: ['specializationName']
+  }
+});
+
+registerTool({
+  name: 'retrieveRelevantKnowledge',
+  handler: retrieveRelevantKnowledge,
+  access: () => ({ resource: 'table:knowledge_snippets', readOnly: true }),
+  specializations: ['*'],
+  description: 'Search the knowledge snippets saved about the user.',
+  instructions: `- Knowledge retrieval tool. 
+- Before providing the final answer to a user query, gather relevant context by using the retrieveRelevantKnowledge function with a search query as the parameter. 
+- This performs a hybrid search: semantic (vector) similarity between your query and each knowledge snippet, combined with keyword matches and the snippet's confidence score.
+- Semantic matching finds related wording and synonyms, and keyword matching favours exact words. Keyword matches in the topic field are weighted more heavily (3x) than matches in content. 
+- Results are sorted by relevance score  
+- Review the list of knowledge topics that will be included below the system prompt instructions, and before the conversation history. This contains the exact topics of all of the available knowledge, so you know what keywords to use to search. You can add additional keywords not in this list so you can find references in the 'content' of each of the knowledge snippets as well, not just the 'topic' fields.
+- Example: If the user asks you to add apples to his shopping list, calling this function may reveal that the user only likes opal apples, and you should add opal apples to their shopping list.
+- The user keeps his knowledge snippets database updated with preferences for how you should answer questions or perform activities related to specific topics or items.   
+- Tips for effective searching:
+  * Use specific keywords rather than phrases. 
+  * Use multiple keywords in each search to ensure you don't miss any knowledge that doesn't exactly match your keyword (such as for "School", also search "College University School Education"]). It is better to use more search terms than less.
+  * Try synonyms 
+  * Capitalize the first letter of each keyword (e.g., "Project" not "project")`,
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Search query', minLength: 1 },
+      limit: { type: 'integer', description: 'Maximum results (default: 50)', minimum: 1 }
+    },
+    required: ['query']
+  }
+});
+
+registerTool({
+  name: 'synthesizeKnowledge',
+  handler: synthesizeKnowledge,
+  access: () => ({ resource: ['table:knowledge_snippets', 'table:knowledge_revisions', 'table:interactions'], readOnly: false }),
+  specializations: ['secretary', 'projectManager', 'codeAssistant'],
+  description: 'Store or update a knowledge snippet about the user for future reference.',
+  instructions: `- Knowledge synthesis tool. 
+- After completing tasks or learning new information about the user, synthesize this knowledge by using the synthesizeKnowledge function to store it for future reference. 
+- Especially use this function if the user asks you to remember something. 
+- This knowledge's topic and content will be searchable by future LLMs using retrieveRelevantKnowledge. 
+- This function updates an existing snippet when you pass its id, when a snippet has exactly the same topic (ignoring case), or when an existing snippet is nearly identical in meaning. Otherwise it creates a new snippet.
+- mode 'merge' (default) appends your content to the existing snippet's content. mode 'replace' overwrites it; use replace when the old content is wrong or outdated.
+- Every change is saved as a revision, so it can be reviewed with getKnowledgeHistory and undone with rollbackKnowledge.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', description: 'Id of the snippet to update, if you know it' },
+      mode: { type: 'string', description: "How to update an existing snippet (defaults to 'merge')", enum: ['merge', 'replace'] },
+      topic: { type: 'string', description: 'The main subject of the knowledge. Use searchable keywords.', minLength: 1 },
+      content: { type: 'string', description: 'The actual knowledge content. This can be any amount of text. If the user asks for code, make sure it stays within the string without any escape character issues.', minLength: 1 },
+      source: { type: 'string', description: "Where the knowledge came from (defaults to 'user_interaction'). Alternatively you can be asked by a 'proectManager' specialization to add knowledge to the snippets with source = 'research_data\" if you are storing webscraped information for example." },
+      confidence: { type: 'number', description: 'Confidence score from 0-1 (defaults to 0.7. Round to this many digits).', minimum: 0, maximum: 1 },
+      related_entities: { type: 'object', description: 'Metadata about entities related to this knowledge' },
+      sourceQuery: { type: 'string', description: 'The original query that led to this knowledge update (found in the conversation history section at the end of this system prompt)' }
+    },
+    required: ['topic', 'content']
+  }
+});
+
+registerTool({
+  name: 'getKnowledgeHistory',
+  handler: getKnowledgeHistory,
+  access: () => ({ resource: ['table:knowledge_snippets', 'table:knowledge_revisions'], readOnly: true }),
+  specializations: ['secretary', 'codeAssistant'],
+  description: "List the revisions of a knowledge snippet, newest first.",
+  instructions: `- Shows how a knowledge snippet changed over time: each revision's content, operation (baseline, create, merge, replace, rollback), author, the user query that caused it and when it happened.
+- Use this when the user asks what they told you before, or before rolling back a snippet.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', description: 'Snippet id' },
+      topic: { type: 'string', description: 'Exact snippet topic, when the id is not known' },
+      limit: { type: 'integer', description: 'Maximum revisions (default: 20)', minimum: 1 }
+    }
+  }
+});
+
+registerTool({
+  name: 'forgetKnowledge',
+  handler: forgetKnowledge,
+  access: () => ({ resource: ['table:knowledge_snippets', 'table:knowledge_revisions', 'table:interactions'], readOnly: false }),
+  specializations: ['secretary', 'codeAssistant'],
+  description: 'Permanently delete a knowledge snippet and its revisions.',
+  instructions: `- Use this when the user asks you to forget something, e.g. "forget my old address".
+- First find the snippet with retrieveRelevantKnowledge, then pass its id. If other snippets also mention the forgotten information, update them with synthesizeKnowledge in 'replace' mode.
+- The snippet and all of its revisions are deleted and cannot be rolled back.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', description: 'Id of the snippet to forget' },
+      topic: { type: 'string', description: 'Exact snippet topic, when the id is not known' }
+    }
+  }
+});
+
+registerTool({
+  name: 'rollbackKnowledge',
+  handler: rollbackKnowledge,
+  access: () => ({ resource: ['table:knowledge_snippets', 'table:knowledge_revisions'], readOnly: false }),
+  specializations: ['secretary', 'codeAssistant'],
+  description: 'Restore a knowledge snippet to one of its earlier revisions.',
+  instructions: `- Restores the content, confidence and related entities stored in a revision returned by getKnowledgeHistory.
+- The rollback is recorded as a new revision, so nothing is lost.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      revision_id: { type: 'integer', description: 'Id of the revision to restore' }
+    },
+    required: ['revision_id']
+  }
+});
+
+registerTool({
+  name: 'undoLastChange',
+  handler: undoLastChange,
+  access: () => ({
+    resource: ['table:mutation_journal', 'table:knowledge_snippets', ...Object.keys(getTablePolicies()).map(table => `table:${table}`)],
+    readOnly: false
+  }),
+  specializations: ['secretary'],
+  description: "Undo the database changes made by the user's previous request.",
+  instructions: `- Reverts every change (inserts, updates, deletes, upserts and knowledge writes) made while answering an earlier request, e.g. when the user says "undo that".
+- Without runId it undoes the most recent request that changed something. Pass a runId from listRecentChanges to undo an earlier one.
+- Rows changed again by a later request are left alone and reported as conflicts.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      runId: { type: 'string', description: 'Run to undo (defaults to the most recent one)' }
+    }
+  }
+});
+
+registerTool({
+  name: 'listRecentChanges',
+  handler: listRecentChanges,
+  access: () => ({ resource: 'table:mutation_journal', readOnly: true }),
+  specializations: ['secretary'],
+  description: 'List recent requests that changed data, with their changes and run ids.',
+  instructions: `- Lists the most recent requests that changed the user's data: the request, when it happened, its runId and the changed rows.
+- Use it to find the runId to pass to undoLastChange when the user wants to undo something other than the last change.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      limit: { type: 'integer', description: 'Maximum runs (default: 5)', minimum: 1 }
+    }
+  }
+});
+
+registerTool({
+  name: 'scheduleReminder',
+  handler: scheduleReminder,
+  access: () => ({ resource: 'table:reminders', readOnly: false }),
+  specializations: ['secretary'],
+  description: 'Schedule a reminder, once or repeating, delivered to the user at the given time.',
+  instructions: () => {
+    const timezone = currentTimezone || process.env.DEFAULT_TIMEZONE || 'UTC';
+    return `- Pass the time as the user said it: "in 20 minutes", "tomorrow at 9am", "friday 14:30", "october 25 at noon" or "2026-11-02 08:00". Times are read in the user's time zone (${timezone}; it is now ${formatLocalTime(new Date(), timezone)} there).
+- For repeating reminders, pass recurrence as a phrase ("every day", "every weekday", "every monday and thursday", "every 2 weeks", "every month on the 15th") or an RRULE, or put it in when: "every monday at 9am".
+- Write the message as the reminder the user should read, e.g. "Call the dentist".
+- Channels: ${getNotifierNames().join(', ')} (leave it out to use the default).`;
+  },
+  parameters: {
+    type: 'object',
+    properties: {
+      message: { type: 'string', description: 'Reminder text delivered to the user' },
+      when: { type: 'string', description: 'When to remind, in natural language or ISO 8601' },
+      recurrence: { type: 'string', description: 'Optional repeat rule, e.g. "every weekday" or "FREQ=WEEKLY;BYDAY=MO"' },
+      timezone: { type: 'string', description: "IANA time zone, if it differs from the user's" },
+      channel: { type: 'string', description: 'Notifier to deliver through, e.g. webhook or push' }
+    },
+    required: ['message', 'when']
+  }
+});
+
+registerTool({
+  name: 'listReminders',
+  handler: listReminders,
+  access: () => ({ resource: 'table:reminders', readOnly: true }),
+  specializations: ['secretary'],
+  description: "List the user's reminders with their ids, next delivery time and repeat rule.",
+  instructions: `- Lists upcoming reminders by default. Use status 'delivered', 'cancelled', 'failed' or 'all' for others.
+- Use it to find the id to pass to snoozeReminder or cancelReminder.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['scheduled', 'delivered', 'cancelled', 'failed', 'all'], description: "Reminders to list (default: 'scheduled')" },
+      limit: { type: 'integer', description: 'Maximum reminders (default: 20)', minimum: 1 }
+    }
+  }
+});
+
+registerTool({
+  name: 'snoozeReminder',
+  handler: snoozeReminder,
+  access: () => ({ resource: 'table:reminders', readOnly: false }),
+  specializations: ['secretary'],
+  description: 'Deliver a reminder again later.',
+  instructions: `- until is a duration ("15 minutes") or a time ("tomorrow at 8am"); the default is 10 minutes.
+- A delivered one-off reminder is scheduled again. For a repeating reminder only the next delivery moves.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', description: 'Id of the reminder' },
+      until: { type: 'string', description: 'How long, or until when, to snooze' }
+    },
+    required: ['id']
+  }
+});
+
+registerTool({
+  name: 'cancelReminder',
+  handler: cancelReminder,
+  access: () => ({ resource: 'table:reminders', readOnly: false }),
+  specializations: ['secretary'],
+  description: 'Cancel a reminder, including all future repeats.',
+  instructions: `- Find the id with listReminders first when the user describes the reminder.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', description: 'Id of the reminder to cancel' }
+    },
+    required: ['id']
+  }
+});
+
+registerTool({
+  name: 'draftEmail',
+  handler: draftEmail,
+  access: () => ({ resource: 'table:email_drafts', readOnly: false }),
+  specializations: ['secretary'],
+  description: 'Write an email draft for the user to review. Nothing is sent.',
+  instructions: `- Gather what the email is about first (e.g. select the shopping_list or todo_list, or call retrieveRelevantKnowledge), then write the subject and body yourself.
+- Recipients are email addresses, "Name <address>" or names of the user's contacts (the contacts table); ask the user when a name matches no contact or several.
+- Show the user the draft and ask whether to send it; change it with reviseEmailDraft.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      to: { type: 'array', items: { type: 'string' }, description: 'Recipients: contact names or email addresses', minItems: 1 },
+      cc: { type: 'array', items: { type: 'string' }, description: 'Optional copy recipients' },
+      subject: { type: 'string', description: 'Subject line' },
+      body: { type: 'string', description: 'Plain text body' }
+    },
+    required: ['to', 'subject', 'body']
+  }
+});
+
+registerTool({
+  name: 'reviseEmailDraft',
+  handler: reviseEmailDraft,
+  access: () => ({ resource: 'table:email_drafts', readOnly: false }),
+  specializations: ['secretary'],
+  description: 'Change the recipients, subject or body of an unsent email draft.',
+  instructions: `- Pass only the fields that change; body replaces the whole body.
+- Each revision gets a new version; show the user the revised draft.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      draftId: { type: 'integer', description: 'Id of the draft' },
+      to: { type: 'array', items: { type: 'string' }, description: 'New recipients', minItems: 1 },
+      cc: { type: 'array', items: { type: 'string' }, description: 'New copy recipients' },
+      subject: { type: 'string', description: 'New subject line' },
+      body: { type: 'string', description: 'New plain text body' }
+    },
+    required: ['draftId']
+  }
+});
+
+registerTool({
+  name: 'sendEmailDraft',
+  handler: sendEmailDraft,
+  confirm: previewEmailSend,
+  alwaysConfirm: true,
+  access: () => ({ resource: 'table:email_drafts', readOnly: false }),
+  specializations: ['secretary'],
+  description: 'Send an email draft. The user always has to approve the send.',
+  instructions: `- Only call it after the user has seen the draft and asked to send it.
+- Pass the draft's current version, so a draft revised since the user saw it isn't sent.
+- The send is held until the user approves it; tell them what will be sent.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      draftId: { type: 'integer', description: 'Id of the draft' },
+      version: { type: 'integer', description: 'Version of the draft the user approved' }
+    },
+    required: ['draftId', 'version']
+  }
+});
+
+registerTool({
+  name: 'getLocationHistory',
+  handler: getLocationHistory,
+  access: () => ({ resource: ['table:location_history', 'table:places'], readOnly: true }),
+  specializations: ['secretary'],
+  description: "Visits to the user's saved places from their location history, newest first, and where they were last seen.",
+  instructions: `- For "when was I last at the hardware store" pass place: 'hardware store'. Without a place it lists recent visits to any saved place.
+- Searches the last 30 days by default; pass days to look further back.
+- Only saved places are recognized; the user can name one with savePlace.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      place: { type: 'string', description: 'Name of a saved place' },
+      days: { type: 'integer', description: 'How many days back to search (default: 30)', minimum: 1 },
+      limit: { type: 'integer', description: 'Maximum visits (default: 10)', minimum: 1 }
+    }
+  }
+});
+
+registerTool({
+  name: 'savePlace',
+  handler: savePlace,
+  access: () => ({ resource: ['table:places', 'table:location_history'], readOnly: false }),
+  specializations: ['secretary'],
+  description: 'Name a place, at given coordinates or where the user is now, so visits to it are recognized.',
+  instructions: () => `- "Save this place as the hardware store" saves the user's latest location. A place with the same name is updated.
+- Tags trigger suggestions on arrival: ${Object.entries(locationSuggestionRules()).map(([tag, tables]) => `${tag} (${tables.join(', ')})`).join(', ')}.
+- radiusMeters defaults to ${DEFAULT_PLACE_RADIUS_METERS}; use a larger one for big places like a park or campus.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Name of the place, e.g. "Trader Joe\'s" or "gym"' },
+      latitude: { type: 'number', description: 'Latitude, if not the current location', minimum: -90, maximum: 90 },
+      longitude: { type: 'number', description: 'Longitude, if not the current location', minimum: -180, maximum: 180 },
+      atCurrentLocation: { type: 'boolean', description: 'Move an existing place to the latest location (the default for a new place)' },
+      radiusMeters: { type: 'number', description: 'Radius of the place in meters', minimum: 10 },
+      tags: { type: 'array', items: { type: 'string' }, description: 'Tags such as "grocery"' }
+    },
+    required: ['name']
+  }
+});
+
+// Milestones for createProject and createGoal: titles, or titles with due dates
+const milestoneListSchema = {
+  type: 'array',
+  items: {
+    anyOf: [
+      { type: 'string' },
+      {
+        type: 'object',
+        properties: {
+          title: { type: 'string' },
+          dueDate: { type: 'string' }
+        },
+        required: ['title']
+      }
+    ]
+  },
+  description: 'Milestones in order: titles, or { title, dueDate } objects'
 };
 
+registerTool({
+  name: 'createProject',
+  handler: params => createPlanItem('project', params),
+  access: () => ({ resource: ['table:projects', 'table:milestones'], readOnly: false }),
+  specializations: ['projectManager'],
+  description: 'Create a project with an optional target date and milestones.',
+  instructions: `- Dates are "2026-12-01", "friday", "october 25", "in 3 weeks" or "end of month", in the user's time zone.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Name of the project, e.g. "Garden"' },
+      description: { type: 'string', description: 'What the project is about' },
+      targetDate: { type: 'string', description: 'When the project should be done' },
+      milestones: milestoneListSchema
+    },
+    required: ['name']
+  }
+});
+
+registerTool({
+  name: 'createGoal',
+  handler: params => createPlanItem('goal', params),
+  access: () => ({ resource: ['table:goals', 'table:milestones', 'table:projects'], readOnly: false }),
+  specializations: ['projectManager'],
+  description: 'Create a goal with an optional target date and milestones, on its own or as part of a project.',
+  instructions: `- Dates work like in createProject. project takes the name or id of an existing project.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'The goal, e.g. "Run a half marathon"' },
+      description: { type: 'string', description: 'Details of the goal' },
+      targetDate: { type: 'string', description: 'When the goal should be reached' },
+      project: { type: 'string', description: 'Project the goal belongs to' },
+      milestones: milestoneListSchema
+    },
+    required: ['name']
+  }
+});
+
+registerTool({
+  name: 'updateProjectOrGoal',
+  handler: updatePlanItem,
+  access: () => ({ resource: ['table:projects', 'table:goals', 'table:milestones', 'table:todo_list'], readOnly: false }),
+  specializations: ['projectManager'],
+  description: 'Change a project or goal: status, dates, progress, milestones and linked to-do items.',
+  instructions: `- item is the name or id of the project or goal; pass type when a name could mean either.
+- "Mark milestone 2 of the garden project done": { item: 'garden', type: 'project', completeMilestones: [2] }. Milestones are numbered from 1, or given by title.
+- Progress follows the milestones (done / total) unless percentComplete is given. Completing the item sets it to 100.
+- linkTodos and unlinkTodos take todo_list ids (add new to-do items with dynamicSupabaseOperation first).`,
+  parameters: {
+    type: 'object',
+    properties: {
+      item: { type: ['string', 'integer'], description: 'Name or id of the project or goal' },
+      type: { type: 'string', enum: ['project', 'goal'], description: 'Whether item is a project or a goal' },
+      name: { type: 'string', description: 'New name' },
+      description: { type: 'string', description: 'New description' },
+      status: { type: 'string', enum: ['active', 'on_hold', 'completed', 'cancelled'], description: 'New status' },
+      targetDate: { type: 'string', description: "New target date, or 'none' to clear it" },
+      percentComplete: { type: 'integer', description: 'Progress in percent', minimum: 0, maximum: 100 },
+      addMilestones: milestoneListSchema,
+      completeMilestones: { type: 'array', items: { type: ['integer', 'string'] }, description: 'Milestone numbers or titles to mark done' },
+      reopenMilestones: { type: 'array', items: { type: ['integer', 'string'] }, description: 'Milestone numbers or titles to mark not done' },
+      linkTodos: { type: 'array', items: { type: 'integer' }, description: 'todo_list ids to link to the item' },
+      unlinkTodos: { type: 'array', items: { type: 'integer' }, description: 'todo_list ids to unlink' }
+    },
+    required: ['item']
+  }
+});
+
+registerTool({
+  name: 'listProjectsAndGoals',
+  handler: listPlanItems,
+  access: () => ({ resource: ['table:projects', 'table:goals', 'table:milestones', 'table:todo_list'], readOnly: true }),
+  specializations: ['projectManager', 'secretary'],
+  description: 'List projects and goals with their progress, milestones and linked to-do items, and what is due.',
+  instructions: `- For "what's due this week across my goals" pass dueBy: 'end of week'. Overdue items are always included then.
+- Lists active items by default; pass status 'all' for every item, or item to show one.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['project', 'goal', 'all'], description: "Which items to list (default: 'all')" },
+      status: { type: 'string', enum: ['active', 'on_hold', 'completed', 'cancelled', 'all'], description: "Items with this status (default: 'active')" },
+      item: { type: ['string', 'integer'], description: 'Name or id of one project or goal' },
+      dueBy: { type: 'string', description: 'Only show what is due by this date, e.g. "end of week"' }
+    }
+  }
+});
+
+registerTool({
+  name: 'updateUserPreferences',
+  handler: updateUserPreferences,
+  access: () => ({ resource: 'table:user_profile', readOnly: false }),
+  specializations: ['secretary'],
+  description: 'Change how the user wants to be answered: tone, answer length, humor, units, locale, time zone and name.',
+  instructions: `- Call it when the user states a lasting preference: "stop being so chatty" is verbosity 'brief', "you can be more casual" is tone 'casual', "use metric" is units 'metric'.
+- Pass only the preferences that change; clear removes a preference. The change applies to this answer already.`,
+  parameters: {
+    type: 'object',
+    properties: {
+      ...Object.fromEntries(Object.entries(PROFILE_PREFERENCES).map(([name, preference]) => [name, {
+        type: 'string',
+        description: preference.description,
+        ...(preference.values ? { enum: Object.keys(preference.values) } : {})
+      }])),
+      clear: { type: 'array', items: { type: 'string', enum: Object.keys(PROFILE_PREFERENCES) }, description: 'Preferences to remove' }
+    }
+  }
+});
+
+// The state below belongs to the one run in progress: a Lambda instance handles
+// one event at a time, and localServer.mjs queues its requests to match. Runs
+// must not overlap within one process.
+
 let currentSpecialization = 'secretary';
 let specializationInstructionText = "";
+// Tool restriction and model settings of the current specialization
+let specializationAllowedTools = null;
+let specializationModelConfig = {};
+
+// Column names and types of the database tables, introspected at the start of each run
+let databaseTableSchemas = null;
+
+// Confirmation state of the current run: the user's confirmation_policies rows,
+// the session held actions belong to, and the token shared by the run's held actions
+let userConfirmationPolicies = [];
+let currentSessionId = null;
+let currentConfirmationToken = null;
+let heldActions = [];
+
+// Id of the current agent run (or route request), grouping its journal entries
+let currentRunId = null;
+
+// The caller's IANA time zone, sent with the request or set in their profile (reminder times are read in it)
+let currentTimezone = null;
+// The user's row in user_profile, loaded at the start of each run
+let currentProfile = null;
+// Tokens and cost of the current run's model calls
+let runUsage = createUsageTotals();
+
+// Specializations offered to the model, loaded at the start of each run
+let availableSpecializations = Object.entries(builtInSpecializations)
+  .map(([name, specialization]) => ({ name: name, description: specialization.description }));
+
+// Owner of the current run. Every user-data row carries a user_id column and
+// all reads and writes below are restricted to this value.
+let currentUserId = null;
+const OWNER_COLUMN = 'user_id';
+// Query that started the current run, recorded with knowledge revisions
+let currentUserQuery = null;
 
 // Initialize PostgreSQL client for Supabase
-const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+// The client is created on first use rather than at import, so local tools can
+// point SUPABASE_URL at another database, or inject a client, after importing.
+let supabaseClient = null;
+
+export function setSupabaseClient(client) {
+  supabaseClient = client;
+}
+
+function getSupabaseClient() {
+  if (!supabaseClient) {
+    supabaseClient = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+  }
+  return supabaseClient;
+}
+
+// Stands in for the client everywhere below
+const supabase = new Proxy({}, {
+  get(target, property) {
+    const client = getSupabaseClient();
+    const value = client[property];
+    return typeof value === 'function' ? value.bind(client) : value;
+  }
+});
+
+// Restrict a query to rows owned by the current user
+function scopeToUser(query) {
+  if (!currentUserId) {
+    throw new Error('No user id set for this run');
+  }
+  return query.eq(OWNER_COLUMN, currentUserId);
+}
+
+// Stamp the current user as owner on a row or list of rows
+function withOwner(data) {
+  if (!currentUserId) {
+    throw new Error('No user id set for this run');
+  }
+  if (Array.isArray(data)) {
+    return data.map(row => ({ ...row, [OWNER_COLUMN]: currentUserId }));
+  }
+  return { ...data, [OWNER_COLUMN]: currentUserId };
+}
+
+// Queries for the existing rows that an upsert's rows conflict with: one for all of
+// them on a single conflict column, else one per row
+function conflictingRowQueries(table, data, conflictColumns, columns) {
+  const rows = (Array.isArray(data) ? data : [data])
+    .filter(row => row && conflictColumns.every(column => row[column] !== undefined && row[column] !== null));
+  if (rows.length === 0) {
+    return [];
+  }
+  if (conflictColumns.length === 1) {
+    const [column] = conflictColumns;
+    return [supabase.from(table).select(columns).in(column, rows.map(row => row[column]))];
+  }
+  return rows.map(row => conflictColumns.reduce((lookup, column) => lookup.eq(column, row[column]), supabase.from(table).select(columns)));
+}
+
+// Make sure no row an upsert would overwrite belongs to another user. Existing
+// rows are matched the way the upsert matches them, on its conflict columns.
+async function assertRowsOwned(table, data, conflictColumns = ['id']) {
+  // A conflict on the owner column only ever hits the current user's rows
+  if (conflictColumns.includes(OWNER_COLUMN)) {
+    return;
+  }
+
+  const lookups = conflictingRowQueries(table, data, conflictColumns, conflictColumns.join(','));
+  const results = await Promise.all(lookups.map(lookup => lookup.neq(OWNER_COLUMN, currentUserId)));
+
+  const failed = results.find(result => result.error);
+  if (failed) {
+    throw new Error(failed.error.message);
+  }
+  const foreignRows = results.flatMap(result => result.data || []);
+  if (foreignRows.length > 0) {
+    const keys = foreignRows.map(row => conflictColumns.map(column => row[column]).join('/'));
+    throw new Error(`Cannot modify rows that belong to another user: ${keys.join(', ')}`);
+  }
+}
 
 // Enhanced Dynamic Supabase Function Handler
 async function dynamicSupabaseOperation(params) {
@@ -29,135 +730,60 @@ async function dynamicSupabaseOperation(params) {
       throw new Error('Missing required parameters: "from" and "action"');
     }
 
+    // Check the table, action and columns against the table policies
+    params = enforceTablePolicy(params);
+
     // Start with the base query
     let query = supabase.from(params.from);
     let queryResult = {};
 
+    // Reads return one page at a time so a long table can't flood the prompt
+    const page = { offset: 0, limit: SELECT_PAGE_SIZE, ...params.pagination };
+
     // Map of supported actions
     const actionMap = {
       'select': () => {
         // Handle select with optional columns
         const columns = params.columns || '*';
-        let selectQuery = query.select(columns);
-        
-        // Apply filters if provided
-        if (params.filter) {
-          switch(filter.operator) {
-            case 'eq':
-              selectQuery = selectQuery.eq(params.filter.column, params.filter.value);
-              break;
-            case 'neq':
-              selectQuery = selectQuery.neq(params.filter.column, params.filter.value);
-              break;
-            case 'gt':
-              selectQuery = selectQuery.gt(params.filter.column, params.filter.value);
-              break;
-            case 'lt':
-              selectQuery = selectQuery.lt(params.filter.column, params.filter.value);
-              break;
-            case 'gte':
-              selectQuery = selectQuery.gte(params.filter.column, params.filter.value);
-              break;
-            case 'lte':
-              selectQuery = selectQuery.lte(params.filter.column, params.filter.value);
-              break;
-            case 'like':
-              selectQuery = selectQuery.like(params.filter.column, `%${params.filter.value}%`);
-              break;
-            case 'ilike':
-              selectQuery = selectQuery.ilike(params.filter.column, `%${params.filter.value}%`);
-              break;
-            case 'in':
-              selectQuery = selectQuery.in(params.filter.column, params.filter.value);
-              break;
-            case 'contains':
-              // For JSONB fields
-              selectQuery = selectQuery.contains(params.filter.column, params.filter.value);
-              break;
-            case 'range':
-              // For date ranges
-              selectQuery = selectQuery.gte(params.filter.column, params.filter.value[0])
-                                      .lte(params.filter.column, params.filter.value[1]);
-              break;
-            default:
-              throw new Error(`Unsupported filter operator: ${params.filter.operator}`);
-          }
-        }
-        
-        // Apply ordering if provided
-        if (params.order) {
-          params.order.forEach(order => {
-            selectQuery = selectQuery.order(order.column, { ascending: order.ascending });
-          });
-        }
+        let selectQuery = scopeToUser(query.select(columns, { count: 'exact' }));
         
-        // Apply pagination if provided
-        if (params.pagination) {
-          if (params.pagination.limit) {
-            selectQuery = selectQuery.limit(params.pagination.limit);
-          }
-          if (params.pagination.offset) {
-            selectQuery = selectQuery.offset(params.pagination.offset);
-          }
-        }
+        // Apply filters, ordering and pagination
+        selectQuery = applyFilter(selectQuery, params.filter);
+        selectQuery = applyOrder(selectQuery, params.order);
+        selectQuery = applyPagination(selectQuery, page);
         
         return selectQuery;
       },
       'insert': () => {
         // Handle single or multiple inserts
         const data = params.data;
-        return query.insert(data);
+        return query.insert(withOwner(data)).select();
       },
       'update': () => {
         // Handle update with conditions
-        const updateData = params.data;
-        let updateQuery = query.update(updateData);
+        // Never allow the owner column to be reassigned
+        const { [OWNER_COLUMN]: _ignoredOwner, ...updateData } = params.data || {};
+        let updateQuery = scopeToUser(query.update(updateData));
         
         // Apply conditions
-        if (params.filter) {
-          switch(params.filter.operator) {
-            case 'eq':
-              updateQuery = updateQuery.eq(params.filter.column, params.filter.value);
-              break;
-            case 'neq':
-              updateQuery = updateQuery.neq(params.filter.column, params.filter.value);
-              break;
-            case 'in':
-              updateQuery = updateQuery.in(params.filter.column, params.filter.value);
-              break;
-            // Add other operators as needed
-            default:
-              throw new Error(`Unsupported filter operator: ${params.filter.operator}`);
-          }
-        }
+        updateQuery = applyFilter(updateQuery, params.filter);
         
-        return updateQuery;
+        return updateQuery.select();
       },
       'delete': () => {
         // Handle delete with conditions
-        let deleteQuery = query.delete();
+        let deleteQuery = scopeToUser(query.delete());
         
-        if (params.filter) {
-          switch(params.filter.operator) {
-            case 'eq':
-              deleteQuery = deleteQuery.eq(params.filter.column, params.filter.value);
-              break;
-            case 'in':
-              deleteQuery = deleteQuery.in(params.filter.column, params.filter.value);
-              break;
-            // Add other operators as needed
-            default:
-              throw new Error(`Unsupported filter operator: ${params.filter.operator}`);
-          }
-        }
+        deleteQuery = applyFilter(deleteQuery, params.filter);
         
-        return deleteQuery;
+        return deleteQuery.select();
       },
-      'upsert': () => {
+      'upsert': async () => {
         // Handle upsert with optional conflict resolution
         const data = params.data;
         const options = params.options || {};
-        return query.upsert(data, options);
+        await assertRowsOwned(params.from, data, upsertConflictColumns(options));
+        return query.upsert(withOwner(data), options).select();
       },
       'join': () => {
         // New action: handle joins between tables
@@ -170,7 +796,7 @@ async function dynamicSupabaseOperation(params) {
         const baseColumns = params.baseColumns || '*';
         
         // Start with selecting from base table
-        let joinQuery = query.select(baseColumns);
+        let joinQuery = scopeToUser(query.select(baseColumns, { count: 'exact' }));
         
         // For each join table
         params.join.forEach(joinSpec => {
@@ -217,16 +843,9 @@ async function dynamicSupabaseOperation(params) {
         });
         
         // Apply additional filters if provided
-        if (params.filter) {
-          switch(params.filter.operator) {
-            case 'eq':
-              joinQuery = joinQuery.eq(params.filter.column, params.filter.value);
-              break;
-            // Add other operators as needed
-            default:
-              throw new Error(`Unsupported filter operator: ${params.filter.operator}`);
-          }
-        }
+        joinQuery = applyFilter(joinQuery, params.filter);
+        joinQuery = applyOrder(joinQuery, params.order);
+        joinQuery = applyPagination(joinQuery, page);
         
         return joinQuery;
       },
@@ -239,23 +858,14 @@ async function dynamicSupabaseOperation(params) {
         // Columns to search in
         const searchColumns = params.searchColumns || ['title', 'description', 'content'];
         
-        // Create a query with OR conditions for each column
-        let firstColumn = true;
-        let searchQuery;
-        
-        searchColumns.forEach(column => {
-          if (firstColumn) {
-            searchQuery = query.ilike(column, `%${params.searchTerm}%`);
-            firstColumn = false;
-          } else {
-            searchQuery = searchQuery.or(`${column}.ilike.%${params.searchTerm}%`);
-          }
+        // Match the term in any of the columns, combined with any other filters
+        let searchQuery = scopeToUser(query.select(params.columns || '*', { count: 'exact' }));
+        searchQuery = applyFilter(searchQuery, {
+          or: searchColumns.map(column => ({ column: column, operator: 'ilike', value: params.searchTerm }))
         });
-        
-        // Select specific columns if requested
-        if (params.columns && params.columns !== '*') {
-          searchQuery = searchQuery.select(params.columns);
-        }
+        searchQuery = applyFilter(searchQuery, params.filter);
+        searchQuery = applyOrder(searchQuery, params.order);
+        searchQuery = applyPagination(searchQuery, page);
         
         return searchQuery;
       }
@@ -266,25 +876,47 @@ async function dynamicSupabaseOperation(params) {
       throw new Error(`Unsupported action: ${params.action}`);
     }
 
+    // Capture the rows a mutation will change, so it can be undone
+    const beforeRows = await captureBeforeImages(params);
+
     // Execute the query
-    const { data, error } = await actionMap[params.action]();
+    const { data, error, count } = await actionMap[params.action]();
 
     // Handle potential errors
     if (error) {
-      console.error('Supabase Operation Error:', error);
+      log.error('Supabase Operation Error', error);
       return { 
         success: false, 
         error: error.message 
       };
     }
 
+    if (JOURNALED_ACTIONS.includes(params.action)) {
+      await journalMutations(params.from, params.action, beforeRows, data);
+    }
+
+    // Tell the model where this page sits in the full result
+    if (READ_ACTIONS.includes(params.action) && Array.isArray(data)) {
+      const total = typeof count === 'number' ? count : null;
+      return {
+        success: true,
+        data: data,
+        page: {
+          offset: page.offset,
+          limit: page.limit,
+          total: total,
+          more: total === null ? data.length === page.limit : page.offset + data.length < total
+        }
+      };
+    }
+
     // Return successful result
     return { 
       success: true, 
       data: data 
     };
   } catch (error) {
-    console.error('Dynamic Supabase Operation Error:', error);
+    log.error('Dynamic Supabase Operation Error', error);
     return { 
       success: false, 
       error: error.message 
@@ -303,28 +935,29 @@ async function setSpecialization(params) {
     // Get the requested specialization from the database
     const { data, error } = await supabase
       .from('specializations')
-      .select('id, name, instruction_text')
+      .select('*')
       .eq('name', params.specializationName)
-      .single();
+      .maybeSingle();
 
     if (error) {
-      console.error("Error fetching specialization:", error);
+      log.error("Error fetching specialization", error);
       return { 
         success: false, 
         error: "Failed to retrieve specialization." 
       };
     }
 
-    if (!data) {
+    // Fall back to the built-in definition when the table has no row for it
+    const specialization = resolveSpecialization(params.specializationName, data);
+    if (!specialization) {
       return { 
         success: false, 
         error: `Specialization "${params.specializationName}" not found or inactive.` 
       };
     }
 
-    currentSpecialization = data.name;
-    specializationInstructionText = data.instruction_text
-    console.log(`Switched to specialization: ${currentSpecialization}`);
+    applySpecialization(specialization);
+    log.info('Switched specialization', { specialization: currentSpecialization });
     
     // Return the specialization information
     return { 
@@ -332,7 +965,7 @@ async function setSpecialization(params) {
       data: `Switched to specialization: ${currentSpecialization}`
     };
   } catch (error) {
-    console.error('Specialization Selection Error:', error);
+    log.error('Specialization Selection Error', error);
     return { 
       success: false, 
       error: error.message 
@@ -340,91 +973,258 @@ async function setSpecialization(params) {
   }
 }
 
+// Make a specialization's instructions, tool set and model current
+function applySpecialization(specialization) {
+  currentSpecialization = specialization.name;
+  specializationInstructionText = specialization.instructionText || "";
+  specializationAllowedTools = specialization.allowedTools || null;
+  specializationModelConfig = specialization.modelConfig || {};
+}
+
+// Load the specializations offered to the model: the built-ins plus any rows in the table.
+// Returns the rows so the caller can apply one without querying again.
+async function loadAvailableSpecializations() {
+  const { data, error } = await supabase
+    .from('specializations')
+    .select('*');
+
+  if (error) {
+    log.error('Error loading specializations', error);
+  }
+
+  const names = [...new Set([...Object.keys(builtInSpecializations), ...(data || []).map(row => row.name)])];
+  availableSpecializations = names.map(name => {
+    const row = (data || []).find(item => item.name === name);
+    return { name: name, description: resolveSpecialization(name, row).description };
+  });
+
+  return data || [];
+}
+
+// Similarity above which synthesizeKnowledge treats an existing snippet as the same knowledge
+const KNOWLEDGE_MATCH_SIMILARITY = Number(process.env.KNOWLEDGE_MATCH_SIMILARITY) || 0.85;
+
+// Escape ilike wildcards so a topic is matched literally
+function escapeLikePattern(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+// Load one of the user's snippets by id
+async function getKnowledgeSnippet(id) {
+  const { data, error } = await supabase
+    .from('knowledge_snippets')
+    .select('*')
+    .eq('id', id)
+    .eq(OWNER_COLUMN, currentUserId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data;
+}
+
+// Load one of the user's snippets by its exact topic, ignoring case
+async function getKnowledgeSnippetByTopic(topic) {
+  const { data, error } = await supabase
+    .from('knowledge_snippets')
+    .select('*')
+    .eq(OWNER_COLUMN, currentUserId)
+    .ilike('topic', escapeLikePattern(topic))
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Find the snippet a synthesizeKnowledge call refers to: the given id, an exact
+// topic match, or the most similar snippet above KNOWLEDGE_MATCH_SIMILARITY.
+// Returns { snippet, matchedBy } or null when the knowledge is new.
+async function findKnowledgeSnippet(params) {
+  if (params.id !== undefined) {
+    const snippet = await getKnowledgeSnippet(params.id);
+    if (!snippet) {
+      throw new Error(`Knowledge snippet ${params.id} not found`);
+    }
+    return { snippet: snippet, matchedBy: 'id' };
+  }
+
+  const topicMatch = await getKnowledgeSnippetByTopic(params.topic);
+  if (topicMatch) {
+    return { snippet: topicMatch, matchedBy: 'topic' };
+  }
+
+  try {
+    const { embedding, model } = await embedText(snippetEmbeddingText(params.topic, params.content));
+    const [closest] = await vectorKnowledgeCandidates(embedding, model, 1);
+    if (closest && closest.similarity >= KNOWLEDGE_MATCH_SIMILARITY) {
+      const snippet = await getKnowledgeSnippet(closest.id);
+      if (snippet) {
+        return { snippet: snippet, matchedBy: 'similarity', similarity: closest.similarity };
+      }
+    }
+  } catch (error) {
+    // Without embeddings only exact matches are updated
+    log.error('Error finding similar knowledge', error);
+  }
+
+  return null;
+}
+
+// Append new content to a snippet unless it is already there
+function mergeKnowledgeContent(existingContent, newContent) {
+  if (!existingContent) {
+    return newContent;
+  }
+  if (existingContent.includes(newContent)) {
+    return existingContent;
+  }
+  return `${existingContent}\n\n${newContent}`;
+}
+
+// Store the state of a snippet after a change as a revision
+async function recordKnowledgeRevision(snippet, operation, details = {}) {
+  const { error } = await supabase
+    .from('knowledge_revisions')
+    .insert(withOwner({
+      snippet_id: snippet.id,
+      operation: operation,
+      topic: snippet.topic,
+      content: snippet.content,
+      confidence: snippet.confidence,
+      related_entities: snippet.related_entities,
+      author: details.author || `agent:${currentSpecialization}`,
+      source_query: details.sourceQuery !== undefined ? details.sourceQuery : currentUserQuery,
+      restored_revision_id: details.restoredRevisionId ?? null,
+      created_at: details.createdAt || new Date().toISOString()
+    }));
+
+  if (error) {
+    throw new Error(`Could not record knowledge revision: ${error.message}`);
+  }
+}
+
+// Snippets written before revisions existed get their current state recorded
+// before the first change, so the original content can still be restored
+async function ensureBaselineRevision(snippet) {
+  const { data, error } = await supabase
+    .from('knowledge_revisions')
+    .select('id')
+    .eq('snippet_id', snippet.id)
+    .eq(OWNER_COLUMN, currentUserId)
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  if (data && data.length > 0) {
+    return;
+  }
+
+  await recordKnowledgeRevision(snippet, 'baseline', {
+    author: snippet.source || 'unknown',
+    sourceQuery: null,
+    createdAt: snippet.last_updated || snippet.created_at
+  });
+}
+
+// Snippet fields shown to the model (the embedding is only for search)
+function describeKnowledgeSnippet(snippet) {
+  const { embedding: _embedding, ...knowledge } = snippet;
+  return knowledge;
+}
+
 // Knowledge Synthesis Function
-async function synthesizeKnowledge(params) {
+// options.author overrides the revision author for callers other than the agent (e.g. imports)
+async function synthesizeKnowledge(params, options = {}) {
   try {
     // Validate required parameters
     if (!params.topic || !params.content) {
       throw new Error('Missing required parameters: "topic" and "content"');
     }
 
-    // Check if a similar knowledge snippet already exists
-    const { data: existingSnippets, error: searchError } = await supabase
-      .from('knowledge_snippets')
-      .select('*')
-      .ilike('topic', `%${params.topic}%`)
-      .limit(5);
-
-    if (searchError) {
-      console.error('Error searching for existing knowledge:', searchError);
-      return {
-        success: false,
-        error: searchError.message
-      };
-    }
+    const mode = params.mode || 'merge';
+    const match = await findKnowledgeSnippet(params);
 
     // Decide whether to update existing knowledge or create new
     let operation;
     let operationData;
     
-    if (existingSnippets && existingSnippets.length > 0) {
-      // We found similar knowledge - update the closest match
-      // In a more advanced implementation, you might use semantic similarity here
-      
-      const mostRelevantSnippet = existingSnippets[0];
-      
+    if (match) {
+      const existing = match.snippet;
+      const content = mode === 'replace'
+        ? params.content
+        : mergeKnowledgeContent(existing.content, params.content);
+
+      await ensureBaselineRevision(existing);
+
       operationData = {
-        id: mostRelevantSnippet.id,
         last_updated: new Date().toISOString(),
-        content: params.content,
-        confidence: params.confidence || 0.7,
-        // Merge related entities if provided
-        related_entities: params.related_entities 
-          ? { ...mostRelevantSnippet.related_entities, ...params.related_entities }
-          : mostRelevantSnippet.related_entities
+        content: content,
+        confidence: params.confidence ?? existing.confidence ?? 0.7,
+        related_entities: mode === 'replace'
+          ? params.related_entities ?? existing.related_entities
+          : { ...existing.related_entities, ...params.related_entities },
+        ...await snippetEmbeddingColumns(existing.topic, content)
       };
       
       operation = supabase
         .from('knowledge_snippets')
         .update(operationData)
-        .eq('id', mostRelevantSnippet.id);
+        .eq('id', existing.id)
+        .eq(OWNER_COLUMN, currentUserId)
+        .select()
+        .single();
         
     } else {
       // Create new knowledge snippet
       operationData = {
+        [OWNER_COLUMN]: currentUserId,
         topic: params.topic,
         content: params.content,
         source: params.source || 'user_interaction',
-        confidence: params.confidence || 0.7,
-        related_entities: params.related_entities || {}
+        confidence: params.confidence ?? 0.7,
+        related_entities: params.related_entities || {},
+        ...await snippetEmbeddingColumns(params.topic, params.content)
       };
       
       operation = supabase
         .from('knowledge_snippets')
-        .insert(operationData);
+        .insert(operationData)
+        .select()
+        .single();
     }
 
     // Execute the operation
-    const { data, error } = await operation;
+    const { data: snippet, error } = await operation;
 
     // Handle potential errors
     if (error) {
-      console.error('Knowledge Synthesis Error:', error);
+      log.error('Knowledge Synthesis Error', error);
       return { 
         success: false, 
         error: error.message 
       };
     }
 
+    await journalMutations('knowledge_snippets', match ? 'update' : 'insert', match ? [match.snippet] : [], [snippet]);
+
+    const revisionOperation = match ? mode : 'create';
+    await recordKnowledgeRevision(snippet, revisionOperation, { sourceQuery: params.sourceQuery, author: options.author });
+
     // Log the interaction
     await supabase
       .from('interactions')
       .insert({
-        query: params.sourceQuery || 'knowledge synthesis',
+        [OWNER_COLUMN]: currentUserId,
+        query: params.sourceQuery || currentUserQuery || 'knowledge synthesis',
         response: 'knowledge updated',
         knowledge_updated: {
-          topic: params.topic,
-          operation: existingSnippets && existingSnippets.length > 0 ? 'update' : 'insert'
+          id: snippet.id,
+          topic: snippet.topic,
+          operation: revisionOperation
         }
       });
 
@@ -432,14 +1232,14 @@ async function synthesizeKnowledge(params) {
     return { 
       success: true, 
       data: {
-        message: existingSnippets && existingSnippets.length > 0 
-          ? 'Existing knowledge updated' 
+        message: match
+          ? `Existing knowledge updated (${mode}, matched by ${match.matchedBy})`
           : 'New knowledge created',
-        knowledge: operationData
+        knowledge: describeKnowledgeSnippet(snippet)
       }
     };
   } catch (error) {
-    console.error('Knowledge Synthesis Error:', error);
+    log.error('Knowledge Synthesis Error', error);
     return { 
       success: false, 
       error: error.message 
@@ -447,68 +1247,577 @@ async function synthesizeKnowledge(params) {
   }
 }
 
-// Knowledge Retrieval Function using Supabase PostgreSQL function
-async function retrieveRelevantKnowledge(params) {
+// List a snippet's revisions, newest first
+async function getKnowledgeHistory(params) {
   try {
-    // Validate required parameters
-    if (!params.query) {
-      throw new Error('Missing required parameter: "query"');
+    if (params.id === undefined && !params.topic) {
+      throw new Error('Missing required parameter: "id" or "topic"');
     }
 
-    // Extract keywords from the query
-    const queryWords = params.query
-      .replace(/[^\w\s]/g, '')
-      .split(/\s+/)
-      .filter(word => word.length > 3); // Filter out short words
-
-    // If no meaningful keywords found, return empty
-    if (queryWords.length === 0) {
-      return {
-        success: true,
-        data: []
-      };
+    const snippet = params.id !== undefined
+      ? await getKnowledgeSnippet(params.id)
+      : await getKnowledgeSnippetByTopic(params.topic);
+    if (!snippet) {
+      return { success: false, error: 'Knowledge snippet not found' };
     }
 
-    // Call the PostgreSQL function via RPC
     const { data, error } = await supabase
-      .rpc('search_knowledge_snippets', {
-        search_terms: queryWords,
-        results_limit: params.limit || 50
-      });
+      .from('knowledge_revisions')
+      .select('id, operation, content, confidence, related_entities, author, source_query, restored_revision_id, created_at')
+      .eq('snippet_id', snippet.id)
+      .eq(OWNER_COLUMN, currentUserId)
+      .order('created_at', { ascending: false })
+      .order('id', { ascending: false })
+      .limit(params.limit || 20);
 
-    // Handle potential errors
     if (error) {
-      console.error('Knowledge Retrieval Error:', error);
-      return { 
-        success: false, 
-        error: error.message 
-      };
+      return { success: false, error: error.message };
     }
 
-    // The data is already sorted and scored by the PostgreSQL function
-    // No need for additional scoring or sorting
-
-    // Return successful result
     return {
       success: true,
-      data: data.map(item => ({
-        topic: item.topic,
-        content: item.content
-      }))
+      data: {
+        snippet: { id: snippet.id, topic: snippet.topic, content: snippet.content },
+        revisions: data || []
+      }
     };
   } catch (error) {
-    console.error('Knowledge Retrieval Error:', error);
-    return { 
-      success: false, 
-      error: error.message 
-    };
+    log.error('Knowledge History Error', error);
+    return { success: false, error: error.message };
   }
 }
 
-// Base instructions prompt that explains response format to the LLM
-const getInstructionsPrompt = (specialization = null) => {
-  let baseInstructions = `AI AGENT SYSTEM INSTRUCTIONS
-  CORE ROLE
+// Restore a snippet to the state stored in one of its revisions. The rollback is
+// itself recorded as a revision, so it can be undone the same way.
+async function rollbackKnowledge(params) {
+  try {
+    if (params.revision_id === undefined) {
+      throw new Error('Missing required parameter: "revision_id"');
+    }
+
+    const { data: revision, error: revisionError } = await supabase
+      .from('knowledge_revisions')
+      .select('*')
+      .eq('id', params.revision_id)
+      .eq(OWNER_COLUMN, currentUserId)
+      .maybeSingle();
+
+    if (revisionError) {
+      return { success: false, error: revisionError.message };
+    }
+    if (!revision) {
+      return { success: false, error: `Knowledge revision ${params.revision_id} not found` };
+    }
+
+    const existing = await getKnowledgeSnippet(revision.snippet_id);
+    if (!existing) {
+      return { success: false, error: `Knowledge snippet ${revision.snippet_id} not found` };
+    }
+
+    const { data: snippet, error } = await supabase
+      .from('knowledge_snippets')
+      .update({
+        last_updated: new Date().toISOString(),
+        content: revision.content,
+        confidence: revision.confidence,
+        related_entities: revision.related_entities,
+        ...await snippetEmbeddingColumns(existing.topic, revision.content)
+      })
+      .eq('id', existing.id)
+      .eq(OWNER_COLUMN, currentUserId)
+      .select()
+      .single();
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+
+    await journalMutations('knowledge_snippets', 'update', [existing], [snippet]);
+    await recordKnowledgeRevision(snippet, 'rollback', { restoredRevisionId: revision.id });
+
+    return {
+      success: true,
+      data: {
+        message: `Knowledge restored to revision ${revision.id}`,
+        knowledge: describeKnowledgeSnippet(snippet)
+      }
+    };
+  } catch (error) {
+    log.error('Knowledge Rollback Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Delete a snippet together with its revisions, so the old content is gone for good
+async function forgetKnowledge(params) {
+  try {
+    if (params.id === undefined && !params.topic) {
+      throw new Error('Missing required parameter: "id" or "topic"');
+    }
+
+    const snippet = params.id !== undefined
+      ? await getKnowledgeSnippet(params.id)
+      : await getKnowledgeSnippetByTopic(params.topic);
+    if (!snippet) {
+      return { success: false, error: 'Knowledge snippet not found' };
+    }
+
+    // The journal holds copies of the snippet too; they go first so no undo can restore it
+    await purgeJournaledRow('knowledge_snippets', snippet.id);
+
+    // Revisions first, in case they reference the snippet with a foreign key
+    const { error: revisionsError } = await supabase
+      .from('knowledge_revisions')
+      .delete()
+      .eq('snippet_id', snippet.id)
+      .eq(OWNER_COLUMN, currentUserId);
+
+    if (revisionsError) {
+      return { success: false, error: revisionsError.message };
+    }
+
+    const { error } = await supabase
+      .from('knowledge_snippets')
+      .delete()
+      .eq('id', snippet.id)
+      .eq(OWNER_COLUMN, currentUserId);
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    await journalForget('knowledge_snippets', snippet.id);
+
+    // Log the interaction without the forgotten content
+    await supabase
+      .from('interactions')
+      .insert({
+        [OWNER_COLUMN]: currentUserId,
+        query: currentUserQuery || 'knowledge deletion',
+        response: 'knowledge forgotten',
+        knowledge_updated: {
+          id: snippet.id,
+          topic: snippet.topic,
+          operation: 'forget'
+        }
+      });
+
+    return {
+      success: true,
+      data: {
+        message: 'Knowledge forgotten',
+        forgotten: { id: snippet.id, topic: snippet.topic }
+      }
+    };
+  } catch (error) {
+    log.error('Knowledge Forget Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+const KNOWLEDGE_EXPORT_FORMATS = ['json', 'markdown'];
+const KNOWLEDGE_DUPLICATE_MODES = ['skip', 'merge', 'replace'];
+
+// Select all of the user's rows from a table for an export
+async function selectAllForExport(table, orderColumn) {
+  const { data, error } = await supabase
+    .from(table)
+    .select('*')
+    .eq(OWNER_COLUMN, currentUserId)
+    .order(orderColumn, { ascending: true });
+
+  if (error) {
+    throw new Error(`Could not export ${table}: ${error.message}`);
+  }
+  return data || [];
+}
+
+// Markdown export: one "## topic" section per snippet, with its metadata in an
+// HTML comment so the file can be imported again, followed by the interaction log
+function knowledgeToMarkdown(knowledge, interactions, exportedAt) {
+  let markdown = `# Knowledge Base\n\nExported ${exportedAt} for ${currentUserId}\n`;
+
+  knowledge.forEach(snippet => {
+    markdown += `\n## ${snippet.topic}\n`;
+    markdown += `<!-- id: ${snippet.id}, source: ${snippet.source || 'unknown'}, confidence: ${snippet.confidence ?? ''}, last_updated: ${snippet.last_updated || ''} -->\n\n`;
+    markdown += `${snippet.content}\n`;
+  });
+
+  markdown += `\n# Interaction Log\n\n`;
+  interactions.forEach(interaction => {
+    const knowledgeUpdate = interaction.knowledge_updated
+      ? ` (${interaction.knowledge_updated.operation}: ${interaction.knowledge_updated.topic})`
+      : '';
+    markdown += `- ${interaction.created_at || interaction.id}: ${interaction.query} -> ${interaction.response}${knowledgeUpdate}\n`;
+  });
+
+  return markdown;
+}
+
+// Export the user's knowledge base, revisions and interaction log
+async function exportKnowledge(format = 'json') {
+  try {
+    if (!KNOWLEDGE_EXPORT_FORMATS.includes(format)) {
+      throw new Error(`Unsupported export format: ${format} (use ${KNOWLEDGE_EXPORT_FORMATS.join(' or ')})`);
+    }
+
+    const [snippets, revisions, interactions] = await Promise.all([
+      selectAllForExport('knowledge_snippets', 'topic'),
+      selectAllForExport('knowledge_revisions', 'id'),
+      selectAllForExport('interactions', 'id')
+    ]);
+    const knowledge = snippets.map(describeKnowledgeSnippet);
+    const exportedAt = new Date().toISOString();
+
+    if (format === 'markdown') {
+      return {
+        success: true,
+        contentType: 'text/markdown; charset=utf-8',
+        data: knowledgeToMarkdown(knowledge, interactions, exportedAt)
+      };
+    }
+
+    return {
+      success: true,
+      data: {
+        exported_at: exportedAt,
+        user_id: currentUserId,
+        knowledge: knowledge,
+        revisions: revisions,
+        interactions: interactions
+      }
+    };
+  } catch (error) {
+    log.error('Knowledge Export Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Read snippets from a Markdown export (or any file with "## topic" sections)
+function parseKnowledgeMarkdown(markdown) {
+  const sections = [];
+  let current = null;
+
+  markdown.split('\n').forEach(line => {
+    const heading = line.match(/^##\s+(.+?)\s*$/);
+    if (heading) {
+      current = { topic: heading[1], lines: [] };
+      sections.push(current);
+    } else if (/^#\s/.test(line)) {
+      // A top-level heading (like the interaction log) ends the snippets
+      current = null;
+    } else if (current) {
+      current.lines.push(line);
+    }
+  });
+
+  return sections.map(section => {
+    const metadata = {};
+    const content = section.lines.join('\n').replace(/<!--([\s\S]*?)-->/, (comment, body) => {
+      body.split(',').forEach(pair => {
+        const [key, ...value] = pair.split(':');
+        if (key && value.length > 0) {
+          metadata[key.trim()] = value.join(':').trim();
+        }
+      });
+      return '';
+    }).trim();
+
+    return {
+      topic: section.topic,
+      content: content,
+      source: metadata.source && metadata.source !== 'unknown' ? metadata.source : undefined,
+      confidence: metadata.confidence ? Number(metadata.confidence) : undefined
+    };
+  });
+}
+
+// Snippets in an import request: { snippets: [...] }, a JSON export's knowledge
+// list, or { format: 'markdown' | 'json', content: '<file contents>' }
+function parseKnowledgeImport(body) {
+  if (Array.isArray(body.snippets)) {
+    return body.snippets;
+  }
+  if (Array.isArray(body.knowledge)) {
+    return body.knowledge;
+  }
+  if (typeof body.content !== 'string') {
+    throw new Error('Send snippets, knowledge or content to import');
+  }
+
+  if (body.format === 'json' || (!body.format && body.content.trim().startsWith('{'))) {
+    let parsed;
+    try {
+      parsed = JSON.parse(body.content);
+    } catch (error) {
+      throw new Error(`Invalid JSON content: ${error.message}`);
+    }
+    return Array.isArray(parsed) ? parsed : parsed.knowledge || parsed.snippets || [];
+  }
+  return parseKnowledgeMarkdown(body.content);
+}
+
+// Bulk import snippets. A topic that already exists (ignoring case) is skipped,
+// merged into or replaces the existing snippet, depending on onDuplicate.
+async function importKnowledge(body) {
+  try {
+    const onDuplicate = body.onDuplicate || 'skip';
+    if (!KNOWLEDGE_DUPLICATE_MODES.includes(onDuplicate)) {
+      throw new Error(`Unsupported onDuplicate value: ${onDuplicate} (use ${KNOWLEDGE_DUPLICATE_MODES.join(', ')})`);
+    }
+
+    const snippets = parseKnowledgeImport(body);
+    const existing = await selectAllForExport('knowledge_snippets', 'topic');
+    const snippetsByTopic = new Map(existing.map(snippet => [snippet.topic.toLowerCase(), snippet]));
+    const summary = { created: [], merged: [], replaced: [], skipped: [], failed: [] };
+
+    // One at a time, so repeated topics within the file are detected too
+    for (const item of snippets) {
+      if (!item || typeof item.topic !== 'string' || typeof item.content !== 'string' || !item.topic.trim() || !item.content.trim()) {
+        summary.failed.push({ topic: item?.topic, error: 'A snippet needs a topic and content' });
+        continue;
+      }
+
+      const topic = item.topic.trim();
+      const duplicate = snippetsByTopic.get(topic.toLowerCase());
+
+      if (duplicate && onDuplicate === 'skip') {
+        summary.skipped.push({ id: duplicate.id, topic: duplicate.topic, reason: 'duplicate topic' });
+        continue;
+      }
+
+      if (duplicate) {
+        const result = await synthesizeKnowledge({
+          id: duplicate.id,
+          topic: duplicate.topic,
+          content: item.content,
+          mode: onDuplicate,
+          confidence: item.confidence,
+          related_entities: item.related_entities,
+          sourceQuery: 'knowledge import'
+        }, { author: 'import' });
+
+        if (result.success) {
+          summary[onDuplicate === 'merge' ? 'merged' : 'replaced'].push({ id: duplicate.id, topic: duplicate.topic });
+        } else {
+          summary.failed.push({ topic: topic, error: result.error });
+        }
+        continue;
+      }
+
+      const { data: snippet, error } = await supabase
+        .from('knowledge_snippets')
+        .insert(withOwner({
+          topic: topic,
+          content: item.content,
+          source: item.source || 'import',
+          confidence: item.confidence ?? 0.7,
+          related_entities: item.related_entities || {},
+          ...await snippetEmbeddingColumns(topic, item.content)
+        }))
+        .select()
+        .single();
+
+      if (error) {
+        summary.failed.push({ topic: topic, error: error.message });
+        continue;
+      }
+
+      await recordKnowledgeRevision(snippet, 'create', { author: 'import', sourceQuery: 'knowledge import' });
+      snippetsByTopic.set(topic.toLowerCase(), snippet);
+      summary.created.push({ id: snippet.id, topic: snippet.topic });
+    }
+
+    return { success: true, data: summary };
+  } catch (error) {
+    log.error('Knowledge Import Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Embedding columns stored with a knowledge snippet. A failed embedding call
+// doesn't block the write; the snippet is still found by keyword search.
+async function snippetEmbeddingColumns(topic, content) {
+  try {
+    const { embedding, model } = await embedText(snippetEmbeddingText(topic, content));
+    return { embedding: embedding, embedding_model: model };
+  } catch (error) {
+    log.error('Error embedding knowledge snippet', error);
+    return {};
+  }
+}
+
+// pgvector columns come back from PostgREST as a "[0.1,0.2,...]" string
+function parseEmbedding(value) {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  try {
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Words that carry no meaning for keyword matching
+const KNOWLEDGE_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'for', 'from', 'how', 'i', 'in', 'is', 'it',
+  'me', 'my', 'of', 'on', 'or', 'the', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'who', 'with'
+]);
+
+// Weights of the hybrid retrieval score
+const KNOWLEDGE_VECTOR_WEIGHT = 0.6;
+const KNOWLEDGE_KEYWORD_WEIGHT = 0.3;
+const KNOWLEDGE_CONFIDENCE_WEIGHT = 0.1;
+// Vector matches below this similarity only count when a keyword also matched
+const KNOWLEDGE_MIN_SIMILARITY = 0.25;
+
+// Vector candidates from the match_knowledge_snippets function, or computed here
+// when the database doesn't have it (local fakes, or before the migration)
+async function vectorKnowledgeCandidates(queryEmbedding, embeddingModel, limit) {
+  const { data, error } = await supabase
+    .rpc('match_knowledge_snippets', {
+      query_embedding: queryEmbedding,
+      owner_id: currentUserId,
+      embedding_model: embeddingModel,
+      match_count: limit
+    });
+
+  if (!error) {
+    return data || [];
+  }
+  log.info('match_knowledge_snippets unavailable, computing similarity locally', { reason: error.message });
+
+  const { data: snippets, error: selectError } = await supabase
+    .from('knowledge_snippets')
+    .select('id, topic, content, confidence, embedding')
+    .eq(OWNER_COLUMN, currentUserId)
+    .eq('embedding_model', embeddingModel);
+
+  if (selectError) {
+    throw new Error(selectError.message);
+  }
+
+  return (snippets || [])
+    .map(snippet => {
+      const embedding = parseEmbedding(snippet.embedding);
+      return {
+        id: snippet.id,
+        topic: snippet.topic,
+        content: snippet.content,
+        confidence: snippet.confidence,
+        similarity: embedding ? cosineSimilarity(queryEmbedding, embedding) : 0
+      };
+    })
+    .sort((first, second) => second.similarity - first.similarity)
+    .slice(0, limit);
+}
+
+// Knowledge Retrieval Function
+// Hybrid search: vector similarity from the snippet embeddings, the keyword score
+// from the search_knowledge_snippets function, and the snippet's confidence.
+async function retrieveRelevantKnowledge(params) {
+  try {
+    // Validate required parameters
+    if (!params.query) {
+      throw new Error('Missing required parameter: "query"');
+    }
+
+    const limit = params.limit || 50;
+
+    // Extract keywords from the query
+    const queryWords = params.query
+      .replace(/[^\w\s]/g, '')
+      .split(/\s+/)
+      .filter(word => word.length > 1 && !KNOWLEDGE_STOP_WORDS.has(word.toLowerCase()));
+
+    // Run the vector and keyword searches side by side
+    const [vectorResult, keywordResult] = await Promise.allSettled([
+      embedText(params.query).then(({ embedding, model }) => vectorKnowledgeCandidates(embedding, model, limit)),
+      queryWords.length > 0
+        ? supabase.rpc('search_knowledge_snippets', {
+            search_terms: queryWords,
+            results_limit: limit,
+            owner_id: currentUserId
+          })
+        : Promise.resolve({ data: [] })
+    ]);
+
+    const vectorMatches = vectorResult.status === 'fulfilled' ? vectorResult.value : [];
+    if (vectorResult.status === 'rejected') {
+      log.error('Vector knowledge search failed', vectorResult.reason);
+    }
+
+    let keywordMatches = [];
+    if (keywordResult.status === 'rejected' || keywordResult.value.error) {
+      log.error('Keyword knowledge search failed', keywordResult.reason || keywordResult.value.error);
+    } else {
+      keywordMatches = keywordResult.value.data || [];
+    }
+
+    // Neither search worked: report the failure instead of an empty result
+    if (vectorResult.status === 'rejected' && (keywordResult.status === 'rejected' || keywordResult.value.error)) {
+      return {
+        success: false,
+        error: 'Knowledge search failed'
+      };
+    }
+
+    // Merge both candidate lists by snippet
+    const candidates = {};
+    const candidateFor = item => {
+      const key = item.id ?? item.topic;
+      candidates[key] = candidates[key] || {
+        id: item.id,
+        topic: item.topic,
+        content: item.content,
+        confidence: item.confidence ?? 0.7,
+        similarity: 0,
+        keywordScore: 0
+      };
+      return candidates[key];
+    };
+
+    vectorMatches.forEach(item => {
+      candidateFor(item).similarity = Math.max(0, item.similarity || 0);
+    });
+
+    const maxKeywordScore = Math.max(0, ...keywordMatches.map(item => item.relevance_score ?? item.score ?? 1));
+    keywordMatches.forEach(item => {
+      const score = item.relevance_score ?? item.score ?? 1;
+      candidateFor(item).keywordScore = maxKeywordScore > 0 ? score / maxKeywordScore : 0;
+    });
+
+    const results = Object.values(candidates)
+      .filter(candidate => candidate.keywordScore > 0 || candidate.similarity >= KNOWLEDGE_MIN_SIMILARITY)
+      .map(candidate => ({
+        id: candidate.id,
+        topic: candidate.topic,
+        content: candidate.content,
+        relevance: Math.round((
+          KNOWLEDGE_VECTOR_WEIGHT * candidate.similarity +
+          KNOWLEDGE_KEYWORD_WEIGHT * candidate.keywordScore +
+          KNOWLEDGE_CONFIDENCE_WEIGHT * candidate.confidence
+        ) * 1000) / 1000
+      }))
+      .sort((first, second) => second.relevance - first.relevance)
+      .slice(0, limit);
+
+    // Return successful result
+    return {
+      success: true,
+      data: results
+    };
+  } catch (error) {
+    log.error('Knowledge Retrieval Error', error);
+    return { 
+      success: false, 
+      error: error.message 
+    };
+  }
+}
+
+// Response format for models that answer with a JSON blob in plain text
+const textResponseFormatInstructions = `  CORE ROLE
   You are an AI assistant that helps users by performing tasks through function calls. You respond in JSON format and your responses will be used programmatically. 
   Because you are part of this AI agent, you can utilize functions that can be called by populating the "function", "parameters", and "reasoning" fields in your structured response.
   
@@ -520,131 +1829,52 @@ const getInstructionsPrompt = (specialization = null) => {
     "function_calls": [{"function":"","parameters":""}] // List of functions to call (empty if providing direct answer)
   }
   
-  FUNCTION USE INSTRUCTIONS
-  - You may need to utilize a data retrieval function to answer a question about information in a database if that information is needed to answer the question.
-  - This means you can't provide an answer to the user directly in this chat completion, and another request to an LLM will be made which will include the information that the function retrieves from the database using the parameters you gave it.
-  - This is a multi-step process coordinated programatically by the AI agent, and you may be receiving the intial user query, or you may receive the results data from function calls along with the conversation history and reasoning.
-  - Whether you are receiving the initial user query or function results and a conversation history will be revealed further below in this system prompt once you get to the conversation history section.
-  - Only use a function if explicitly needed for tasks.
-  - For questions that need no functions to answer, just provide the answer directly.
-  - For questions that need multiple simultaneous function calls to answer, respond with a list of functions to call and their parameters. 
-  - There can be multiple rounds of multiple simultaneous function calls, and the agent will iteratively provide the information from all previous function calls to new, follow-up LLM chat completions, and those LLM chat completions can request further function calls until an answer to the user query can be generated. 
-  - Do not prompt the user for further information or permission to use functions. 
-  - Assume that you are to infer what functions are needed, use them in batches preferably, or in sequence if needed, and provide an answer to the best of your ability when you have gathered the information needed.
-  - If it looks like the user's request cannot be completed, first try retrieving knowledge snippets using the knowledge retrieval tool.
-
-  WORKFLOW PRINCIPLES
-  - First assess what information you need to answer the user's question
-  - Use functions to retrieve or modify data when necessary
-  - Always verify database changes with a follow-up 'select' database operation
-  - Choose the appropriate specialization for the next step
-  
-  AVAILABLE FUNCTIONS
-  1. dynamicSupabaseOperation
-  Description:
-  - This function retrieves or modifies data in a database.
-  
-  Available Database Tables
-  - todo_list - User's current to-do items (id, created_at, description)
-  - shopping_list - User's shopping items (id, created_at, description)
-  
-  Parameters:
-  - from (Required): (String) Table name (todo_list or shopping_list)
-  - action (Required): (String) Operation type (select, insert, update, delete, upsert)
-  - columns (Optional): (String) Comma-separated string of column names for select
-  - data (Optional): (Object) Data object for insert/update/upsert
-  - filter (Optional): (Object) Filter condition. 
-  
-  Filter Structure:
-  {
-    "column": "column_name",
-    "operator": "eq|neq|gt|lt|in|gte|lte",
-    "value": "column_value"
-  }  
-  
-  2. setSpecialization
-  Description:
-  - This function determines which specialization should handle the next step of the process. 
-  - It is important that you call this function with the specialization name as the parameter when you are ready to move on to the next step.
-  - Every set of function calls should also include a call to this function. This, however doesn't apply if you have a final answer and are filling the 'answer' parameter. 
-  - Setting the specialization will extend the instructions text for the next LLM chat completion with specific instructions for it's role in the process of answering the user query. 
-  - Example: Assigning the 'secretary' specialization will provide the next LLM a thorough background on the user's recent history of modifications to their lists, the user's goals and current projects, the user's preferences of how they like their agent to communicate (sense of humor, offering suggestions, etc.), as well as the user's recent history of location data, and functions for scheduling reminders and writing emails. 
-  - This additional specialization data and associated instructions will be added to the next LLM's instructions, and will increase the prompt size.
-  - The specializations have been created so that only chat completions that need extra information receive it in their prompt. 
-  
-  Available Specializations:
-   - secretary - manages user's recent history of modifications to their lists, the user's goals and current projects, the user's preferences of how they like their agent to communicate (sense of humor, offering suggestions, etc.), as well as the user's recent history of location data, and functions for scheduling reminders and writing emails. 
+`;
 
-  Parameters:
-  - specializationName (Required): (String) Specialization name ('secretary|codeAssistant|projectManager')
-  
-  3. retrieveRelevantKnowledge
-  Description:
-  - Knowledge retrieval tool. 
-  - Before providing the final answer to a user query, gather relevant context by using the retrieveRelevantKnowledge function with a search query as the parameter. 
-  - This performs a vector search for knowledge snippets using any 4 or more letter words in your query.
-  - Matches in the topic field are weighted more heavily (3x) than matches in content. 
-  - Results are adjusted by the confidence score
-  - Results are sorted by relevance score  
-  - Review the list of knowledge topics that will be included below the system prompt instructions, and before the conversation history. This contains the exact topics of all of the available knowledge, so you know what keywords to use to search. You can add additional keywords not in this list so you can find references in the 'content' of each of the knowledge snippets as well, not just the 'topic' fields.
-  - Example: If the user asks you to add apples to his shopping list, calling this function may reveal that the user only likes opal apples, and you should add opal apples to their shopping list.
-  - The user keeps his knowledge snippets database updated with preferences for how you should answer questions or perform activities related to specific topics or items.   
-  - Tips for effective searching:
-    * Use specific keywords rather than phrases. 
-    * Use multiple keywords in each search to ensure you don't miss any knowledge that doesn't exactly match your keyword (such as for "School", also search "College University School Education"]). It is better to use more search terms than less.
-    * Try synonyms 
-    * Capitalize the first letter of each keyword (e.g., "Project" not "project")
-     
-  Parameters:
-  - query (Required): Search query
-  - limit (Optional): Maximum results (default: 50)
+// Response format for models that use the API's native tool calling
+const nativeResponseFormatInstructions = `  CORE ROLE
+  You are an AI assistant that helps users by performing tasks through function calls. The functions are provided to you as tools, and the result of each tool call will be sent back to you in a tool message.
   
-  4. synthesizeKnowledge
-  Description:
-  - Knowledge synthesis tool. 
-  - After completing tasks or learning new information about the user, synthesize this knowledge by using the synthesizeKnowledge function to store it for future reference. 
-  - Especially use this function if the user asks you to remember something. 
-  - This knowledge's topic and content will be searchable by future LLMs using retrieveRelevantKnowledge. 
-  - This function either updates existing knowledge or creates new knowledge snippets based on the exact text of your 'topic' field.
-  
-  Parameters:
-  - topic (Required): (String) The main subject of the knowledge. Use searchable keywords.
-  - content (Required): (String) The actual knowledge content. This can be any amount of text. If the user asks for code, make sure it stays within the string without any escape character issues.
-  - source (Optional): (String) Where the knowledge came from (defaults to 'user_interaction'). Alternatively you can be asked by a 'proectManager' specialization to add knowledge to the snippets with source = 'research_data" if you are storing webscraped information for example.
-  - confidence (Optional): (Number) Confidence score from 0-1 (defaults to 0.7. Round to this many digits). 
-  - sourceQuery (Optional): (String) The original query that led to this knowledge update (found in the conversation history section at the end of this system prompt)
+  RESPONSE FORMAT
+  - To use functions, respond with tool calls. Put your reasoning in the text of the same message. Be verbose and use the present tense to tell your strategy to the next LLM, including what functions you are calling and why. Do not make any present tense statements about the state of the database that might confuse future LLMs reading the conversation history. Those LLMs need to read the function results for the state of the database.
+  - When you have the final answer, respond with plain text only and no tool calls. This text is sent to the user as is.
+  - Wherever these instructions mention the "function_calls" list, they mean your tool calls. The "answer" field means your plain text reply without tool calls, and the "reasoning" field means the text that accompanies your tool calls.
+  - The conversation history is the sequence of messages that follows this system prompt.
   
-IMPORTANT FUNCTION CALLING AND WORKFLOW RULES
-  - When modifying items by description: First select the full list to find the item ID matching the description. Assume the user query is spelled wrong, and don't apply filters for exact text.
-  - Before adding items: Check if they already exist using select
-  - After any modification: Always verify with a select operation. The operation may have been completed twice or not at all, despite the function returning a status of 'success'. 
-  - Don't apply filters when using select after delete operations in case the item was spelled wrong in the user query. 
-  - Notice and reverse any errors you make from duplicating actions with appropriate follow-up function calls. 
-  - Function order: Call setSpecialization last (except when providing a final answer)
-  - When you have the answer: Fill the "answer" field and leave function_calls empty
-  - Do not call setSpecialization if you have the answer ready to give to the user, just populate the 'answer' parameter and leave the functions list empty.
-  - Use the retrieveRelevantKnowledge() function immediately using a search query that will find any relevant saved information related to the user query.
-  - Do not repeat any steps if an LLM has previously already completed them, and respond to the user with an answer once you have one ready.
+`;
 
-  Workflow Example
+const textWorkflowExample = `  Workflow Example
   - User query: "Add apples to my shopping list"
   - Step 1: Initial assessment, retrieving knowledge snippets, and setting specialization
   {
     "answer": "",
-    "reasoning": "Need to check if apples are already on the list and retrieve any relevant user knowledge",
+    "reasoning": "The shopping list belongs to the secretary; retrieving any relevant user knowledge and handing off",
     "function_calls": [
       {
-        "function": "dynamicSupabaseOperation",
+        "function": "retrieveRelevantKnowledge",
         "parameters": {
-          "from": "shopping_list",
-          "action": "select",
-          "columns": "id, description"
+          "query": "Apples Shopping List"
         }
       },
       {
-        "function": "retrieveRelevantKnowledge",
+        "function": "setSpecialization",
         "parameters": {
-          "query": "Apples Shopping List"
+          "specializationName": "secretary"
+        }
+      }
+    ]
+  }
+  - Step 2: Check whether the item is already on the list
+  {
+    "answer": "",
+    "reasoning": "Need to check if apples are already on the list",
+    "function_calls": [
+      {
+        "function": "dynamicSupabaseOperation",
+        "parameters": {
+          "from": "shopping_list",
+          "action": "select",
+          "columns": "id, description"
         }
       },
       {
@@ -655,7 +1885,7 @@ IMPORTANT FUNCTION CALLING AND WORKFLOW RULES
       }
     ]
   }
-  - Step 2: Add Item to database (If Not Already Present) and setting specialization
+  - Step 3: Add Item to database (If Not Already Present) and setting specialization
   {
     "answer": "",
     "reasoning": "Apples not found on list, adding the item and verifying",
@@ -686,64 +1916,154 @@ IMPORTANT FUNCTION CALLING AND WORKFLOW RULES
       }
     ]
   }
-  - Step 3: Final Response
+  - Step 4: Final Response
   {
     "answer": "I've added apples to your shopping list.",
     "reasoning": "",
     "function_calls": []
   }
 `;
+
+const nativeWorkflowExample = `  Workflow Example
+  - User query: "Add apples to my shopping list"
+  - Step 1: Initial assessment, retrieving knowledge snippets, and setting specialization
+    Text: "The shopping list belongs to the secretary; retrieving any relevant user knowledge and handing off"
+    Tool calls:
+      retrieveRelevantKnowledge({"query": "Apples Shopping List"})
+      setSpecialization({"specializationName": "secretary"})
+  - Step 2: Check whether the item is already on the list
+    Text: "Need to check if apples are already on the list"
+    Tool calls:
+      dynamicSupabaseOperation({"from": "shopping_list", "action": "select", "columns": "id, description"})
+      setSpecialization({"specializationName": "secretary"})
+  - Step 3: Add Item to database (If Not Already Present) and setting specialization
+    Text: "Apples not found on list, adding the item and verifying"
+    Tool calls:
+      dynamicSupabaseOperation({"from": "shopping_list", "action": "insert", "data": {"description": "Apples"}})
+      dynamicSupabaseOperation({"from": "shopping_list", "action": "select", "columns": "id, description"})
+      setSpecialization({"specializationName": "secretary"})
+  - Step 4: Final Response
+    Text: "I've added apples to your shopping list."
+    Tool calls: none
+`;
+
+// Base instructions prompt that explains response format to the LLM
+const getInstructionsPrompt = (specialization = null, toolMode = 'text') => {
+  const responseFormatInstructions = toolMode === 'native' ? nativeResponseFormatInstructions : textResponseFormatInstructions;
+  const workflowExample = toolMode === 'native' ? nativeWorkflowExample : textWorkflowExample;
+
+  let baseInstructions = `AI AGENT SYSTEM INSTRUCTIONS
+${responseFormatInstructions}  FUNCTION USE INSTRUCTIONS
+  - You may need to utilize a data retrieval function to answer a question about information in a database if that information is needed to answer the question.
+  - This means you can't provide an answer to the user directly in this chat completion, and another request to an LLM will be made which will include the information that the function retrieves from the database using the parameters you gave it.
+  - This is a multi-step process coordinated programatically by the AI agent, and you may be receiving the intial user query, or you may receive the results data from function calls along with the conversation history and reasoning.
+  - Whether you are receiving the initial user query or function results and a conversation history will be revealed further below in this system prompt once you get to the conversation history section.
+  - Only use a function if explicitly needed for tasks.
+  - For questions that need no functions to answer, just provide the answer directly.
+  - For questions that need multiple simultaneous function calls to answer, respond with a list of functions to call and their parameters. 
+  - There can be multiple rounds of multiple simultaneous function calls, and the agent will iteratively provide the information from all previous function calls to new, follow-up LLM chat completions, and those LLM chat completions can request further function calls until an answer to the user query can be generated. 
+  - Do not prompt the user for further information or permission to use functions. 
+  - Assume that you are to infer what functions are needed, use them in batches preferably, or in sequence if needed, and provide an answer to the best of your ability when you have gathered the information needed.
+  - If it looks like the user's request cannot be completed, first try retrieving knowledge snippets using the knowledge retrieval tool.
+
+  WORKFLOW PRINCIPLES
+  - First assess what information you need to answer the user's question
+  - Use functions to retrieve or modify data when necessary
+  - Always verify database changes with a follow-up 'select' database operation
+  - Choose the appropriate specialization for the next step
+  
+${renderToolDocumentation(specialization, specializationAllowedTools)}
+  
+IMPORTANT FUNCTION CALLING AND WORKFLOW RULES
+  - When modifying items by description: First select the full list to find the item ID matching the description. Assume the user query is spelled wrong, and don't apply filters for exact text.
+  - Before adding items: Check if they already exist using select
+  - After any modification: Always verify with a select operation. The operation may have been completed twice or not at all, despite the function returning a status of 'success'. 
+  - Don't apply filters when using select after delete operations in case the item was spelled wrong in the user query. 
+  - Notice and reverse any errors you make from duplicating actions with appropriate follow-up function calls. 
+  - Function order: Call setSpecialization last (except when providing a final answer)
+  - When you have the answer: Fill the "answer" field and leave function_calls empty
+  - Do not call setSpecialization if you have the answer ready to give to the user, just populate the 'answer' parameter and leave the functions list empty.
+  - Use the retrieveRelevantKnowledge() function immediately using a search query that will find any relevant saved information related to the user query.
+  - Do not repeat any steps if an LLM has previously already completed them, and respond to the user with an answer once you have one ready.
+
+${workflowExample}`;
   
   // If we have a specialization, include its instructions
-  //if (specialization) {
-  //  baseInstructions = `${baseInstructions}\n\n--- You have been assigned as SPECIALIZATION: ${currentSpecialization} 
-  //  ---\nThe following are instructions specific for your specialization:\n\n SPECIALIZATION INSTRUCTIONS: ${specializationInstructionText}`;
-  //}
+  if (specialization && specializationInstructionText) {
+    baseInstructions = `${baseInstructions}\n\n--- You have been assigned as SPECIALIZATION: ${specialization} 
+    ---\nThe following are instructions specific for your specialization:\n\n SPECIALIZATION INSTRUCTIONS: ${specializationInstructionText}`;
+  }
 
    return baseInstructions;
 }
 
-async function makeAIRequest(messages) {
+// Pass tools to use native tool calling; otherwise the reply is parsed from the JSON text protocol
+async function makeAIRequest(messages, modelConfig = resolveModelConfig(currentSpecialization, {}, specializationModelConfig), tools = null) {
   const MAX_RETRIES = 5;
   let retryCount = 0;
   let lastError = null;
 
   while (retryCount < MAX_RETRIES) {
-    perfMetrics.start('makeAIRequest');
 
     try {
-      console.log(`Attempt ${retryCount + 1}/${MAX_RETRIES} to make LLM request`);
+      log.info('LLM request', { attempt: retryCount + 1, maxAttempts: MAX_RETRIES, provider: modelConfig.provider, model: modelConfig.model });
       
-      const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          "Authorization": `Bearer ${OPENROUTER_API_KEY}`,
-          "HTTP-Referer": "https://yourwebsite.com",
-          "X-Title": "Your Website Name",
-        },
-        body: JSON.stringify({
-          model: "google/gemini-2.0-flash-lite-preview-02-05:free",
+      const provider = getProvider(modelConfig.provider);
+      // One span per attempt, with OpenTelemetry's GenAI attribute names
+      const completion = await withSpan(`chat ${modelConfig.model}`, {
+        'gen_ai.operation.name': 'chat',
+        'gen_ai.system': modelConfig.provider,
+        'gen_ai.request.model': modelConfig.model,
+        'gen_ai.request.temperature': modelConfig.temperature,
+        'gen_ai.request.max_tokens': modelConfig.maxTokens,
+        'agent.iteration': getLogContext().iteration,
+        'llm.attempt': retryCount + 1,
+        'llm.tool_count': tools ? tools.length : 0
+      }, async span => {
+        const response = await provider.complete({
+          model: modelConfig.model,
           messages: messages,
-          temperature: 0.2,
-        }),
-      });
-      // "deepseek/deepseek-r1:free"
-      // "deepseek/deepseek-r1-distill-llama-70b:free"
-      // "google/gemini-2.0-flash-lite-preview-02-05:free"
-      const data = await response.json();
+          temperature: modelConfig.temperature,
+          maxTokens: modelConfig.maxTokens,
+          tools: tools
+        });
+        span.setAttributes({
+          'gen_ai.usage.input_tokens': response.usage?.promptTokens,
+          'gen_ai.usage.output_tokens': response.usage?.completionTokens,
+          'llm.cost_usd': response.usage ? roundCost(usageCost(modelConfig, response.usage)) : undefined,
+          'llm.tool_call_count': (response.toolCalls || []).length
+        });
+        return response;
+      }, { kind: 'client' });
+      // Every completion is paid for, including the ones retried below
+      addUsage(runUsage, modelConfig, completion.usage);
+
+      // Native tool calls are already structured, so map them onto the text protocol's fields
+      const toolCalls = completion.toolCalls || [];
+      if (tools && (toolCalls.length > 0 || completion.content)) {
+        return {
+          answer: toolCalls.length > 0 ? "" : completion.content,
+          reasoning: toolCalls.length > 0 ? completion.content : "",
+          function_calls: toolCalls.map(toolCall => ({
+            id: toolCall.id,
+            function: toolCall.name,
+            parameters: toolCall.arguments,
+            parseError: toolCall.parseError
+          }))
+        };
+      }
       
       // Extract the message content
-      const rawReply = data.choices?.[0]?.message?.content || "No response";
+      const rawReply = completion.content || "No response";
       
       // Check if we got a valid response
       if (rawReply.trim() === "No response" || !rawReply) {
-        console.log(`Attempt ${retryCount + 1} failed: Empty response received`);
+        log.warn('Empty LLM response', { attempt: retryCount + 1 });
         retryCount++;
         
         // Add exponential backoff delay
         const delay = Math.min(1000 * 2 ** retryCount, 10000); // Max 10 second delay
-        console.log(`Waiting ${delay}ms before retry...`);
+        log.info('Retrying LLM request', { delayMs: delay });
         await new Promise(resolve => setTimeout(resolve, delay));
         continue;
       }
@@ -772,12 +2092,11 @@ async function makeAIRequest(messages) {
 
         // Parse the cleaned JSON content
         const parsedReply = JSON.parse(jsonContent);
-        perfMetrics.end('makeAIRequest');
 
         return parsedReply;
       } catch (e) {
-        console.error("Failed to parse response as JSON:", e);
-        console.log("Raw response:", rawReply);
+        log.error('Failed to parse LLM response as JSON', e);
+        log.debug('Raw LLM response', { response: rawReply });
         
         // If this was a parsing error, increment retry count
         retryCount++;
@@ -785,13 +2104,18 @@ async function makeAIRequest(messages) {
         
         // Add exponential backoff delay
         const delay = Math.min(1000 * 2 ** retryCount, 10000);
-        console.log(`Waiting ${delay}ms before retry...`);
+        log.info('Retrying LLM request', { delayMs: delay });
         await new Promise(resolve => setTimeout(resolve, delay));
-        perfMetrics.end('makeAIRequest');
         continue;
       }
     } catch (error) {
-      console.error(`Attempt ${retryCount + 1} failed with error:`, error);
+      log.error('LLM request failed', { attempt: retryCount + 1, error: error });
+
+      // Retrying won't help if the model can't take tools; let the caller fall back to text mode
+      if (error.toolsUnsupported) {
+        throw error;
+      }
+
       retryCount++;
       lastError = error;
       
@@ -802,108 +2126,2696 @@ async function makeAIRequest(messages) {
       
       // Add exponential backoff delay
       const delay = Math.min(1000 * 2 ** retryCount, 10000);
-      console.log(`Waiting ${delay}ms before retry...`);
+      log.info('Retrying LLM request', { delayMs: delay });
       await new Promise(resolve => setTimeout(resolve, delay));
-      perfMetrics.end('makeAIRequest');
     }
   }
-  perfMetrics.end('makeAIRequest');
-  console.error(`Failed after ${MAX_RETRIES} attempts`);
-  return { 
-    answer: `Error: Failed to communicate with AI service after ${MAX_RETRIES} attempts. Last error: ${lastError?.message || "Unknown error"}`, 
-    function: "", 
-    parameters: {} 
-  };
+  log.error('LLM request failed after all attempts', { attempts: MAX_RETRIES });
+  return { 
+    answer: `Error: Failed to communicate with AI service after ${MAX_RETRIES} attempts. Last error: ${lastError?.message || "Unknown error"}`, 
+    function: "", 
+    parameters: {} 
+  };
+}
+
+// Why a call may not run: the calling specialization can't use the tool, or the
+// arguments couldn't be parsed or don't match its schema. Returns
+// { error, validationErrors } or null.
+function checkToolCall(tool, functionCall, callingSpecialization, allowedTools) {
+  const { function: functionName, parameters } = functionCall;
+  if (!isToolAllowed(tool, callingSpecialization, allowedTools)) {
+    return { error: `Function ${functionName} is not available to the ${callingSpecialization} specialization` };
+  }
+
+  // Native tool calls can carry arguments the model failed to encode as JSON
+  if (functionCall.parseError) {
+    return { error: functionCall.parseError };
+  }
+
+  // Check the arguments against the tool's schema before running it
+  const validationErrors = validateToolArguments(tool, parameters);
+  if (validationErrors.length > 0) {
+    log.info('Invalid function parameters', { function: functionName, validationErrors: validationErrors });
+    return { error: `Invalid parameters for ${functionName}`, validationErrors: validationErrors };
+  }
+  return null;
+}
+
+// Run a single function call and build its result object
+async function runFunctionCall(functionCall, callingSpecialization, allowedTools) {
+  const { function: functionName, parameters } = functionCall;
+
+  log.info('Executing function', { function: functionName, parameters: parameters });
+  
+  const tool = getTool(functionName);
+  if (!tool) {
+    return { 
+      functionName: functionName,
+      error: `Function ${functionName} not found` 
+    };
+  }
+
+  const refusal = checkToolCall(tool, functionCall, callingSpecialization, allowedTools);
+  if (refusal) {
+    return {
+      functionName: functionName,
+      parameters: parameters,
+      success: false,
+      ...refusal
+    };
+  }
+  
+  // Hold destructive calls until the user confirms them
+  if (tool.confirm && (tool.alwaysConfirm || confirmationEnabled())) {
+    try {
+      const confirmation = await tool.confirm(parameters);
+      if (confirmation) {
+        const heldAction = await holdAction(functionName, parameters, confirmation, callingSpecialization);
+        return {
+          functionName: functionName,
+          parameters: parameters,
+          success: false,
+          error: 'Awaiting user confirmation',
+          awaitingConfirmation: heldAction
+        };
+      }
+    } catch (error) {
+      log.error(`Error checking confirmation for ${functionName}`, error);
+      return {
+        functionName: functionName,
+        parameters: parameters,
+        success: false,
+        error: `Could not check whether ${functionName} needs confirmation: ${error.message}`
+      };
+    }
+  }
+
+  try {
+    const result = await tool.handler(parameters);
+    log.info('Function completed', { function: functionName });
+    return {
+      functionName: functionName,
+      parameters: parameters,
+      success: result.success !== false,
+      data: result.data || result,
+      error: result.error || null,
+      ...(result.page ? { page: result.page } : {})
+    };
+  } catch (error) {
+    log.error(`Error executing function ${functionName}`, error);
+    return { 
+      functionName: functionName,
+      success: false,
+      error: `Failed to execute function ${functionName}: ${error.message}`
+    };
+  }
+}
+
+// Two calls conflict when they touch a shared resource and at least one of them writes
+function callsConflict(first, second) {
+  if (first.readOnly && second.readOnly) {
+    return false;
+  }
+  const firstResources = [].concat(first.resource);
+  return [].concat(second.resource).some(resource => firstResources.includes(resource));
+}
+
+// Run the requested functions and collect a result object per call, in request order.
+// Independent calls run concurrently; a call waits only for earlier calls it conflicts
+// with, so mutations on the same table (and reads that follow them) keep their order.
+async function runFunctionCalls(functionCalls, emit = () => {}) {
+  log.info('Executing functions (independent calls run in parallel)', { count: functionCalls.length });
+
+  // Tool access is checked against the specialization that requested the calls
+  const callingSpecialization = currentSpecialization;
+  const allowedTools = specializationAllowedTools;
+
+  const accesses = functionCalls.map(functionCall => getToolAccess(getTool(functionCall.function), functionCall.parameters));
+  const pending = [];
+
+  functionCalls.forEach((functionCall, index) => {
+    const dependencies = pending.filter((_, earlier) => callsConflict(accesses[earlier], accesses[index]));
+
+    pending.push(
+      Promise.all(dependencies).then(async () => {
+        emit('function_call', { index: index, function: functionCall.function, parameters: functionCall.parameters });
+        const result = await withSpan(`execute_tool ${functionCall.function}`, {
+          'gen_ai.operation.name': 'execute_tool',
+          'gen_ai.tool.name': functionCall.function,
+          'gen_ai.tool.call.id': functionCall.id,
+          'agent.iteration': getLogContext().iteration
+        }, async span => {
+          const callResult = await runFunctionCall(functionCall, callingSpecialization, allowedTools);
+          span.setAttributes({ 'tool.success': callResult.success === true, 'tool.awaiting_confirmation': Boolean(callResult.awaitingConfirmation) });
+          if (!callResult.success && !callResult.awaitingConfirmation) {
+            span.setStatus('error', callResult.error);
+          }
+          return callResult;
+        });
+        emit('function_result', {
+          index: index,
+          function: functionCall.function,
+          success: result.success === true,
+          data: result.data,
+          error: result.error || null,
+          awaitingConfirmation: result.awaitingConfirmation || null
+        });
+        return result;
+      })
+    );
+  });
+
+  return Promise.all(pending);
+}
+
+// Characters of data kept when an older function result is compacted
+const COMPACT_RESULT_LENGTH = 200;
+
+// Where a page of select, join or search rows sits in the full result
+function describePage(result) {
+  if (!result.page) {
+    return '';
+  }
+  const { offset, limit, total, more } = result.page;
+  const rows = Array.isArray(result.data) ? result.data.length : 0;
+  let text = `Rows ${rows > 0 ? `${offset + 1}-${offset + rows}` : 'none'} of ${total ?? 'an unknown number'}\n`;
+  if (more) {
+    text += `More rows match: use pagination {"offset": ${offset + rows}, "limit": ${limit}} for the next page\n`;
+  }
+  return text;
+}
+
+// Format one function result as readable text for the model
+function formatFunctionResult(result, index) {
+  const functionName = result.functionName;
+  const paramString = JSON.stringify(result.parameters);
+  let readableResults = "";
+  
+  readableResults += `Function Call ${index + 1}: ${functionName}(${paramString})\n`;
+  
+  if (result.success) {
+    readableResults += `Status: Success\n`;
+    // Page position first, so it survives when a long result is cut
+    readableResults += describePage(result);
+    if (result.data) {
+      if (typeof result.data === 'object') {
+        // Format database results nicely if they exist
+        if (result.data.data && Array.isArray(result.data.data)) {
+          readableResults += `Retrieved ${result.data.data.length} records:\n`;
+          result.data.data.forEach((item, i) => {
+            readableResults += `  Record ${i+1}: ${JSON.stringify(item)}\n`;
+          });
+        } else {
+          readableResults += `Data: ${JSON.stringify(result.data)}\n`;
+        }
+      } else {
+        readableResults += `Data: ${result.data}\n`;
+      }
+    }
+  } else if (result.awaitingConfirmation) {
+    readableResults += `Status: Awaiting confirmation\n`;
+    readableResults += `Held action: ${result.awaitingConfirmation.summary}\n`;
+    readableResults += `Preview of affected rows: ${JSON.stringify(result.awaitingConfirmation.preview)}\n`;
+    readableResults += `This call has NOT run and must not be repeated. Tell the user what will change and ask them to reply "yes" to confirm or "no" to cancel.\n`;
+  } else {
+    readableResults += `Status: Failed\n`;
+    readableResults += `Error: ${result.error}\n`;
+    if (result.validationErrors) {
+      readableResults += `Validation Errors: ${JSON.stringify(result.validationErrors)}\n`;
+    }
+  }
+  
+  readableResults += "\n";
+  return readableResults;
+}
+
+// The short form of a function result, used in place of older results when the
+// prompt is over its token budget
+function compactFunctionResult(result, index) {
+  const status = result.success ? 'Success'
+    : result.awaitingConfirmation ? `Awaiting confirmation (not run, do not repeat): ${result.awaitingConfirmation.summary}`
+    : `Failed: ${result.error}`;
+  let text = `Function Call ${index + 1}: ${result.functionName}(${JSON.stringify(result.parameters || {})})\nStatus: ${status}\n`;
+  if (result.success) {
+    text += describePage(result);
+  }
+  if (result.success && result.data) {
+    const data = typeof result.data === 'string' ? result.data : JSON.stringify(result.data);
+    text += data.length > COMPACT_RESULT_LENGTH
+      ? `Data (shortened; call the function again for all of it): ${data.slice(0, COMPACT_RESULT_LENGTH)}...\n`
+      : `Data: ${data}\n`;
+  }
+  return text + '\n';
+}
+
+// Mutation journal
+// Every write made through the agent's tools is journaled with the row's state
+// before and after the change, grouped by run, so a run's changes can be undone.
+
+const JOURNALED_ACTIONS = ['insert', 'update', 'delete', 'upsert'];
+const RECENT_CHANGES_LIMIT = 5;
+
+// Rows an update, delete or upsert is about to change
+async function captureBeforeImages(params) {
+  if (params.action === 'update' || params.action === 'delete') {
+    const { data, error } = await applyFilter(scopeToUser(supabase.from(params.from).select('*')), params.filter);
+    if (error) {
+      throw new Error(error.message);
+    }
+    return data || [];
+  }
+
+  if (params.action === 'upsert') {
+    // Match the rows the way the upsert will, on its conflict columns, so a row it
+    // overwrites is journaled as an update rather than an insert
+    const lookups = conflictingRowQueries(params.from, withOwner(params.data || []), upsertConflictColumns(params.options), '*');
+    const results = await Promise.all(lookups.map(lookup => scopeToUser(lookup)));
+    const failed = results.find(result => result.error);
+    if (failed) {
+      throw new Error(failed.error.message);
+    }
+    return results.flatMap(result => result.data || []);
+  }
+
+  return [];
+}
+
+// Journal a mutation, one entry per changed row. Inserts have no before image and
+// deletes no after image. A failed journal write is logged; the change has already happened.
+async function journalMutations(table, operation, beforeRows, afterRows) {
+  const before = new Map((beforeRows || []).map(row => [row.id, row]));
+  const entries = [];
+
+  if (operation === 'delete') {
+    (afterRows || beforeRows || []).forEach(row => {
+      entries.push({ row_id: row.id, before: before.get(row.id) || row, after: null });
+    });
+  } else {
+    (afterRows || []).forEach(row => {
+      entries.push({ row_id: row.id, before: before.get(row.id) || null, after: row });
+    });
+  }
+
+  if (entries.length === 0) {
+    return;
+  }
+
+  const { error } = await supabase
+    .from('mutation_journal')
+    .insert(entries.map(entry => withOwner({
+      ...entry,
+      run_id: currentRunId,
+      run_query: currentUserQuery,
+      table_name: table,
+      operation: operation
+    })));
+
+  if (error) {
+    log.error('Error writing the mutation journal', error);
+  }
+}
+
+// Delete every journal entry of a row, so its earlier states can't be restored
+async function purgeJournaledRow(table, rowId) {
+  const { error } = await supabase
+    .from('mutation_journal')
+    .delete()
+    .eq(OWNER_COLUMN, currentUserId)
+    .eq('table_name', table)
+    .eq('row_id', rowId);
+
+  if (error) {
+    throw new Error(`Could not clear the mutation journal: ${error.message}`);
+  }
+}
+
+// Journal that a row was forgotten, without its content. Undo refuses to restore it.
+async function journalForget(table, rowId) {
+  const { error } = await supabase
+    .from('mutation_journal')
+    .insert(withOwner({
+      run_id: currentRunId,
+      run_query: currentUserQuery,
+      table_name: table,
+      operation: 'forget',
+      row_id: rowId,
+      before: null,
+      after: null
+    }));
+
+  if (error) {
+    log.error('Error writing the mutation journal', error);
+  }
+}
+
+async function wasForgotten(table, rowId) {
+  const { data, error } = await supabase
+    .from('mutation_journal')
+    .select('id')
+    .eq(OWNER_COLUMN, currentUserId)
+    .eq('table_name', table)
+    .eq('row_id', rowId)
+    .eq('operation', 'forget')
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data.length > 0;
+}
+
+// Put one journaled row back the way it was before the change
+async function revertJournalEntry(entry) {
+  // Forgotten knowledge stays forgotten
+  if (entry.operation === 'forget' || (entry.before !== null && await wasForgotten(entry.table_name, entry.row_id))) {
+    throw new Error(`Row ${entry.row_id} of ${entry.table_name} was forgotten and can't be restored`);
+  }
+
+  // A sent email can't be taken back, so its draft stays as it was sent
+  if (entry.table_name === 'email_drafts') {
+    const draft = await getEmailDraft(entry.row_id);
+    if (draft && ['sending', 'sent'].includes(draft.status)) {
+      throw new Error(`Email draft ${entry.row_id} has been sent and can't be undone`);
+    }
+  }
+
+  if (entry.before === null) {
+    // The change created the row: remove it (and a created snippet's revisions)
+    if (entry.table_name === 'knowledge_snippets') {
+      const { error: revisionsError } = await supabase
+        .from('knowledge_revisions')
+        .delete()
+        .eq('snippet_id', entry.row_id)
+        .eq(OWNER_COLUMN, currentUserId);
+      if (revisionsError) {
+        throw new Error(`Could not delete the snippet's revisions: ${revisionsError.message}`);
+      }
+    }
+    const { error } = await supabase
+      .from(entry.table_name)
+      .delete()
+      .eq('id', entry.row_id)
+      .eq(OWNER_COLUMN, currentUserId);
+    if (error) {
+      throw new Error(error.message);
+    }
+    return;
+  }
+
+  // The change updated or deleted the row: write the before image back
+  const { data, error } = await supabase
+    .from(entry.table_name)
+    .upsert(withOwner(entry.before))
+    .select()
+    .single();
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  if (entry.table_name === 'knowledge_snippets') {
+    await recordKnowledgeRevision(data, 'undo');
+  }
+}
+
+// Undo a run's changes, newest first. Without a runId the most recent run with
+// changes that haven't been undone is chosen (never the run doing the undo, and
+// not one that only forgot knowledge, which can't be undone).
+async function undoLastChange(params = {}) {
+  try {
+    let runId = params.runId;
+    if (!runId) {
+      let latestQuery = supabase
+        .from('mutation_journal')
+        .select('run_id')
+        .eq(OWNER_COLUMN, currentUserId)
+        .neq('operation', 'forget')
+        .is('undone_at', null);
+      if (currentRunId) {
+        latestQuery = latestQuery.neq('run_id', currentRunId);
+      }
+      const { data: latest, error: latestError } = await latestQuery
+        .order('id', { ascending: false })
+        .limit(1);
+
+      if (latestError) {
+        return { success: false, error: latestError.message };
+      }
+      if (!latest || latest.length === 0) {
+        return { success: false, error: 'No changes found to undo' };
+      }
+      runId = latest[0].run_id;
+    }
+
+    const { data: entries, error } = await supabase
+      .from('mutation_journal')
+      .select('*')
+      .eq(OWNER_COLUMN, currentUserId)
+      .eq('run_id', runId)
+      .is('undone_at', null)
+      .order('id', { ascending: false });
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    if (!entries || entries.length === 0) {
+      return { success: false, error: `No changes found to undo for run ${runId}` };
+    }
+
+    const reverted = [];
+    const conflicts = [];
+    const failed = [];
+
+    for (const entry of entries) {
+      // A later run changed the same row again; undoing this entry would overwrite that
+      const { data: laterChanges, error: laterError } = await supabase
+        .from('mutation_journal')
+        .select('id')
+        .eq(OWNER_COLUMN, currentUserId)
+        .eq('table_name', entry.table_name)
+        .eq('row_id', entry.row_id)
+        .neq('run_id', runId)
+        .gt('id', entry.id)
+        .is('undone_at', null)
+        .limit(1);
+
+      const description = { table: entry.table_name, id: entry.row_id, operation: entry.operation };
+      if (laterError) {
+        failed.push({ ...description, error: laterError.message });
+        continue;
+      }
+      if (laterChanges && laterChanges.length > 0) {
+        conflicts.push(description);
+        continue;
+      }
+
+      try {
+        await revertJournalEntry(entry);
+      } catch (revertError) {
+        failed.push({ ...description, error: revertError.message });
+        continue;
+      }
+
+      // Without the mark the entry would be undone again, over whatever comes next
+      const { error: markError } = await supabase
+        .from('mutation_journal')
+        .update({ undone_at: new Date().toISOString() })
+        .eq('id', entry.id)
+        .eq(OWNER_COLUMN, currentUserId);
+      if (markError) {
+        failed.push({ ...description, error: `Reverted, but could not mark the change as undone: ${markError.message}` });
+        continue;
+      }
+      reverted.push(description);
+    }
+
+    return {
+      success: failed.length === 0,
+      error: failed.length > 0 ? `Could not undo ${failed.length} change(s)` : null,
+      data: {
+        runId: runId,
+        query: entries[0].run_query,
+        reverted: reverted,
+        conflicts: conflicts,
+        failed: failed
+      }
+    };
+  } catch (error) {
+    log.error('Undo Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Recent runs that changed data, newest first, with their changes
+async function listRecentChanges(params = {}) {
+  const limit = params.limit || RECENT_CHANGES_LIMIT;
+
+  // Journal entries of the most recent runs; a run has one entry per changed row
+  const { data, error } = await supabase
+    .from('mutation_journal')
+    .select('id, run_id, run_query, table_name, operation, row_id, created_at, undone_at')
+    .eq(OWNER_COLUMN, currentUserId)
+    .order('id', { ascending: false })
+    .limit(limit * 20);
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+
+  const runs = [];
+  (data || []).forEach(entry => {
+    let run = runs.find(candidate => candidate.runId === entry.run_id);
+    if (!run) {
+      if (runs.length >= limit) {
+        return;
+      }
+      run = { runId: entry.run_id, query: entry.run_query, changedAt: entry.created_at, undone: true, changes: [] };
+      runs.push(run);
+    }
+    run.undone = run.undone && Boolean(entry.undone_at);
+    run.changes.push({ table: entry.table_name, id: entry.row_id, operation: entry.operation, undone: Boolean(entry.undone_at) });
+  });
+
+  return { success: true, data: runs };
+}
+
+// Reminders
+// scheduleReminder stores a reminder with its next occurrence (occurrence_at) and
+// the time it is delivered (due_at, which snoozing moves). The scheduled handler
+// delivers due reminders through their notifier and moves recurring ones on to
+// their next occurrence.
+
+// Reminders delivered per scheduled run
+const REMINDER_BATCH_SIZE = 50;
+// Delay before a failed delivery is retried, and the number of attempts before giving up
+const REMINDER_RETRY_MINUTES = 5;
+const REMINDER_MAX_ATTEMPTS = 5;
+const DEFAULT_SNOOZE = 'in 10 minutes';
+const REMINDER_STATUSES = ['scheduled', 'delivered', 'cancelled', 'failed'];
+
+// Time zone for reminders: the one given, else the request's, else DEFAULT_TIMEZONE, else UTC
+function reminderTimezone(requested) {
+  const timezone = requested || currentTimezone || process.env.DEFAULT_TIMEZONE || 'UTC';
+  if (!isValidTimeZone(timezone)) {
+    throw new Error(`Invalid time zone: ${timezone} (use an IANA name like Europe/Berlin)`);
+  }
+  return timezone;
+}
+
+// A reminder row as shown to the model, with times in the reminder's time zone
+function describeReminder(reminder) {
+  return {
+    id: reminder.id,
+    message: reminder.message,
+    status: reminder.status,
+    due: formatLocalTime(new Date(reminder.due_at), reminder.timezone),
+    dueAt: reminder.due_at,
+    repeats: describeRecurrence(reminder.recurrence),
+    recurrence: reminder.recurrence,
+    timezone: reminder.timezone,
+    channel: reminder.channel || null,
+    deliveries: reminder.delivery_count || 0
+  };
+}
+
+async function getReminder(id) {
+  const { data, error } = await supabase
+    .from('reminders')
+    .select('*')
+    .eq('id', id)
+    .eq(OWNER_COLUMN, currentUserId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data;
+}
+
+// Update one of the current user's reminders and journal the change
+async function updateReminder(reminder, changes) {
+  const { data, error } = await supabase
+    .from('reminders')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', reminder.id)
+    .eq(OWNER_COLUMN, currentUserId)
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  await journalMutations('reminders', 'update', [reminder], [data]);
+  return data;
+}
+
+async function scheduleReminder(params) {
+  try {
+    if (!params.message || !params.when) {
+      throw new Error('Missing required parameters: "message" and "when"');
+    }
+    const timezone = reminderTimezone(params.timezone);
+    const schedule = parseReminderSchedule({ when: params.when, recurrence: params.recurrence, timeZone: timezone });
+    if (params.channel) {
+      getNotifier(params.channel);
+    }
+
+    const { data, error } = await supabase
+      .from('reminders')
+      .insert(withOwner({
+        message: params.message,
+        timezone: timezone,
+        recurrence: schedule.recurrence,
+        occurrence_at: schedule.occurrenceAt.toISOString(),
+        due_at: schedule.occurrenceAt.toISOString(),
+        channel: params.channel || null,
+        status: 'scheduled',
+        delivery_count: 0,
+        attempts: 0
+      }))
+      .select()
+      .single();
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    await journalMutations('reminders', 'insert', [], [data]);
+
+    return {
+      success: true,
+      data: {
+        message: 'Reminder scheduled',
+        reminder: describeReminder(data)
+      }
+    };
+  } catch (error) {
+    log.error('Reminder Scheduling Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function listReminders(params = {}) {
+  try {
+    const status = params.status || 'scheduled';
+    if (status !== 'all' && !REMINDER_STATUSES.includes(status)) {
+      throw new Error(`Invalid status: ${status} (use one of ${[...REMINDER_STATUSES, 'all'].join(', ')})`);
+    }
+
+    let query = supabase
+      .from('reminders')
+      .select('*')
+      .eq(OWNER_COLUMN, currentUserId);
+    if (status !== 'all') {
+      query = query.eq('status', status);
+    }
+    const { data, error } = await query
+      .order('due_at', { ascending: status === 'scheduled' })
+      .limit(params.limit || 20);
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    return { success: true, data: (data || []).map(describeReminder) };
+  } catch (error) {
+    log.error('Reminder List Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Deliver a reminder again later. A delivered one-off reminder is scheduled again;
+// for a recurring one only the next delivery moves, the series keeps its times.
+async function snoozeReminder(params) {
+  try {
+    const reminder = await getReminder(params.id);
+    if (!reminder) {
+      return { success: false, error: 'Reminder not found' };
+    }
+    if (!['scheduled', 'delivered'].includes(reminder.status)) {
+      return { success: false, error: `Reminder ${reminder.id} is ${reminder.status} and can't be snoozed` };
+    }
+
+    // "15 minutes" is read as "in 15 minutes"
+    const until = String(params.until || DEFAULT_SNOOZE).trim();
+    const dueAt = parseReminderTime(/^[\d.]+\s*[a-z]+$|^an?\s+[a-z]+$/i.test(until) ? `in ${until}` : until, {
+      timeZone: reminder.timezone
+    });
+
+    const changes = { due_at: dueAt.toISOString(), status: 'scheduled', attempts: 0 };
+    if (!reminder.recurrence) {
+      changes.occurrence_at = dueAt.toISOString();
+    }
+    const updated = await updateReminder(reminder, changes);
+
+    return {
+      success: true,
+      data: {
+        message: 'Reminder snoozed',
+        reminder: describeReminder(updated)
+      }
+    };
+  } catch (error) {
+    log.error('Reminder Snooze Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function cancelReminder(params) {
+  try {
+    const reminder = await getReminder(params.id);
+    if (!reminder) {
+      return { success: false, error: 'Reminder not found' };
+    }
+    if (reminder.status === 'cancelled') {
+      return { success: true, data: { message: 'Reminder was already cancelled', reminder: describeReminder(reminder) } };
+    }
+
+    const updated = await updateReminder(reminder, { status: 'cancelled' });
+    return {
+      success: true,
+      data: {
+        message: 'Reminder cancelled',
+        reminder: describeReminder(updated)
+      }
+    };
+  } catch (error) {
+    log.error('Reminder Cancel Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Deliver one due reminder. It is claimed first by moving due_at to the retry
+// time, so overlapping scheduled runs don't deliver it twice and a run that dies
+// mid-delivery leaves it to be retried.
+async function deliverReminder(reminder, now) {
+  const retryAt = new Date(now.getTime() + REMINDER_RETRY_MINUTES * 60 * 1000).toISOString();
+  const { data: claimed, error: claimError } = await supabase
+    .from('reminders')
+    .update({ due_at: retryAt, updated_at: now.toISOString() })
+    .eq('id', reminder.id)
+    .eq('status', 'scheduled')
+    .eq('due_at', reminder.due_at)
+    .select('id');
+
+  if (claimError) {
+    return { id: reminder.id, status: 'failed', error: claimError.message };
+  }
+  if (!claimed || claimed.length === 0) {
+    return { id: reminder.id, status: 'skipped' };
+  }
+
+  try {
+    await getNotifier(reminder.channel).send({
+      userId: reminder[OWNER_COLUMN],
+      reminderId: reminder.id,
+      message: reminder.message,
+      dueAt: reminder.due_at,
+      occurrenceAt: reminder.occurrence_at,
+      recurrence: reminder.recurrence,
+      timezone: reminder.timezone
+    });
+  } catch (error) {
+    const attempts = (reminder.attempts || 0) + 1;
+    log.error(`Reminder ${reminder.id} delivery failed (attempt ${attempts})`, error);
+    await supabase
+      .from('reminders')
+      .update({
+        attempts: attempts,
+        last_error: error.message,
+        status: attempts >= REMINDER_MAX_ATTEMPTS ? 'failed' : 'scheduled'
+      })
+      .eq('id', reminder.id);
+    return { id: reminder.id, status: 'failed', error: error.message };
+  }
+
+  const changes = { attempts: 0, last_error: null, last_delivered_at: now.toISOString(), updated_at: now.toISOString() };
+  const occurrenceAt = new Date(reminder.occurrence_at);
+
+  if (new Date(reminder.due_at) < occurrenceAt) {
+    // A snoozed earlier occurrence: the series carries on as scheduled
+    changes.due_at = reminder.occurrence_at;
+  } else {
+    let deliveryCount = (reminder.delivery_count || 0) + 1;
+    let next = reminder.recurrence ? nextOccurrence(reminder.recurrence, occurrenceAt, reminder.timezone, deliveryCount) : null;
+    // Occurrences missed while nothing was delivering are skipped, not sent in a burst
+    while (next && next <= now) {
+      deliveryCount++;
+      next = nextOccurrence(reminder.recurrence, next, reminder.timezone, deliveryCount);
+    }
+    changes.delivery_count = deliveryCount;
+    if (next) {
+      changes.occurrence_at = next.toISOString();
+      changes.due_at = next.toISOString();
+    } else {
+      changes.status = 'delivered';
+    }
+  }
+
+  const { error } = await supabase
+    .from('reminders')
+    .update(changes)
+    .eq('id', reminder.id);
+  if (error) {
+    log.error(`Error updating delivered reminder ${reminder.id}`, error);
+  }
+  return { id: reminder.id, status: 'delivered', next: changes.status === 'delivered' ? null : changes.due_at };
+}
+
+// Deliver every user's due reminders. This runs outside any user's request, so it
+// is the one place that reads reminders across owners.
+async function deliverDueReminders(now = new Date()) {
+  const { data: due, error } = await supabase
+    .from('reminders')
+    .select('*')
+    .eq('status', 'scheduled')
+    .lte('due_at', now.toISOString())
+    .order('due_at', { ascending: true })
+    .limit(REMINDER_BATCH_SIZE);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+
+  const results = [];
+  for (const reminder of due || []) {
+    results.push(await deliverReminder(reminder, now));
+  }
+
+  return {
+    due: results.length,
+    delivered: results.filter(result => result.status === 'delivered').length,
+    failed: results.filter(result => result.status === 'failed').length,
+    results: results
+  };
+}
+
+// Email
+// draftEmail and reviseEmailDraft store drafts in email_drafts, resolving recipient
+// names through the user's contacts. sendEmailDraft is always held for the user's
+// approval and sends through the transport from emailTransports.mjs. Drafts are
+// journaled like other changes, but a sent email can't be undone.
+
+// Turn recipients (addresses, "Name <address>" or contact names) into { name, email }
+async function resolveRecipients(recipients) {
+  const resolved = [];
+  for (const recipient of recipients || []) {
+    const text = String(recipient).trim();
+    if (text.includes('@')) {
+      resolved.push(parseAddress(text));
+      continue;
+    }
+
+    const { data, error } = await supabase
+      .from('contacts')
+      .select('name, email')
+      .eq(OWNER_COLUMN, currentUserId)
+      .ilike('name', `%${escapeLikePattern(text)}%`)
+      .limit(10);
+    if (error) {
+      throw new Error(error.message);
+    }
+
+    // An exact name wins over partial matches: "Sam" over "Samantha"
+    const exact = (data || []).filter(contact => contact.name.toLowerCase() === text.toLowerCase());
+    const matches = exact.length > 0 ? exact : data || [];
+    if (matches.length === 0) {
+      throw new Error(`No contact found for "${text}"; give an email address or add them to contacts`);
+    }
+    if (matches.length > 1) {
+      throw new Error(`Several contacts match "${text}": ${matches.map(contact => contact.name).join(', ')}`);
+    }
+    if (!matches[0].email) {
+      throw new Error(`Contact ${matches[0].name} has no email address`);
+    }
+    resolved.push(parseAddress(`${matches[0].name} <${matches[0].email}>`));
+  }
+  return resolved;
+}
+
+// A draft as shown to the model and the user
+function describeEmailDraft(draft) {
+  return {
+    id: draft.id,
+    version: draft.version,
+    status: draft.status,
+    to: (draft.to_addresses || []).map(formatAddress),
+    cc: (draft.cc_addresses || []).map(formatAddress),
+    subject: draft.subject,
+    body: draft.body,
+    sentAt: draft.sent_at || null,
+    error: draft.error || null
+  };
+}
+
+async function getEmailDraft(id) {
+  const { data, error } = await supabase
+    .from('email_drafts')
+    .select('*')
+    .eq('id', id)
+    .eq(OWNER_COLUMN, currentUserId)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data;
+}
+
+async function draftEmail(params) {
+  try {
+    const to = await resolveRecipients(params.to);
+    if (to.length === 0) {
+      throw new Error('Missing required parameter: "to"');
+    }
+    const cc = await resolveRecipients(params.cc);
+
+    const { data, error } = await supabase
+      .from('email_drafts')
+      .insert(withOwner({
+        to_addresses: to,
+        cc_addresses: cc,
+        subject: params.subject,
+        body: params.body,
+        status: 'draft',
+        version: 1
+      }))
+      .select()
+      .single();
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    await journalMutations('email_drafts', 'insert', [], [data]);
+
+    return {
+      success: true,
+      data: {
+        message: 'Draft saved. Nothing has been sent yet',
+        draft: describeEmailDraft(data)
+      }
+    };
+  } catch (error) {
+    log.error('Email Draft Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+async function reviseEmailDraft(params) {
+  try {
+    const draft = await getEmailDraft(params.draftId);
+    if (!draft) {
+      return { success: false, error: 'Email draft not found' };
+    }
+    if (!['draft', 'failed'].includes(draft.status)) {
+      return { success: false, error: `Email draft ${draft.id} is ${draft.status} and can't be changed` };
+    }
+
+    const changes = { status: 'draft', error: null, version: draft.version + 1, updated_at: new Date().toISOString() };
+    if (params.to) changes.to_addresses = await resolveRecipients(params.to);
+    if (params.cc) changes.cc_addresses = await resolveRecipients(params.cc);
+    if (params.subject !== undefined) changes.subject = params.subject;
+    if (params.body !== undefined) changes.body = params.body;
+
+    // The version check keeps two revisions from overwriting each other
+    const { data, error } = await supabase
+      .from('email_drafts')
+      .update(changes)
+      .eq('id', draft.id)
+      .eq(OWNER_COLUMN, currentUserId)
+      .eq('version', draft.version)
+      .select();
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    if (!data || data.length === 0) {
+      return { success: false, error: `Email draft ${draft.id} changed while it was being revised; read it again` };
+    }
+    await journalMutations('email_drafts', 'update', [draft], data);
+
+    return {
+      success: true,
+      data: {
+        message: 'Draft revised. Nothing has been sent yet',
+        draft: describeEmailDraft(data[0])
+      }
+    };
+  } catch (error) {
+    log.error('Email Revision Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Confirmation preview for sendEmailDraft: the whole email. Drafts that can't be
+// sent return null, so the handler reports why.
+async function previewEmailSend(params) {
+  const draft = await getEmailDraft(params.draftId);
+  if (!draft || !['draft', 'failed'].includes(draft.status) || draft.version !== params.version) {
+    return null;
+  }
+  const { to, cc, subject, body } = describeEmailDraft(draft);
+  return {
+    summary: `send the email "${subject}" to ${to.join(', ')}`,
+    affectedRows: 1,
+    preview: [{ to, cc, subject, body }]
+  };
+}
+
+async function sendEmailDraft(params) {
+  try {
+    const draft = await getEmailDraft(params.draftId);
+    if (!draft) {
+      return { success: false, error: 'Email draft not found' };
+    }
+    if (!['draft', 'failed'].includes(draft.status)) {
+      return { success: false, error: `Email draft ${draft.id} is ${draft.status} and can't be sent again` };
+    }
+    if (draft.version !== params.version) {
+      return {
+        success: false,
+        error: `Email draft ${draft.id} is at version ${draft.version}, not the approved version ${params.version}; show the user the current draft`
+      };
+    }
+    const transport = getEmailTransport();
+
+    // Claim the draft so a repeated approval can't send it twice
+    const { data: claimed, error: claimError } = await supabase
+      .from('email_drafts')
+      .update({ status: 'sending', updated_at: new Date().toISOString() })
+      .eq('id', draft.id)
+      .eq(OWNER_COLUMN, currentUserId)
+      .eq('version', draft.version)
+      .in('status', ['draft', 'failed'])
+      .select('id');
+
+    if (claimError) {
+      return { success: false, error: claimError.message };
+    }
+    if (!claimed || claimed.length === 0) {
+      return { success: false, error: `Email draft ${draft.id} changed while it was being sent` };
+    }
+
+    let sent;
+    let sendError = null;
+    try {
+      sent = await transport.send({
+        from: getSenderAddress(),
+        to: draft.to_addresses,
+        cc: draft.cc_addresses || [],
+        subject: draft.subject,
+        text: draft.body
+      });
+    } catch (error) {
+      log.error(`Error sending email draft ${draft.id}`, error);
+      sendError = error.message;
+    }
+
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('email_drafts')
+      .update(sendError
+        ? { status: 'failed', error: sendError, updated_at: now }
+        : { status: 'sent', sent_at: now, message_id: sent.messageId, transport: sent.transport, error: null, updated_at: now })
+      .eq('id', draft.id)
+      .eq(OWNER_COLUMN, currentUserId)
+      .select()
+      .single();
+
+    if (sendError) {
+      return { success: false, error: `Send failed: ${sendError}` };
+    }
+    if (error) {
+      log.error(`Email draft ${draft.id} was sent but its status wasn't saved`, error);
+    }
+    return {
+      success: true,
+      data: {
+        message: 'Email sent',
+        draft: describeEmailDraft(data || { ...draft, status: 'sent', sent_at: now })
+      }
+    };
+  } catch (error) {
+    log.error('Email Send Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Location history
+// Phones post batches of pings to POST /locations; they are stored in
+// location_history. Places are named circles in places. Arriving at a place
+// whose tags have a suggestion rule surfaces the matching lists, in the response
+// and through the place's notifier. locations.mjs parses pings and groups visits.
+
+const LOCATION_BATCH_LIMIT = 1000;
+const LOCATION_HISTORY_DAYS = 30;
+// Pings read per history query; the oldest are left out beyond this
+const LOCATION_SCAN_LIMIT = 5000;
+// Arrivals older than this (a batch sent late) don't surface suggestions
+const LOCATION_SUGGESTION_MAX_AGE_MINUTES = 15;
+const LOCATION_SUGGESTION_COOLDOWN_MINUTES = Number(process.env.LOCATION_SUGGESTION_COOLDOWN_MINUTES) || 120;
+const LOCATION_SUGGESTION_ITEMS = 10;
+
+// Place tags and the lists surfaced on arrival, overridable with LOCATION_SUGGESTIONS (JSON)
+function locationSuggestionRules() {
+  const defaults = { grocery: ['shopping_list'], errands: ['todo_list'] };
+  if (!process.env.LOCATION_SUGGESTIONS) {
+    return defaults;
+  }
+  try {
+    return Object.fromEntries(Object.entries(JSON.parse(process.env.LOCATION_SUGGESTIONS))
+      .map(([tag, tables]) => [tag.toLowerCase(), [].concat(tables)]));
+  } catch (error) {
+    log.error('Invalid LOCATION_SUGGESTIONS value', error);
+    return defaults;
+  }
+}
+
+function describePlace(place) {
+  return {
+    id: place.id,
+    name: place.name,
+    latitude: place.latitude,
+    longitude: place.longitude,
+    radiusMeters: place.radius_m,
+    tags: place.tags || []
+  };
+}
+
+async function getPlaces() {
+  const { data, error } = await supabase
+    .from('places')
+    .select('*')
+    .eq(OWNER_COLUMN, currentUserId);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data || [];
+}
+
+// The place a name refers to: an exact name, else the only partial match
+function findPlace(places, name) {
+  const text = name.trim().toLowerCase();
+  const exact = places.filter(place => place.name.toLowerCase() === text);
+  const matches = exact.length > 0 ? exact : places.filter(place => place.name.toLowerCase().includes(text));
+  if (matches.length === 0) {
+    throw new Error(`No saved place matches "${name}"; save it with savePlace first`);
+  }
+  if (matches.length > 1) {
+    throw new Error(`Several places match "${name}": ${matches.map(place => place.name).join(', ')}`);
+  }
+  return matches[0];
+}
+
+async function latestLocation(before) {
+  let query = supabase
+    .from('location_history')
+    .select('latitude, longitude, accuracy, recorded_at')
+    .eq(OWNER_COLUMN, currentUserId);
+  if (before) {
+    query = query.lt('recorded_at', before.toISOString());
+  }
+  const { data, error } = await query
+    .order('recorded_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// Store a batch of pings and surface suggestions for the places just arrived at
+async function ingestLocations(payload) {
+  try {
+    const pings = parseLocationPings(payload);
+    if (pings.length === 0) {
+      return { success: false, error: 'Invalid location batch: no pings' };
+    }
+    if (pings.length > LOCATION_BATCH_LIMIT) {
+      return { success: false, error: `Invalid location batch: more than ${LOCATION_BATCH_LIMIT} pings` };
+    }
+    const first = pings[0].recordedAt;
+    const last = pings[pings.length - 1].recordedAt;
+
+    // Pings already stored (a phone resending a batch) are skipped
+    const { data: existing, error: existingError } = await supabase
+      .from('location_history')
+      .select('recorded_at')
+      .eq(OWNER_COLUMN, currentUserId)
+      .gte('recorded_at', first.toISOString())
+      .lte('recorded_at', last.toISOString());
+    if (existingError) {
+      return { success: false, error: existingError.message };
+    }
+    const stored = new Set((existing || []).map(row => new Date(row.recorded_at).getTime()));
+    const fresh = pings.filter(ping => !stored.has(ping.recordedAt.getTime()));
+
+    const previous = await latestLocation(first);
+    const places = await getPlaces();
+
+    if (fresh.length > 0) {
+      const source = typeof payload?.source === 'string' ? payload.source : null;
+      const { error } = await supabase
+        .from('location_history')
+        .insert(fresh.map(ping => withOwner({
+          latitude: ping.latitude,
+          longitude: ping.longitude,
+          accuracy: ping.accuracy,
+          recorded_at: ping.recordedAt.toISOString(),
+          source: source
+        })));
+      if (error) {
+        return { success: false, error: error.message };
+      }
+    }
+
+    // An arrival is a new ping in a place the ping before it wasn't in
+    const arrivals = [];
+    let previousPlace = previous ? matchPlace(previous, places) : null;
+    for (const ping of pings) {
+      const place = matchPlace(ping, places);
+      if (place && place.id !== previousPlace?.id && !stored.has(ping.recordedAt.getTime())) {
+        arrivals.push({ place: place, at: ping.recordedAt });
+      }
+      previousPlace = place;
+    }
+    const currentPlace = matchPlace(pings[pings.length - 1], places);
+
+    return {
+      success: true,
+      data: {
+        stored: fresh.length,
+        duplicates: pings.length - fresh.length,
+        currentPlace: currentPlace ? currentPlace.name : null,
+        arrivals: arrivals.map(arrival => ({ place: arrival.place.name, at: arrival.at.toISOString() })),
+        suggestions: await surfaceLocationSuggestions(arrivals)
+      }
+    };
+  } catch (error) {
+    log.error('Location Ingest Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Send the lists that belong to each place just arrived at, at most once per
+// cooldown period per place
+async function surfaceLocationSuggestions(arrivals) {
+  const rules = locationSuggestionRules();
+  const now = new Date();
+  const suggestions = [];
+  const surfaced = new Set();
+
+  for (const { place, at } of arrivals) {
+    const recent = now - at <= LOCATION_SUGGESTION_MAX_AGE_MINUTES * 60 * 1000;
+    const cooledDown = !place.last_suggested_at
+      || now - new Date(place.last_suggested_at) >= LOCATION_SUGGESTION_COOLDOWN_MINUTES * 60 * 1000;
+    if (!recent || !cooledDown || surfaced.has(place.id)) {
+      continue;
+    }
+    surfaced.add(place.id);
+
+    const tables = [...new Set((place.tags || []).flatMap(tag => rules[String(tag).toLowerCase()] || []))];
+    const placeSuggestions = [];
+    for (const table of tables) {
+      const { data, error } = await scopeToUser(supabase.from(table).select('*'))
+        .order('created_at', { ascending: true })
+        .limit(LOCATION_SUGGESTION_ITEMS);
+      if (error) {
+        log.error(`Error reading ${table} for a location suggestion`, error);
+        continue;
+      }
+      const items = (data || []).map(row => row.description || row.name).filter(Boolean);
+      if (items.length > 0) {
+        const label = table.replace(/_/g, ' ');
+        placeSuggestions.push({
+          place: place.name,
+          table: table,
+          items: items,
+          message: `You're at ${place.name}. ${label[0].toUpperCase()}${label.slice(1)}: ${items.join(', ')}`
+        });
+      }
+    }
+    if (placeSuggestions.length === 0) {
+      continue;
+    }
+    suggestions.push(...placeSuggestions);
+
+    try {
+      await getNotifier(place.channel || undefined).send({
+        type: 'location',
+        title: place.name,
+        userId: currentUserId,
+        placeId: place.id,
+        place: place.name,
+        message: placeSuggestions.map(suggestion => suggestion.message).join('\n')
+      });
+    } catch (error) {
+      log.error(`Error sending the suggestion for ${place.name}`, error);
+    }
+    await supabase
+      .from('places')
+      .update({ last_suggested_at: now.toISOString() })
+      .eq('id', place.id)
+      .eq(OWNER_COLUMN, currentUserId);
+  }
+  return suggestions;
+}
+
+async function savePlace(params) {
+  try {
+    const places = await getPlaces();
+    const existing = places.find(place => place.name.toLowerCase() === params.name.trim().toLowerCase()) || null;
+
+    const changes = { name: params.name.trim() };
+    if (params.latitude !== undefined || params.longitude !== undefined) {
+      if (params.latitude === undefined || params.longitude === undefined) {
+        throw new Error('Give both latitude and longitude, or neither to use the current location');
+      }
+      changes.latitude = params.latitude;
+      changes.longitude = params.longitude;
+    } else if (!existing || params.atCurrentLocation) {
+      const latest = await latestLocation();
+      if (!latest) {
+        return { success: false, error: 'No location history found; give latitude and longitude' };
+      }
+      changes.latitude = latest.latitude;
+      changes.longitude = latest.longitude;
+    }
+    if (params.radiusMeters !== undefined) changes.radius_m = params.radiusMeters;
+    if (params.tags !== undefined) changes.tags = params.tags.map(tag => tag.trim().toLowerCase());
+
+    let data;
+    let error;
+    if (existing) {
+      ({ data, error } = await supabase
+        .from('places')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .eq(OWNER_COLUMN, currentUserId)
+        .select()
+        .single());
+    } else {
+      ({ data, error } = await supabase
+        .from('places')
+        .insert(withOwner({ radius_m: DEFAULT_PLACE_RADIUS_METERS, tags: [], ...changes }))
+        .select()
+        .single());
+    }
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    await journalMutations('places', existing ? 'update' : 'insert', existing ? [existing] : [], [data]);
+
+    return {
+      success: true,
+      data: {
+        message: existing ? 'Place updated' : 'Place saved',
+        place: describePlace(data)
+      }
+    };
+  } catch (error) {
+    log.error('Place Save Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Visits to saved places, newest first, and the latest ping
+async function getLocationHistory(params = {}) {
+  try {
+    const days = params.days || LOCATION_HISTORY_DAYS;
+    const places = await getPlaces();
+    const place = params.place ? findPlace(places, params.place) : null;
+
+    let query = supabase
+      .from('location_history')
+      .select('latitude, longitude, accuracy, recorded_at')
+      .eq(OWNER_COLUMN, currentUserId)
+      .gte('recorded_at', new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString());
+    if (place) {
+      const box = boundingBox(place, place.radius_m || DEFAULT_PLACE_RADIUS_METERS);
+      query = query
+        .gte('latitude', box.minLatitude)
+        .lte('latitude', box.maxLatitude)
+        .gte('longitude', box.minLongitude)
+        .lte('longitude', box.maxLongitude);
+    }
+    const { data, error } = await query
+      .order('recorded_at', { ascending: false })
+      .limit(LOCATION_SCAN_LIMIT);
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+
+    const pings = (data || []).reverse();
+    const timezone = reminderTimezone();
+    const visits = groupVisits(pings, place ? [place] : places)
+      .reverse()
+      .slice(0, params.limit || 10)
+      .map(visit => ({
+        place: visit.place.name,
+        arrived: formatLocalTime(visit.arrivedAt, timezone),
+        left: formatLocalTime(visit.leftAt, timezone),
+        minutes: Math.round((visit.leftAt - visit.arrivedAt) / 60000)
+      }));
+
+    const result = { days: days, visits: visits };
+    if (place) {
+      result.place = describePlace(place);
+      if (visits.length === 0) {
+        result.message = `No visits to ${place.name} in the last ${days} days`;
+      }
+    } else {
+      const latest = await latestLocation();
+      const latestPlace = latest ? matchPlace(latest, places) : null;
+      result.lastSeen = latest
+        ? { at: formatLocalTime(new Date(latest.recorded_at), timezone), place: latestPlace ? latestPlace.name : null, latitude: latest.latitude, longitude: latest.longitude }
+        : null;
+    }
+    return { success: true, data: result };
+  } catch (error) {
+    log.error('Location History Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Projects and goals
+// Projects and goals share one shape: a name, status, target date, percent complete
+// and numbered milestones (in milestones, linked by project_id or goal_id). Goals
+// can belong to a project, and to-do items link to either through the same columns.
+// Progress follows the milestones unless it is set by hand. Dates are calendar
+// dates in the user's time zone.
+
+const PLAN_TYPES = {
+  project: { table: 'projects', column: 'project_id' },
+  goal: { table: 'goals', column: 'goal_id' }
+};
+
+// Parse a due or target date in the user's time zone
+function planDate(text) {
+  return parseLocalDate(text, { timeZone: reminderTimezone() });
+}
+
+function milestoneRows(type, itemId, milestones, firstPosition) {
+  return (milestones || []).map((milestone, index) => withOwner({
+    [PLAN_TYPES[type].column]: itemId,
+    position: firstPosition + index,
+    title: typeof milestone === 'string' ? milestone : milestone.title,
+    due_date: typeof milestone === 'object' && milestone.dueDate ? planDate(milestone.dueDate) : null
+  }));
+}
+
+// Percent of milestones done, or null when there are none
+function milestoneProgress(milestones) {
+  if (milestones.length === 0) {
+    return null;
+  }
+  return Math.round(milestones.filter(milestone => milestone.done_at).length * 100 / milestones.length);
+}
+
+// The project or goal a name or id refers to. A name is matched exactly first,
+// then partially; ids and names that could mean several items are errors.
+async function findPlanItem(reference, type) {
+  const types = type ? [type] : Object.keys(PLAN_TYPES);
+  const byId = typeof reference === 'number' || /^\d+$/.test(String(reference).trim());
+  const matches = [];
+
+  for (const candidateType of types) {
+    let query = supabase
+      .from(PLAN_TYPES[candidateType].table)
+      .select('*')
+      .eq(OWNER_COLUMN, currentUserId);
+    query = byId
+      ? query.eq('id', Number(reference))
+      : query.ilike('name', `%${escapeLikePattern(String(reference).trim())}%`);
+    const { data, error } = await query.limit(10);
+    if (error) {
+      throw new Error(error.message);
+    }
+    (data || []).forEach(row => matches.push({ type: candidateType, row: row }));
+  }
+
+  const name = String(reference).trim().toLowerCase();
+  const exact = matches.filter(match => !byId && match.row.name.toLowerCase() === name);
+  const candidates = exact.length > 0 ? exact : matches;
+  if (candidates.length === 0) {
+    throw new Error(`No ${type || 'project or goal'} found for "${reference}"`);
+  }
+  if (candidates.length > 1) {
+    throw new Error(`Several items match "${reference}": ${candidates.map(match => `${match.type} ${match.row.id} "${match.row.name}"`).join(', ')}; pass type or an id`);
+  }
+  return candidates[0];
+}
+
+async function getMilestones(type, ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+  const { data, error } = await supabase
+    .from('milestones')
+    .select('*')
+    .eq(OWNER_COLUMN, currentUserId)
+    .in(PLAN_TYPES[type].column, ids)
+    .order('position', { ascending: true });
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data || [];
+}
+
+async function getLinkedTodos(type, ids) {
+  if (ids.length === 0) {
+    return [];
+  }
+  const { data, error } = await supabase
+    .from('todo_list')
+    .select('*')
+    .eq(OWNER_COLUMN, currentUserId)
+    .in(PLAN_TYPES[type].column, ids);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data || [];
+}
+
+function describePlanItem(type, item, milestones, todos, projectNames = {}) {
+  const description = {
+    type: type,
+    id: item.id,
+    name: item.name,
+    description: item.description || null,
+    status: item.status,
+    targetDate: item.target_date || null,
+    percentComplete: item.percent_complete ?? 0,
+    milestones: milestones.map(milestone => ({
+      number: milestone.position,
+      title: milestone.title,
+      dueDate: milestone.due_date || null,
+      done: Boolean(milestone.done_at)
+    })),
+    todos: todos.map(todo => ({ id: todo.id, description: todo.description }))
+  };
+  if (type === 'goal' && item.project_id) {
+    description.project = projectNames[item.project_id] || item.project_id;
+  }
+  return description;
+}
+
+// Read a project or goal with its milestones and to-do items, as shown to the model
+async function loadPlanItem(type, item) {
+  const milestones = await getMilestones(type, [item.id]);
+  const todos = await getLinkedTodos(type, [item.id]);
+  const projectNames = {};
+  if (type === 'goal' && item.project_id) {
+    const { data } = await supabase.from('projects').select('id, name').eq('id', item.project_id).eq(OWNER_COLUMN, currentUserId);
+    (data || []).forEach(project => { projectNames[project.id] = project.name; });
+  }
+  return describePlanItem(type, item, milestones, todos, projectNames);
+}
+
+async function createPlanItem(type, params) {
+  try {
+    const { table } = PLAN_TYPES[type];
+    const row = {
+      name: params.name.trim(),
+      description: params.description || null,
+      status: 'active',
+      target_date: params.targetDate ? planDate(params.targetDate) : null,
+      percent_complete: 0
+    };
+    if (type === 'goal' && params.project) {
+      row.project_id = (await findPlanItem(params.project, 'project')).row.id;
+    }
+    // Parse every milestone date before anything is written
+    milestoneRows(type, 0, params.milestones, 1);
+
+    const { data, error } = await supabase
+      .from(table)
+      .insert(withOwner(row))
+      .select()
+      .single();
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    await journalMutations(table, 'insert', [], [data]);
+
+    if (params.milestones && params.milestones.length > 0) {
+      const { data: milestones, error: milestoneError } = await supabase
+        .from('milestones')
+        .insert(milestoneRows(type, data.id, params.milestones, 1))
+        .select();
+      if (milestoneError) {
+        return { success: false, error: `The ${type} was created but its milestones were not: ${milestoneError.message}` };
+      }
+      await journalMutations('milestones', 'insert', [], milestones);
+    }
+
+    return {
+      success: true,
+      data: {
+        message: `${type === 'project' ? 'Project' : 'Goal'} created`,
+        [type]: await loadPlanItem(type, data)
+      }
+    };
+  } catch (error) {
+    log.error('Plan Create Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Find the milestones a list of numbers or titles refers to
+function selectMilestones(milestones, references) {
+  return (references || []).map(reference => {
+    const milestone = typeof reference === 'number' || /^\d+$/.test(String(reference).trim())
+      ? milestones.find(candidate => candidate.position === Number(reference))
+      : milestones.find(candidate => candidate.title.toLowerCase() === String(reference).trim().toLowerCase())
+        || milestones.find(candidate => candidate.title.toLowerCase().includes(String(reference).trim().toLowerCase()));
+    if (!milestone) {
+      throw new Error(`No milestone ${reference} found (there are ${milestones.length})`);
+    }
+    return milestone;
+  });
+}
+
+async function updatePlanItem(params) {
+  try {
+    const { type, row: item } = await findPlanItem(params.item, params.type);
+    const { table, column } = PLAN_TYPES[type];
+    const now = new Date().toISOString();
+    const targetDate = params.targetDate === undefined || /^(none|null|)$/i.test(params.targetDate.trim())
+      ? null
+      : planDate(params.targetDate);
+    let milestones = await getMilestones(type, [item.id]);
+
+    // Milestones: mark done or not done, then add new ones at the end
+    const toComplete = selectMilestones(milestones, params.completeMilestones).filter(milestone => !milestone.done_at);
+    const toReopen = selectMilestones(milestones, params.reopenMilestones).filter(milestone => milestone.done_at);
+    const newMilestones = milestoneRows(type, item.id, params.addMilestones, milestones.length + 1);
+
+    // To-do items to link or unlink, checked before anything is written
+    const todoChanges = [];
+    for (const [ids, value] of [[params.linkTodos, item.id], [params.unlinkTodos, null]]) {
+      if (!ids || ids.length === 0) {
+        continue;
+      }
+      const { data: before, error } = await supabase
+        .from('todo_list')
+        .select('*')
+        .eq(OWNER_COLUMN, currentUserId)
+        .in('id', ids);
+      if (error) {
+        return { success: false, error: error.message };
+      }
+      const missing = ids.filter(id => !(before || []).some(todo => todo.id === id));
+      if (missing.length > 0) {
+        return { success: false, error: `No to-do items found with ids ${missing.join(', ')}` };
+      }
+      todoChanges.push({ ids: ids, value: value, before: before });
+    }
+
+    for (const [changed, doneAt] of [[toComplete, now], [toReopen, null]]) {
+      if (changed.length === 0) {
+        continue;
+      }
+      const { data, error } = await supabase
+        .from('milestones')
+        .update({ done_at: doneAt })
+        .eq(OWNER_COLUMN, currentUserId)
+        .in('id', changed.map(milestone => milestone.id))
+        .select();
+      if (error) {
+        return { success: false, error: error.message };
+      }
+      await journalMutations('milestones', 'update', changed, data);
+    }
+    if (newMilestones.length > 0) {
+      const { data, error } = await supabase.from('milestones').insert(newMilestones).select();
+      if (error) {
+        return { success: false, error: error.message };
+      }
+      await journalMutations('milestones', 'insert', [], data);
+    }
+    milestones = await getMilestones(type, [item.id]);
+
+    for (const { ids, value, before } of todoChanges) {
+      const { data, error } = await supabase
+        .from('todo_list')
+        .update({ [column]: value })
+        .eq(OWNER_COLUMN, currentUserId)
+        .in('id', ids)
+        .select();
+      if (error) {
+        return { success: false, error: error.message };
+      }
+      await journalMutations('todo_list', 'update', before, data);
+    }
+
+    // The item itself
+    const changes = {};
+    if (params.name !== undefined) changes.name = params.name.trim();
+    if (params.description !== undefined) changes.description = params.description;
+    if (params.targetDate !== undefined) {
+      changes.target_date = targetDate;
+    }
+    if (params.status !== undefined) {
+      changes.status = params.status;
+      changes.completed_at = params.status === 'completed' ? now : null;
+    }
+    const progress = milestoneProgress(milestones);
+    if (params.percentComplete !== undefined) {
+      changes.percent_complete = params.percentComplete;
+    } else if (params.status === 'completed') {
+      changes.percent_complete = 100;
+    } else if (progress !== null && (toComplete.length + toReopen.length + newMilestones.length > 0)) {
+      changes.percent_complete = progress;
+    }
+
+    let updated = item;
+    if (Object.keys(changes).length > 0) {
+      const { data, error } = await supabase
+        .from(table)
+        .update({ ...changes, updated_at: now })
+        .eq('id', item.id)
+        .eq(OWNER_COLUMN, currentUserId)
+        .select()
+        .single();
+      if (error) {
+        return { success: false, error: error.message };
+      }
+      await journalMutations(table, 'update', [item], [data]);
+      updated = data;
+    }
+
+    const result = {
+      message: `${type === 'project' ? 'Project' : 'Goal'} updated`,
+      [type]: await loadPlanItem(type, updated)
+    };
+    if (progress === 100 && updated.status === 'active') {
+      result.note = 'Every milestone is done; ask the user whether to mark it completed';
+    }
+    return { success: true, data: result };
+  } catch (error) {
+    log.error('Plan Update Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Projects and goals with their milestones and to-do items. With dueBy, only items
+// with something due by then (or overdue) are listed, along with a due list.
+async function listPlanItems(params = {}) {
+  try {
+    const timezone = reminderTimezone();
+    const today = localDateString(new Date(), timezone);
+    const dueBy = params.dueBy ? planDate(params.dueBy) : null;
+    const status = params.status || 'active';
+
+    let selected = null;
+    if (params.item !== undefined) {
+      selected = await findPlanItem(params.item, params.type === 'all' ? undefined : params.type);
+    }
+    const types = selected ? [selected.type]
+      : !params.type || params.type === 'all' ? Object.keys(PLAN_TYPES) : [params.type];
+
+    const { data: projects, error: projectError } = await supabase
+      .from('projects')
+      .select('id, name')
+      .eq(OWNER_COLUMN, currentUserId);
+    if (projectError) {
+      return { success: false, error: projectError.message };
+    }
+    const projectNames = Object.fromEntries((projects || []).map(project => [project.id, project.name]));
+
+    const items = [];
+    const due = [];
+    for (const type of types) {
+      let rows;
+      if (selected) {
+        rows = [selected.row];
+      } else {
+        let query = supabase
+          .from(PLAN_TYPES[type].table)
+          .select('*')
+          .eq(OWNER_COLUMN, currentUserId);
+        if (status !== 'all') {
+          query = query.eq('status', status);
+        }
+        const { data, error } = await query.order('target_date', { ascending: true });
+        if (error) {
+          return { success: false, error: error.message };
+        }
+        rows = data || [];
+      }
+
+      const ids = rows.map(row => row.id);
+      const milestones = await getMilestones(type, ids);
+      const todos = await getLinkedTodos(type, ids);
+      for (const row of rows) {
+        const described = describePlanItem(
+          type,
+          row,
+          milestones.filter(milestone => milestone[PLAN_TYPES[type].column] === row.id),
+          todos.filter(todo => todo[PLAN_TYPES[type].column] === row.id),
+          projectNames
+        );
+
+        // What is due by the cutoff: open milestones and the item's own target date
+        const itemDue = [];
+        if (dueBy) {
+          described.milestones
+            .filter(milestone => !milestone.done && milestone.dueDate && milestone.dueDate <= dueBy)
+            .forEach(milestone => itemDue.push({ due: `milestone ${milestone.number}: ${milestone.title}`, date: milestone.dueDate }));
+          if (row.target_date && row.target_date <= dueBy && !['completed', 'cancelled'].includes(row.status)) {
+            itemDue.push({ due: 'target date', date: row.target_date });
+          }
+          if (itemDue.length === 0) {
+            continue;
+          }
+        }
+        items.push(described);
+        itemDue.forEach(entry => due.push({ type: type, id: row.id, name: row.name, ...entry, overdue: entry.date < today }));
+      }
+    }
+
+    const result = { today: today, items: items };
+    if (dueBy) {
+      result.dueBy = dueBy;
+      result.due = due.sort((a, b) => a.date.localeCompare(b.date));
+    }
+    return { success: true, data: result };
+  } catch (error) {
+    log.error('Plan List Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// User profile
+// One user_profile row per user holds their preferences (see userProfile.mjs).
+// It is loaded at the start of every run and rendered into the system prompt, so
+// the final answer follows it; updateUserPreferences changes it mid-run too.
+
+async function loadUserProfile() {
+  const { data, error } = await supabase
+    .from('user_profile')
+    .select('*')
+    .eq(OWNER_COLUMN, currentUserId)
+    .maybeSingle();
+
+  if (error) {
+    log.error('Error loading the user profile', error);
+    return null;
+  }
+  return data;
+}
+
+function describeProfile(profile) {
+  return Object.fromEntries(Object.keys(PROFILE_PREFERENCES).map(name => [name, (profile && profile[name]) || null]));
+}
+
+async function updateUserPreferences(params = {}) {
+  try {
+    const changes = {};
+    Object.keys(PROFILE_PREFERENCES).forEach(name => {
+      if (params[name] !== undefined) {
+        changes[name] = validatePreference(name, params[name]);
+      }
+    });
+    (params.clear || []).forEach(name => {
+      validatePreference(name, null);
+      changes[name] = null;
+    });
+    if (Object.keys(changes).length === 0) {
+      return { success: false, error: 'No preferences given to change' };
+    }
+
+    const existing = await loadUserProfile();
+    const { data, error } = existing
+      ? await supabase
+        .from('user_profile')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', existing.id)
+        .eq(OWNER_COLUMN, currentUserId)
+        .select()
+        .single()
+      : await supabase
+        .from('user_profile')
+        .insert(withOwner(changes))
+        .select()
+        .single();
+
+    if (error) {
+      return { success: false, error: error.message };
+    }
+    await journalMutations('user_profile', existing ? 'update' : 'insert', existing ? [existing] : [], [data]);
+
+    // The rest of this run follows the new preferences
+    currentProfile = data;
+    if (changes.timezone !== undefined) {
+      currentTimezone = data.timezone || null;
+    }
+
+    return {
+      success: true,
+      data: {
+        message: 'Preferences updated',
+        preferences: describeProfile(data)
+      }
+    };
+  } catch (error) {
+    log.error('Preference Update Error', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// LLM usage and spend limits
+// Each run's token counts and cost are added to llm_usage, one row per user, day
+// (in the user's time zone) and model. Spend limits are checked against those rows
+// before every model request.
+
+// The day usage is booked on
+function usageDay(date = new Date()) {
+  let timezone;
+  try {
+    timezone = reminderTimezone();
+  } catch (error) {
+    timezone = 'UTC';
+  }
+  return localDateString(date, timezone);
+}
+
+// The user's spend today and this month in USD, before the current run
+async function loadSpend() {
+  const today = usageDay();
+  const { data, error } = await supabase
+    .from('llm_usage')
+    .select('day, cost')
+    .eq(OWNER_COLUMN, currentUserId)
+    .gte('day', `${today.slice(0, 8)}01`);
+
+  if (error) {
+    log.error('Error loading LLM usage', error);
+    return { today: 0, month: 0 };
+  }
+  return {
+    today: data.filter(row => row.day === today).reduce((total, row) => total + Number(row.cost || 0), 0),
+    month: data.reduce((total, row) => total + Number(row.cost || 0), 0)
+  };
+}
+
+// Add a run's usage to the user's rows for today
+async function recordUsage(usage) {
+  const day = usageDay();
+  for (const entry of Object.values(usage.models)) {
+    // The record_llm_usage function adds to the day's row in one statement, so
+    // concurrent runs of the same user can't overwrite each other's totals
+    const { error } = await supabase.rpc('record_llm_usage', {
+      owner_id: currentUserId,
+      usage_day: day,
+      usage_provider: entry.provider,
+      usage_model: entry.model,
+      added_requests: entry.requests,
+      added_prompt_tokens: entry.promptTokens,
+      added_completion_tokens: entry.completionTokens,
+      added_total_tokens: entry.totalTokens,
+      added_cost: roundCost(entry.cost)
+    });
+    if (error) {
+      log.error(`Error recording LLM usage for ${entry.model}`, error);
+    }
+  }
+}
+
+// A run's usage as reported in the response metrics
+function describeUsage(usage, spendLimit) {
+  return {
+    requests: usage.requests,
+    promptTokens: usage.promptTokens,
+    completionTokens: usage.completionTokens,
+    totalTokens: usage.totalTokens,
+    cost: roundCost(usage.cost),
+    models: Object.values(usage.models).map(entry => ({ ...entry, cost: roundCost(entry.cost) })),
+    ...(usage.unpriced.length > 0 ? { unpriced: usage.unpriced } : {}),
+    ...(spendLimit ? { spendLimit: spendLimit } : {})
+  };
+}
+
+// The answer given instead of calling the model once a spend limit is reached
+function spendLimitMessage(limit, limits) {
+  const amount = `$${limits[limit].toFixed(2)}`;
+  return limit === 'daily'
+    ? `You've reached today's AI spending limit of ${amount}, so I can't answer right now. It resets tomorrow.`
+    : `You've reached this month's AI spending limit of ${amount}, so I can't answer right now. It resets at the start of next month.`;
+}
+
+// Spend per day for the last days (30 by default), with today's and this month's totals and the limits
+async function getUsage(params = {}) {
+  try {
+    const days = Math.min(Math.max(Number(params.days) || 30, 1), 366);
+    const since = usageDay(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+    const { data, error } = await supabase
+      .from('llm_usage')
+      .select('day, provider, model, requests, prompt_tokens, completion_tokens, total_tokens, cost')
+      .eq(OWNER_COLUMN, currentUserId)
+      .gte('day', since)
+      .order('day', { ascending: false });
+    if (error) {
+      throw error;
+    }
+
+    const spend = await loadSpend();
+    const limits = getSpendLimits();
+    return {
+      success: true,
+      data: {
+        today: usageDay(),
+        spentToday: roundCost(spend.today),
+        spentThisMonth: roundCost(spend.month),
+        limits: { daily: limits.daily, monthly: limits.monthly, fallbackModel: limits.fallback?.model || null },
+        usage: data
+      }
+    };
+  } catch (error) {
+    log.error('Error loading LLM usage', error);
+    return { success: false, error: error.message };
+  }
+}
+
+// Confirmation of destructive operations
+// Calls whose tool asks for confirmation are stored in pending_actions instead of
+// running. All held actions of a run share a confirmation token that is returned
+// to the client; a follow-up request with the token (or, in a session, a plain
+// "yes" / "no" right after the answer that asked) runs or cancels them.
+
+const CONFIRMATION_TTL_MINUTES = Number(process.env.CONFIRMATION_TTL_MINUTES) || 30;
+const CONFIRMATION_PREVIEW_ROWS = 5;
+const CONFIRM_REPLY_PATTERN = /^\s*(yes|y|yep|yeah|confirm|confirmed|do it|go ahead|ok|okay)\s*[.!]*\s*$/i;
+const CANCEL_REPLY_PATTERN = /^\s*(no|n|nope|cancel|stop|don't|do not)\s*[.!]*\s*$/i;
+
+// CONFIRMATION_MODE=off runs every call straight away
+function confirmationEnabled() {
+  return process.env.CONFIRMATION_MODE !== 'off';
+}
+
+// The user's confirmation thresholds, overriding the table policies
+async function loadConfirmationPolicies() {
+  const { data, error } = await supabase
+    .from('confirmation_policies')
+    .select('table_name, action, threshold')
+    .eq(OWNER_COLUMN, currentUserId);
+
+  if (error) {
+    log.error('Error loading confirmation policies', error);
+    return [];
+  }
+  return data || [];
+}
+
+// Preview the rows a database write would touch, or return null when it can run
+// without confirmation (see the confirm thresholds in tablePolicies.mjs)
+async function previewDatabaseOperation(params) {
+  if (!['delete', 'update', 'upsert'].includes(params.action)) {
+    return null;
+  }
+  const threshold = confirmationThreshold(params.from, params.action, userConfirmationPolicies);
+  if (!threshold) {
+    return null;
+  }
+
+  // Calls the policies reject fail in the handler with the policy's error
+  let readableColumns;
+  try {
+    enforceTablePolicy(params);
+    readableColumns = enforceTablePolicy({ from: params.from, action: 'select', filter: params.filter }).columns;
+  } catch (error) {
+    return null;
+  }
+
+  let affectedRows;
+  let preview;
+  if (params.action === 'upsert') {
+    const rows = [].concat(params.data || []);
+    affectedRows = rows.length;
+    preview = rows.slice(0, CONFIRMATION_PREVIEW_ROWS);
+  } else {
+    const previewQuery = applyFilter(
+      scopeToUser(supabase.from(params.from).select(readableColumns, { count: 'exact' })),
+      params.filter
+    );
+    const { data, count, error } = await previewQuery.limit(CONFIRMATION_PREVIEW_ROWS);
+    if (error) {
+      throw new Error(error.message);
+    }
+    affectedRows = count ?? (data || []).length;
+    preview = data || [];
+  }
+
+  if (affectedRows < threshold) {
+    return null;
+  }
+
+  let summary = `${params.action} ${affectedRows} row(s) in ${params.from}`;
+  if (params.action === 'update') {
+    summary += `, setting ${JSON.stringify(params.data)}`;
+  }
+  return { summary: summary, affectedRows: affectedRows, preview: preview };
+}
+
+// Store a call as a pending action under the run's confirmation token, with the
+// specialization that made it so the call is checked against it again when confirmed
+async function holdAction(functionName, parameters, confirmation, callingSpecialization) {
+  if (!currentConfirmationToken) {
+    currentConfirmationToken = crypto.randomUUID();
+  }
+  const expiresAt = new Date(Date.now() + CONFIRMATION_TTL_MINUTES * 60 * 1000).toISOString();
+
+  const { data, error } = await supabase
+    .from('pending_actions')
+    .insert(withOwner({
+      token: currentConfirmationToken,
+      session_id: currentSessionId,
+      specialization: callingSpecialization,
+      function_name: functionName,
+      parameters: parameters,
+      summary: confirmation.summary,
+      preview: confirmation.preview,
+      status: 'pending',
+      expires_at: expiresAt
+    }))
+    .select()
+    .single();
+
+  if (error) {
+    throw new Error(`Could not hold the action for confirmation: ${error.message}`);
+  }
+
+  const heldAction = {
+    id: data.id,
+    token: currentConfirmationToken,
+    function: functionName,
+    summary: confirmation.summary,
+    affectedRows: confirmation.affectedRows,
+    preview: confirmation.preview,
+    expiresAt: expiresAt
+  };
+  heldActions.push(heldAction);
+  return heldAction;
+}
+
+// Token of the actions the session's last answer asked the user to confirm, or null.
+// A bare "yes" or "no" only resolves those, so it can't confirm an action the user
+// wasn't just asked about. Outside sessions the token has to be sent.
+async function askedConfirmationToken(sessionId) {
+  if (!sessionId) {
+    return null;
+  }
+  const { data, error } = await supabase
+    .from('chat_messages')
+    .select('confirmation_token')
+    .eq('session_id', sessionId)
+    .eq(OWNER_COLUMN, currentUserId)
+    .eq('role', 'assistant')
+    .order('created_at', { ascending: false })
+    .limit(1);
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return data && data.length > 0 ? data[0].confirmation_token || null : null;
+}
+
+// Tools a specialization may use, from its row or built-in definition (null for all)
+async function loadSpecializationAllowedTools(name) {
+  const { data, error } = await supabase
+    .from('specializations')
+    .select('*')
+    .eq('name', name)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(error.message);
+  }
+  return resolveSpecialization(name, data)?.allowedTools || null;
+}
+
+// Run a confirmed action the way runFunctionCall would have: as the specialization
+// that asked for it, with its arguments checked again. The run's specialization and
+// query are restored afterwards.
+async function runConfirmedAction(action) {
+  const tool = getTool(action.function_name);
+  if (!tool) {
+    return { success: false, error: `Function ${action.function_name} not found` };
+  }
+
+  const callingSpecialization = action.specialization || currentSpecialization;
+  const previous = { specialization: currentSpecialization, userQuery: currentUserQuery };
+  try {
+    const allowedTools = await loadSpecializationAllowedTools(callingSpecialization);
+    const refusal = checkToolCall(tool, { function: action.function_name, parameters: action.parameters }, callingSpecialization, allowedTools);
+    if (refusal) {
+      return { success: false, ...refusal };
+    }
+
+    // Journal the change under what was confirmed rather than the "yes"
+    currentSpecialization = callingSpecialization;
+    currentUserQuery = `Confirmed: ${action.summary}`;
+    return await tool.handler(action.parameters);
+  } catch (error) {
+    return { success: false, error: error.message };
+  } finally {
+    currentSpecialization = previous.specialization;
+    currentUserQuery = previous.userQuery;
+  }
+}
+
+// Run (approve = true) or cancel the pending actions held under a token.
+// Each action is claimed before it runs, so a repeated confirmation can't run it twice.
+async function resolvePendingActions(token, approve) {
+  const { data: actions, error } = await supabase
+    .from('pending_actions')
+    .select('*')
+    .eq('token', token)
+    .eq(OWNER_COLUMN, currentUserId)
+    .eq('status', 'pending')
+    .order('id', { ascending: true });
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  if (!actions || actions.length === 0) {
+    return { success: false, error: 'No pending actions found for this confirmation token' };
+  }
+
+  const results = [];
+  for (const action of actions) {
+    const expired = new Date(action.expires_at) < new Date();
+    const status = expired ? 'expired' : approve ? 'executing' : 'cancelled';
+
+    const { data: claimed, error: claimError } = await supabase
+      .from('pending_actions')
+      .update({ status: status })
+      .eq('id', action.id)
+      .eq(OWNER_COLUMN, currentUserId)
+      .eq('status', 'pending')
+      .select();
+
+    if (claimError || !claimed || claimed.length === 0) {
+      results.push({ summary: action.summary, status: 'skipped', error: claimError ? claimError.message : 'Already handled' });
+      continue;
+    }
+    if (status !== 'executing') {
+      results.push({ summary: action.summary, status: status });
+      continue;
+    }
+
+    const result = await runConfirmedAction(action);
+
+    const finalStatus = result.success === false ? 'failed' : 'executed';
+    await supabase
+      .from('pending_actions')
+      .update({ status: finalStatus, result: result })
+      .eq('id', action.id)
+      .eq(OWNER_COLUMN, currentUserId);
+
+    results.push({ summary: action.summary, status: finalStatus, error: result.error || null });
+  }
+
+  const lines = results.map(result => `- ${result.summary}: ${result.status}${result.error ? ` (${result.error})` : ''}`);
+  return {
+    success: true,
+    data: {
+      answer: `${approve ? 'Confirmed' : 'Cancelled'} pending actions:\n${lines.join('\n')}`,
+      actions: results
+    }
+  };
+}
+
+// Pending actions held by the current run, as returned to the client
+function pendingConfirmation() {
+  if (heldActions.length === 0) {
+    return null;
+  }
+  return {
+    token: currentConfirmationToken,
+    expiresAt: heldActions[0].expiresAt,
+    actions: heldActions.map(({ id, token, expiresAt, ...action }) => action)
+  };
+}
+
+// Chat sessions
+// A session groups the turns of one conversation. Each turn stores the user query,
+// a summary of the function results and the final answer in chat_messages, and
+// the recent turns are loaded into the next run's conversation history.
+
+const SESSION_HISTORY_TURNS = Number(process.env.SESSION_HISTORY_TURNS) || 10;
+const SESSION_RESULT_SUMMARY_LENGTH = 1000;
+
+// Find the user's session, creating it when the id is new or missing
+async function ensureSession(sessionId, userPrompt) {
+  if (sessionId) {
+    const { data, error } = await supabase
+      .from('chat_sessions')
+      .select('id')
+      .eq('id', sessionId)
+      .eq(OWNER_COLUMN, currentUserId)
+      .maybeSingle();
+
+    if (error) {
+      throw new Error(`Failed to load session: ${error.message}`);
+    }
+    if (data) {
+      return data.id;
+    }
+  }
+
+  const newSession = {
+    [OWNER_COLUMN]: currentUserId,
+    title: userPrompt.slice(0, 80)
+  };
+  if (sessionId) {
+    newSession.id = sessionId;
+  }
+
+  const { data, error } = await supabase
+    .from('chat_sessions')
+    .insert(newSession)
+    .select('id')
+    .single();
+
+  if (error) {
+    throw new Error(`Failed to create session: ${error.message}`);
+  }
+  return data.id;
+}
+
+// Load the most recent turns of a session, oldest first
+async function loadSessionHistory(sessionId) {
+  const { data, error } = await supabase
+    .from('chat_messages')
+    .select('role, content, created_at')
+    .eq('session_id', sessionId)
+    .eq(OWNER_COLUMN, currentUserId)
+    .order('created_at', { ascending: false })
+    .limit(SESSION_HISTORY_TURNS * 3);
+
+  if (error) {
+    log.error('Error loading session history', error);
+    return [];
+  }
+
+  // Drop a partial turn at the cut-off so history always starts with a user query
+  const messages = (data || []).reverse();
+  const firstQuery = messages.findIndex(message => message.role === 'user');
+  return firstQuery >= 0 ? messages.slice(firstQuery) : [];
+}
+
+// Summarize one iteration's function results for storage in the session
+function summarizeFunctionResults(results) {
+  return results.map(result => {
+    const status = result.success ? 'Success'
+      : result.awaitingConfirmation ? `Awaiting confirmation: ${result.awaitingConfirmation.summary}`
+      : `Failed: ${result.error}`;
+    let summary = `${result.functionName}(${JSON.stringify(result.parameters || {})}) -> ${status}`;
+    if (result.success && result.data) {
+      const data = typeof result.data === 'string' ? result.data : JSON.stringify(result.data);
+      summary += data.length > SESSION_RESULT_SUMMARY_LENGTH
+        ? `: ${data.slice(0, SESSION_RESULT_SUMMARY_LENGTH)}... (truncated)`
+        : `: ${data}`;
+    }
+    return summary;
+  }).join('\n');
+}
+
+// Store a completed turn and bump the session's updated_at
+async function saveSessionTurn(sessionId, userPrompt, functionSummaries, answer, confirmation) {
+  const createdAt = Date.now();
+  const turn = [
+    { role: 'user', content: userPrompt },
+    ...(functionSummaries.length > 0 ? [{ role: 'function_summary', content: functionSummaries.join('\n') }] : []),
+    // The token of the actions the answer asks the user to confirm
+    { role: 'assistant', content: answer, confirmation_token: confirmation ? confirmation.token : null }
+  ].map((message, index) => ({
+    ...message,
+    session_id: sessionId,
+    [OWNER_COLUMN]: currentUserId,
+    // Keep the order stable within a turn
+    created_at: new Date(createdAt + index).toISOString()
+  }));
+
+  const { error } = await supabase.from('chat_messages').insert(turn);
+  if (error) {
+    log.error('Error saving session turn', error);
+    return;
+  }
+
+  await supabase
+    .from('chat_sessions')
+    .update({ updated_at: new Date().toISOString() })
+    .eq('id', sessionId)
+    .eq(OWNER_COLUMN, currentUserId);
+}
+
+// Render stored turns for both the text protocol history and native chat messages
+function buildSessionContext(sessionMessages) {
+  const historyEntries = [];
+  const chatMessages = [];
+  let pendingSummary = null;
+
+  sessionMessages.forEach(message => {
+    if (message.role === 'user') {
+      historyEntries.push(`\nCONVERSATION HISTORY ROLE: USER (earlier turn)\n\nUser query:\n${message.content}\n`);
+      chatMessages.push({ role: 'user', content: message.content });
+    } else if (message.role === 'function_summary') {
+      historyEntries.push(`\nCONVERSATION HISTORY ROLE: FUNCTION RESULTS (earlier turn, summarized)\n\n${message.content}\n`);
+      pendingSummary = message.content;
+    } else if (message.role === 'assistant') {
+      historyEntries.push(`\nCONVERSATION HISTORY ROLE: LLM (earlier turn)\n\nResponse to user:\n${message.content}\n`);
+      chatMessages.push({
+        role: 'assistant',
+        content: pendingSummary
+          ? `Function results from this turn (summarized):\n${pendingSummary}\n\nResponse to user:\n${message.content}`
+          : message.content
+      });
+      pendingSummary = null;
+    }
+  });
+
+  return { historyEntries, chatMessages };
+}
+
+// List the user's sessions, most recently used first
+async function listSessions() {
+  const { data, error } = await supabase
+    .from('chat_sessions')
+    .select('id, title, created_at, updated_at')
+    .eq(OWNER_COLUMN, currentUserId)
+    .order('updated_at', { ascending: false });
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  return { success: true, data: data };
 }
 
-async function executeFunctions(functionCalls) {
-  console.log(`Executing ${functionCalls.length} functions sequentially`);
+// Get one session with all of its stored messages
+async function getSession(sessionId) {
+  const { data: session, error } = await supabase
+    .from('chat_sessions')
+    .select('id, title, created_at, updated_at')
+    .eq('id', sessionId)
+    .eq(OWNER_COLUMN, currentUserId)
+    .maybeSingle();
 
-  // Array to store results
-  const results = [];
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  if (!session) {
+    return { success: false, error: `Session ${sessionId} not found` };
+  }
 
-  // Execute functions one after another
-  for (const functionCall of functionCalls) {
-    const { function: functionName, parameters } = functionCall;
-    perfMetrics.start(`function:${functionName}`);
+  const { data: messages, error: messagesError } = await supabase
+    .from('chat_messages')
+    .select('role, content, created_at')
+    .eq('session_id', sessionId)
+    .eq(OWNER_COLUMN, currentUserId)
+    .order('created_at', { ascending: true });
 
-    console.log(`Executing function: ${functionName}`);
-    console.log(`Parameters:`, parameters);
-    
-    if (!functionMap[functionName]) {
-        const result = { 
-            functionName: functionName,
-            error: `Function ${functionName} not found` 
-        };
-        results.push(result);
-        continue;
+  if (messagesError) {
+    return { success: false, error: messagesError.message };
+  }
+  return { success: true, data: { ...session, messages: messages } };
+}
+
+// Delete a session and its messages
+async function deleteSession(sessionId) {
+  const { error: messagesError } = await supabase
+    .from('chat_messages')
+    .delete()
+    .eq('session_id', sessionId)
+    .eq(OWNER_COLUMN, currentUserId);
+
+  if (messagesError) {
+    return { success: false, error: messagesError.message };
+  }
+
+  const { data, error } = await supabase
+    .from('chat_sessions')
+    .delete()
+    .eq('id', sessionId)
+    .eq(OWNER_COLUMN, currentUserId)
+    .select('id');
+
+  if (error) {
+    return { success: false, error: error.message };
+  }
+  if (!data || data.length === 0) {
+    return { success: false, error: `Session ${sessionId} not found` };
+  }
+  return { success: true, data: { deleted: sessionId } };
+}
+
+// Share of the prompt budget the knowledge topic list may use
+const KNOWLEDGE_TOPIC_BUDGET_SHARE = 0.1;
+
+// The knowledge topics section of the prompt. When the list is too long for the budget
+// only the topics most relevant to the query are shown.
+function describeKnowledgeTopics(topics, total) {
+  const shown = topics.length < total
+    ? ` (the ${topics.length} of ${total} topics most relevant to this query; the tool searches all of them)`
+    : '';
+  return `\n\n--- Knowledge Topics available for the retrieveRelevantKnowledge tool${shown}:\n${JSON.stringify(topics, null, 2)}`;
+}
+
+// Run the agent for one user query. Options: llm (model overrides), specialization
+// (start there instead of the router), sessionId / newSession, confirmationToken /
+// cancel, timezone (the user's IANA time zone), and onEvent(type, data) for progress events.
+// The run is traced as an invoke_agent span, a child of the request's span if there is one.
+export async function runAIAgent(userPrompt, userId, options = {}) {
+  return runWithContext({ requestId: getLogContext().requestId || crypto.randomUUID(), iteration: null }, () => withSpan(
+    'invoke_agent',
+    { 'gen_ai.operation.name': 'invoke_agent', 'agent.specialization': options.specialization || 'router' },
+    span => runAgent(userPrompt, userId, options, span)
+  ));
+}
+
+// Timings of the run from its spans: wall time so far, and the time spent in model
+// calls and in each tool. Overlapping tool calls each count in full.
+function runMetrics(runSpan) {
+  const spans = finishedSpans().filter(span => span.startTime >= runSpan.startTime);
+  const duration = span => span.endTime - span.startTime;
+  const llmSpans = spans.filter(span => span.attributes['gen_ai.operation.name'] === 'chat');
+  const tools = {};
+  spans.filter(span => span.attributes['gen_ai.operation.name'] === 'execute_tool').forEach(span => {
+    const name = span.attributes['gen_ai.tool.name'];
+    tools[name] = tools[name] || { calls: 0, durationMs: 0 };
+    tools[name].calls++;
+    tools[name].durationMs += duration(span);
+  });
+  Object.values(tools).forEach(tool => {
+    tool.durationMs = Math.round(tool.durationMs);
+  });
+
+  return {
+    total: Math.round(performance.timeOrigin + performance.now() - runSpan.startTime),
+    llm: { calls: llmSpans.length, durationMs: Math.round(llmSpans.reduce((total, span) => total + duration(span), 0)) },
+    tools: tools
+  };
+}
+
+async function runAgent(userPrompt, userId, options, runSpan) {
+  if (!userId) {
+    throw new Error('A userId is required to run the agent');
+  }
+  currentUserId = userId;
+  currentUserQuery = userPrompt;
+  currentRunId = crypto.randomUUID();
+  setLogContext({ userId: userId, runId: currentRunId });
+  runSpan.setAttributes({ 'agent.run_id': currentRunId });
+
+  // Progress events for streaming clients. A failing listener must not stop the run.
+  const emit = (type, data = {}) => {
+    if (!options.onEvent) {
+      return;
     }
-    
     try {
-        const result = await functionMap[functionName](parameters);
-        const functionResult = {
-            functionName: functionName,
-            parameters: parameters,
-            success: result.success !== false,
-            data: result.data || result,
-            error: result.error || null
-        };
-        results.push(functionResult);
-       
-        console.log(`Function ${functionName} completed successfully`);
+      options.onEvent(type, data);
     } catch (error) {
-        console.error(`Error executing function ${functionName}:`, error);
-        const errorResult = { 
-            functionName: functionName,
-            success: false,
-            error: `Failed to execute function ${functionName}: ${error.message}`
-        };
-        results.push(errorResult);
+      log.error(`Error emitting ${type} event`, error);
     }
-    perfMetrics.end(`function:${functionName}`);
+  };
+
+  // Every run starts at the router (or the requested specialization); setSpecialization
+  // hands off from there. Resetting here also stops a specialization leaking across warm invocations.
+  const [specializationRows, tableSchemas, confirmationPolicies, profile] = await Promise.all([
+    loadAvailableSpecializations(),
+    loadTableSchemas(),
+    loadConfirmationPolicies(),
+    loadUserProfile()
+  ]);
+  databaseTableSchemas = tableSchemas;
+  userConfirmationPolicies = confirmationPolicies;
+  currentProfile = profile;
+  currentTimezone = options.timezone || (profile && profile.timezone) || null;
+  currentConfirmationToken = null;
+  heldActions = [];
+  runUsage = createUsageTotals();
+  const startSpecialization = options.specialization || 'router';
+  const startingSpecialization = resolveSpecialization(startSpecialization, specializationRows.find(row => row.name === startSpecialization));
+  if (!startingSpecialization) {
+    throw new Error(`Unknown specialization: ${startSpecialization}`);
   }
+  applySpecialization(startingSpecialization);
 
-  // Combine all results into a single string
-  let readableResults = "";
-  results.forEach((result, index) => {
-    const functionName = result.functionName;
-    const paramString = JSON.stringify(result.parameters);
-    
-    readableResults += `Function Call ${index + 1}: ${functionName}(${paramString})\n`;
-    
-    if (result.success) {
-      readableResults += `Status: Success\n`;
-      if (result.data) {
-        if (typeof result.data === 'object') {
-          // Format database results nicely if they exist
-          if (result.data.data && Array.isArray(result.data.data)) {
-            readableResults += `Retrieved ${result.data.data.length} records:\n`;
-            result.data.data.forEach((item, i) => {
-              readableResults += `  Record ${i+1}: ${JSON.stringify(item)}\n`;
-            });
-          } else {
-            readableResults += `Data: ${JSON.stringify(result.data)}\n`;
-          }
-        } else {
-          readableResults += `Data: ${result.data}\n`;
-        }
-      }
-    } else {
-      readableResults += `Status: Failed\n`;
-      readableResults += `Error: ${result.error}\n`;
+  // Load earlier turns when the run belongs to a chat session
+  let sessionId = null;
+  let sessionContext = { historyEntries: [], chatMessages: [] };
+  if (options.sessionId || options.newSession) {
+    sessionId = await ensureSession(options.sessionId, userPrompt);
+    sessionContext = buildSessionContext(await loadSessionHistory(sessionId));
+  }
+  currentSessionId = sessionId;
+  const functionSummaries = [];
+
+  // Initialize conversation history
+  let conversationHistory = [
+    ...sessionContext.historyEntries,
+    `\nCONVERSATION HISTORY ROLE: USER\n\nUser query:\n${userPrompt}\n`
+  ];
+
+  // The same history as chat messages, used when the model calls tools natively
+  const toolMessages = [...sessionContext.chatMessages, { role: "user", content: userPrompt }];
+
+  // The spend limit the run reached, if any
+  let spendLimit = null;
+
+  // Persist the turn to the session and the usage, and build the run's result
+  const finishRun = async (answer) => {
+    if (sessionId) {
+      await saveSessionTurn(sessionId, userPrompt, functionSummaries, answer, pendingConfirmation());
     }
-    
-    readableResults += "\n";
-  });
+    await recordUsage(runUsage);
+    const metrics = { ...runMetrics(runSpan), usage: describeUsage(runUsage, spendLimit) };
+    runSpan.setAttributes({
+      'agent.specialization': currentSpecialization || 'none',
+      'gen_ai.usage.input_tokens': runUsage.promptTokens,
+      'gen_ai.usage.output_tokens': runUsage.completionTokens,
+      'llm.cost_usd': roundCost(runUsage.cost)
+    });
+    log.info('Run finished', { specialization: currentSpecialization, metrics: metrics });
+    return {
+      answer: answer,
+      conversationHistory: conversationHistory,
+      metrics: metrics,
+      specialization: currentSpecialization ? currentSpecialization : 'none',
+      sessionId: sessionId,
+      pendingConfirmation: pendingConfirmation(),
+      runId: currentRunId
+    };
+  };
 
-  return readableResults;
-}
+  // A confirmation token, or a plain "yes" / "no" to the session's last answer when
+  // it asked for confirmation, runs or cancels the held actions without asking the model
+  const confirmReply = CONFIRM_REPLY_PATTERN.test(userPrompt || '');
+  const cancelReply = CANCEL_REPLY_PATTERN.test(userPrompt || '');
+  const confirmationToken = options.confirmationToken
+    || (confirmReply || cancelReply ? await askedConfirmationToken(sessionId) : null);
 
-async function runAIAgent(userPrompt) {
-  perfMetrics.reset(); // Reset metrics at start
+  if (confirmationToken) {
+    const approve = options.confirmationToken ? options.cancel !== true && !cancelReply : confirmReply;
+    const resolution = await resolvePendingActions(confirmationToken, approve);
+    const answer = resolution.success ? resolution.data.answer : resolution.error;
 
-  // Initialize conversation history
-  let conversationHistory = [`\nCONVERSATION HISTORY ROLE: USER\n\nUser query:\n${userPrompt}\n`];
+    conversationHistory.push(`\nCONVERSATION HISTORY ROLE: AGENT\n\nResponse to user:\n${answer}\n`);
+    if (resolution.success) {
+      functionSummaries.push(resolution.data.actions.map(action => `${action.summary} -> ${action.status}`).join('\n'));
+    }
+    emit('answer_delta', { text: answer });
+    return finishRun(answer);
+  }
+  let nativeToolsUnsupported = false;
+
+  // Spend limits are checked against the spend before the run plus the run's own
+  const spendLimits = getSpendLimits();
+  const spentBefore = spendLimits.daily !== null || spendLimits.monthly !== null ? await loadSpend() : null;
   
   // Maximum number of iterations to prevent infinite loops
   const MAX_ITERATIONS = 5;
@@ -914,49 +4826,138 @@ async function runAIAgent(userPrompt) {
   const { data, error } = await supabase
   .from('knowledge_snippets')
   .select('topic')
+  .eq(OWNER_COLUMN, currentUserId)
   .order('topic');
 
   if (error) {
-  console.error('Error fetching knowledge snippets:', error);
+  log.error('Error fetching knowledge snippets', error);
   throw error;
   }
 
   // Extract unique topics
   const knowledgeList = [...new Set(data.map(item => item.topic))];
-  const knowledgeTopics = `\n\n--- Knowledge Topics available for the retrieveRelevantKnowledge tool:\n${JSON.stringify(knowledgeList, null, 2)}`;
+
+  // Short forms of the function results in the history, used when the prompt is over budget
+  const historyCompacts = new Map();
+  const toolMessageCompacts = new Map();
 
   while (iterations < MAX_ITERATIONS) {
     iterations++;
-    console.log(`\n--- Iteration ${iterations} ---`);
+    setLogContext({ iteration: iterations });
+    log.info('Iteration started', { specialization: currentSpecialization });
+    emit('iteration_started', { iteration: iterations, specialization: currentSpecialization });
     
-    // Build the current context for the AI
-    let currentfunctionsResult = "";
-    if (iterations > 1 && functionsResult) {
-      currentfunctionsResult = `\n\nFUNCTION RESULTS:\n${JSON.stringify(functionsResult, null, 2)}`;
+    // Make the request to the AI with the model chosen for the current specialization,
+    // keeping the prompt inside that model's token budget
+    let modelConfig = resolveModelConfig(currentSpecialization, options.llm, specializationModelConfig);
+
+    // Past a spend limit, switch to the fallback model or stop with an explanation
+    const reachedLimit = spentBefore && reachedSpendLimit({
+      today: spentBefore.today + runUsage.cost,
+      month: spentBefore.month + runUsage.cost
+    }, spendLimits);
+    if (reachedLimit) {
+      if (!spendLimit) {
+        emit('spend_limit', { iteration: iterations, limit: reachedLimit, fallbackModel: spendLimits.fallback?.model || null });
+      }
+      spendLimit = reachedLimit;
+      if (!spendLimits.fallback) {
+        const answer = spendLimitMessage(reachedLimit, spendLimits);
+        conversationHistory.push(`\nCONVERSATION HISTORY ROLE: AGENT\n\nResponse to user:\n${answer}\n`);
+        emit('answer_delta', { text: answer });
+        return finishRun(answer);
+      }
+      modelConfig = { ...modelConfig, ...spendLimits.fallback };
     }
-    
-    // Format the conversation history as a string for the system prompt
-    let historyText = "\n\nCONVERSATION HISTORY INCLUDING FUNCTION RESULTS:";
-    historyText += `\nRead the following like a movie script of the events that have happened 
+    const budget = getPromptBudget(modelConfig);
+    const preferences = renderPreferences(currentProfile);
+    const knowledgeTopics = describeKnowledgeTopics(
+      selectTopics(knowledgeList, userPrompt, Math.floor(budget * KNOWLEDGE_TOPIC_BUDGET_SHARE), KNOWLEDGE_STOP_WORDS),
+      knowledgeList.length
+    );
+    let aiResponse = null;
+
+    if (modelConfig.toolMode === 'native' && !nativeToolsUnsupported) {
+      // Native tool calling: the history travels as assistant and tool messages
+      const instructions = getInstructionsPrompt(currentSpecialization, 'native');
+      const nativePrompt = instructions + preferences + knowledgeTopics;
+      const toolDefinitions = getToolDefinitions(currentSpecialization, specializationAllowedTools);
+      const sections = { instructions: instructions, preferences: preferences, knowledgeTopics: knowledgeTopics, tools: toolDefinitions };
+      const fitted = fitToBudget(
+        toolMessages.map(message => toolMessageCompacts.has(message)
+          ? { text: message.content, ...toolMessageCompacts.get(message) }
+          : { text: JSON.stringify(message) }),
+        budget - countSections(sections).total
+      );
+      const messages = toolMessages.map((message, index) => toolMessageCompacts.has(message)
+        ? { ...message, content: fitted.texts[index] }
+        : message);
+      log.debug('Full prompt', { prompt: nativePrompt });
+      emit('model_request', {
+        iteration: iterations,
+        provider: modelConfig.provider,
+        model: modelConfig.model,
+        toolMode: 'native',
+        promptCharacters: nativePrompt.length + messages.reduce((total, message) => total + (message.content || '').length, 0),
+        tokens: { ...countSections({ ...sections, history: fitted.tokens }), budget: budget },
+        compactedResults: fitted.compacted,
+        truncatedResults: fitted.truncated
+      });
+
+      try {
+        aiResponse = await makeAIRequest(
+          [{ role: "system", content: nativePrompt }, ...messages],
+          modelConfig,
+          toolDefinitions
+        );
+      } catch (error) {
+        if (!error.toolsUnsupported) {
+          throw error;
+        }
+        log.warn('Model does not support tool calling, falling back to the text protocol', { model: modelConfig.model });
+        nativeToolsUnsupported = true;
+      }
+    }
+
+    if (!aiResponse) {
+      // Format the conversation history as a string for the system prompt
+      let historyText = "\n\nCONVERSATION HISTORY INCLUDING FUNCTION RESULTS:";
+      historyText += `\nRead the following like a movie script of the events that have happened 
     so far since the beginning of our conversation with the user. As each conversation role
     changes, that is the next event that has happened in sequence.\n`;
 
-    for (const message of conversationHistory) {
-      historyText += `${message}`;
+      const instructions = getInstructionsPrompt(currentSpecialization);
+      const sections = { instructions: instructions, preferences: preferences, knowledgeTopics: knowledgeTopics };
+      const fitted = fitToBudget(
+        conversationHistory.map((entry, index) => historyCompacts.has(index)
+          ? { text: entry, compact: historyCompacts.get(index) }
+          : { text: entry }),
+        budget - countSections({ ...sections, historyText: historyText }).total
+      );
+      historyText += fitted.texts.join('');
+
+      // Combine everything into the full agent prompt
+      const fullAgentPrompt = instructions + preferences + knowledgeTopics + historyText;
+      log.debug('Full prompt', { prompt: fullAgentPrompt });
+      emit('model_request', {
+        iteration: iterations,
+        provider: modelConfig.provider,
+        model: modelConfig.model,
+        toolMode: 'text',
+        promptCharacters: fullAgentPrompt.length,
+        tokens: { ...countSections({ ...sections, history: historyText }), budget: budget },
+        compactedResults: fitted.compacted,
+        truncatedResults: fitted.truncated
+      });
+
+      // Prepare messages for the AI request
+      const messages = [
+        { role: "system", content: fullAgentPrompt },
+      ];
+
+      aiResponse = await makeAIRequest(messages, modelConfig);
     }
     
-    // Combine everything into the full agent prompt
-    const fullAgentPrompt = getInstructionsPrompt(currentSpecialization) + knowledgeTopics + historyText; // + currentfunctionsResult;
-    console.log(`Full Prompt: ${fullAgentPrompt}`);
-
-    // Prepare messages for the AI request
-    const messages = [
-      { role: "system", content: fullAgentPrompt },
-    ];
-    
-    // Make the request to the AI
-    const aiResponse = await makeAIRequest(messages);
-    
     // Check if we need to call a function
     if (aiResponse.function_calls && aiResponse.function_calls.length > 0) {
       if (!currentSpecialization) {
@@ -964,13 +4965,40 @@ async function runAIAgent(userPrompt) {
       }
       conversationHistory.push(`\nCONVERSATION HISTORY ROLE: LLM - ${currentSpecialization}\n`);
 
+      if (aiResponse.reasoning) {
+        emit('reasoning', { iteration: iterations, text: aiResponse.reasoning });
+      }
+
       // Execute the requested function
-      functionsResult = await executeFunctions(aiResponse.function_calls);
-      console.log(`Results:`, functionsResult);
+      const results = await runFunctionCalls(
+        aiResponse.function_calls,
+        (type, data) => emit(type, { iteration: iterations, ...data })
+      );
+      functionsResult = results.map(formatFunctionResult).join('');
+      functionSummaries.push(summarizeFunctionResults(results));
+      log.debug('Function results', { results: functionsResult });
+
+      // Record the calls and their results as tool messages. Calls made through the
+      // text protocol get generated ids so later native iterations can read them.
+      const toolCalls = aiResponse.function_calls.map((functionCall, index) => ({
+        id: functionCall.id || `call_${iterations}_${index}`,
+        type: 'function',
+        function: {
+          name: functionCall.function,
+          arguments: JSON.stringify(functionCall.parameters || {})
+        }
+      }));
+      toolMessages.push({ role: "assistant", content: aiResponse.reasoning || null, tool_calls: toolCalls });
+      results.forEach((result, index) => {
+        const message = { role: "tool", tool_call_id: toolCalls[index].id, content: formatFunctionResult(result, index) };
+        toolMessages.push(message);
+        toolMessageCompacts.set(message, { compact: compactFunctionResult(result, index), group: iterations });
+      });
 
       // Add the function call and result to the conversation history, removing backslashes
       // conversationHistory.push(`\nCONVERSATION HISTORY ROLE: LLM\n\nCalling function list:\n${JSON.stringify(aiResponse.function_calls)}. \n\nReasoning: ${aiResponse.reasoning}\n`);
       conversationHistory.push(`\nReasoning: ${aiResponse.reasoning}\n\n${functionsResult}\n`);
+      historyCompacts.set(conversationHistory.length - 1, `\nReasoning: ${aiResponse.reasoning}\n\n${results.map(compactFunctionResult).join('')}\n`);
 
       // conversationHistory.push(`\nCONVERSATION HISTORY ROLE: FUNCTION\n\nFunction results:\n${functionsResult}\n`);
       
@@ -981,117 +5009,465 @@ async function runAIAgent(userPrompt) {
       
       // Add the final response to conversation history
       conversationHistory.push(`\nCONVERSATION HISTORY ROLE: LLM - ${currentSpecialization}\n\nResponse to user:\n${aiResponse.answer}\n`);
+
+      // Stream the answer out word by word
+      (aiResponse.answer || "").split(/(?<=\s)/).forEach(token => emit('answer_delta', { text: token }));
       
-      perfMetrics.logMetrics();
 
       // Return the final result
-      return {
-        answer: aiResponse.answer,
-        conversationHistory: conversationHistory,
-        metrics: perfMetrics.getMetrics(), 
-        specialization: currentSpecialization ? currentSpecialization : 'none'
-      };
+      return finishRun(aiResponse.answer);
     }
   }
   
   // If we've reached the maximum number of iterations without a final answer
-  perfMetrics.logMetrics();
-  console.log(`\nReached maximum iterations (${MAX_ITERATIONS}) without a final answer.`);  
+  emit('answer_delta', { text: "I couldn't complete your request after 5 agent itterations." });
+  log.warn('Reached maximum iterations without a final answer', { maxIterations: MAX_ITERATIONS });
+  return finishRun("I couldn't complete your request after 5 agent itterations.");
+}
+
+// Parse the user query, user id and options from an API Gateway, function URL or direct invocation event
+// The request's model settings as { llmOverrides }, or { llmError } when it
+// changes settings clients may not set
+function parseModelOverrides(config) {
+  try {
+    return { llmOverrides: clientModelOverrides(config), llmError: null };
+  } catch (error) {
+    return { llmOverrides: {}, llmError: error.message };
+  }
+}
+
+// Model settings a form-encoded request can carry (JSON requests nest them under llm).
+// Which of them a client may actually change is up to LLM_CLIENT_OVERRIDES.
+const FORM_MODEL_FIELDS = ['provider', 'model', 'temperature', 'maxTokens', 'contextTokens', 'promptTokens', 'toolMode'];
+
+function parseAgentRequest(event) {
+  let userQuery;
+  let responseFormat;
+  let llmOverrides = {};
+  let body = {};
+  let sessionId;
+  let newSession;
+  let confirmationToken;
+  let cancel;
+  let timezone;
+  
+  // Check if the event is from API Gateway
+  if (event.body) {
+    // Check for content type to determine how to parse the body
+    const contentType = event.headers && (event.headers['Content-Type'] || event.headers['content-type']);
+    
+    if (contentType && contentType.includes('application/x-www-form-urlencoded')) {
+      // Handle form-encoded data
+      const formData = parseFormData(event.body);
+      body = formData;
+      userQuery = formData.query;
+      responseFormat = formData.responseFormat;
+      sessionId = formData.sessionId;
+      newSession = formData.newSession === 'true';
+      confirmationToken = formData.confirmationToken;
+      cancel = formData.cancel === 'true';
+      timezone = formData.timezone;
+      llmOverrides = Object.fromEntries(FORM_MODEL_FIELDS
+        .filter(field => formData[field] !== undefined)
+        .map(field => [field, formData[field]]));
+    } else {
+      // Handle JSON data (default)
+      body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
+      userQuery = body.query;
+      responseFormat = body.responseFormat;
+      sessionId = body.sessionId;
+      newSession = body.newSession === true;
+      confirmationToken = body.confirmationToken;
+      cancel = body.cancel === true;
+      timezone = body.timezone;
+      llmOverrides = body.llm || {};
+    }
+  } else if (event.queryStringParameters && event.queryStringParameters.query) {
+    // Handle query string parameter
+    userQuery = event.queryStringParameters.query;
+    sessionId = event.queryStringParameters.sessionId;
+    confirmationToken = event.queryStringParameters.confirmationToken;
+    cancel = event.queryStringParameters.cancel === 'true';
+    timezone = event.queryStringParameters.timezone;
+  } else {
+    // Fallback or direct invocation
+    userQuery = event.query || "No query provided";
+    sessionId = event.sessionId;
+    newSession = event.newSession === true;
+    confirmationToken = event.confirmationToken;
+    cancel = event.cancel === true;
+    timezone = event.timezone;
+  }
+
+  return {
+    userQuery: userQuery,
+    // Only the authenticated identity, never an id from the request itself
+    ownerId: getAuthenticatedUserId(event),
+    responseFormat: responseFormat,
+    ...parseModelOverrides(llmOverrides),
+    sessionId: sessionId,
+    newSession: newSession,
+    confirmationToken: confirmationToken,
+    cancel: cancel,
+    timezone: timezone,
+    body: body
+  };
+}
+
+// Requests without an authorizer identity or a valid bearer token get a 401
+const NOT_AUTHENTICATED = 'Not authenticated: send a valid bearer token or call through an authorizer';
+
+// CORS headers of every response, buffered or streamed
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type,Authorization',
+  'Access-Control-Allow-Methods': 'OPTIONS,POST,GET,DELETE'
+};
+
+// JSON response with the CORS headers
+function jsonResponse(statusCode, body) {
+  return {
+    statusCode: statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      ...CORS_HEADERS
+    },
+    body: JSON.stringify(body)
+  };
+}
+
+// A request body that couldn't be parsed
+function invalidRequestMessage(error) {
+  return `Invalid request: ${error.message}`;
+}
+
+// Response in another format (e.g. Markdown exports) with the same CORS headers
+function textResponse(statusCode, body, contentType) {
+  const response = jsonResponse(statusCode, null);
   return {
-    answer: "I couldn't complete your request after 5 agent itterations.",
-    conversationHistory: conversationHistory,
-    metrics: perfMetrics.getMetrics(), 
-    specialization: currentSpecialization ? currentSpecialization : 'none'
+    ...response,
+    headers: { ...response.headers, 'Content-Type': contentType },
+    body: body
   };
 }
 
+// Turn a { success, data, error } result into an HTTP response. Results with a
+// contentType carry a preformatted body.
+function resultResponse(result) {
+  if (result.success) {
+    return result.contentType
+      ? textResponse(200, result.data, result.contentType)
+      : jsonResponse(200, result.data);
+  }
+  const statusCode = /not found|^No .* found/i.test(result.error || '') ? 404
+    : /^(Unsupported|Invalid|Send )/.test(result.error || '') ? 400
+    : 500;
+  return jsonResponse(statusCode, { message: result.error });
+}
+
+// Time zone sent with a route request, if it is a valid one
+function getRequestTimezone(event) {
+  const { timezone } = event.body ? parseAgentRequest(event) : {};
+  const requested = timezone || event.queryStringParameters?.timezone || event.timezone;
+  return requested && isValidTimeZone(requested) ? requested : null;
+}
+
+// Routes served by the handler besides agent queries. Paths are matched against
+// the event's rawPath (function URLs, HTTP APIs) or path (REST APIs).
+const routes = [
+  {
+    method: 'GET',
+    pattern: /^\/sessions\/?$/,
+    handle: () => listSessions()
+  },
+  {
+    method: 'GET',
+    pattern: /^\/sessions\/([^/]+)\/?$/,
+    handle: (event, match) => getSession(decodeURIComponent(match[1]))
+  },
+  {
+    method: 'DELETE',
+    pattern: /^\/sessions\/([^/]+)\/?$/,
+    handle: (event, match) => deleteSession(decodeURIComponent(match[1]))
+  },
+  {
+    method: 'GET',
+    pattern: /^\/knowledge\/export\/?$/,
+    handle: event => exportKnowledge(event.queryStringParameters?.format || 'json')
+  },
+  {
+    method: 'POST',
+    pattern: /^\/knowledge\/import\/?$/,
+    handle: event => importKnowledge(parseAgentRequest(event).body)
+  },
+  {
+    method: 'GET',
+    pattern: /^\/changes\/?$/,
+    handle: event => listRecentChanges({ limit: Number(event.queryStringParameters?.limit) || undefined })
+  },
+  {
+    method: 'POST',
+    pattern: /^\/undo\/?$/,
+    handle: event => undoLastChange({ runId: event.body ? parseAgentRequest(event).body.runId : undefined })
+  },
+  {
+    method: 'GET',
+    pattern: /^\/usage\/?$/,
+    handle: event => getUsage({ days: event.queryStringParameters?.days })
+  },
+  {
+    method: 'POST',
+    pattern: /^\/locations\/?$/,
+    handle: event => ingestLocations(parseAgentRequest(event).body)
+  },
+  {
+    method: 'GET',
+    pattern: /^\/locations\/?$/,
+    handle: event => getLocationHistory({
+      place: event.queryStringParameters?.place,
+      days: Number(event.queryStringParameters?.days) || undefined,
+      limit: Number(event.queryStringParameters?.limit) || undefined
+    })
+  }
+];
+
+// Run the matching route, or return null so the event is handled as an agent query
+async function routeRequest(event) {
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  const path = event.rawPath || event.path;
+  if (!method || !path) {
+    return null;
+  }
+
+  for (const route of routes) {
+    const match = path.match(route.pattern);
+    if (route.method !== method || !match) {
+      continue;
+    }
+
+    const ownerId = getAuthenticatedUserId(event);
+    if (!ownerId) {
+      return jsonResponse(401, { message: NOT_AUTHENTICATED });
+    }
+    currentUserId = ownerId;
+    currentUserQuery = null;
+    currentRunId = crypto.randomUUID();
+    setLogContext({ userId: currentUserId, runId: currentRunId });
+    // Loaded for every request so days and times aren't read in the previous caller's time zone
+    currentProfile = await loadUserProfile();
+    currentTimezone = getRequestTimezone(event) || (currentProfile && currentProfile.timezone) || null;
+
+    return resultResponse(await route.handle(event, match));
+  }
+
+  return null;
+}
+
+// Scheduled events: an EventBridge schedule rule, or the local server's timer
+function isScheduledEvent(event) {
+  return event.source === 'aws.events' || event['detail-type'] === 'Scheduled Event';
+}
+
+// Entry point for scheduled runs. Delivers due reminders and returns a summary.
+// Point an EventBridge schedule (e.g. rate(1 minute)) at index.scheduledHandler,
+// or at index.handler, which passes scheduled events on to it.
+export const scheduledHandler = async (event = {}, context = {}) => runWithContext(
+  { requestId: requestIdOf(event, context) },
+  () => withSpan('deliver_reminders', { 'faas.trigger': 'timer' }, async span => {
+    try {
+      const summary = await deliverDueReminders(new Date());
+      span.setAttributes({ 'reminders.due': summary.due, 'reminders.delivered': summary.delivered, 'reminders.failed': summary.failed });
+      log.info('Scheduled run finished', summary);
+      return summary;
+    } catch (error) {
+      log.error('Error delivering reminders', error);
+      span.recordError(error);
+      return { due: 0, delivered: 0, failed: 0, error: error.message };
+    }
+  })
+);
+
+// The invocation's request id: Lambda's, API Gateway's, or a new one
+function requestIdOf(event, context) {
+  return getLogContext().requestId || context.awsRequestId || event.requestContext?.requestId || crypto.randomUUID();
+}
+
+// Run an HTTP or direct invocation in its own log context, traced as a server span
+function traceInvocation(event, context, fn) {
+  const method = event.requestContext?.http?.method || event.httpMethod;
+  const path = event.rawPath || event.path;
+  return runWithContext({ requestId: requestIdOf(event, context) }, () => withSpan(
+    method && path ? `${method} ${path}` : 'invoke',
+    { 'faas.trigger': method ? 'http' : 'other', 'http.request.method': method, 'url.path': path },
+    async span => {
+      log.info('Received event', { method: method, path: path });
+      log.debug('Event', { event: event });
+      const response = await fn();
+      if (response && response.statusCode) {
+        span.setAttributes({ 'http.response.status_code': response.statusCode });
+        if (response.statusCode >= 500) {
+          span.setStatus('error');
+        }
+      }
+      return response;
+    },
+    { kind: 'server' }
+  ));
+}
+
 // The Lambda handler function
-export const handler = async (event) => {
+export const handler = (event, context = {}) => traceInvocation(event, context, () => handleEvent(event, context));
+
+async function handleEvent(event, context) {
   try {
-    console.log('Received event:', JSON.stringify(event, null, 2));
+
+    if (isScheduledEvent(event)) {
+      return await scheduledHandler(event);
+    }
     
     // Parse the user query from the event
-    let userQuery;
-    let userId;
-    
-    // Check if the event is from API Gateway
-    if (event.body) {
-      // Check for content type to determine how to parse the body
-      const contentType = event.headers && (event.headers['Content-Type'] || event.headers['content-type']);
-      
-      if (contentType && contentType.includes('application/x-www-form-urlencoded')) {
-        // Handle form-encoded data
-        const formData = parseFormData(event.body);
-        userQuery = formData.query;
-        userId = formData.userId;
-      } else {
-        // Handle JSON data (default)
-        const body = typeof event.body === 'string' ? JSON.parse(event.body) : event.body;
-        userQuery = body.query;
-        userId = body.userId;
-      }
-    } else if (event.queryStringParameters && event.queryStringParameters.query) {
-      // Handle query string parameter
-      userQuery = event.queryStringParameters.query;
-    } else {
-      // Fallback or direct invocation
-      userQuery = event.query || "No query provided";
+    // Session management and other non-query routes
+    const routeResponse = await routeRequest(event);
+    if (routeResponse) {
+      return routeResponse;
+    }
+
+    let request;
+    try {
+      request = parseAgentRequest(event);
+    } catch (error) {
+      return jsonResponse(400, { message: invalidRequestMessage(error) });
+    }
+    const { userQuery, ownerId, responseFormat, llmOverrides, llmError, sessionId, newSession, confirmationToken, cancel, timezone } = request;
+
+    if (!ownerId) {
+      return jsonResponse(401, { message: NOT_AUTHENTICATED });
+    }
+    if (llmError) {
+      return jsonResponse(400, { message: llmError });
     }
-    
 
     // Run the AI agent with the user's query
-    const result = await runAIAgent(userQuery);
+    const result = await runAIAgent(userQuery, ownerId, {
+      llm: llmOverrides,
+      sessionId: sessionId,
+      newSession: newSession,
+      confirmationToken: confirmationToken,
+      cancel: cancel,
+      timezone: timezone
+    });
     
-    // Return a properly formatted response for API Gateway
-    if (userId === 'phone') {
-      return {
-        statusCode: 200,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*', // For CORS support
-          'Access-Control-Allow-Headers': 'Content-Type',
-          'Access-Control-Allow-Methods': 'OPTIONS,POST,GET'
-        },
-        body: result.answer 
-      };
-    }
-    else {
+    // The legacy 'phone' user id still selects the plain text response
+    if (ownerId === 'phone' || responseFormat === 'text') {
+      const response = textResponse(200, result.answer, 'text/plain; charset=utf-8');
       return {
-        statusCode: 200,
+        ...response,
         headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': '*', // For CORS support
-          'Access-Control-Allow-Headers': 'Content-Type',
-          'Access-Control-Allow-Methods': 'OPTIONS,POST,GET'
-        },
-        body: JSON.stringify({
-          message: result.answer,
-          conversationHistory: result.conversationHistory,
-          metrics: result.metrics,
-          specialization: result.specialization
-        })
+          ...response.headers,
+          ...(result.sessionId ? { 'X-Session-Id': result.sessionId } : {}),
+          ...(result.pendingConfirmation ? { 'X-Confirmation-Token': result.pendingConfirmation.token } : {})
+        }
       };
     }
+    return jsonResponse(200, {
+      message: result.answer,
+      conversationHistory: result.conversationHistory,
+      metrics: result.metrics,
+      specialization: result.specialization,
+      sessionId: result.sessionId,
+      pendingConfirmation: result.pendingConfirmation,
+      runId: result.runId
+    });
   } catch (error) {
-    console.error('Error processing request:', error);
-    
-    // Return error response
-    return {
-      statusCode: 500,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'OPTIONS,POST,GET'
-      },
-      body: JSON.stringify({
-        message: 'Error processing your request',
-        error: error.message
-      })
-    };
+    log.error('Error processing request', error);
+    return jsonResponse(500, {
+      message: 'Error processing your request',
+      error: error.message
+    });
   }
 };
 
+// Headers for Server-Sent Events responses
+export const STREAM_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  ...CORS_HEADERS
+};
+
+// Write one Server-Sent Event to the response stream
+function writeStreamEvent(stream, type, data) {
+  stream.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streaming entry point. Sends the run's progress as Server-Sent Events:
+// iteration_started, reasoning, function_call, function_result, answer_delta,
+// and finally done (or error).
+function streamAgentResponse(event, responseStream, context = {}) {
+  return traceInvocation(event, context, () => streamAgent(event, responseStream));
+}
+
+async function streamAgent(event, responseStream) {
+  // Lambda response streaming needs the status and headers attached to the stream
+  // before anything is written to it
+  const openStream = statusCode => typeof awslambda !== 'undefined'
+    ? awslambda.HttpResponseStream.from(responseStream, { statusCode: statusCode, headers: STREAM_HEADERS })
+    : responseStream;
+
+  let request;
+  try {
+    request = parseAgentRequest(event);
+  } catch (error) {
+    const stream = openStream(400);
+    writeStreamEvent(stream, 'error', { message: invalidRequestMessage(error) });
+    stream.end();
+    return;
+  }
+
+  const { userQuery, ownerId, llmOverrides, llmError, sessionId, newSession, confirmationToken, cancel, timezone } = request;
+  const stream = openStream(!ownerId ? 401 : llmError ? 400 : 200);
+
+  try {
+    if (!ownerId) {
+      writeStreamEvent(stream, 'error', { message: NOT_AUTHENTICATED });
+    } else if (llmError) {
+      writeStreamEvent(stream, 'error', { message: llmError });
+    } else {
+      const result = await runAIAgent(userQuery, ownerId, {
+        llm: llmOverrides,
+        sessionId: sessionId,
+        newSession: newSession,
+        confirmationToken: confirmationToken,
+        cancel: cancel,
+        timezone: timezone,
+        onEvent: (type, data) => writeStreamEvent(stream, type, data)
+      });
+
+      writeStreamEvent(stream, 'done', {
+        message: result.answer,
+        metrics: result.metrics,
+        specialization: result.specialization,
+        sessionId: result.sessionId,
+        pendingConfirmation: result.pendingConfirmation,
+        runId: result.runId
+      });
+    }
+  } catch (error) {
+    log.error('Error processing streaming request', error);
+    writeStreamEvent(stream, 'error', {
+      message: 'Error processing your request',
+      error: error.message
+    });
+  }
+
+  stream.end();
+}
+
+// Use index.streamingHandler as the Lambda handler with a function URL in
+// RESPONSE_STREAM invoke mode. Outside Lambda it takes any writable stream.
+export const streamingHandler = typeof awslambda !== 'undefined'
+  ? awslambda.streamifyResponse(streamAgentResponse)
+  : streamAgentResponse;
+
 // Helper function to parse form-encoded data
 function parseFormData(formBody) {
   const result = {};
@@ -1106,45 +5482,3 @@ function parseFormData(formBody) {
   
   return result;
 }
-
-// Performance tracking utility
-const perfMetrics = {
-  startTimes: {},
-  durations: {},
-  
-  start(label) {
-    this.startTimes[label] = Date.now();
-  },
-  
-  end(label) {
-    if (!this.startTimes[label]) {
-      console.warn(`No start time recorded for: ${label}`);
-      return;
-    }
-    
-    const duration = Date.now() - this.startTimes[label];
-    this.durations[label] = (this.durations[label] || 0) + duration;
-    return duration;
-  },
-  
-  reset() {
-    this.startTimes = {};
-    this.durations = {};
-  },
-  
-  getMetrics() {
-    return {
-      ...this.durations,
-      total: Object.values(this.durations).reduce((a, b) => a + b, 0)
-    };
-  },
-  
-  logMetrics() {
-    console.log("Performance Metrics (ms):");
-    const metrics = this.getMetrics();
-    Object.entries(metrics).forEach(([key, value]) => {
-      console.log(`- ${key}: ${value}ms`);
-    });
-  }
-};
-
@@ -0,0 +1,431 @@
+import fetch from "node-fetch";
+import { estimateTokens } from './contextBudget.mjs';
+import { log } from './logger.mjs';
+
+// Defaults used when neither the specialization nor the request picks a model
+const DEFAULT_PROVIDER = 'openrouter';
+const DEFAULT_MODEL = 'google/gemini-2.0-flash-lite-preview-02-05:free';
+const DEFAULT_TEMPERATURE = 0.2;
+// 'text' asks for the JSON answer/reasoning/function_calls blob, 'native' uses the API's tool calling
+const DEFAULT_TOOL_MODE = 'text';
+export const TOOL_MODES = ['text', 'native'];
+const ANTHROPIC_DEFAULT_MAX_TOKENS = 4096;
+
+// Parse a number from env vars or form bodies, ignoring empty values
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+// A tool mode from config, or undefined when none is set. Unknown modes are an
+// error rather than falling back silently to another protocol.
+function toToolMode(value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (!TOOL_MODES.includes(value)) {
+    throw new Error(`Unknown tool mode "${value}": use ${TOOL_MODES.join(' or ')}`);
+  }
+  return value;
+}
+
+// Drop undefined keys so they don't override lower-priority settings
+function compact(config) {
+  return Object.fromEntries(
+    Object.entries(config || {}).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+}
+
+// Global settings from environment variables
+function getGlobalModelConfig() {
+  return compact({
+    provider: process.env.LLM_PROVIDER || DEFAULT_PROVIDER,
+    model: process.env.LLM_MODEL || DEFAULT_MODEL,
+    temperature: toNumber(process.env.LLM_TEMPERATURE) ?? DEFAULT_TEMPERATURE,
+    maxTokens: toNumber(process.env.LLM_MAX_TOKENS),
+    promptTokens: toNumber(process.env.LLM_PROMPT_TOKENS),
+    toolMode: toToolMode(process.env.LLM_TOOL_MODE) || DEFAULT_TOOL_MODE
+  });
+}
+
+// Per-specialization settings, e.g. {"router": {"model": "..."}, "secretary": {"model": "...", "temperature": 0.5}}
+function getSpecializationModelConfig(specialization) {
+  if (!specialization || !process.env.LLM_SPECIALIZATION_MODELS) {
+    return {};
+  }
+  try {
+    const configs = JSON.parse(process.env.LLM_SPECIALIZATION_MODELS);
+    return normalizeModelConfig(configs[specialization]);
+  } catch (error) {
+    log.error('Invalid LLM_SPECIALIZATION_MODELS value', error);
+    return {};
+  }
+}
+
+// Accept the loosely typed values that come from request bodies
+export function normalizeModelConfig(config) {
+  if (!config) {
+    return {};
+  }
+  return compact({
+    provider: config.provider,
+    model: config.model,
+    temperature: toNumber(config.temperature),
+    maxTokens: toNumber(config.maxTokens ?? config.max_tokens),
+    contextTokens: toNumber(config.contextTokens ?? config.context_tokens),
+    promptTokens: toNumber(config.promptTokens ?? config.prompt_tokens),
+    toolMode: toToolMode(config.toolMode)
+  });
+}
+
+// Settings an HTTP request may override: LLM_CLIENT_OVERRIDES, a comma-separated
+// list of provider, model, temperature, maxTokens, contextTokens, promptTokens and
+// toolMode. Picking the provider and model decides what a request costs, so by
+// default clients may only change temperature and toolMode.
+const DEFAULT_CLIENT_OVERRIDES = ['temperature', 'toolMode'];
+
+function clientOverrideFields() {
+  return process.env.LLM_CLIENT_OVERRIDES
+    ? process.env.LLM_CLIENT_OVERRIDES.split(',').map(field => field.trim()).filter(Boolean)
+    : DEFAULT_CLIENT_OVERRIDES;
+}
+
+// A request's model settings, or an error naming the settings it may not change
+export function clientModelOverrides(config) {
+  const overrides = normalizeModelConfig(config);
+  const allowed = clientOverrideFields();
+  const refused = Object.keys(overrides).filter(field => !allowed.includes(field));
+  if (refused.length > 0) {
+    throw new Error(`LLM settings that can't be set per request: ${refused.join(', ')}`);
+  }
+  return overrides;
+}
+
+// Resolve the model settings for a call: request overrides > the specialization's
+// own model_config > LLM_SPECIALIZATION_MODELS > global
+export function resolveModelConfig(specialization, requestOverrides = {}, specializationConfig = {}) {
+  return {
+    ...getGlobalModelConfig(),
+    ...getSpecializationModelConfig(specialization),
+    ...normalizeModelConfig(specializationConfig),
+    ...normalizeModelConfig(requestOverrides)
+  };
+}
+
+// Build the error thrown for a failed API call. Errors that look like the model
+// rejecting the tools parameter are flagged so the agent can fall back to text mode.
+function requestError(response, data, request) {
+  const message = data.error?.message || JSON.stringify(data);
+  const error = new Error(`LLM request failed with status ${response.status}: ${message}`);
+  error.status = response.status;
+  error.toolsUnsupported = Boolean(request.tools)
+    && [400, 404, 422].includes(response.status)
+    && /tool|function/i.test(message);
+  return error;
+}
+
+// Tool call arguments arrive as a JSON string that the model may have malformed
+function parseToolArguments(rawArguments) {
+  if (rawArguments && typeof rawArguments === 'object') {
+    return { arguments: rawArguments };
+  }
+  try {
+    return { arguments: rawArguments ? JSON.parse(rawArguments) : {} };
+  } catch (error) {
+    return { arguments: null, parseError: `Invalid JSON arguments: ${error.message}` };
+  }
+}
+
+// Token counts in the shape every adapter returns, or null when the response has none
+function tokenUsage(promptTokens, completionTokens) {
+  if (promptTokens === undefined && completionTokens === undefined) {
+    return null;
+  }
+  return {
+    promptTokens: promptTokens || 0,
+    completionTokens: completionTokens || 0,
+    totalTokens: (promptTokens || 0) + (completionTokens || 0)
+  };
+}
+
+// Shared request logic for every OpenAI-compatible chat completions endpoint
+async function openAICompatibleRequest(url, apiKey, extraHeaders, request) {
+  const headers = {
+    "Content-Type": "application/json",
+    ...extraHeaders
+  };
+  if (apiKey) {
+    headers["Authorization"] = `Bearer ${apiKey}`;
+  }
+
+  const body = {
+    model: request.model,
+    messages: request.messages,
+    temperature: request.temperature
+  };
+  if (request.maxTokens) {
+    body.max_tokens = request.maxTokens;
+  }
+  if (request.tools && request.tools.length > 0) {
+    body.tools = request.tools;
+    body.tool_choice = 'auto';
+  }
+
+  const response = await fetch(url, {
+    method: "POST",
+    headers: headers,
+    body: JSON.stringify(body)
+  });
+  const data = await response.json();
+
+  if (!response.ok) {
+    throw requestError(response, data, request);
+  }
+
+  const message = data.choices?.[0]?.message || {};
+  return {
+    content: message.content || "",
+    toolCalls: (message.tool_calls || []).map(toolCall => ({
+      id: toolCall.id,
+      name: toolCall.function?.name,
+      ...parseToolArguments(toolCall.function?.arguments)
+    })),
+    usage: tokenUsage(data.usage?.prompt_tokens, data.usage?.completion_tokens),
+    raw: data
+  };
+}
+
+const openRouterProvider = {
+  name: 'openrouter',
+  async complete(request) {
+    const extraHeaders = {};
+    if (process.env.OPENROUTER_REFERER) {
+      extraHeaders["HTTP-Referer"] = process.env.OPENROUTER_REFERER;
+    }
+    if (process.env.OPENROUTER_TITLE) {
+      extraHeaders["X-Title"] = process.env.OPENROUTER_TITLE;
+    }
+    return openAICompatibleRequest(
+      "https://openrouter.ai/api/v1/chat/completions",
+      process.env.OPENROUTER_API_KEY,
+      extraHeaders,
+      request
+    );
+  }
+};
+
+const openAIProvider = {
+  name: 'openai',
+  async complete(request) {
+    const baseUrl = process.env.OPENAI_BASE_URL || "https://api.openai.com/v1";
+    return openAICompatibleRequest(`${baseUrl}/chat/completions`, process.env.OPENAI_API_KEY, {}, request);
+  }
+};
+
+// Local OpenAI-compatible servers (Ollama, llama.cpp, LM Studio, vLLM)
+const localProvider = {
+  name: 'local',
+  async complete(request) {
+    const baseUrl = process.env.LOCAL_LLM_BASE_URL || "http://localhost:11434/v1";
+    return openAICompatibleRequest(`${baseUrl}/chat/completions`, process.env.LOCAL_LLM_API_KEY, {}, request);
+  }
+};
+
+// Convert OpenAI-style assistant tool_calls and tool messages into Anthropic content blocks
+export function toAnthropicMessages(messages) {
+  const converted = [];
+
+  for (const message of messages) {
+    let next;
+    if (message.role === 'tool') {
+      next = {
+        role: 'user',
+        content: [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content }]
+      };
+    } else if (message.role === 'assistant' && message.tool_calls) {
+      const content = [];
+      if (message.content) {
+        content.push({ type: 'text', text: message.content });
+      }
+      message.tool_calls.forEach(toolCall => {
+        // Anthropic requires an object; arguments the model malformed (or sent as
+        // null) were already reported back to it as an error, so send an empty one
+        const { arguments: input } = parseToolArguments(toolCall.function.arguments);
+        content.push({
+          type: 'tool_use',
+          id: toolCall.id,
+          name: toolCall.function.name,
+          input: input && typeof input === 'object' && !Array.isArray(input) ? input : {}
+        });
+      });
+      next = { role: 'assistant', content: content };
+    } else {
+      next = { role: message.role, content: message.content };
+    }
+
+    // Consecutive tool results have to share a single user turn
+    const previous = converted[converted.length - 1];
+    if (previous && previous.role === next.role && Array.isArray(previous.content) && Array.isArray(next.content)) {
+      previous.content.push(...next.content);
+    } else {
+      converted.push(next);
+    }
+  }
+
+  return converted;
+}
+
+const anthropicProvider = {
+  name: 'anthropic',
+  async complete(request) {
+    const baseUrl = process.env.ANTHROPIC_BASE_URL || "https://api.anthropic.com/v1";
+
+    // The Messages API takes the system prompt separately from the conversation
+    const system = request.messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+    let messages = toAnthropicMessages(request.messages.filter(message => message.role !== 'system'));
+
+    // A conversation has to start with a user turn
+    if (messages.length === 0) {
+      messages = [{ role: 'user', content: 'Follow the system instructions and respond.' }];
+    }
+
+    const tools = (request.tools || []).map(tool => ({
+      name: tool.function.name,
+      description: tool.function.description,
+      input_schema: tool.function.parameters
+    }));
+
+    const response = await fetch(`${baseUrl}/messages`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        "x-api-key": process.env.ANTHROPIC_API_KEY,
+        "anthropic-version": "2023-06-01"
+      },
+      body: JSON.stringify({
+        model: request.model,
+        system: system || undefined,
+        messages: messages,
+        temperature: request.temperature,
+        max_tokens: request.maxTokens || ANTHROPIC_DEFAULT_MAX_TOKENS,
+        tools: tools.length > 0 ? tools : undefined
+      })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw requestError(response, data, request);
+    }
+
+    const blocks = data.content || [];
+    return {
+      content: blocks
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join(''),
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+      // Cached prompt tokens are reported separately from input_tokens
+      usage: data.usage
+        ? tokenUsage(
+          (data.usage.input_tokens || 0) + (data.usage.cache_creation_input_tokens || 0) + (data.usage.cache_read_input_tokens || 0),
+          data.usage.output_tokens
+        )
+        : null,
+      raw: data
+    };
+  }
+};
+
+// In-process provider for offline runs. Replies are taken from the queue in order,
+// then from the responder function, then a fixed final answer. A reply is either
+// the text the model would send, or { content, toolCalls: [{ name, arguments }], usage }.
+// Usage is estimated from the text unless the reply gives it.
+export const mockProvider = {
+  name: 'mock',
+  queue: [],
+  responder: null,
+  requests: [],
+
+  enqueue(...replies) {
+    this.queue.push(...replies);
+  },
+
+  setResponder(responder) {
+    this.responder = responder;
+  },
+
+  reset() {
+    this.queue = [];
+    this.responder = null;
+    this.requests = [];
+  },
+
+  async complete(request) {
+    this.requests.push(request);
+
+    let reply;
+    if (this.queue.length > 0) {
+      reply = this.queue.shift();
+    } else if (this.responder) {
+      reply = await this.responder(request);
+    } else if (request.tools && request.tools.length > 0) {
+      // Native tool calling: the answer is the plain message content
+      reply = "This is a mock response.";
+    } else {
+      reply = { answer: "This is a mock response.", reasoning: "", function_calls: [] };
+    }
+
+    const promptTokens = estimateTokens(request.messages) + estimateTokens(request.tools);
+    if (reply && Array.isArray(reply.toolCalls)) {
+      return {
+        content: reply.content || "",
+        toolCalls: reply.toolCalls.map((toolCall, index) => ({
+          id: toolCall.id || `mock_call_${this.requests.length}_${index}`,
+          name: toolCall.name,
+          arguments: toolCall.arguments || {}
+        })),
+        usage: reply.usage || tokenUsage(promptTokens, estimateTokens(reply.content) + estimateTokens(reply.toolCalls)),
+        raw: null
+      };
+    }
+
+    const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+    return {
+      content: content,
+      toolCalls: [],
+      usage: tokenUsage(promptTokens, estimateTokens(content)),
+      raw: null
+    };
+  }
+};
+
+const providers = {
+  openrouter: openRouterProvider,
+  openai: openAIProvider,
+  anthropic: anthropicProvider,
+  local: localProvider,
+  mock: mockProvider
+};
+
+// Add or replace a provider adapter. Adapters implement
+// complete({ model, messages, temperature, maxTokens, tools }) and resolve to
+// { content, toolCalls, usage: { promptTokens, completionTokens, totalTokens } or null, raw }
+export function registerProvider(name, provider) {
+  providers[name] = provider;
+}
+
+export function getProvider(name) {
+  const provider = providers[name || DEFAULT_PROVIDER];
+  if (!provider) {
+    throw new Error(`Unknown LLM provider: ${name}`);
+  }
+  return provider;
+}
@@ -0,0 +1,157 @@
+import { normalizeModelConfig } from './llmProviders.mjs';
+import { log } from './logger.mjs';
+
+// LLM token usage, cost and spend limits.
+//
+// Provider adapters report { promptTokens, completionTokens, totalTokens } per call.
+// Cost is computed from a price table in USD per million tokens, matched against the
+// model name (the longest matching key wins): LLM_PRICES, e.g.
+// {"claude-sonnet-4-5": {"input": 3, "output": 15}}, then the built-in prices below.
+// OpenRouter's ":free" models and the local and mock providers cost nothing. Any
+// other model without a price is reported as unpriced and, while a spend limit is
+// set, charged at LLM_UNPRICED_PRICE (default: the highest built-in price), so a
+// model missing from the table can't run past the limit; without limits it is free.
+
+const MODEL_PRICES = {
+  'claude-opus-4': { input: 15, output: 75 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 }
+};
+
+const FREE_PROVIDERS = ['local', 'mock'];
+
+function configuredPrices() {
+  if (!process.env.LLM_PRICES) {
+    return {};
+  }
+  try {
+    return JSON.parse(process.env.LLM_PRICES);
+  } catch (error) {
+    log.error('Invalid LLM_PRICES value', error);
+    return {};
+  }
+}
+
+function longestMatch(prices, model) {
+  const key = Object.keys(prices)
+    .filter(name => model.includes(name.toLowerCase()))
+    .sort((a, b) => b.length - a.length)[0];
+  return key === undefined ? null : prices[key];
+}
+
+// { input, output } in USD per million tokens, or null when the model has no price
+export function getModelPrice(modelConfig = {}) {
+  const model = (modelConfig.model || '').toLowerCase();
+  if (FREE_PROVIDERS.includes(modelConfig.provider) || model.endsWith(':free')) {
+    return { input: 0, output: 0 };
+  }
+  const price = longestMatch(configuredPrices(), model) || longestMatch(MODEL_PRICES, model);
+  return price ? { input: Number(price.input) || 0, output: Number(price.output) || 0 } : null;
+}
+
+// The price charged for models without one
+function unpricedPrice() {
+  const limits = getSpendLimits();
+  if (limits.daily === null && limits.monthly === null) {
+    return { input: 0, output: 0 };
+  }
+  if (process.env.LLM_UNPRICED_PRICE) {
+    try {
+      const price = JSON.parse(process.env.LLM_UNPRICED_PRICE);
+      return { input: Number(price.input) || 0, output: Number(price.output) || 0 };
+    } catch (error) {
+      log.error('Invalid LLM_UNPRICED_PRICE value', error);
+    }
+  }
+  const prices = Object.values(MODEL_PRICES);
+  return {
+    input: Math.max(...prices.map(price => price.input)),
+    output: Math.max(...prices.map(price => price.output))
+  };
+}
+
+// Cost of one call in USD
+export function usageCost(modelConfig, usage) {
+  if (!usage) {
+    return 0;
+  }
+  const price = getModelPrice(modelConfig) || unpricedPrice();
+  return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+}
+
+function emptyUsage() {
+  return { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+function addTo(totals, usage, cost) {
+  totals.requests++;
+  totals.promptTokens += usage.promptTokens || 0;
+  totals.completionTokens += usage.completionTokens || 0;
+  totals.totalTokens += usage.totalTokens || (usage.promptTokens || 0) + (usage.completionTokens || 0);
+  totals.cost += cost;
+}
+
+// Usage of one run: the totals, and the same per "provider/model"
+export function createUsageTotals() {
+  return { ...emptyUsage(), unpriced: [], models: {} };
+}
+
+// Add one call to a run's totals. Calls whose response had no usage still count as a request.
+export function addUsage(totals, modelConfig, usage) {
+  const counted = usage || { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const cost = usageCost(modelConfig, counted);
+  const key = `${modelConfig.provider}/${modelConfig.model}`;
+  totals.models[key] = totals.models[key] || { provider: modelConfig.provider, model: modelConfig.model, ...emptyUsage() };
+  addTo(totals.models[key], counted, cost);
+  addTo(totals, counted, cost);
+  if (!getModelPrice(modelConfig) && !totals.unpriced.includes(key)) {
+    totals.unpriced.push(key);
+  }
+  return totals;
+}
+
+// Spend limits in USD from LLM_DAILY_SPEND_LIMIT and LLM_MONTHLY_SPEND_LIMIT (per user,
+// unset for none), and the model to switch to once one is reached:
+// LLM_SPEND_LIMIT_MODEL, a model config like {"provider": "openrouter", "model": "...:free"}.
+// Without it the agent stops answering until the limit resets.
+export function getSpendLimits() {
+  let fallback = null;
+  if (process.env.LLM_SPEND_LIMIT_MODEL) {
+    try {
+      fallback = normalizeModelConfig(JSON.parse(process.env.LLM_SPEND_LIMIT_MODEL));
+    } catch (error) {
+      log.error('Invalid LLM_SPEND_LIMIT_MODEL value', error);
+    }
+  }
+  return {
+    daily: Number(process.env.LLM_DAILY_SPEND_LIMIT) || null,
+    monthly: Number(process.env.LLM_MONTHLY_SPEND_LIMIT) || null,
+    fallback: fallback && fallback.model ? fallback : null
+  };
+}
+
+// The limit that spend { today, month } has reached: 'daily', 'monthly' or null
+export function reachedSpendLimit(spend, limits) {
+  if (limits.daily !== null && spend.today >= limits.daily) {
+    return 'daily';
+  }
+  if (limits.monthly !== null && spend.month >= limits.monthly) {
+    return 'monthly';
+  }
+  return null;
+}
+
+// Round a cost for display and storage, keeping fractions of a cent
+export function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
@@ -0,0 +1,121 @@
+import http from 'http';
+import { handler, scheduledHandler, streamingHandler, STREAM_HEADERS } from './index.mjs';
+
+// Local HTTP adapter for running the agent without AWS.
+// Requests are converted into API Gateway style events for the Lambda handler.
+// Streaming is opt-in: send "stream": true in the body, ?stream=true, or an
+// Accept: text/event-stream header to receive Server-Sent Events.
+// With REMINDER_POLL_SECONDS set, a timer stands in for the EventBridge schedule
+// and delivers due reminders.
+//
+// The agent keeps the current run's state (user, session, held actions, usage) in
+// module variables, as a Lambda instance handles one event at a time. Requests
+// are queued here and handled one at a time for the same reason, so concurrent
+// requests can't read or write each other's user's data.
+//
+// There is no API Gateway authorizer locally, so the server plays its part: requests
+// run as LOCAL_USER_ID (default local-user) unless they send a bearer token, which
+// the handler verifies like in Lambda. Only expose the server to your own machine.
+
+const PORT = Number(process.env.PORT) || 3000;
+const HOST = process.env.HOST || '127.0.0.1';
+const REMINDER_POLL_SECONDS = Number(process.env.REMINDER_POLL_SECONDS) || 0;
+const LOCAL_USER_ID = process.env.LOCAL_USER_ID || 'local-user';
+
+// Read the full request body as a string
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+// Run fn after every earlier queued call has finished
+let queue = Promise.resolve();
+function runExclusive(fn) {
+  const result = queue.then(fn);
+  queue = result.catch(() => {});
+  return result;
+}
+
+// Build the event API Gateway (HTTP API, payload v2) would send
+function toLambdaEvent(request, url, body) {
+  const queryStringParameters = Object.fromEntries(url.searchParams.entries());
+  return {
+    rawPath: url.pathname,
+    path: url.pathname,
+    httpMethod: request.method,
+    requestContext: {
+      http: { method: request.method, path: url.pathname },
+      ...(/^Bearer\s/i.test(request.headers.authorization || '') ? {} : { authorizer: { lambda: { userId: LOCAL_USER_ID } } })
+    },
+    headers: request.headers,
+    queryStringParameters: Object.keys(queryStringParameters).length > 0 ? queryStringParameters : null,
+    body: body || null
+  };
+}
+
+// Streaming is requested through the Accept header, the query string or the body
+function wantsStream(request, url, body) {
+  if ((request.headers.accept || '').includes('text/event-stream') || url.searchParams.get('stream') === 'true') {
+    return true;
+  }
+  try {
+    return JSON.parse(body).stream === true;
+  } catch (error) {
+    return /(^|&)stream=true(&|$)/.test(body);
+  }
+}
+
+const server = http.createServer(async (request, response) => {
+  try {
+    const url = new URL(request.url, `http://${request.headers.host || 'localhost'}`);
+    const body = await readBody(request);
+    const event = toLambdaEvent(request, url, body);
+
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, STREAM_HEADERS);
+      response.end();
+      return;
+    }
+
+    if (wantsStream(request, url, body)) {
+      response.writeHead(200, STREAM_HEADERS);
+      await runExclusive(() => streamingHandler(event, response));
+      return;
+    }
+
+    const result = await runExclusive(() => handler(event));
+    response.writeHead(result.statusCode, result.headers);
+    response.end(result.body);
+  } catch (error) {
+    console.error('Local server error:', error);
+    if (!response.headersSent) {
+      response.writeHead(500, { 'Content-Type': 'application/json' });
+    }
+    response.end(JSON.stringify({ message: 'Error processing your request', error: error.message }));
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`Agent listening on http://${HOST}:${PORT}`);
+});
+
+if (REMINDER_POLL_SECONDS > 0) {
+  // One delivery run at a time, even when a run takes longer than the interval
+  let delivering = false;
+  setInterval(async () => {
+    if (delivering) {
+      return;
+    }
+    delivering = true;
+    try {
+      await runExclusive(() => scheduledHandler({ source: 'local.timer', time: new Date().toISOString() }));
+    } finally {
+      delivering = false;
+    }
+  }, REMINDER_POLL_SECONDS * 1000);
+  console.log(`Delivering due reminders every ${REMINDER_POLL_SECONDS} seconds`);
+}
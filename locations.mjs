@@ -0,0 +1,153 @@
+// Location pings and named places.
+//
+// Phones post batches of pings: iOS Shortcuts and Tasker send plain objects
+// ({ latitude, longitude, timestamp } and the usual short names), Overland sends
+// GeoJSON features, and Tasker's %LOCN comes as a "lat,lon" string. They are all
+// normalized to { latitude, longitude, accuracy, recordedAt }. Places are circles
+// (latitude, longitude, radius_m); consecutive pings in the same place make a visit.
+
+const EARTH_RADIUS_METERS = 6371000;
+export const DEFAULT_PLACE_RADIUS_METERS = 100;
+// Pings further apart than this start a new visit
+const VISIT_GAP_MINUTES = 30;
+
+function firstDefined(object, keys) {
+  const key = keys.find(name => object[name] !== undefined && object[name] !== null && object[name] !== '');
+  return key === undefined ? undefined : object[key];
+}
+
+function parseCoordinate(value, limit, label) {
+  const number = Number(value);
+  if (value === undefined || !Number.isFinite(number) || Math.abs(number) > limit) {
+    throw new Error(`Invalid ${label}: ${value}`);
+  }
+  return number;
+}
+
+// ISO strings, or epoch seconds or milliseconds (Shortcuts and Tasker send either)
+function parsePingTime(value, now) {
+  if (value === undefined) {
+    return now;
+  }
+  const number = Number(value);
+  const date = Number.isFinite(number) && String(value).trim() !== ''
+    ? new Date(number < 1e11 ? number * 1000 : number)
+    : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid timestamp: ${value}`);
+  }
+  return date;
+}
+
+function parsePing(raw, now) {
+  let ping = raw;
+  let latitude;
+  let longitude;
+
+  if (typeof ping === 'string') {
+    ping = { location: ping };
+  }
+  if (!ping || typeof ping !== 'object') {
+    throw new Error(`Invalid location ping: ${JSON.stringify(raw)}`);
+  }
+
+  // GeoJSON feature: coordinates are [longitude, latitude]
+  if (ping.type === 'Feature' && ping.geometry) {
+    [longitude, latitude] = ping.geometry.coordinates || [];
+    ping = ping.properties || {};
+  } else if (typeof ping.location === 'string') {
+    [latitude, longitude] = ping.location.split(',').map(part => part.trim());
+  } else {
+    const coordinates = ping.coords || ping.location || ping;
+    latitude = firstDefined(coordinates, ['latitude', 'lat']);
+    longitude = firstDefined(coordinates, ['longitude', 'lon', 'lng', 'long']);
+  }
+
+  const accuracy = firstDefined(ping, ['accuracy', 'horizontal_accuracy', 'acc']);
+  return {
+    latitude: parseCoordinate(latitude, 90, 'latitude'),
+    longitude: parseCoordinate(longitude, 180, 'longitude'),
+    accuracy: accuracy === undefined || !Number.isFinite(Number(accuracy)) ? null : Number(accuracy),
+    recordedAt: parsePingTime(firstDefined(ping, ['timestamp', 'recordedAt', 'recorded_at', 'time', 'date', 'tst']), now)
+  };
+}
+
+// Normalize a posted payload to a list of pings, oldest first. The payload is a
+// single ping, a list, or an object with the list under locations or pings.
+export function parseLocationPings(payload, { now = new Date() } = {}) {
+  const list = Array.isArray(payload) ? payload
+    : Array.isArray(payload?.locations) ? payload.locations
+    : Array.isArray(payload?.pings) ? payload.pings
+    : [payload];
+
+  return list
+    .map((ping, index) => {
+      try {
+        return parsePing(ping, now);
+      } catch (error) {
+        throw new Error(`${error.message} (ping ${index + 1})`);
+      }
+    })
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+}
+
+// Great-circle distance between two { latitude, longitude } points
+export function distanceMeters(a, b) {
+  const radians = degrees => degrees * Math.PI / 180;
+  const dLat = radians(b.latitude - a.latitude);
+  const dLon = radians(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2
+    + Math.cos(radians(a.latitude)) * Math.cos(radians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Latitude and longitude ranges around a point, for narrowing a database query
+export function boundingBox(point, radiusMeters) {
+  const latitudeDelta = radiusMeters / 111320;
+  const longitudeDelta = radiusMeters / (111320 * Math.max(Math.cos(point.latitude * Math.PI / 180), 0.01));
+  return {
+    minLatitude: point.latitude - latitudeDelta,
+    maxLatitude: point.latitude + latitudeDelta,
+    minLongitude: point.longitude - longitudeDelta,
+    maxLongitude: point.longitude + longitudeDelta
+  };
+}
+
+// The nearest place whose radius contains the ping, or null
+export function matchPlace(ping, places) {
+  let best = null;
+  let bestDistance = Infinity;
+  for (const place of places) {
+    const distance = distanceMeters(ping, place);
+    if (distance <= (place.radius_m || DEFAULT_PLACE_RADIUS_METERS) && distance < bestDistance) {
+      best = place;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Group pings (oldest first, with recorded_at) into visits: runs of pings in the
+// same place without long gaps. Pings outside every place are left out.
+export function groupVisits(pings, places) {
+  const visits = [];
+  let current = null;
+
+  for (const ping of pings) {
+    const place = matchPlace(ping, places);
+    const at = new Date(ping.recorded_at);
+    const continues = current && place && current.place.id === place.id
+      && at - current.leftAt <= VISIT_GAP_MINUTES * 60 * 1000;
+
+    if (continues) {
+      current.leftAt = at;
+      current.pings++;
+    } else {
+      current = place ? { place: place, arrivedAt: at, leftAt: at, pings: 1 } : null;
+      if (current) {
+        visits.push(current);
+      }
+    }
+  }
+  return visits;
+}
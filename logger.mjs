@@ -0,0 +1,139 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Structured logging.
+//
+// Every line is one JSON object: time, level, message, the request context
+// (requestId, userId, runId, iteration, and the active span's traceId and spanId)
+// and the fields passed with the message. The context lives in an AsyncLocalStorage
+// store that follows the request's async calls, so concurrent tool calls log with
+// the right ids and nothing carries over to the next warm Lambda invocation.
+//
+// Values are redacted before they are written: fields named like secrets (password,
+// token, api key, authorization, ...) and personal data (email, phone, address,
+// coordinates, plus LOG_REDACT_KEYS) are replaced, and email addresses, phone
+// numbers and bearer tokens are masked inside any text. LOG_LEVEL sets the lowest
+// level written (debug, info, warn or error; default info), or silent for none.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 50 };
+const REDACTED = '[REDACTED]';
+// Longest string written; prompts and results beyond this are cut
+const MAX_STRING_LENGTH = 4000;
+const MAX_DEPTH = 6;
+
+// Key names are compared without case, dashes or underscores
+const SECRET_KEY_PATTERN = /(password|passwd|secret|token|key|authorization|cookie|credentials?)$/;
+const PERSONAL_KEY_PATTERN = /(email|emails|phone|address|addresses|latitude|longitude|^lat|^lon|^lng|location)$/;
+const TEXT_PATTERNS = [
+  [/[\w.+-]+@[\w-]+(\.[\w-]+)+/g, '[email]'],
+  [/\bBearer\s+[\w.~+/=-]+/gi, `Bearer ${REDACTED}`],
+  [/\beyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  [/\b(sk|pk|rk)-[\w-]{16,}/g, REDACTED],
+  [/(?<![\w-])\+\d[\d\s().-]{6,}\d(?![\w-])|\(\d{3}\)\s?\d{3}[\s.-]?\d{4}\b|(?<![\w-])\d{3}[\s.-]\d{3}[\s.-]\d{4}(?![\w-])/g, '[phone]']
+];
+
+// Shared with tracing.mjs, which keeps the active span in the same store
+export const contextStorage = new AsyncLocalStorage();
+
+// Run fn with its own log context, starting from the current one plus the given fields
+export function runWithContext(fields, fn) {
+  const parent = contextStorage.getStore();
+  return contextStorage.run({ ...parent, fields: { ...parent?.fields, ...fields } }, fn);
+}
+
+// Add fields (e.g. userId once it is known, or the iteration) to the current context
+export function setLogContext(fields) {
+  const store = contextStorage.getStore();
+  if (store) {
+    Object.assign(store.fields, fields);
+  }
+}
+
+export function getLogContext() {
+  return contextStorage.getStore()?.fields || {};
+}
+
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[-_\s]/g, '');
+}
+
+function extraRedactedKeys() {
+  return (process.env.LOG_REDACT_KEYS || '').split(',').map(normalizeKey).filter(Boolean);
+}
+
+function redactText(text) {
+  const masked = TEXT_PATTERNS.reduce((value, [pattern, replacement]) => value.replace(pattern, replacement), text);
+  return masked.length > MAX_STRING_LENGTH
+    ? `${masked.slice(0, MAX_STRING_LENGTH)}... (${masked.length - MAX_STRING_LENGTH} more characters)`
+    : masked;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: redactText(error.message || ''),
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.status ? { status: error.status } : {}),
+    ...(error.stack ? { stack: redactText(error.stack) } : {})
+  };
+}
+
+// A copy of value that is safe to log
+export function redact(value, depth = 0, extraKeys = extraRedactedKeys()) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value instanceof Error) {
+    return serializeError(value);
+  }
+  if (value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (depth >= MAX_DEPTH) {
+    return '[...]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, extraKeys));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => {
+    const name = normalizeKey(key);
+    const hidden = SECRET_KEY_PATTERN.test(name) || PERSONAL_KEY_PATTERN.test(name) || extraKeys.includes(name);
+    return [key, hidden && item !== null && item !== undefined ? REDACTED : redact(item, depth + 1, extraKeys)];
+  }));
+}
+
+function minimumLevel() {
+  return LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+}
+
+// details is an error, an object of fields, or any other value (logged as detail)
+function write(level, message, details) {
+  if (LEVELS[level] < minimumLevel()) {
+    return;
+  }
+  const store = contextStorage.getStore();
+  const fields = details instanceof Error ? { error: details }
+    : details !== null && typeof details === 'object' && !Array.isArray(details) ? details
+    : details === undefined ? {} : { detail: details };
+
+  const line = JSON.stringify(redact({
+    time: new Date().toISOString(),
+    level: level,
+    message: message,
+    ...store?.fields,
+    ...(store?.span ? { traceId: store.span.traceId, spanId: store.span.spanId } : {}),
+    ...fields
+  }));
+  // Looked up on every call so callers that silence the console (the CLI, tests) silence the log too
+  if (LEVELS[level] >= LEVELS.warn) {
+    console.error(line);
+  } else {
+    console.log(line);
+  }
+}
+
+export const log = {
+  debug: (message, details) => write('debug', message, details),
+  info: (message, details) => write('info', message, details),
+  warn: (message, details) => write('warn', message, details),
+  error: (message, details) => write('error', message, details)
+};
@@ -0,0 +1,87 @@
+import fetch from "node-fetch";
+import { log } from './logger.mjs';
+
+// Notifiers deliver due reminders. Each one implements
+// send({ userId, reminderId, message, dueAt, occurrenceAt, recurrence, timezone })
+// and throws when the delivery failed, so the reminder is retried. Location
+// suggestions use them too, with { type: 'location', title, userId, placeId, place, message }.
+// REMINDER_NOTIFIER picks the default; a reminder's channel overrides it.
+
+// Replace {userId} in a configured URL, so each user can have their own topic or endpoint
+function userUrl(url, userId) {
+  return url.replace(/\{userId\}/g, encodeURIComponent(userId));
+}
+
+function bearerHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Writes the reminder to the log; useful locally and as a fallback
+const consoleNotifier = {
+  name: 'console',
+  async send(notification) {
+    log.info('Reminder', { userId: notification.userId, message: notification.message });
+  }
+};
+
+// POSTs the notification as JSON to REMINDER_WEBHOOK_URL, with REMINDER_WEBHOOK_TOKEN as a bearer token
+const webhookNotifier = {
+  name: 'webhook',
+  async send(notification) {
+    if (!process.env.REMINDER_WEBHOOK_URL) {
+      throw new Error('REMINDER_WEBHOOK_URL is not set');
+    }
+    const response = await fetch(userUrl(process.env.REMINDER_WEBHOOK_URL, notification.userId), {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...bearerHeaders(process.env.REMINDER_WEBHOOK_TOKEN) },
+      body: JSON.stringify({ type: 'reminder', ...notification })
+    });
+    if (!response.ok) {
+      throw new Error(`Reminder webhook failed with status ${response.status}`);
+    }
+  }
+};
+
+// Push notifications through an ntfy-style endpoint: the message is POSTed as
+// plain text to PUSH_NOTIFY_URL (e.g. https://ntfy.sh/my-agent-{userId})
+const pushNotifier = {
+  name: 'push',
+  async send(notification) {
+    if (!process.env.PUSH_NOTIFY_URL) {
+      throw new Error('PUSH_NOTIFY_URL is not set');
+    }
+    const response = await fetch(userUrl(process.env.PUSH_NOTIFY_URL, notification.userId), {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain', Title: notification.title || 'Reminder', ...bearerHeaders(process.env.PUSH_NOTIFY_TOKEN) },
+      body: notification.message
+    });
+    if (!response.ok) {
+      throw new Error(`Push notification failed with status ${response.status}`);
+    }
+  }
+};
+
+const notifiers = {
+  console: consoleNotifier,
+  webhook: webhookNotifier,
+  push: pushNotifier
+};
+
+// Add or replace a notifier. Notifiers implement send(notification)
+export function registerNotifier(name, notifier) {
+  notifiers[name] = notifier;
+}
+
+export function getNotifierNames() {
+  return Object.keys(notifiers);
+}
+
+// The named notifier, or the configured default (REMINDER_NOTIFIER, else console)
+export function getNotifier(name) {
+  const notifierName = name || process.env.REMINDER_NOTIFIER || 'console';
+  const notifier = notifiers[notifierName];
+  if (!notifier) {
+    throw new Error(`Unsupported notifier: ${notifierName} (available: ${getNotifierNames().join(', ')})`);
+  }
+  return notifier;
+}
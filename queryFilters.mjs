@@ -0,0 +1,237 @@
+// Filter compiler shared by every dynamicSupabaseOperation action.
+//
+// A filter is a condition, a group or a negation:
+//   { "column": "status", "operator": "eq", "value": "done" }
+//   { "and": [filter, ...] }  or  [filter, ...]
+//   { "or": [filter, ...] }
+//   { "not": filter }
+// Top-level AND conditions are applied with the supabase-js methods; OR groups and
+// negated groups are compiled into a PostgREST logic tree and applied with .or().
+
+// Operators and their PostgREST names
+const OPERATORS = {
+  eq: 'eq',
+  neq: 'neq',
+  gt: 'gt',
+  gte: 'gte',
+  lt: 'lt',
+  lte: 'lte',
+  like: 'like',
+  ilike: 'ilike',
+  in: 'in',
+  is: 'is',
+  contains: 'cs',
+  containedBy: 'cd',
+  overlaps: 'ov',
+  range: null,
+  fts: 'fts'
+};
+
+export const FILTER_OPERATORS = Object.keys(OPERATORS);
+
+// Full-text search types and their PostgREST operators
+const TEXT_SEARCH_TYPES = {
+  plain: 'plfts',
+  phrase: 'phfts',
+  websearch: 'wfts'
+};
+
+// Rows returned when a page has an offset but no limit
+const DEFAULT_PAGE_SIZE = 1000;
+
+// Check a filter and turn it into nodes:
+// { type: 'and' | 'or', children, negate } or { type: 'condition', column, operator, value, options, negate }
+function parseFilter(filter, path = 'filter', negate = false) {
+  if (Array.isArray(filter)) {
+    return parseFilter({ and: filter }, path, negate);
+  }
+  if (!filter || typeof filter !== 'object') {
+    throw new Error(`${path} must be a condition object, a list of filters, or an and/or/not group`);
+  }
+
+  if (filter.not !== undefined) {
+    return parseFilter(filter.not, `${path}.not`, !negate);
+  }
+
+  for (const type of ['and', 'or']) {
+    if (filter[type] !== undefined) {
+      if (!Array.isArray(filter[type]) || filter[type].length === 0) {
+        throw new Error(`${path}.${type} must be a non-empty list of filters`);
+      }
+      return {
+        type: type,
+        negate: negate,
+        children: filter[type].map((child, index) => parseFilter(child, `${path}.${type}[${index}]`))
+      };
+    }
+  }
+
+  if (typeof filter.column !== 'string' || !filter.column) {
+    throw new Error(`${path}.column is required`);
+  }
+  if (!FILTER_OPERATORS.includes(filter.operator)) {
+    throw new Error(`Unsupported filter operator at ${path}: ${filter.operator} (use one of ${FILTER_OPERATORS.join(', ')})`);
+  }
+  if (filter.operator === 'in' && !Array.isArray(filter.value)) {
+    throw new Error(`${path}.value must be a list for the in operator`);
+  }
+  if (filter.operator === 'range' && (!Array.isArray(filter.value) || filter.value.length !== 2)) {
+    throw new Error(`${path}.value must be [from, to] for the range operator`);
+  }
+  if (filter.operator === 'is' && ![null, true, false].includes(filter.value ?? null)) {
+    throw new Error(`${path}.value must be null, true or false for the is operator`);
+  }
+  if (filter.operator === 'fts' && filter.options?.type && !TEXT_SEARCH_TYPES[filter.options.type]) {
+    throw new Error(`${path}.options.type must be one of ${Object.keys(TEXT_SEARCH_TYPES).join(', ')}`);
+  }
+  if (filter.operator !== 'is' && filter.value === undefined) {
+    throw new Error(`${path}.value is required`);
+  }
+
+  return {
+    type: 'condition',
+    column: filter.column,
+    operator: filter.operator,
+    value: filter.value ?? null,
+    options: filter.options || {},
+    negate: negate !== (filter.negate === true)
+  };
+}
+
+// like/ilike values without wildcards match anywhere in the column, as they always have
+function likePattern(value) {
+  const pattern = String(value);
+  return pattern.includes('%') ? pattern : `%${pattern}%`;
+}
+
+// Quote a value that contains characters reserved in PostgREST lists and logic trees
+function quote(value) {
+  const text = String(value);
+  return /[,.:()"\\\s]/.test(text) ? `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"` : text;
+}
+
+// PostgREST operator for a condition, e.g. "wfts(english)" for a websearch full-text filter
+function postgrestOperator(condition) {
+  if (condition.operator !== 'fts') {
+    return OPERATORS[condition.operator];
+  }
+  const operator = TEXT_SEARCH_TYPES[condition.options.type] || OPERATORS.fts;
+  return condition.options.config ? `${operator}(${condition.options.config})` : operator;
+}
+
+// Value of a condition in PostgREST syntax. Scalars are only quoted inside logic trees.
+function postgrestValue(condition, nested) {
+  const { operator, value } = condition;
+  if (operator === 'in') {
+    return `(${value.map(quote).join(',')})`;
+  }
+  if (['contains', 'containedBy', 'overlaps'].includes(operator)) {
+    const text = Array.isArray(value) ? `{${value.map(quote).join(',')}}` : JSON.stringify(value);
+    return nested && !Array.isArray(value) ? quote(text) : text;
+  }
+  if (operator === 'is') {
+    return String(value);
+  }
+  const text = ['like', 'ilike'].includes(operator) ? likePattern(value) : String(value);
+  return nested ? quote(text) : text;
+}
+
+// Compile a node into a logic tree term, e.g. "status.eq.done" or "not.and(a.is.null,b.gt.2)"
+function logicTerm(node) {
+  const not = node.negate ? 'not.' : '';
+  if (node.type !== 'condition') {
+    return `${not}${node.type}(${node.children.map(logicTerm).join(',')})`;
+  }
+  if (node.operator === 'range') {
+    const [from, to] = node.value;
+    return `${not}and(${node.column}.gte.${quote(from)},${node.column}.lte.${quote(to)})`;
+  }
+  return `${node.column}.${not}${postgrestOperator(node)}.${postgrestValue(node, true)}`;
+}
+
+// Apply one top-level condition with the matching supabase-js method
+function applyCondition(query, condition) {
+  const { column, operator, value } = condition;
+
+  if (condition.negate) {
+    return query.not(column, postgrestOperator(condition), postgrestValue(condition, false));
+  }
+
+  switch (operator) {
+    case 'like':
+    case 'ilike':
+      return query[operator](column, likePattern(value));
+    case 'in':
+    case 'is':
+    case 'contains':
+    case 'containedBy':
+    case 'overlaps':
+      return query[operator](column, value);
+    case 'range':
+      return query.gte(column, value[0]).lte(column, value[1]);
+    case 'fts':
+      return query.textSearch(column, String(value), {
+        type: condition.options.type,
+        config: condition.options.config
+      });
+    default:
+      return query[operator](column, value);
+  }
+}
+
+function applyNode(query, node) {
+  if (node.type === 'and' && !node.negate) {
+    return node.children.reduce(applyNode, query);
+  }
+  if (node.type === 'condition' && !(node.operator === 'range' && node.negate)) {
+    return applyCondition(query, node);
+  }
+  if (node.type === 'or' && !node.negate) {
+    return query.or(node.children.map(logicTerm).join(','));
+  }
+  // Negated groups become a single-term OR
+  return query.or(logicTerm(node));
+}
+
+// Apply a filter (see the top of this file) to a supabase-js filter builder
+export function applyFilter(query, filter) {
+  if (filter === undefined || filter === null) {
+    return query;
+  }
+  return applyNode(query, parseFilter(filter));
+}
+
+// Columns a filter refers to, for checking them against a table policy
+export function filterColumns(filter) {
+  if (Array.isArray(filter)) {
+    return filter.flatMap(filterColumns);
+  }
+  if (!filter || typeof filter !== 'object') {
+    return [];
+  }
+  if (filter.not !== undefined) {
+    return filterColumns(filter.not);
+  }
+  if (Array.isArray(filter.and) || Array.isArray(filter.or)) {
+    return filterColumns(filter.and || filter.or);
+  }
+  return typeof filter.column === 'string' ? [filter.column] : [];
+}
+
+// Apply [{ column, ascending }] sort orders
+export function applyOrder(query, order) {
+  if (!order) {
+    return query;
+  }
+  return order.reduce((orderedQuery, sort) => orderedQuery.order(sort.column, { ascending: sort.ascending !== false }), query);
+}
+
+// Apply { limit, offset } pagination as a row range
+export function applyPagination(query, pagination) {
+  if (!pagination || (pagination.limit === undefined && pagination.offset === undefined)) {
+    return query;
+  }
+  const offset = pagination.offset || 0;
+  const limit = pagination.limit || DEFAULT_PAGE_SIZE;
+  return query.range(offset, offset + limit - 1);
+}
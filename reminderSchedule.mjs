@@ -0,0 +1,622 @@
+// Reminder times and recurrence rules.
+//
+// Times are parsed from the phrases people use ("in 20 minutes", "tomorrow at 9am",
+// "friday 14:30", "next monday", "end of day", "october 25", "2026-11-02T08:00") in
+// the user's time zone. "next friday" is the Friday of next week, with weeks starting
+// on Sunday, while a bare "friday" is the coming one.
+// Recurrence is stored as an iCalendar RRULE subset: FREQ (HOURLY, DAILY, WEEKLY,
+// MONTHLY, YEARLY), INTERVAL, BYDAY (weekly), BYMONTHDAY (monthly), COUNT and UNTIL.
+// Phrases like "every weekday", "every 2 weeks" or "every month on the 31st" are
+// converted to that form. Monthly days past the end of a short month fall on its last day.
+// Calendar dates (goal and milestone due dates) are parsed the same way, without a time.
+
+// Time of day for reminders that only give a date
+const DEFAULT_HOUR = 9;
+// "end of day", "eod"
+const END_OF_DAY_HOUR = 17;
+// Times this close to the past still count as now
+const PAST_TOLERANCE_MS = 60 * 1000;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+const FREQUENCIES = ['HOURLY', 'DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+// Times of day named by a word
+const NAMED_TIMES = {
+  noon: 12,
+  midday: 12,
+  midnight: 0,
+  morning: 9,
+  afternoon: 15,
+  evening: 18,
+  tonight: 20,
+  night: 20
+};
+
+const NUMBER_WORDS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, 'forty-five': 45 };
+
+const UNIT_MINUTES = { minute: 1, min: 1, hour: 60, hr: 60, day: 1440, week: 10080 };
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock fields of an instant in a time zone
+export function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const year = Number(parts.year);
+  const month = Number(parts.month);
+  const day = Number(parts.day);
+  return {
+    year: year,
+    month: month,
+    day: day,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: new Date(Date.UTC(year, month - 1, day)).getUTCDay()
+  };
+}
+
+// Difference between wall-clock time in a zone and UTC at an instant, in milliseconds
+function timeZoneOffset(time, timeZone) {
+  const parts = zonedParts(new Date(time), timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (time - (time % 1000));
+}
+
+// The instant a wall-clock time in a zone refers to. Times skipped by a daylight
+// saving change resolve to the moment after the change.
+export function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  const offset = timeZoneOffset(wallClock, timeZone);
+  let time = wallClock - offset;
+  const correctedOffset = timeZoneOffset(time, timeZone);
+  // Near a change the offset at the result can differ. Use it when it gives the
+  // wall-clock time back; in a skipped hour neither does, and the first guess is
+  // already the moment after the change.
+  if (correctedOffset !== offset && timeZoneOffset(wallClock - correctedOffset, timeZone) === correctedOffset) {
+    time = wallClock - correctedOffset;
+  }
+  return new Date(time);
+}
+
+// A calendar date moved by days, months or years (day of month clamped to the month's length)
+function shiftDate({ year, month, day }, { days = 0, months = 0, years = 0 }) {
+  const targetMonth = new Date(Date.UTC(year + years, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(targetMonth.getUTCFullYear(), targetMonth.getUTCMonth() + 1, 0)).getUTCDate();
+  const date = new Date(Date.UTC(targetMonth.getUTCFullYear(), targetMonth.getUTCMonth(), Math.min(day, lastDay) + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+function daysInMonth({ year, month }) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+function parseNumber(word) {
+  return NUMBER_WORDS[word] ?? Number(word);
+}
+
+// "in 2 hours", "in an hour and a half", "in 1 day and 6 hours"
+function parseRelative(text, now, timeZone) {
+  const match = text.match(/^in\s+(.+)$/);
+  if (!match) {
+    return null;
+  }
+
+  const rest = match[1]
+    .replace(/^half an? hour$/, '30 minutes')
+    .replace(/^an? (hour|day|week) and a half$/, '1.5 $1s');
+  const unitPattern = /([\d.]+|an?|one|two|three|four|five|six|seven|eight|nine|ten|twelve|fifteen|twenty|thirty|forty-five)\s*(minute|min|hour|hr|day|week|month|year)s?\b/g;
+  const parts = [...rest.matchAll(unitPattern)];
+  // Everything besides the amounts has to be filler
+  if (parts.length === 0 || rest.replace(unitPattern, '').replace(/\band\b|,/g, '').trim()) {
+    return null;
+  }
+
+  let minutes = 0;
+  let months = 0;
+  for (const part of parts) {
+    const amount = parseNumber(part[1]);
+    if (Number.isNaN(amount)) {
+      return null;
+    }
+    if (part[2] === 'month' || part[2] === 'year') {
+      months += Math.trunc(amount * (part[2] === 'year' ? 12 : 1));
+    } else {
+      minutes += amount * UNIT_MINUTES[part[2]];
+    }
+  }
+
+  let time = now.getTime() + minutes * 60 * 1000;
+  if (months > 0) {
+    const local = zonedParts(new Date(time), timeZone);
+    time = zonedTimeToUtc({ ...shiftDate(local, { months: months }), hour: local.hour, minute: local.minute }, timeZone).getTime();
+  }
+  return new Date(time);
+}
+
+// Take the time of day out of a phrase. Returns { hour, minute, rest } or null.
+function extractTimeOfDay(text) {
+  const patterns = [
+    // 14:30, 2:30pm, 2.30 pm
+    /\b(?:at\s+)?(\d{1,2})[:.](\d{2})\s*(am|pm|a\.m\.|p\.m\.)?(?=\s|$|,)/,
+    // 2pm, 11 am
+    /\b(?:at\s+)?(\d{1,2})\s*(am|pm|a\.m\.|p\.m\.)(?=\s|$|,)/,
+    // at 14 / at 9
+    /\bat\s+(\d{1,2})(?=\s|$|,)/
+  ];
+
+  for (const pattern of patterns) {
+    const match = text.match(pattern);
+    if (!match) {
+      continue;
+    }
+    const hasMinutes = pattern === patterns[0];
+    let hour = Number(match[1]);
+    const minute = hasMinutes ? Number(match[2]) : 0;
+    const meridiem = (hasMinutes ? match[3] : match[2]) || '';
+    if (meridiem.startsWith('p') && hour < 12) {
+      hour += 12;
+    } else if (meridiem.startsWith('a') && hour === 12) {
+      hour = 0;
+    }
+    if (hour > 23 || minute > 59 || (meridiem && Number(match[1]) > 12)) {
+      throw new Error(`Invalid time of day: ${match[0].trim()}`);
+    }
+    return { hour: hour, minute: minute, rest: text.replace(match[0], ' ') };
+  }
+
+  const endOfDay = text.match(/\b(?:by\s+)?(?:the\s+)?(?:end of (?:the\s+)?(?:work\s*|business\s+)?day|eod)\b/);
+  if (endOfDay) {
+    return { hour: END_OF_DAY_HOUR, minute: 0, rest: text.replace(endOfDay[0], ' ') };
+  }
+
+  const named = text.match(new RegExp(`\\b(?:at\\s+|in the\\s+|this\\s+)?(${Object.keys(NAMED_TIMES).join('|')})\\b`));
+  if (named) {
+    // "tonight" also means today
+    const rest = text.replace(named[0], named[1] === 'tonight' ? ' today ' : ' ');
+    return { hour: NAMED_TIMES[named[1]], minute: 0, rest: rest };
+  }
+  return null;
+}
+
+// Take the date out of a phrase, relative to today's date in the user's zone.
+// Returns { date, explicit } where explicit is false when no date was given.
+function parseDate(text, today) {
+  const rest = text
+    .replace(/,/g, ' ')
+    .replace(/\b(on|the|this|of)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+  if (!rest) {
+    return { date: today, explicit: false };
+  }
+  if (rest === 'today') {
+    return { date: today, explicit: true };
+  }
+  if (rest === 'tomorrow') {
+    return { date: shiftDate(today, { days: 1 }), explicit: true };
+  }
+  if (rest === 'day after tomorrow') {
+    return { date: shiftDate(today, { days: 2 }), explicit: true };
+  }
+
+  // "monday", "next friday"
+  const weekdayMatch = rest.match(/^(next\s+)?([a-z]+)$/);
+  const weekday = weekdayMatch && WEEKDAYS.findIndex(name => name.startsWith(weekdayMatch[2]) && weekdayMatch[2].length >= 3);
+  if (weekdayMatch && weekday >= 0) {
+    const days = weekdayMatch[1]
+      ? 7 - today.weekday + weekday
+      : ((weekday - today.weekday + 7) % 7) || 7;
+    return { date: shiftDate(today, { days: days }), explicit: true };
+  }
+
+  // "october 25", "oct 25th 2027", "25 october", "25th october"
+  const monthFirst = rest.match(/^([a-z]+)\s+(\d{1,2})(?:st|nd|rd|th)?(?:\s+(\d{4}))?$/);
+  const dayFirst = rest.match(/^(\d{1,2})(?:st|nd|rd|th)?\s+([a-z]+)(?:\s+(\d{4}))?$/);
+  const [monthName, dayText, yearText] = monthFirst
+    ? [monthFirst[1], monthFirst[2], monthFirst[3]]
+    : dayFirst ? [dayFirst[2], dayFirst[1], dayFirst[3]] : [];
+  const month = monthName && monthName.length >= 3 ? MONTHS.findIndex(name => name.startsWith(monthName)) + 1 : 0;
+  if (month > 0) {
+    const day = Number(dayText);
+    let year = yearText ? Number(yearText) : today.year;
+    // A date earlier this year without a year means next year
+    if (!yearText && (month < today.month || (month === today.month && day < today.day))) {
+      year += 1;
+    }
+    const date = shiftDate({ year: year, month: month, day: 1 }, { days: day - 1 });
+    if (date.month !== month) {
+      throw new Error(`Invalid date: ${rest}`);
+    }
+    return { date: date, explicit: true };
+  }
+
+  return null;
+}
+
+// Parse a reminder time in the user's time zone. Returns a Date in the future, or
+// throws an "Invalid reminder time" error.
+export function parseReminderTime(text, { timeZone = 'UTC', now = new Date() } = {}) {
+  const phrase = String(text || '').trim().toLowerCase();
+  if (!phrase) {
+    throw new Error('Invalid reminder time: no time given');
+  }
+
+  let result = null;
+
+  // ISO 8601, with an offset (an instant) or without (wall-clock time in the user's zone)
+  const iso = phrase.match(/^(\d{4})-(\d{2})-(\d{2})(?:[t ](\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?)?(z|[+-]\d{2}:?\d{2})?$/);
+  if (iso) {
+    result = iso[6]
+      ? new Date(text.trim())
+      : zonedTimeToUtc({
+          year: Number(iso[1]),
+          month: Number(iso[2]),
+          day: Number(iso[3]),
+          hour: iso[4] ? Number(iso[4]) : DEFAULT_HOUR,
+          minute: iso[5] ? Number(iso[5]) : 0
+        }, timeZone);
+  }
+
+  if (!result) {
+    result = parseRelative(phrase, now, timeZone);
+  }
+
+  if (!result) {
+    const timeOfDay = extractTimeOfDay(phrase);
+    const today = zonedParts(now, timeZone);
+    const parsedDate = parseDate(timeOfDay ? timeOfDay.rest : phrase, today);
+    if (!parsedDate) {
+      throw new Error(`Invalid reminder time: couldn't understand "${text}". Use a phrase like "in 20 minutes", "tomorrow at 9am" or "2026-11-02 08:00".`);
+    }
+    const time = timeOfDay || { hour: DEFAULT_HOUR, minute: 0 };
+    result = zonedTimeToUtc({ ...parsedDate.date, hour: time.hour, minute: time.minute }, timeZone);
+
+    // A time of day that already passed today means tomorrow
+    if (!parsedDate.explicit && result.getTime() < now.getTime() - PAST_TOLERANCE_MS) {
+      result = zonedTimeToUtc({ ...shiftDate(today, { days: 1 }), hour: time.hour, minute: time.minute }, timeZone);
+    }
+  }
+
+  if (Number.isNaN(result.getTime())) {
+    throw new Error(`Invalid reminder time: ${text}`);
+  }
+  if (result.getTime() < now.getTime() - PAST_TOLERANCE_MS) {
+    throw new Error(`Invalid reminder time: ${text} is in the past`);
+  }
+  return result;
+}
+
+function formatDate({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+// The calendar date ("YYYY-MM-DD") of an instant in a time zone
+export function localDateString(date, timeZone) {
+  return formatDate(zonedParts(date, timeZone));
+}
+
+// Parse a calendar date ("2026-12-01", "today", "friday", "october 25", "in 3 weeks",
+// "end of day", "end of week", "end of month") in the user's time zone. Returns "YYYY-MM-DD" or
+// throws an "Invalid date" error. Unlike reminder times, dates may be in the past.
+export function parseLocalDate(text, { timeZone = 'UTC', now = new Date() } = {}) {
+  const phrase = String(text || '').trim().toLowerCase();
+  const today = zonedParts(now, timeZone);
+
+  const iso = phrase.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (iso) {
+    const date = shiftDate({ year: Number(iso[1]), month: Number(iso[2]), day: 1 }, { days: Number(iso[3]) - 1 });
+    if (date.month !== Number(iso[2])) {
+      throw new Error(`Invalid date: ${text}`);
+    }
+    return formatDate(date);
+  }
+  if (/^(the\s+)?end of (the\s+)?day$|^eod$/.test(phrase)) {
+    return formatDate(today);
+  }
+  // Weeks end on Sunday
+  if (/^(the\s+)?end of (the\s+)?week$|^this week$/.test(phrase)) {
+    return formatDate(shiftDate(today, { days: (7 - today.weekday) % 7 }));
+  }
+  if (/^(the\s+)?end of (the\s+)?month$|^this month$/.test(phrase)) {
+    return formatDate(shiftDate({ ...today, day: 1 }, { months: 1, days: -1 }));
+  }
+
+  const relative = parseRelative(phrase, now, timeZone);
+  if (relative) {
+    return localDateString(relative, timeZone);
+  }
+  const parsed = phrase ? parseDate(phrase, today) : null;
+  if (!parsed || !parsed.explicit) {
+    throw new Error(`Invalid date: couldn't understand "${text}". Use a date like "2026-12-01", "friday", "october 25" or "end of month".`);
+  }
+  return formatDate(parsed.date);
+}
+
+// Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,TH", with or without "RRULE:")
+export function parseRule(rrule) {
+  const fields = Object.fromEntries(String(rrule).replace(/^RRULE:/i, '').split(';')
+    .filter(Boolean)
+    .map(field => {
+      const [key, value = ''] = field.split('=');
+      return [key.trim().toUpperCase(), value.trim().toUpperCase()];
+    }));
+
+  const rule = {
+    freq: fields.FREQ,
+    interval: fields.INTERVAL ? Number(fields.INTERVAL) : 1,
+    byDay: fields.BYDAY ? fields.BYDAY.split(',').map(day => RRULE_DAYS.indexOf(day)) : null,
+    byMonthDay: fields.BYMONTHDAY ? Number(fields.BYMONTHDAY) : null,
+    count: fields.COUNT ? Number(fields.COUNT) : null,
+    until: fields.UNTIL ? parseRuleDate(fields.UNTIL) : null
+  };
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    throw new Error(`Invalid recurrence: FREQ must be one of ${FREQUENCIES.join(', ')}`);
+  }
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    throw new Error('Invalid recurrence: INTERVAL must be a positive whole number');
+  }
+  if (rule.byDay && rule.byDay.some(day => day < 0)) {
+    throw new Error(`Invalid recurrence: BYDAY days are ${RRULE_DAYS.join(', ')}`);
+  }
+  if (rule.byMonthDay !== null && !(rule.byMonthDay >= 1 && rule.byMonthDay <= 31)) {
+    throw new Error('Invalid recurrence: BYMONTHDAY must be between 1 and 31');
+  }
+  if (rule.count !== null && !(Number.isInteger(rule.count) && rule.count > 0)) {
+    throw new Error('Invalid recurrence: COUNT must be a positive whole number');
+  }
+  if (rule.until && Number.isNaN(rule.until.getTime())) {
+    throw new Error('Invalid recurrence: UNTIL must be a date like 20261231T235959Z');
+  }
+  return rule;
+}
+
+// RRULE dates: 20261231, 20261231T235959Z or an ISO string
+function parseRuleDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/);
+  if (!match) {
+    return new Date(value);
+  }
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]),
+    match[4] ? Number(match[4]) : 23, match[5] ? Number(match[5]) : 59, match[6] ? Number(match[6]) : 59));
+}
+
+function formatRule(rule) {
+  const fields = [`FREQ=${rule.freq}`];
+  if (rule.interval > 1) fields.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) fields.push(`BYDAY=${rule.byDay.map(day => RRULE_DAYS[day]).join(',')}`);
+  if (rule.byMonthDay) fields.push(`BYMONTHDAY=${rule.byMonthDay}`);
+  if (rule.count) fields.push(`COUNT=${rule.count}`);
+  if (rule.until) fields.push(`UNTIL=${rule.until.toISOString().replace(/[-:]|\.\d{3}/g, '')}`);
+  return fields.join(';');
+}
+
+// Split a recurrence phrase from the time it starts at: "every weekday at 9am"
+// gives { rule: "every weekday", time: "9am" }
+export function splitRecurrenceTime(text) {
+  const phrase = String(text || '').trim();
+  const match = phrase.match(/^(.+?)\s+(?:at|from|starting)\s+(.+)$/i);
+  return match && !/^(rrule:)?freq=/i.test(phrase)
+    ? { rule: match[1], time: match[2] }
+    : { rule: phrase, time: null };
+}
+
+// Turn a recurrence phrase ("every weekday", "every 2 weeks", "monthly", "every month
+// on the 31st") or an RRULE into an RRULE string. A start time in the phrase
+// ("every weekday at 9am") is left to the reminder's time.
+export function parseRecurrence(text) {
+  const phrase = splitRecurrenceTime(text).rule.toLowerCase();
+  if (!phrase || ['none', 'once', 'never'].includes(phrase)) {
+    return null;
+  }
+  if (/^(rrule:)?freq=/.test(phrase)) {
+    return formatRule(parseRule(phrase));
+  }
+
+  const simple = {
+    hourly: 'HOURLY',
+    daily: 'DAILY',
+    weekly: 'WEEKLY',
+    monthly: 'MONTHLY',
+    yearly: 'YEARLY',
+    annually: 'YEARLY'
+  };
+  if (simple[phrase]) {
+    return `FREQ=${simple[phrase]}`;
+  }
+
+  // "every month on the 31st", "monthly on the 15th", "every 2 months on the 1st", "the 1st of every month"
+  const monthly = phrase.match(/^(?:monthly|every\s+(other\s+)?(?:(\d+|two|three|four|five|six)\s+)?months?)\s+on\s+(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?$/);
+  const ofEveryMonth = phrase.match(/^(?:on\s+)?(?:the\s+)?(\d{1,2})(?:st|nd|rd|th)?\s+(?:day\s+)?of\s+(?:every|each)\s+month$/);
+  if (monthly || ofEveryMonth) {
+    const interval = monthly && monthly[1] ? 2 : monthly && monthly[2] ? parseNumber(monthly[2]) : 1;
+    const day = Number(monthly ? monthly[3] : ofEveryMonth[1]);
+    return formatRule(parseRule(`FREQ=MONTHLY;INTERVAL=${interval};BYMONTHDAY=${day}`));
+  }
+
+  const every = phrase.match(/^every\s+(?:other\s+)?(.+)$/);
+  if (!every) {
+    throw new Error(`Invalid recurrence: couldn't understand "${text}". Use a phrase like "every day", "every weekday", "every monday and thursday", "every 2 weeks" or an RRULE.`);
+  }
+  const other = /^every\s+other\s+/.test(phrase);
+  const rest = every[1];
+
+  if (['weekday', 'weekdays', 'work day', 'work days', 'workday', 'workdays'].includes(rest)) {
+    return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+  }
+  if (rest === 'weekend' || rest === 'weekends') {
+    return 'FREQ=WEEKLY;BYDAY=SA,SU';
+  }
+
+  // "every 2 weeks", "every day", "every other month"
+  const unitMatch = rest.match(/^(\d+|two|three|four|five|six)?\s*(hour|day|week|month|year)s?$/);
+  if (unitMatch) {
+    const interval = other ? 2 : unitMatch[1] ? parseNumber(unitMatch[1]) : 1;
+    const freq = { hour: 'HOURLY', day: 'DAILY', week: 'WEEKLY', month: 'MONTHLY', year: 'YEARLY' }[unitMatch[2]];
+    return formatRule({ freq: freq, interval: interval, byDay: null, byMonthDay: null, count: null, until: null });
+  }
+
+  // "every monday and thursday", "every mon, wed, fri"
+  const dayNames = rest.split(/\s*(?:,|\band\b)\s*/).filter(Boolean).map(name => name.replace(/s$/, ''));
+  const days = dayNames.map(name => WEEKDAYS.findIndex(weekday => name.length >= 3 && weekday.startsWith(name)));
+  if (days.length > 0 && days.every(day => day >= 0)) {
+    return formatRule({ freq: 'WEEKLY', interval: other ? 2 : 1, byDay: [...new Set(days)].sort(), byMonthDay: null, count: null, until: null });
+  }
+
+  throw new Error(`Invalid recurrence: couldn't understand "${text}"`);
+}
+
+// Date of the next occurrence after a previous one, or null when the rule has ended.
+// occurrences is how many times the reminder has occurred so far, for COUNT.
+export function nextOccurrence(rrule, previous, timeZone, occurrences = 1) {
+  const rule = parseRule(rrule);
+  if (rule.count !== null && occurrences >= rule.count) {
+    return null;
+  }
+
+  const local = zonedParts(previous, timeZone);
+  const at = date => zonedTimeToUtc({ ...date, hour: local.hour, minute: local.minute }, timeZone);
+  let next;
+
+  if (rule.freq === 'HOURLY') {
+    next = new Date(previous.getTime() + rule.interval * 60 * 60 * 1000);
+  } else if (rule.freq === 'DAILY') {
+    next = at(shiftDate(local, { days: rule.interval }));
+  } else if (rule.freq === 'WEEKLY' && rule.byDay) {
+    // The next listed weekday, skipping weeks (starting Monday) that the interval leaves out
+    const weekStart = shiftDate(local, { days: -((local.weekday + 6) % 7) });
+    for (let days = 1; days <= 7 * rule.interval + 7; days++) {
+      const date = shiftDate(local, { days: days });
+      const weeks = Math.floor((Date.UTC(date.year, date.month - 1, date.day) - Date.UTC(weekStart.year, weekStart.month - 1, weekStart.day)) / (7 * 86400000));
+      if (rule.byDay.includes(date.weekday) && weeks % rule.interval === 0) {
+        next = at(date);
+        break;
+      }
+    }
+  } else if (rule.freq === 'WEEKLY') {
+    next = at(shiftDate(local, { days: 7 * rule.interval }));
+  } else if (rule.freq === 'MONTHLY') {
+    next = at(shiftDate({ ...local, day: rule.byMonthDay || local.day }, { months: rule.interval }));
+  } else {
+    next = at(shiftDate(local, { years: rule.interval }));
+  }
+
+  if (rule.until && next > rule.until) {
+    return null;
+  }
+  return next;
+}
+
+// The first occurrence of a reminder: the requested time, moved forward to a day the
+// rule allows. Monthly rules get BYMONTHDAY so short months don't shift later dates.
+export function firstOccurrence(rrule, requested, timeZone) {
+  if (!rrule) {
+    return { occurrenceAt: requested, recurrence: null };
+  }
+  const rule = parseRule(rrule);
+  const local = zonedParts(requested, timeZone);
+
+  if (rule.freq === 'MONTHLY' && !rule.byMonthDay) {
+    rule.byMonthDay = local.day;
+  }
+  if (rule.freq === 'WEEKLY' && rule.byDay && !rule.byDay.includes(local.weekday)) {
+    const days = Math.min(...rule.byDay.map(day => ((day - local.weekday + 7) % 7) || 7));
+    requested = zonedTimeToUtc({ ...shiftDate(local, { days: days }), hour: local.hour, minute: local.minute }, timeZone);
+  }
+  if (rule.freq === 'MONTHLY') {
+    // The rule's day this month, or next month once it has passed (the last day of short months)
+    const onRuleDay = date => ({ ...date, day: Math.min(rule.byMonthDay, daysInMonth(date)) });
+    let date = onRuleDay(local);
+    if (date.day < local.day) {
+      date = onRuleDay(shiftDate({ ...local, day: 1 }, { months: 1 }));
+    }
+    if (date.day !== local.day || date.month !== local.month) {
+      requested = zonedTimeToUtc({ ...date, hour: local.hour, minute: local.minute }, timeZone);
+    }
+  }
+  return { occurrenceAt: requested, recurrence: formatRule(rule) };
+}
+
+// A when that is really a recurrence: "every ...", "daily", "monthly on the 1st", "the 15th of every month"
+const RECURRING_PHRASE = /^(every\s|daily|weekly|monthly|yearly|annually|hourly)|\bof\s+(every|each)\s+month\b/i;
+
+// Parse a reminder's when and recurrence phrases. "every monday at 9am" in when is
+// read as the recurrence "every monday" starting at the next Monday, 9am.
+export function parseReminderSchedule({ when, recurrence, timeZone = 'UTC', now = new Date() }) {
+  let timeText = when;
+  let recurrenceText = recurrence;
+
+  if (!recurrence && RECURRING_PHRASE.test(String(when || '').trim())) {
+    const split = splitRecurrenceTime(when);
+    recurrenceText = split.rule;
+    // Days named in the rule are applied by firstOccurrence
+    timeText = split.time || (/hour/i.test(split.rule) ? 'in 1 hour' : `${DEFAULT_HOUR}am`);
+  } else if (recurrence && !String(when || '').trim()) {
+    timeText = splitRecurrenceTime(recurrence).time || `${DEFAULT_HOUR}am`;
+  }
+
+  const rrule = parseRecurrence(recurrenceText);
+  const requested = parseReminderTime(timeText, { timeZone: timeZone, now: now });
+  return firstOccurrence(rrule, requested, timeZone);
+}
+
+// Short description of an RRULE, e.g. "every 2 weeks on Mon, Thu"
+export function describeRecurrence(rrule) {
+  if (!rrule) {
+    return null;
+  }
+  const rule = parseRule(rrule);
+  const unit = { HOURLY: 'hour', DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[rule.freq];
+  let text = rule.interval > 1 ? `every ${rule.interval} ${unit}s` : `every ${unit}`;
+  if (rule.byDay) {
+    text += ` on ${rule.byDay.map(day => WEEKDAYS[day].slice(0, 1).toUpperCase() + WEEKDAYS[day].slice(1, 3)).join(', ')}`;
+  }
+  if (rule.byMonthDay) {
+    text += ` on day ${rule.byMonthDay}`;
+  }
+  if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+  if (rule.until) {
+    text += `, until ${rule.until.toISOString().slice(0, 10)}`;
+  }
+  return text;
+}
+
+// A time as the user reads it, e.g. "Mon, Oct 26, 9:00 AM" in their zone
+export function formatLocalTime(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone,
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  }).format(date);
+}
@@ -0,0 +1,30 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { builtInSpecializations, loadBuiltInInstructions } from './specializations.mjs';
+
+// Write the built-in specializations to the specializations table so they can
+// be edited there. Existing rows with the same name are overwritten.
+// Usage: npm run seed:specializations
+
+dotenv.config();
+
+const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_KEY);
+
+const rows = Object.entries(builtInSpecializations).map(([name, specialization]) => ({
+  name: name,
+  description: specialization.description,
+  instruction_text: loadBuiltInInstructions(name),
+  allowed_tools: specialization.allowedTools,
+  model_config: specialization.modelConfig
+}));
+
+const { error } = await supabase
+  .from('specializations')
+  .upsert(rows, { onConflict: 'name' });
+
+if (error) {
+  console.error('Error seeding specializations:', error);
+  process.exit(1);
+}
+
+console.log(`Seeded specializations: ${rows.map(row => row.name).join(', ')}`);
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import { log } from './logger.mjs';
+
+// Built-in specializations
+// These work without any rows in the specializations table. A row with the same
+// name overrides the built-in; seedSpecializations.mjs writes them to the table.
+//
+// allowedTools restricts the specialization to the listed tools (null allows every
+// tool it is registered for). setSpecialization is always available so a
+// specialization can hand off. modelConfig picks the specialization's own model.
+export const builtInSpecializations = {
+  router: {
+    description: 'triages the user query, gathers context and hands off to the best suited specialization.',
+    instructionsFile: null,
+    allowedTools: null,
+    modelConfig: {}
+  },
+  secretary: {
+    description: "manages user's recent history of modifications to their lists, the user's goals and current projects, the user's preferences of how they like their agent to communicate (sense of humor, offering suggestions, etc.), as well as the user's recent history of location data, and functions for scheduling reminders and writing emails.",
+    instructionsFile: 'SecretaryInstructions.txt',
+    allowedTools: null,
+    modelConfig: {}
+  },
+  projectManager: {
+    description: "plans and tracks the user's projects and goals, breaks them into to-do items, and reports on deadlines and progress.",
+    instructionsFile: 'ProjectManagerInstructions.txt',
+    allowedTools: null,
+    modelConfig: {}
+  },
+  codeAssistant: {
+    description: 'writes, explains and reviews code, and saves reusable code snippets and technical notes to the knowledge base.',
+    instructionsFile: 'CodeAssistantInstructions.txt',
+    allowedTools: ['retrieveRelevantKnowledge', 'synthesizeKnowledge', 'forgetKnowledge', 'getKnowledgeHistory', 'rollbackKnowledge', 'setSpecialization'],
+    modelConfig: {}
+  }
+};
+
+const instructionCache = {};
+
+// Read a built-in specialization's instruction file (next to this module)
+export function loadBuiltInInstructions(name) {
+  const specialization = builtInSpecializations[name];
+  if (!specialization || !specialization.instructionsFile) {
+    return "";
+  }
+  if (instructionCache[name] === undefined) {
+    try {
+      instructionCache[name] = fs.readFileSync(new URL(`./${specialization.instructionsFile}`, import.meta.url), 'utf8');
+    } catch (error) {
+      log.error('Error reading specialization instructions', { specialization: name, error: error });
+      instructionCache[name] = "";
+    }
+  }
+  return instructionCache[name];
+}
+
+// Build the specialization record setSpecialization works with, preferring the
+// database row and filling any gaps from the built-in definition
+export function resolveSpecialization(name, row = null) {
+  const builtIn = builtInSpecializations[name];
+  if (!row && !builtIn) {
+    return null;
+  }
+
+  return {
+    name: name,
+    description: row?.description || builtIn?.description || "",
+    instructionText: row?.instruction_text || loadBuiltInInstructions(name),
+    allowedTools: row?.allowed_tools ?? builtIn?.allowedTools ?? null,
+    modelConfig: row?.model_config || builtIn?.modelConfig || {}
+  };
+}
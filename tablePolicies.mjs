@@ -0,0 +1,330 @@
+import fetch from "node-fetch";
+import { filterColumns } from './queryFilters.mjs';
+import { log } from './logger.mjs';
+
+// Table policies for dynamicSupabaseOperation
+// Only tables listed here can be used. Each policy declares:
+//   description: what the table holds, shown in the prompt
+//   actions: the allowed actions
+//   readableColumns / writableColumns: column names, or '*' for every column
+//   allowUnfilteredWrites: whether update/delete may run without a filter
+//   confirm: per action, the number of affected rows from which the user has to
+//     confirm the call first (0 or missing never asks)
+//   columns: fallback column list for the prompt when schema introspection fails
+// DATABASE_TABLE_POLICIES (JSON) adds tables or overrides fields per table, e.g.
+// {"habits": {"description": "Habit tracker", "actions": ["select", "insert"]}, "interactions": null}
+
+const ALL_ACTIONS = ['select', 'insert', 'update', 'delete', 'upsert', 'join', 'search'];
+const READ_ACTIONS = ['select', 'join', 'search'];
+const WRITE_ACTIONS = ['insert', 'update', 'upsert'];
+const SCHEMA_CACHE_MS = 10 * 60 * 1000;
+
+const defaultPolicies = {
+  todo_list: {
+    description: "User's current to-do items",
+    actions: ALL_ACTIONS,
+    readableColumns: '*',
+    writableColumns: '*',
+    allowUnfilteredWrites: false,
+    confirm: { delete: 1, update: 5, upsert: 5 },
+    columns: ['id', 'created_at', 'description', 'project_id', 'goal_id']
+  },
+  shopping_list: {
+    description: "User's shopping items",
+    actions: ALL_ACTIONS,
+    readableColumns: '*',
+    writableColumns: '*',
+    allowUnfilteredWrites: false,
+    confirm: { delete: 1, update: 5, upsert: 5 },
+    columns: ['id', 'created_at', 'description']
+  },
+  knowledge_snippets: {
+    description: 'Saved knowledge about the user (change it with synthesizeKnowledge and forgetKnowledge)',
+    actions: READ_ACTIONS,
+    readableColumns: ['id', 'topic', 'content', 'source', 'confidence', 'related_entities', 'last_updated'],
+    writableColumns: [],
+    allowUnfilteredWrites: false
+  },
+  contacts: {
+    description: "User's contacts, used to address emails by name",
+    actions: ALL_ACTIONS,
+    readableColumns: '*',
+    writableColumns: '*',
+    allowUnfilteredWrites: false,
+    confirm: { delete: 1, update: 5, upsert: 5 },
+    columns: ['id', 'created_at', 'name', 'email', 'phone', 'notes']
+  },
+  email_drafts: {
+    description: 'Email drafts and sent emails (change them with draftEmail, reviseEmailDraft and sendEmailDraft)',
+    actions: READ_ACTIONS,
+    readableColumns: ['id', 'to_addresses', 'cc_addresses', 'subject', 'body', 'status', 'version', 'error', 'sent_at', 'created_at'],
+    writableColumns: [],
+    allowUnfilteredWrites: false
+  },
+  user_profile: {
+    description: "User's preferences, shown in every prompt (change them with updateUserPreferences)",
+    actions: READ_ACTIONS,
+    readableColumns: '*',
+    writableColumns: [],
+    allowUnfilteredWrites: false,
+    columns: ['id', 'name', 'timezone', 'locale', 'units', 'tone', 'verbosity', 'humor', 'notes']
+  },
+  projects: {
+    description: "User's projects (change them with createProject and updateProjectOrGoal)",
+    actions: READ_ACTIONS,
+    readableColumns: '*',
+    writableColumns: [],
+    allowUnfilteredWrites: false,
+    columns: ['id', 'name', 'description', 'status', 'target_date', 'percent_complete', 'completed_at']
+  },
+  goals: {
+    description: "User's goals, optionally part of a project (change them with createGoal and updateProjectOrGoal)",
+    actions: READ_ACTIONS,
+    readableColumns: '*',
+    writableColumns: [],
+    allowUnfilteredWrites: false,
+    columns: ['id', 'project_id', 'name', 'description', 'status', 'target_date', 'percent_complete', 'completed_at']
+  },
+  milestones: {
+    description: 'Numbered milestones of projects and goals',
+    actions: READ_ACTIONS,
+    readableColumns: '*',
+    writableColumns: [],
+    allowUnfilteredWrites: false,
+    columns: ['id', 'project_id', 'goal_id', 'position', 'title', 'due_date', 'done_at']
+  },
+  places: {
+    description: "User's named places; tags like grocery surface lists on arrival (save them with savePlace)",
+    actions: ALL_ACTIONS,
+    readableColumns: '*',
+    writableColumns: ['name', 'latitude', 'longitude', 'radius_m', 'tags', 'channel'],
+    allowUnfilteredWrites: false,
+    confirm: { delete: 1, update: 5, upsert: 5 },
+    columns: ['id', 'name', 'latitude', 'longitude', 'radius_m', 'tags', 'channel']
+  },
+  location_history: {
+    description: "Location pings from the user's phone (use getLocationHistory for visits to places)",
+    actions: READ_ACTIONS,
+    readableColumns: '*',
+    writableColumns: [],
+    allowUnfilteredWrites: false,
+    columns: ['id', 'latitude', 'longitude', 'accuracy', 'recorded_at', 'source']
+  },
+  interactions: {
+    description: 'Log of knowledge updates',
+    actions: READ_ACTIONS,
+    readableColumns: '*',
+    writableColumns: [],
+    allowUnfilteredWrites: false
+  }
+};
+
+// Columns that are never shown or written through the tool
+const PROTECTED_COLUMNS = ['user_id'];
+
+// The default policies merged with DATABASE_TABLE_POLICIES
+export function getTablePolicies() {
+  let overrides = {};
+  if (process.env.DATABASE_TABLE_POLICIES) {
+    try {
+      overrides = JSON.parse(process.env.DATABASE_TABLE_POLICIES);
+    } catch (error) {
+      log.error('Invalid DATABASE_TABLE_POLICIES value', error);
+    }
+  }
+
+  const policies = {};
+  new Set([...Object.keys(defaultPolicies), ...Object.keys(overrides)]).forEach(table => {
+    if (overrides[table] === null) {
+      return;
+    }
+    policies[table] = {
+      description: '',
+      actions: READ_ACTIONS,
+      readableColumns: '*',
+      writableColumns: [],
+      allowUnfilteredWrites: false,
+      confirm: {},
+      ...defaultPolicies[table],
+      ...overrides[table]
+    };
+  });
+  return policies;
+}
+
+function allows(columns, column) {
+  return columns === '*' || columns.includes(column);
+}
+
+// Plain column names in a select list (embedded resources and aliases are left alone)
+function selectedColumns(columns) {
+  return columns
+    .split(',')
+    .map(column => column.trim())
+    .filter(column => column && !column.includes('('))
+    .map(column => column.split('::')[0].split(':').pop().trim());
+}
+
+// Check a select list against readable columns; '*' becomes the readable list
+function readableSelect(table, policy, columns) {
+  const requested = columns || '*';
+  if (policy.readableColumns === '*') {
+    return requested;
+  }
+  if (requested.trim() === '*') {
+    return policy.readableColumns.join(',');
+  }
+  const hidden = selectedColumns(requested).filter(column => !allows(policy.readableColumns, column));
+  if (hidden.length > 0) {
+    throw new Error(`Columns not readable in ${table}: ${hidden.join(', ')} (readable: ${policy.readableColumns.join(', ')})`);
+  }
+  return requested;
+}
+
+function checkReadable(table, policy, columns, purpose) {
+  const hidden = columns.filter(column => PROTECTED_COLUMNS.includes(column) || !allows(policy.readableColumns, column));
+  if (hidden.length > 0) {
+    throw new Error(`Cannot ${purpose} on columns of ${table}: ${hidden.join(', ')}`);
+  }
+}
+
+function checkWritable(table, policy, data, ignoredColumns = []) {
+  const rows = Array.isArray(data) ? data : [data || {}];
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row || {})))];
+  // The owner column is set by the agent itself, so it is ignored rather than rejected
+  const blocked = columns.filter(column => ![...ignoredColumns, ...PROTECTED_COLUMNS].includes(column) && !allows(policy.writableColumns, column));
+  if (blocked.length > 0) {
+    const writable = policy.writableColumns === '*' ? 'any column' : policy.writableColumns.join(', ') || 'none';
+    throw new Error(`Columns not writable in ${table}: ${blocked.join(', ')} (writable: ${writable})`);
+  }
+}
+
+// The columns an upsert matches existing rows on: options.onConflict, or the id
+export function upsertConflictColumns(options) {
+  return (options?.onConflict || 'id').split(',').map(column => column.trim()).filter(Boolean);
+}
+
+// Check a dynamicSupabaseOperation call against the table policies. Returns the
+// parameters to run, with '*' column lists narrowed to the readable columns.
+export function enforceTablePolicy(params) {
+  const policies = getTablePolicies();
+  const policy = policies[params.from];
+  if (!policy) {
+    throw new Error(`Table not available: ${params.from} (available: ${Object.keys(policies).join(', ')})`);
+  }
+  if (!policy.actions.includes(params.action)) {
+    throw new Error(`Action ${params.action} is not allowed on ${params.from} (allowed: ${policy.actions.join(', ')})`);
+  }
+
+  const checked = { ...params };
+
+  checkReadable(params.from, policy, filterColumns(params.filter), 'filter');
+  checkReadable(params.from, policy, (params.order || []).map(order => order.column), 'sort');
+
+  if (params.action === 'select' || params.action === 'search') {
+    checked.columns = readableSelect(params.from, policy, params.columns);
+  }
+  if (params.action === 'search') {
+    checkReadable(params.from, policy, params.searchColumns || [], 'search');
+  }
+
+  if (params.action === 'join') {
+    checked.baseColumns = readableSelect(params.from, policy, params.baseColumns);
+    checked.join = (params.join || []).map(joinSpec => {
+      const joinPolicy = joinSpec && policies[joinSpec.table];
+      if (!joinPolicy || !joinPolicy.actions.includes('select')) {
+        throw new Error(`Table not available for joins: ${joinSpec && joinSpec.table}`);
+      }
+      return { ...joinSpec, columns: readableSelect(joinSpec.table, joinPolicy, joinSpec.columns) };
+    });
+  }
+
+  if (WRITE_ACTIONS.includes(params.action)) {
+    // Upserts match existing rows on their conflict columns, which is a read rather
+    // than a write (the owner column is always the current user's, so it may be one)
+    const conflictColumns = params.action === 'upsert' ? upsertConflictColumns(params.options) : [];
+    checkReadable(params.from, policy, conflictColumns.filter(column => !PROTECTED_COLUMNS.includes(column)), 'match upserts');
+    checkWritable(params.from, policy, params.data, conflictColumns);
+  }
+
+  if (['update', 'delete'].includes(params.action) && !policy.allowUnfilteredWrites && filterColumns(params.filter).length === 0) {
+    throw new Error(`A filter is required to ${params.action} rows in ${params.from}`);
+  }
+
+  return checked;
+}
+
+// Rows from which an action on a table needs confirmation. The user's own
+// confirmation_policies rows (for the table, then for '*') override the table policy.
+export function confirmationThreshold(table, action, userPolicies = []) {
+  const userPolicy = ['*', table]
+    .map(tableName => userPolicies.find(policy => policy.table_name === tableName && policy.action === action))
+    .filter(Boolean)
+    .pop();
+  if (userPolicy) {
+    return Number(userPolicy.threshold) || 0;
+  }
+  return Number(getTablePolicies()[table]?.confirm?.[action]) || 0;
+}
+
+let schemaCache = null;
+let schemaCacheTime = 0;
+
+// Column names and types of every exposed table, from the PostgREST OpenAPI
+// description. Cached for SCHEMA_CACHE_MS; returns null when it can't be loaded.
+export async function loadTableSchemas() {
+  if (schemaCache && Date.now() - schemaCacheTime < SCHEMA_CACHE_MS) {
+    return schemaCache;
+  }
+
+  try {
+    const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/`, {
+      headers: {
+        apikey: process.env.SUPABASE_KEY,
+        Authorization: `Bearer ${process.env.SUPABASE_KEY}`,
+        Accept: 'application/openapi+json'
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`Schema request failed with status ${response.status}`);
+    }
+
+    const description = await response.json();
+    schemaCache = Object.fromEntries(
+      Object.entries(description.definitions || {}).map(([table, definition]) => [
+        table,
+        Object.entries(definition.properties || {}).map(([name, property]) => ({
+          name: name,
+          type: property.format || property.type
+        }))
+      ])
+    );
+    schemaCacheTime = Date.now();
+    return schemaCache;
+  } catch (error) {
+    log.error('Error loading table schemas', error);
+    return null;
+  }
+}
+
+// The "Available Database Tables" list for the prompt, from the introspected
+// schema where possible and the policies' fallback columns otherwise
+export function describeTables(schemas) {
+  return Object.entries(getTablePolicies()).map(([table, policy]) => {
+    const columns = schemas && schemas[table]
+      ? schemas[table].map(column => `${column.name} ${column.type}`)
+      : policy.columns || [];
+    const readable = columns.filter(column => {
+      const name = column.split(' ')[0];
+      return !PROTECTED_COLUMNS.includes(name) && allows(policy.readableColumns, name);
+    });
+
+    let line = `- ${table} - ${policy.description || 'No description'}`;
+    line += readable.length > 0 ? ` (${readable.join(', ')})` : '';
+    line += `\n  Actions: ${policy.actions.join(', ')}`;
+    if (policy.actions.some(action => WRITE_ACTIONS.includes(action))) {
+      line += `. Writable columns: ${policy.writableColumns === '*' ? 'all' : policy.writableColumns.join(', ') || 'none'}`;
+    }
+    return line;
+  }).join('\n');
+}
@@ -0,0 +1,109 @@
+import assert from 'assert/strict';
+import crypto from 'crypto';
+import { test } from 'node:test';
+import './harness.mjs';
+import { getAuthenticatedUserId, verifyJwt } from '../auth.mjs';
+import { handler } from '../index.mjs';
+
+const SECRET = 'test-secret';
+const now = Date.parse('2026-10-18T15:00:00Z');
+const inAnHour = now / 1000 + 3600;
+
+function sign(claims, { alg = 'HS256', key = SECRET } = {}) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const data = `${encode({ alg: alg, typ: 'JWT' })}.${encode(claims)}`;
+  const signature = alg === 'HS256' ? crypto.createHmac('sha256', key).update(data).digest()
+    : alg === 'none' ? Buffer.alloc(0)
+    : crypto.sign('sha256', Buffer.from(data), { key: key, dsaEncoding: 'ieee-p1363' });
+  return `${data}.${signature.toString('base64url')}`;
+}
+
+// Run fn with the auth settings given, restoring the environment afterwards
+async function withAuthEnv(variables, fn) {
+  const names = ['AUTH_JWT_SECRET', 'AUTH_JWT_PUBLIC_KEY', 'AUTH_JWT_ISSUER', 'AUTH_JWT_AUDIENCE', 'AUTH_USER_CLAIM'];
+  const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+  names.forEach(name => delete process.env[name]);
+  Object.assign(process.env, variables);
+  try {
+    return await fn();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+}
+
+test('HS256 tokens are checked for signature, expiry, issuer and audience', () => {
+  const claims = { sub: 'user-1', exp: inAnHour, iss: 'https://auth.example.com', aud: ['agent', 'web'] };
+  assert.deepEqual(verifyJwt(sign(claims), { secret: SECRET, now }), claims);
+  assert.deepEqual(verifyJwt(sign(claims), { secret: SECRET, issuer: 'https://auth.example.com', audience: 'agent', now }), claims);
+
+  assert.throws(() => verifyJwt(sign(claims, { key: 'other' }), { secret: SECRET, now }), /Invalid token: bad signature/);
+  assert.throws(() => verifyJwt(sign({ ...claims, exp: now / 1000 - 120 }), { secret: SECRET, now }), /Invalid token: expired/);
+  assert.throws(() => verifyJwt(sign({ sub: 'user-1' }), { secret: SECRET, now }), /Invalid token: no expiry/);
+  assert.throws(() => verifyJwt(sign({ ...claims, nbf: inAnHour }), { secret: SECRET, now }), /not valid yet/);
+  assert.throws(() => verifyJwt(sign(claims), { secret: SECRET, issuer: 'https://evil.example.com', now }), /wrong issuer/);
+  assert.throws(() => verifyJwt(sign(claims), { secret: SECRET, audience: 'mobile', now }), /wrong audience/);
+  assert.throws(() => verifyJwt(sign(claims, { alg: 'none' }), { secret: SECRET, now }), /unsupported algorithm none/);
+  assert.throws(() => verifyJwt('not.a-token', { secret: SECRET, now }), /Invalid token/);
+});
+
+test('RS256 and ES256 tokens are checked with the public key', () => {
+  for (const [alg, type, options] of [['RS256', 'rsa', { modulusLength: 2048 }], ['ES256', 'ec', { namedCurve: 'P-256' }]]) {
+    const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+    const pem = publicKey.export({ type: 'spki', format: 'pem' });
+    const token = sign({ sub: 'user-1', exp: inAnHour }, { alg: alg, key: privateKey });
+
+    assert.equal(verifyJwt(token, { publicKey: pem, now }).sub, 'user-1');
+    // The same token can't pass as an HS256 token signed with the public key
+    assert.throws(() => verifyJwt(sign({ sub: 'user-1', exp: inAnHour }, { key: pem }), { publicKey: pem, now }), /need AUTH_JWT_SECRET/);
+    const other = crypto.generateKeyPairSync(type, options).publicKey.export({ type: 'spki', format: 'pem' });
+    assert.throws(() => verifyJwt(token, { publicKey: other, now }), /bad signature/);
+  }
+});
+
+test('the user comes from the authorizer or a verified bearer token, never the request', () => withAuthEnv({ AUTH_JWT_SECRET: SECRET }, () => {
+  const exp = Date.now() / 1000 + 3600;
+  assert.equal(getAuthenticatedUserId({ requestContext: { authorizer: { jwt: { claims: { sub: 'jwt-user' } } } } }), 'jwt-user');
+  assert.equal(getAuthenticatedUserId({ requestContext: { authorizer: { claims: { sub: 'cognito-user' } } } }), 'cognito-user');
+  assert.equal(getAuthenticatedUserId({ requestContext: { authorizer: { lambda: { userId: 'lambda-user' } } } }), 'lambda-user');
+  assert.equal(getAuthenticatedUserId({ requestContext: { authorizer: { principalId: 'rest-user' } } }), 'rest-user');
+  assert.equal(getAuthenticatedUserId({ headers: { Authorization: `Bearer ${sign({ sub: 'token-user', exp: exp })}` } }), 'token-user');
+
+  assert.equal(getAuthenticatedUserId({ userId: 'user-2', body: '{"userId": "user-2"}', queryStringParameters: { userId: 'user-2' } }), null);
+  assert.equal(getAuthenticatedUserId({ headers: { authorization: `Bearer ${sign({ sub: 'token-user', exp: exp }, { key: 'guess' })}` } }), null);
+  assert.equal(getAuthenticatedUserId({ headers: { authorization: 'Basic dXNlcjpwYXNz' } }), null);
+}));
+
+test('a bearer token is ignored when no key is configured, and AUTH_USER_CLAIM picks the claim', async () => {
+  const token = sign({ sub: 'token-user', email: 'sam@example.com', exp: Date.now() / 1000 + 3600 });
+  await withAuthEnv({}, () => {
+    assert.equal(getAuthenticatedUserId({ headers: { authorization: `Bearer ${token}` } }), null);
+  });
+  await withAuthEnv({ AUTH_JWT_SECRET: SECRET, AUTH_USER_CLAIM: 'email' }, () => {
+    assert.equal(getAuthenticatedUserId({ headers: { authorization: `Bearer ${token}` } }), 'sam@example.com');
+    assert.equal(getAuthenticatedUserId({ requestContext: { authorizer: { jwt: { claims: { sub: 'x', email: 'kim@example.com' } } } } }), 'kim@example.com');
+  });
+});
+
+test('requests without an identity get a 401', () => withAuthEnv({}, async () => {
+  const query = await handler({
+    httpMethod: 'POST',
+    requestContext: { http: { method: 'POST' } },
+    rawPath: '/',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ query: 'What is on my list?', userId: 'user-2' })
+  });
+  assert.equal(query.statusCode, 401);
+  assert.match(JSON.parse(query.body).message, /^Not authenticated/);
+
+  const route = await handler({ httpMethod: 'GET', rawPath: '/changes', queryStringParameters: { userId: 'user-2' } });
+  assert.equal(route.statusCode, 401);
+
+  const direct = await handler({ query: 'What is on my list?', userId: 'user-2' });
+  assert.equal(direct.statusCode, 401);
+}));
@@ -0,0 +1,58 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// The command-line interface, run as a child process against the in-memory database
+
+const cliPath = fileURLToPath(new URL('../cli.mjs', import.meta.url));
+
+// Run the CLI with the mock provider, offline embeddings and no external database
+function runCli(args, input) {
+  const env = { ...process.env, EMBEDDING_PROVIDER: 'hash' };
+  ['SUPABASE_URL', 'SUPABASE_KEY', 'LLM_PROVIDER', 'LLM_MODEL', 'CLI_USER_ID'].forEach(name => delete env[name]);
+  return spawnSync(process.execPath, [cliPath, ...args], { env: env, input: input, encoding: 'utf8', timeout: 60000 });
+}
+
+test('help and invalid options', () => {
+  const help = runCli(['--help']);
+  assert.equal(help.status, 0);
+  assert.match(help.stdout, /^Usage: node cli\.mjs \[options\] \[query\]/);
+
+  const invalid = runCli(['--tool-mode', 'telepathy', 'hello']);
+  assert.equal(invalid.status, 1);
+  assert.equal(invalid.stderr, 'Unknown --tool-mode "telepathy": use text or native\n');
+});
+
+test('a one-shot query runs against a seeded in-memory database and prints each iteration', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-test-'));
+  const seedPath = path.join(directory, 'seed.json');
+  fs.writeFileSync(seedPath, JSON.stringify({ todo_list: [{ id: 1, user_id: 'gardener', description: 'Buy seeds' }] }));
+  try {
+    const result = runCli(['-p', 'mock', '-m', 'scripted', '-s', 'secretary', '-u', 'gardener', '--tool-mode', 'native', '--seed', seedPath, 'What is on my list?']);
+
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(result.stdout, /^Database: in memory \(seeded from .*seed\.json\)$/m);
+    assert.match(result.stdout, /^-- Iteration 1 \(secretary\)$/m);
+    assert.match(result.stdout, /^ {3}Prompt: ~\d+ of \d+ tokens \(\d+ characters\) to mock\/scripted \(native tools\)$/m);
+    assert.match(result.stdout, /^This is a mock response\.$/m);
+    assert.match(result.stdout, /^\[specialization: secretary, time: \d+ ms, tokens: \d+, cost: \$0\.0000\]$/m);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+});
+
+test('the REPL runs queries in a session and handles commands', () => {
+  const result = runCli(['-p', 'mock', '--tool-mode', 'native'], '/user bob\n/specialization secretary\nHello\n/frobnicate\n/exit\nNever sent\n');
+
+  assert.equal(result.status, 0, result.stderr);
+  assert.match(result.stdout, /local-user> User: bob/);
+  assert.match(result.stdout, /bob> Starting specialization: secretary/);
+  assert.match(result.stdout, /-- Iteration 1 \(secretary\)/);
+  assert.match(result.stdout, /\[specialization: secretary, .*, session: 1\]/);
+  assert.match(result.stdout, /Unknown command: \/frobnicate \(try \/help\)/);
+  assert.equal(result.stdout.match(/-- Iteration/g).length, 1);
+});
@@ -0,0 +1,102 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+
+// Held actions and the confirmation tokens that run or cancel them
+
+const call = (name, args) => ({ content: '', toolCalls: [{ name: name, arguments: args }] });
+
+const list = [
+  { id: 1, user_id: 'test-user', description: 'Buy seeds' },
+  { id: 2, user_id: 'test-user', description: 'Water the beds' }
+];
+const deleteFirst = { from: 'todo_list', action: 'delete', filter: { column: 'id', operator: 'eq', value: 1 } };
+
+function run(fixture, seed) {
+  return replayFixture({
+    name: 'confirmations',
+    prompt: 'Remove the first item',
+    userId: 'test-user',
+    specialization: 'secretary',
+    seed: { todo_list: list, pending_actions: [], mutation_journal: [], ...seed },
+    llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+    responses: [],
+    ...fixture
+  });
+}
+
+// Hold the delete of the first item and return the tables afterwards
+async function holdDelete() {
+  const held = await run({ responses: [call('dynamicSupabaseOperation', deleteFirst), 'Delete "Buy seeds"? Reply yes to confirm.'] });
+  assert.equal(held.functionResults[0].success, false);
+  assert.equal(held.tables.todo_list.length, 2);
+  return held.tables;
+}
+
+const heldAction = (overrides = {}) => ({
+  id: 1,
+  token: 'token-1',
+  user_id: 'test-user',
+  specialization: 'secretary',
+  function_name: 'dynamicSupabaseOperation',
+  parameters: deleteFirst,
+  summary: 'delete 1 row(s) in todo_list',
+  status: 'pending',
+  expires_at: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  ...overrides
+});
+
+test('a delete is held under a token and runs once when confirmed', async () => {
+  const tables = await holdDelete();
+  const [action] = tables.pending_actions;
+  assert.equal(action.status, 'pending');
+  assert.equal(action.specialization, 'secretary');
+  assert.equal(action.summary, 'delete 1 row(s) in todo_list');
+
+  const confirmed = await run({ prompt: '', confirmationToken: action.token }, tables);
+  assert.match(confirmed.answer, /^Confirmed pending actions:\n- delete 1 row\(s\) in todo_list: executed/);
+  assert.deepEqual(confirmed.tables.todo_list, [list[1]]);
+  assert.equal(confirmed.tables.pending_actions[0].status, 'executed');
+  assert.equal(confirmed.tables.mutation_journal[0].run_query, 'Confirmed: delete 1 row(s) in todo_list');
+
+  const again = await run({ prompt: '', confirmationToken: action.token }, confirmed.tables);
+  assert.equal(again.answer, 'No pending actions found for this confirmation token');
+  assert.deepEqual(again.tables.todo_list, [list[1]]);
+});
+
+test('cancelling drops the held action without running it', async () => {
+  const tables = await holdDelete();
+  const cancelled = await run({ prompt: '', confirmationToken: tables.pending_actions[0].token, cancel: true }, tables);
+  assert.match(cancelled.answer, /^Cancelled pending actions:/);
+  assert.deepEqual(cancelled.tables.todo_list, list);
+  assert.equal(cancelled.tables.pending_actions[0].status, 'cancelled');
+});
+
+test('another user\'s token and expired actions don\'t run', async () => {
+  const tables = await holdDelete();
+  const stranger = await run({ prompt: '', userId: 'other-user', confirmationToken: tables.pending_actions[0].token }, tables);
+  assert.equal(stranger.answer, 'No pending actions found for this confirmation token');
+  assert.deepEqual(stranger.tables.todo_list, list);
+
+  const expired = await run({ prompt: '', confirmationToken: 'token-1' }, {
+    pending_actions: [heldAction({ expires_at: new Date(Date.now() - 60 * 1000).toISOString() })]
+  });
+  assert.match(expired.answer, /: expired/);
+  assert.deepEqual(expired.tables.todo_list, list);
+});
+
+test('a confirmed action is checked again against its specialization and the tool\'s schema', async () => {
+  const outcome = await run({ prompt: '', confirmationToken: 'token-1' }, {
+    pending_actions: [
+      heldAction({ id: 1, specialization: 'router' }),
+      heldAction({ id: 2, specialization: 'codeAssistant' }),
+      heldAction({ id: 3, parameters: { from: 'todo_list', action: 'drop' } })
+    ]
+  });
+
+  assert.deepEqual(outcome.tables.pending_actions.map(action => action.status), ['failed', 'failed', 'failed']);
+  assert.match(outcome.answer, /Function dynamicSupabaseOperation is not available to the router specialization/);
+  assert.match(outcome.answer, /Function dynamicSupabaseOperation is not available to the codeAssistant specialization/);
+  assert.match(outcome.answer, /Invalid parameters for dynamicSupabaseOperation/);
+  assert.deepEqual(outcome.tables.todo_list, list);
+});
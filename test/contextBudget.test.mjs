@@ -0,0 +1,110 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import {
+  countSections,
+  estimateTokens,
+  fitToBudget,
+  getContextWindow,
+  getPromptBudget,
+  selectTopics,
+  truncateToTokens
+} from '../contextBudget.mjs';
+
+// Run fn with environment variables set, restoring them afterwards
+function withEnv(variables, fn) {
+  const saved = Object.fromEntries(Object.keys(variables).map(name => [name, process.env[name]]));
+  Object.assign(process.env, variables);
+  try {
+    return fn();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+}
+
+// Text of about the given number of tokens
+const text = tokens => 'x'.repeat(tokens * 3.5);
+
+test('tokens are estimated from text length', () => {
+  assert.equal(estimateTokens(null), 0);
+  assert.equal(estimateTokens('abcdefg'), 2);
+  assert.equal(estimateTokens('abcdefgh'), 3);
+  assert.equal(estimateTokens({ a: 1 }), 2);
+  assert.deepEqual(countSections({ instructions: 'abcdefg', tools: 5 }), { instructions: 2, tools: 5, total: 7 });
+});
+
+test('context windows come from the config, the environment or the model family', () => {
+  withEnv({ MODEL_CONTEXT_TOKENS: '', LLM_CONTEXT_TOKENS: '' }, () => {
+    assert.equal(getContextWindow({ model: 'anthropic/claude-3.5-sonnet' }), 200000);
+    assert.equal(getContextWindow({ model: 'openai/gpt-4o-mini' }), 128000);
+    assert.equal(getContextWindow({ model: 'unknown-model' }), 32000);
+    assert.equal(getContextWindow({ model: 'anthropic/claude-3.5-sonnet', contextTokens: 1000 }), 1000);
+  });
+  withEnv({ MODEL_CONTEXT_TOKENS: '{"local": 8192}', LLM_CONTEXT_TOKENS: '16000' }, () => {
+    assert.equal(getContextWindow({ model: 'my-LOCAL-claude' }), 8192);
+    assert.equal(getContextWindow({ model: 'claude-3-haiku' }), 200000);
+    assert.equal(getContextWindow({ model: 'unknown-model' }), 16000);
+  });
+});
+
+test('the prompt budget leaves room for the answer and is capped', () => {
+  withEnv({ MODEL_CONTEXT_TOKENS: '', LLM_CONTEXT_TOKENS: '' }, () => {
+    assert.equal(getPromptBudget({ model: 'claude-3-haiku' }), 24000);
+    assert.equal(getPromptBudget({ model: 'claude-3-haiku', promptTokens: 50000 }), 50000);
+    assert.equal(getPromptBudget({ contextTokens: 8000, maxTokens: 1000 }), 7000);
+    assert.equal(getPromptBudget({ contextTokens: 8000 }), 8000 - 4096);
+    assert.equal(getPromptBudget({ contextTokens: 1000, maxTokens: 2000 }), 0);
+  });
+});
+
+test('long text is cut with a marker', () => {
+  assert.equal(truncateToTokens('short', 10), 'short');
+  const cut = truncateToTokens(text(1000), 100);
+  assert.match(cut, /^x+\n\.\.\. \(truncated to fit the context window/);
+  assert.equal(estimateTokens(cut), 100);
+});
+
+test('older function results are compacted before the newest are cut', () => {
+  const entries = [
+    { text: text(10) },
+    { text: text(100), compact: text(10), group: 1 },
+    { text: text(40), compact: text(5), group: 2 },
+    { text: text(60), compact: text(5), group: 2 }
+  ];
+
+  const fits = fitToBudget(entries, 250);
+  assert.deepEqual(fits, { texts: entries.map(entry => entry.text), tokens: 210, compacted: 0, truncated: false });
+
+  // Compacting the first iteration's result is enough; the newest group is left alone
+  const compacted = fitToBudget(entries, 150);
+  assert.deepEqual(compacted.texts, [text(10), text(10), text(40), text(60)]);
+  assert.equal(compacted.tokens, 120);
+  assert.equal(compacted.compacted, 1);
+  assert.equal(compacted.truncated, false);
+
+  // The newest results are cut in proportion to their size, to no less than 50 tokens each
+  const cut = fitToBudget(entries, 80);
+  assert.equal(cut.compacted, 1);
+  assert.equal(cut.truncated, true);
+  assert.equal(cut.texts[2], text(40));
+  assert.equal(estimateTokens(cut.texts[3]), 50);
+  assert.match(cut.texts[3], /truncated to fit the context window/);
+});
+
+test('knowledge topics that match the query are kept first', () => {
+  const topics = ['Groceries: weekly shopping habits', 'Car: service history and tyres', 'Birthdays of family and friends', 'Cars insurance renewal'];
+  const stopWords = new Set(['when', 'is', 'my', 'for']);
+
+  assert.equal(selectTopics(topics, 'When is my car due for a service?', 40, stopWords), topics);
+  assert.deepEqual(selectTopics(topics, 'When is my car due for a service?', 25, stopWords), [
+    'Car: service history and tyres',
+    'Cars insurance renewal'
+  ]);
+  // Without matches the original order is kept
+  assert.deepEqual(selectTopics(topics, 'hello', 25, stopWords), ['Groceries: weekly shopping habits', 'Car: service history and tyres']);
+});
@@ -0,0 +1,131 @@
+import assert from 'assert/strict';
+import net from 'net';
+import { test } from 'node:test';
+import { buildMessage, formatAddress, parseAddress, sendSmtp } from '../emailTransports.mjs';
+
+// A plaintext SMTP server that offers AUTH but not STARTTLS and records what it was sent
+async function startSmtpServer() {
+  const commands = [];
+  const messages = [];
+  const server = net.createServer(socket => {
+    let buffer = '';
+    let data = null;
+    socket.write('220 test ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (data !== null) {
+          if (line === '.') {
+            messages.push(data.join('\r\n'));
+            data = null;
+            socket.write('250 queued\r\n');
+          } else {
+            data.push(line);
+          }
+          continue;
+        }
+        commands.push(line);
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO') {
+          socket.write('250-test\r\n250 AUTH PLAIN LOGIN\r\n');
+        } else if (verb === 'AUTH') {
+          socket.write('235 accepted\r\n');
+        } else if (verb === 'DATA') {
+          data = [];
+          socket.write('354 go ahead\r\n');
+        } else if (verb === 'QUIT') {
+          socket.end('221 bye\r\n');
+        } else {
+          socket.write('250 ok\r\n');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, commands, messages, port: server.address().port };
+}
+
+const envelope = { from: 'agent@example.com', to: ['sam@example.com'] };
+
+test('addresses are parsed and formatted', () => {
+  assert.deepEqual(parseAddress('Sam Lee <sam@example.com>'), { name: 'Sam Lee', email: 'sam@example.com' });
+  assert.deepEqual(parseAddress('"Lee, Sam" <sam@example.com>'), { name: 'Lee, Sam', email: 'sam@example.com' });
+  assert.deepEqual(parseAddress(' sam@example.com '), { name: null, email: 'sam@example.com' });
+  assert.deepEqual(parseAddress('agent@localhost'), { name: null, email: 'agent@localhost' });
+  assert.throws(() => parseAddress('sam'), /Invalid email address: sam/);
+  assert.throws(() => parseAddress('Sam <sam@example>'), /Invalid email address/);
+
+  assert.equal(formatAddress({ name: null, email: 'sam@example.com' }), 'sam@example.com');
+  assert.equal(formatAddress({ name: 'Sam "S" Lee', email: 'sam@example.com' }), '"Sam \\"S\\" Lee" <sam@example.com>');
+  assert.equal(formatAddress({ name: 'Zoë', email: 'zoe@example.com' }), `=?UTF-8?B?${Buffer.from('Zoë').toString('base64')}?= <zoe@example.com>`);
+});
+
+test('messages have the expected headers and a base64 body', () => {
+  const text = `Hello,\n\n${'x'.repeat(100)}\nCafé`;
+  const message = buildMessage({
+    from: { name: 'Agent', email: 'agent@example.com' },
+    to: [{ name: null, email: 'sam@example.com' }],
+    cc: [{ name: 'Kim', email: 'kim@example.com' }],
+    subject: 'Résumé',
+    text: text,
+    messageId: '<id@example.com>',
+    date: new Date('2026-10-18T15:00:00Z')
+  });
+  const [head, body] = message.split('\r\n\r\n');
+
+  assert.deepEqual(head.split('\r\n'), [
+    'From: "Agent" <agent@example.com>',
+    'To: sam@example.com',
+    'Cc: "Kim" <kim@example.com>',
+    `Subject: =?UTF-8?B?${Buffer.from('Résumé').toString('base64')}?=`,
+    'Date: Sun, 18 Oct 2026 15:00:00 +0000',
+    'Message-ID: <id@example.com>',
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64'
+  ]);
+  const lines = body.trimEnd().split('\r\n');
+  assert.ok(lines.every(line => line.length <= 76));
+  assert.equal(Buffer.from(lines.join(''), 'base64').toString('utf8'), text.replace(/\n/g, '\r\n'));
+});
+
+test('SMTP sends the envelope and the dot-escaped message', async () => {
+  const smtp = await startSmtpServer();
+  try {
+    const response = await sendSmtp({ host: '127.0.0.1', port: smtp.port }, envelope, 'Subject: Hi\r\n\r\n.hidden\r\nbye\r\n');
+    assert.equal(response, 'queued');
+    assert.deepEqual(smtp.commands.slice(1), ['MAIL FROM:<agent@example.com>', 'RCPT TO:<sam@example.com>', 'DATA', 'QUIT']);
+    assert.equal(smtp.messages[0], 'Subject: Hi\r\n\r\n..hidden\r\nbye');
+  } finally {
+    smtp.server.close();
+  }
+});
+
+test('SMTP credentials are not sent over an unencrypted connection', async () => {
+  const smtp = await startSmtpServer();
+  try {
+    await assert.rejects(
+      sendSmtp({ host: '127.0.0.1', port: smtp.port, user: 'agent', password: 'secret' }, envelope, 'Subject: Hi\r\n\r\nbody'),
+      /does not offer STARTTLS; refusing to send credentials unencrypted/
+    );
+    assert.ok(!smtp.commands.some(line => line.startsWith('AUTH')));
+    assert.equal(smtp.messages.length, 0);
+  } finally {
+    smtp.server.close();
+  }
+});
+
+test('allowInsecureAuth lets credentials go over plaintext', async () => {
+  const smtp = await startSmtpServer();
+  try {
+    await sendSmtp({ host: '127.0.0.1', port: smtp.port, user: 'agent', password: 'secret', allowInsecureAuth: true }, envelope, 'Subject: Hi\r\n\r\nbody');
+    assert.ok(smtp.commands.includes(`AUTH PLAIN ${Buffer.from('\0agent\0secret').toString('base64')}`));
+    assert.equal(smtp.messages.length, 1);
+  } finally {
+    smtp.server.close();
+  }
+});
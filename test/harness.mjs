@@ -0,0 +1,184 @@
+import { createClient } from '@supabase/supabase-js';
+import fs from 'fs';
+import path from 'path';
+import { createFakePostgrest } from '../fakePostgrest.mjs';
+import { getProvider, mockProvider, registerProvider } from '../llmProviders.mjs';
+
+// Scenario harness for agent runs.
+//
+// A scenario fixture (test/fixtures/*.json) describes one user query:
+//   name, description
+//   userId, prompt
+//   specialization: (optional) where the run starts instead of the router
+//   confirmationToken, cancel: (optional) run or, with cancel, drop the actions held
+//     under the token instead of asking the model
+//   seed: rows the in-memory database starts with, { table: [rows] }. The final
+//     state of these tables is what the scenario checks.
+//   llm: { provider, model, toolMode } the responses came from: provider mock and
+//     model scripted for replies written by hand, else the model they were recorded from
+//   responses: the model's replies in order, { content, toolCalls: [{ name, arguments }] }
+//   functionResults: what each function call returned when the fixture was made
+//   expect: { answer, functionCalls: [{ function, parameters, success }], tables }
+//
+// The bundled scenarios are scripted: their replies were written by hand to drive
+// the agent down one path, not captured from a model. recordFixture can instead run
+// the query against a real model and the seeded in-memory database and fill in llm,
+// responses, functionResults and expect. Replaying feeds the responses back through
+// the mock provider, so the run is deterministic and needs no network access.
+
+// Columns whose values change from run to run and are left out of table state
+const VOLATILE_COLUMNS = ['created_at', 'updated_at', 'last_updated', 'embedding', 'embedding_model'];
+
+const FIXTURE_DIRECTORY = path.join(path.dirname(new URL(import.meta.url).pathname), 'fixtures');
+
+// Knowledge embeddings use the offline hash embedder so vector search ranks the
+// same way when recording and replaying
+process.env.EMBEDDING_PROVIDER = 'hash';
+
+// The agent logs every step and the failures the tests expect. Test files that
+// import the harness run without the log unless LOG_LEVEL asks for it.
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+export function loadFixture(file) {
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  fixture.file = file;
+  return fixture;
+}
+
+export function listFixtures(directory = FIXTURE_DIRECTORY) {
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => loadFixture(path.join(directory, file)));
+}
+
+export function saveFixture(fixture) {
+  const { file, ...content } = fixture;
+  fs.writeFileSync(file, `${JSON.stringify(content, null, 2)}\n`);
+}
+
+// Rows of the seeded tables without the volatile columns
+export function tableState(tables, tableNames) {
+  return Object.fromEntries(tableNames.map(table => [
+    table,
+    (tables[table] || []).map(row => Object.fromEntries(
+      Object.entries(row).filter(([column]) => !VOLATILE_COLUMNS.includes(column))
+    ))
+  ]));
+}
+
+// Start a fresh in-memory database and point the agent at it. Returns the agent
+// module, the live tables and close(). Tests that call the handler directly use it too.
+export async function startFakeDatabase(seed = {}) {
+  const server = createFakePostgrest(seed);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+  process.env.SUPABASE_URL = url;
+  process.env.SUPABASE_KEY = 'test';
+
+  // Imported here so the environment above is in place first
+  const agent = await import('../index.mjs');
+  agent.setSupabaseClient(createClient(url, 'test'));
+  return { agent: agent, tables: server.tables, close: () => server.close() };
+}
+
+// Run a fixture's query against a fresh in-memory database seeded from the fixture.
+// llm is the model configuration for the run. Returns what the agent did.
+async function runFixture(fixture, llm) {
+  const database = await startFakeDatabase(fixture.seed || {});
+  const { runAIAgent } = database.agent;
+
+  // Independent calls of one reply run side by side and can finish in any order, so
+  // calls and results are put back in the order the model asked for them
+  const functionCalls = [];
+  const functionResults = [];
+  const inRequestOrder = entries => entries
+    .sort((first, second) => first.iteration - second.iteration || first.index - second.index)
+    .map(({ iteration, index, ...entry }) => entry);
+  const onEvent = (type, data) => {
+    const position = { iteration: data.iteration, index: data.index };
+    if (type === 'function_call') {
+      functionCalls.push({ ...position, function: data.function, parameters: data.parameters || {} });
+    } else if (type === 'function_result') {
+      functionResults.push({ ...position, function: data.function, success: data.success, data: data.data ?? null, error: data.error ?? null });
+    }
+  };
+
+  try {
+    const result = await runAIAgent(fixture.prompt, fixture.userId || 'test-user', {
+      llm: llm,
+      onEvent: onEvent,
+      specialization: fixture.specialization,
+      confirmationToken: fixture.confirmationToken,
+      cancel: fixture.cancel
+    });
+    const results = inRequestOrder(functionResults);
+    return {
+      answer: result.answer,
+      functionCalls: inRequestOrder(functionCalls).map((call, index) => ({ ...call, success: results[index]?.success ?? false })),
+      functionResults: results,
+      tables: tableState(database.tables, Object.keys(fixture.seed || {}))
+    };
+  } finally {
+    database.close();
+  }
+}
+
+// Run a fixture against a real model and store its replies and the outcome in the fixture
+export async function recordFixture(fixture, llm = {}) {
+  const providerName = llm.provider || process.env.LLM_PROVIDER || 'openrouter';
+  const provider = getProvider(providerName);
+  const responses = [];
+  let firstRequest = null;
+
+  // Pass requests through to the real provider and keep each reply
+  registerProvider('recorder', {
+    name: 'recorder',
+    async complete(request) {
+      firstRequest = firstRequest || request;
+      const completion = await provider.complete(request);
+      responses.push({
+        content: completion.content || '',
+        toolCalls: (completion.toolCalls || []).map(toolCall => ({ name: toolCall.name, arguments: toolCall.arguments }))
+      });
+      return completion;
+    }
+  });
+
+  const outcome = await runFixture(fixture, { ...llm, provider: 'recorder' });
+  // Replays use the same model and tool mode, whatever the environment's defaults are
+  fixture.llm = {
+    ...llm,
+    provider: providerName,
+    model: llm.model || firstRequest?.model,
+    toolMode: llm.toolMode || (firstRequest?.tools ? 'native' : 'text')
+  };
+  fixture.responses = responses;
+  fixture.functionResults = outcome.functionResults;
+  fixture.expect = {
+    answer: outcome.answer,
+    functionCalls: outcome.functionCalls,
+    tables: outcome.tables
+  };
+  return fixture;
+}
+
+// Run a fixture with its scripted or recorded replies. Throws when the agent asks
+// the model more or fewer times than the fixture has replies.
+export async function replayFixture(fixture) {
+  mockProvider.reset();
+  mockProvider.enqueue(...fixture.responses);
+  // Extra requests get a final answer rather than an error, which the agent would retry with backoff
+  mockProvider.setResponder(() => ({ answer: 'No scripted reply left', reasoning: '', function_calls: [] }));
+
+  try {
+    const outcome = await runFixture(fixture, { ...fixture.llm, provider: 'mock' });
+    const requests = mockProvider.requests.length;
+    if (requests !== fixture.responses.length) {
+      throw new Error(`${fixture.name}: the agent made ${requests} model requests, the fixture has ${fixture.responses.length} replies`);
+    }
+    return outcome;
+  } finally {
+    mockProvider.reset();
+  }
+}
@@ -0,0 +1,108 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { startFakeDatabase } from './harness.mjs';
+import { handler, streamingHandler } from '../index.mjs';
+import { mockProvider } from '../llmProviders.mjs';
+
+// Status codes and headers of the buffered and streaming entry points
+
+const CORS_METHODS = 'OPTIONS,POST,GET,DELETE';
+const authorizer = { lambda: { userId: 'test-user' } };
+
+const postEvent = (body, requestContext = { authorizer: authorizer }) => ({
+  httpMethod: 'POST',
+  rawPath: '/',
+  headers: { 'content-type': 'application/json' },
+  requestContext: requestContext,
+  body: body
+});
+
+// Collect what the streaming handler writes, and the status it attaches through
+// awslambda.HttpResponseStream.from before the first write
+async function stream(event) {
+  const output = { metadata: null, writesBeforeMetadata: 0, events: [] };
+  const responseStream = {
+    write(chunk) {
+      if (!output.metadata) {
+        output.writesBeforeMetadata++;
+      }
+      const [, type, data] = chunk.match(/^event: (\w+)\ndata: (.*)\n\n$/s);
+      output.events.push({ type: type, data: JSON.parse(data) });
+    },
+    end() {}
+  };
+  globalThis.awslambda = {
+    HttpResponseStream: {
+      from(wrapped, metadata) {
+        output.metadata = metadata;
+        return wrapped;
+      }
+    }
+  };
+  try {
+    await streamingHandler(event, responseStream);
+  } finally {
+    delete globalThis.awslambda;
+  }
+  return output;
+}
+
+test('a body that isn\'t JSON gets a 400 with the CORS headers', async () => {
+  const response = await handler(postEvent('{"query": '));
+  assert.equal(response.statusCode, 400);
+  assert.match(JSON.parse(response.body).message, /^Invalid request: /);
+  assert.equal(response.headers['Access-Control-Allow-Methods'], CORS_METHODS);
+  // Browsers send the bearer token in a preflighted header
+  assert.equal(response.headers['Access-Control-Allow-Headers'], 'Content-Type,Authorization');
+});
+
+test('error responses list every method the routes use', async () => {
+  const responses = [
+    await handler(postEvent(JSON.stringify({ query: 'Hi' }), {})),
+    await handler(postEvent(JSON.stringify({ query: 'Hi', llm: { toolMode: 'sideways' } })))
+  ];
+  assert.deepEqual(responses.map(response => response.statusCode), [401, 400]);
+  responses.forEach(response => assert.equal(response.headers['Access-Control-Allow-Methods'], CORS_METHODS));
+});
+
+test('the stream gets its status before anything is written to it', async () => {
+  const invalid = await stream(postEvent('{"query": '));
+  assert.equal(invalid.metadata.statusCode, 400);
+  assert.equal(invalid.metadata.headers['Access-Control-Allow-Methods'], CORS_METHODS);
+  assert.equal(invalid.writesBeforeMetadata, 0);
+  assert.equal(invalid.events[0].type, 'error');
+  assert.match(invalid.events[0].data.message, /^Invalid request: /);
+
+  const anonymous = await stream(postEvent(JSON.stringify({ query: 'Hi' }), {}));
+  assert.equal(anonymous.metadata.statusCode, 401);
+  assert.equal(anonymous.writesBeforeMetadata, 0);
+  assert.deepEqual(anonymous.events.map(event => event.type), ['error']);
+});
+
+test('a streamed run sends its progress and ends with done', async () => {
+  const database = await startFakeDatabase({ todo_list: [] });
+  process.env.LLM_PROVIDER = 'mock';
+  mockProvider.reset();
+  mockProvider.enqueue(
+    { content: '', toolCalls: [{ name: 'setSpecialization', arguments: { specializationName: 'secretary' } }] },
+    'Hi there.'
+  );
+  try {
+    const output = await stream(postEvent(JSON.stringify({ query: 'Hello', llm: { toolMode: 'native' } })));
+    assert.equal(output.metadata.statusCode, 200);
+    const types = output.events.map(event => event.type);
+    assert.equal(types[0], 'iteration_started');
+    assert.ok(types.indexOf('function_call') < types.indexOf('function_result'));
+    assert.ok(types.indexOf('function_result') < types.indexOf('answer_delta'));
+    assert.equal(types.at(-1), 'done');
+    const deltas = output.events.filter(event => event.type === 'answer_delta').map(event => event.data.text);
+    assert.equal(deltas.join(''), 'Hi there.');
+    const done = output.events.at(-1).data;
+    assert.equal(done.message, 'Hi there.');
+    assert.equal(done.specialization, 'secretary');
+  } finally {
+    delete process.env.LLM_PROVIDER;
+    mockProvider.reset();
+    database.close();
+  }
+});
@@ -0,0 +1,127 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture, startFakeDatabase } from './harness.mjs';
+
+// Forgetting knowledge, and exporting and importing the knowledge base over HTTP
+
+const call = (name, args) => ({ content: '', toolCalls: [{ name: name, arguments: args }] });
+
+const snippet = (id, userId, topic, content) => ({
+  id: id,
+  user_id: userId,
+  topic: topic,
+  content: content,
+  source: 'user_interaction',
+  confidence: 0.7,
+  related_entities: {},
+  last_updated: '2026-10-01T09:00:00.000Z'
+});
+
+const asUser = userId => ({ authorizer: { lambda: { userId: userId } } });
+
+const route = (method, path, { userId = 'test-user', query, body } = {}) => ({
+  httpMethod: method,
+  rawPath: path,
+  headers: body ? { 'content-type': 'application/json' } : {},
+  requestContext: asUser(userId),
+  queryStringParameters: query,
+  body: body ? JSON.stringify(body) : undefined
+});
+
+test('forgetting a snippet removes it with its revisions and keeps no copy of the content', async () => {
+  const outcome = await replayFixture({
+    name: 'forget-knowledge',
+    prompt: 'Forget my old address',
+    userId: 'test-user',
+    specialization: 'secretary',
+    seed: {
+      knowledge_snippets: [snippet(1, 'test-user', 'Old address', '12 Elm Street'), snippet(2, 'other-user', 'Old address', '9 Oak Road')],
+      knowledge_revisions: [{ id: 1, user_id: 'test-user', snippet_id: 1, operation: 'create', content: '12 Elm Street', confidence: 0.7 }],
+      interactions: []
+    },
+    llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+    responses: [
+      call('forgetKnowledge', { topic: 'old address' }),
+      call('forgetKnowledge', { id: 2 }),
+      'Forgotten.'
+    ]
+  });
+  const [forgotten, foreign] = outcome.functionResults;
+
+  assert.deepEqual(forgotten.data.forgotten, { id: 1, topic: 'Old address' });
+  assert.equal(foreign.error, 'Knowledge snippet not found');
+  assert.deepEqual(outcome.tables.knowledge_snippets.map(item => item.user_id), ['other-user']);
+  assert.deepEqual(outcome.tables.knowledge_revisions, []);
+  assert.doesNotMatch(JSON.stringify(outcome.tables.interactions), /Elm Street/);
+  assert.equal(outcome.tables.interactions[0].knowledge_updated.operation, 'forget');
+});
+
+test('the export holds only the caller\'s knowledge, in JSON or Markdown', async () => {
+  const database = await startFakeDatabase({
+    knowledge_snippets: [snippet(1, 'test-user', 'Car', 'Blue Honda'), snippet(2, 'other-user', 'Car', 'Red Fiat')],
+    knowledge_revisions: [],
+    interactions: [{ id: 1, user_id: 'test-user', query: 'I drive a Honda', response: 'knowledge updated', knowledge_updated: { id: 1, topic: 'Car', operation: 'create' } }]
+  });
+  const { handler } = database.agent;
+  try {
+    const json = JSON.parse((await handler(route('GET', '/knowledge/export'))).body);
+    assert.equal(json.user_id, 'test-user');
+    assert.deepEqual(json.knowledge.map(item => item.content), ['Blue Honda']);
+    assert.equal(json.interactions.length, 1);
+
+    const markdown = await handler(route('GET', '/knowledge/export', { query: { format: 'markdown' } }));
+    assert.equal(markdown.statusCode, 200);
+    assert.equal(markdown.headers['Content-Type'], 'text/markdown; charset=utf-8');
+    assert.match(markdown.body, /## Car\n<!-- id: 1, source: user_interaction, confidence: 0.7, .* -->\n\nBlue Honda\n/);
+    assert.match(markdown.body, /- .*: I drive a Honda -> knowledge updated \(create: Car\)/);
+    assert.doesNotMatch(markdown.body, /Red Fiat/);
+
+    const unsupported = await handler(route('GET', '/knowledge/export', { query: { format: 'csv' } }));
+    assert.equal(unsupported.statusCode, 400);
+    assert.match(JSON.parse(unsupported.body).message, /Unsupported export format: csv/);
+  } finally {
+    database.close();
+  }
+});
+
+test('imports detect duplicate topics and skip, merge or replace them', async () => {
+  const database = await startFakeDatabase({
+    knowledge_snippets: [snippet(1, 'test-user', 'Car', 'Blue Honda')],
+    knowledge_revisions: [],
+    interactions: []
+  });
+  const { handler } = database.agent;
+  const markdown = '# Knowledge Base\n\n## car\n<!-- id: 4, source: notes, confidence: 0.9 -->\n\nParks on Elm Street\n\n## Gym\n\nMondays\n\n## gym\n\nFridays\n\n# Interaction Log\n\n- ignored\n';
+  try {
+    const skipped = JSON.parse((await handler(route('POST', '/knowledge/import', { body: { format: 'markdown', content: markdown } }))).body);
+    assert.deepEqual(skipped.created.map(item => item.topic), ['Gym']);
+    // Existing topics and topics repeated within the file are duplicates too
+    assert.deepEqual(skipped.skipped.map(item => item.topic), ['Car', 'Gym']);
+    assert.equal(database.tables.knowledge_snippets[1].source, 'import');
+
+    const merged = JSON.parse((await handler(route('POST', '/knowledge/import', {
+      body: { onDuplicate: 'merge', snippets: [{ topic: 'CAR', content: 'Parks on Elm Street' }, { topic: '', content: 'No topic' }] }
+    }))).body);
+    assert.deepEqual(merged.merged, [{ id: 1, topic: 'Car' }]);
+    assert.deepEqual(merged.failed, [{ topic: '', error: 'A snippet needs a topic and content' }]);
+    assert.equal(database.tables.knowledge_snippets[0].content, 'Blue Honda\n\nParks on Elm Street');
+
+    const replaced = JSON.parse((await handler(route('POST', '/knowledge/import', {
+      body: { onDuplicate: 'replace', format: 'json', content: JSON.stringify({ knowledge: [{ topic: 'Gym', content: 'Tuesdays' }] }) }
+    }))).body);
+    assert.deepEqual(replaced.replaced.map(item => item.topic), ['Gym']);
+    assert.equal(database.tables.knowledge_snippets[1].content, 'Tuesdays');
+    assert.deepEqual(database.tables.knowledge_revisions.map(revision => [revision.operation, revision.author]), [
+      ['create', 'import'],
+      ['baseline', 'user_interaction'],
+      ['merge', 'import'],
+      ['replace', 'import']
+    ]);
+
+    const invalid = await handler(route('POST', '/knowledge/import', { body: { onDuplicate: 'overwrite', snippets: [] } }));
+    assert.equal(invalid.statusCode, 400);
+    assert.match(JSON.parse(invalid.body).message, /Unsupported onDuplicate value: overwrite/);
+  } finally {
+    database.close();
+  }
+});
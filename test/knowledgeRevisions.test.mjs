@@ -0,0 +1,97 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+
+// Knowledge snippets keep their revisions: explicit merge and replace, history and rollback
+
+const call = (name, args) => ({ content: '', toolCalls: [{ name: name, arguments: args }] });
+
+function runScript(responses, seed = {}) {
+  return replayFixture({
+    name: 'knowledge-revisions',
+    prompt: 'Remember my Apple settings',
+    userId: 'test-user',
+    specialization: 'secretary',
+    seed: { knowledge_snippets: [], knowledge_revisions: [], interactions: [], ...seed },
+    llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+    responses: [...responses, 'Done.']
+  });
+}
+
+const watchSettings = {
+  id: 7,
+  user_id: 'test-user',
+  topic: 'Apple Watch settings',
+  content: 'Always-on display off',
+  source: 'user_interaction',
+  confidence: 0.8,
+  related_entities: {},
+  last_updated: '2026-10-01T09:00:00.000Z'
+};
+
+test('a similar topic gets its own snippet instead of overwriting the first match', async () => {
+  const outcome = await runScript([
+    call('synthesizeKnowledge', { topic: 'Apple preferences', content: 'Prefers the 13 inch MacBook' })
+  ], { knowledge_snippets: [watchSettings] });
+
+  assert.equal(outcome.functionResults[0].data.message, 'New knowledge created');
+  assert.deepEqual(outcome.tables.knowledge_snippets.map(snippet => [snippet.topic, snippet.content]), [
+    ['Apple Watch settings', 'Always-on display off'],
+    ['Apple preferences', 'Prefers the 13 inch MacBook']
+  ]);
+});
+
+test('merge appends new content, replace overwrites it, and both are revisions', async () => {
+  const outcome = await runScript([
+    call('synthesizeKnowledge', { topic: 'apple watch settings', content: 'Wrist detection on' }),
+    call('synthesizeKnowledge', { topic: 'Apple Watch settings', content: 'Wrist detection on' }),
+    call('synthesizeKnowledge', { id: 7, topic: 'Apple Watch settings', content: 'Factory defaults', mode: 'replace' }),
+    call('getKnowledgeHistory', { topic: 'Apple Watch settings' })
+  ], { knowledge_snippets: [watchSettings] });
+  const [merged, unchanged, replaced, history] = outcome.functionResults;
+
+  assert.equal(merged.data.message, 'Existing knowledge updated (merge, matched by topic)');
+  assert.equal(merged.data.knowledge.content, 'Always-on display off\n\nWrist detection on');
+  // Merging content that is already there changes nothing
+  assert.equal(unchanged.data.knowledge.content, 'Always-on display off\n\nWrist detection on');
+  assert.equal(replaced.data.message, 'Existing knowledge updated (replace, matched by id)');
+  assert.equal(outcome.tables.knowledge_snippets[0].content, 'Factory defaults');
+
+  // Newest first, ending with the state the snippet had before revisions existed
+  const revisions = history.data.revisions;
+  assert.deepEqual(revisions.map(revision => revision.operation), ['replace', 'merge', 'merge', 'baseline']);
+  assert.deepEqual(revisions.map(revision => revision.content), [
+    'Factory defaults',
+    'Always-on display off\n\nWrist detection on',
+    'Always-on display off\n\nWrist detection on',
+    'Always-on display off'
+  ]);
+  assert.equal(revisions[0].author, 'agent:secretary');
+  assert.equal(revisions[0].source_query, 'Remember my Apple settings');
+  assert.equal(revisions[3].author, 'user_interaction');
+  assert.equal(revisions[3].source_query, null);
+  assert.equal(revisions[3].created_at, '2026-10-01T09:00:00.000Z');
+});
+
+test('rolling back restores a revision and is itself recorded', async () => {
+  const outcome = await runScript([
+    call('synthesizeKnowledge', { topic: 'Apple Watch settings', content: 'Factory defaults', mode: 'replace' }),
+    call('rollbackKnowledge', { revision_id: 100 }),
+    call('rollbackKnowledge', { revision_id: 99 }),
+    call('getKnowledgeHistory', { id: 7 })
+  ], {
+    knowledge_snippets: [watchSettings],
+    // Another user's revision is not visible; the baseline revision becomes id 100
+    knowledge_revisions: [{ id: 99, user_id: 'other-user', snippet_id: 7, operation: 'create', content: 'Stolen', confidence: 0.7 }]
+  });
+  const [, restored, foreign, history] = outcome.functionResults;
+
+  assert.equal(restored.data.message, 'Knowledge restored to revision 100');
+  assert.equal(restored.data.knowledge.content, 'Always-on display off');
+  assert.equal(outcome.tables.knowledge_snippets[0].content, 'Always-on display off');
+  assert.equal(foreign.error, 'Knowledge revision 99 not found');
+
+  const [rollback] = history.data.revisions;
+  assert.equal(rollback.operation, 'rollback');
+  assert.equal(rollback.restored_revision_id, 100);
+});
@@ -0,0 +1,104 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+import { cosineSimilarity, embedText, getEmbedder, registerEmbedder } from '../embeddings.mjs';
+
+// Hybrid knowledge retrieval: hash-embedder vectors, keyword scores and confidence
+
+const call = (name, args) => ({ content: '', toolCalls: [{ name: name, arguments: args }] });
+
+function runScript(responses, seed = {}) {
+  return replayFixture({
+    name: 'knowledge-search',
+    prompt: 'What do you know about my car?',
+    userId: 'test-user',
+    specialization: 'secretary',
+    seed: { knowledge_snippets: [], knowledge_revisions: [], interactions: [], ...seed },
+    llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+    responses: [...responses, 'Done.']
+  });
+}
+
+test('the hash embedder is deterministic and matches spelling variants', async () => {
+  const first = await embedText('my car');
+  const again = await embedText('my car');
+  assert.equal(first.model, 'hash-1536');
+  assert.equal(first.embedding.length, 1536);
+  assert.deepEqual(first.embedding, again.embedding);
+  assert.ok(Math.abs(cosineSimilarity(first.embedding, first.embedding) - 1) < 1e-9);
+
+  const variant = await embedText('cars');
+  const unrelated = await embedText('dentist appointment');
+  assert.ok(cosineSimilarity(first.embedding, variant.embedding) > cosineSimilarity(first.embedding, unrelated.embedding));
+});
+
+test('embedding providers are chosen by EMBEDDING_PROVIDER', async () => {
+  registerEmbedder('constant', { model: () => 'constant-2', embed: async texts => texts.map(() => [1, 0]) });
+  process.env.EMBEDDING_PROVIDER = 'constant';
+  try {
+    assert.deepEqual(await embedText('anything'), { embedding: [1, 0], model: 'constant-2' });
+    process.env.EMBEDDING_PROVIDER = 'nonexistent';
+    assert.throws(() => getEmbedder(), /Unknown embedding provider: nonexistent/);
+  } finally {
+    process.env.EMBEDDING_PROVIDER = 'hash';
+  }
+});
+
+test('short words match once the snippet is synthesized', async () => {
+  const outcome = await runScript([
+    call('synthesizeKnowledge', { topic: 'Car', content: 'Drives a blue Honda Civic' }),
+    call('synthesizeKnowledge', { topic: 'Dentist', content: 'Appointment every six months' }),
+    call('retrieveRelevantKnowledge', { query: 'my car?' })
+  ]);
+
+  assert.deepEqual(outcome.functionResults[2].data.map(result => result.topic), ['Car']);
+});
+
+test('a pluggable embedder finds synonyms that share no keyword', async () => {
+  // Puts car and automobile on the same axis, as a real embedding model would
+  const axes = { car: 0, automobile: 0, dentist: 1, teeth: 1 };
+  registerEmbedder('synonyms', {
+    model: () => 'synonyms-2',
+    embed: async texts => texts.map(text => {
+      const vector = [0, 0];
+      (text.toLowerCase().match(/[a-z]+/g) || []).forEach(word => {
+        if (word in axes) vector[axes[word]] += 1;
+      });
+      return vector;
+    })
+  });
+  process.env.EMBEDDING_PROVIDER = 'synonyms';
+  try {
+    const outcome = await runScript([
+      call('synthesizeKnowledge', { topic: 'Car', content: 'Drives a blue Honda' }),
+      call('synthesizeKnowledge', { topic: 'Dentist', content: 'Appointment in May' }),
+      call('retrieveRelevantKnowledge', { query: 'automobile' })
+    ], {
+      // Embedded by another model, so only a keyword could find it
+      knowledge_snippets: [{ id: 50, user_id: 'test-user', topic: 'Old car', content: 'Sold in 2020', confidence: 0.7, embedding: [1, 0], embedding_model: 'hash-1536' }]
+    });
+    const [result] = outcome.functionResults[2].data;
+
+    assert.equal(outcome.functionResults[2].data.length, 1);
+    assert.equal(result.topic, 'Car');
+    // Full similarity, no keyword score and the default confidence of 0.7
+    assert.equal(result.relevance, 0.67);
+  } finally {
+    process.env.EMBEDDING_PROVIDER = 'hash';
+  }
+});
+
+test('relevance combines similarity, keyword score and confidence', async () => {
+  const outcome = await runScript([
+    call('synthesizeKnowledge', { topic: 'Gym', content: 'Goes to the gym on Mondays', confidence: 0.9 }),
+    call('synthesizeKnowledge', { topic: 'Gym membership', content: 'Pays monthly for the gym', confidence: 0.3 }),
+    call('retrieveRelevantKnowledge', { query: 'gym' })
+  ], {
+    // Snippets written before embeddings existed still match by keyword
+    knowledge_snippets: [{ id: 50, user_id: 'test-user', topic: 'Old gym notes', content: 'Locker 12', confidence: 0.5 }]
+  });
+  const results = outcome.functionResults[2].data;
+
+  assert.deepEqual(results.map(result => result.topic), ['Gym', 'Gym membership', 'Old gym notes']);
+  assert.ok(results.every(result => result.relevance > 0 && result.relevance <= 1));
+});
@@ -0,0 +1,132 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+import {
+  clientModelOverrides,
+  getProvider,
+  mockProvider,
+  registerProvider,
+  resolveModelConfig,
+  toAnthropicMessages
+} from '../llmProviders.mjs';
+
+const MODEL_VARIABLES = ['LLM_PROVIDER', 'LLM_MODEL', 'LLM_TEMPERATURE', 'LLM_MAX_TOKENS', 'LLM_PROMPT_TOKENS', 'LLM_TOOL_MODE',
+  'LLM_SPECIALIZATION_MODELS', 'LLM_CLIENT_OVERRIDES'];
+
+// Run fn with only the given model settings, restoring the environment afterwards
+function withEnv(variables, fn) {
+  const saved = Object.fromEntries(MODEL_VARIABLES.map(name => [name, process.env[name]]));
+  MODEL_VARIABLES.forEach(name => delete process.env[name]);
+  Object.assign(process.env, variables);
+  try {
+    return fn();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+}
+
+test('model settings: request over the specialization row over LLM_SPECIALIZATION_MODELS over the environment', () => withEnv({
+  LLM_PROVIDER: 'openai',
+  LLM_MODEL: 'gpt-4o-mini',
+  LLM_TEMPERATURE: '0.4',
+  LLM_SPECIALIZATION_MODELS: JSON.stringify({ secretary: { model: 'gpt-4o', max_tokens: '800' } })
+}, () => {
+  assert.deepEqual(resolveModelConfig('router'), { provider: 'openai', model: 'gpt-4o-mini', temperature: 0.4, toolMode: 'text' });
+  assert.deepEqual(resolveModelConfig('secretary'), { provider: 'openai', model: 'gpt-4o', temperature: 0.4, maxTokens: 800, toolMode: 'text' });
+  assert.deepEqual(
+    resolveModelConfig('secretary', { temperature: '0' }, { provider: 'anthropic', model: 'claude-sonnet-4-5', toolMode: 'native' }),
+    { provider: 'anthropic', model: 'claude-sonnet-4-5', temperature: 0, maxTokens: 800, toolMode: 'native' }
+  );
+  assert.throws(() => resolveModelConfig('router', { toolMode: 'auto' }), /Unknown tool mode "auto": use text or native/);
+}));
+
+test('requests may only change the allow-listed model settings', () => {
+  withEnv({}, () => {
+    assert.deepEqual(clientModelOverrides({ temperature: '0.9', toolMode: 'native' }), { temperature: 0.9, toolMode: 'native' });
+    assert.throws(() => clientModelOverrides({ provider: 'anthropic', model: 'claude-opus-4-1' }), /LLM settings that can't be set per request: provider, model/);
+  });
+  withEnv({ LLM_CLIENT_OVERRIDES: 'model, temperature' }, () => {
+    assert.deepEqual(clientModelOverrides({ model: 'gpt-4o' }), { model: 'gpt-4o' });
+    assert.throws(() => clientModelOverrides({ toolMode: 'native' }), /can't be set per request: toolMode/);
+  });
+});
+
+test('providers are looked up by name and can be added', async () => {
+  assert.throws(() => getProvider('acme'), /Unknown LLM provider: acme/);
+  registerProvider('acme', { name: 'acme', complete: async request => ({ content: `Hi from ${request.model}`, toolCalls: [], usage: null, raw: null }) });
+  assert.equal((await getProvider('acme').complete({ model: 'acme-1', messages: [] })).content, 'Hi from acme-1');
+});
+
+const assistantCall = args => ({
+  role: 'assistant',
+  content: '',
+  tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'addItem', arguments: args } }]
+});
+
+test('tool calls become Anthropic tool_use blocks, with an empty input for arguments that aren\'t an object', () => {
+  const inputs = ['{"item": "milk"}', '{"item": ', 'null', '[1, 2]', '', undefined]
+    .map(args => toAnthropicMessages([assistantCall(args)])[0].content[0].input);
+  assert.deepEqual(inputs, [{ item: 'milk' }, {}, {}, {}, {}, {}]);
+});
+
+test('consecutive tool results share one user turn', () => {
+  const messages = toAnthropicMessages([
+    { role: 'user', content: 'Add milk and eggs' },
+    assistantCall('{"item": "milk"}'),
+    { role: 'tool', tool_call_id: 'call_1', content: 'Added milk' },
+    { role: 'tool', tool_call_id: 'call_2', content: 'Added eggs' }
+  ]);
+  assert.deepEqual(messages.map(message => message.role), ['user', 'assistant', 'user']);
+  assert.deepEqual(messages[2].content.map(block => block.tool_use_id), ['call_1', 'call_2']);
+});
+
+test('the mock provider\'s default reply matches the tool mode', async () => {
+  mockProvider.reset();
+  try {
+    const native = await mockProvider.complete({ messages: [], tools: [{ type: 'function', function: { name: 'addItem' } }] });
+    assert.equal(native.content, 'This is a mock response.');
+    assert.deepEqual(native.toolCalls, []);
+
+    const text = await mockProvider.complete({ messages: [] });
+    assert.deepEqual(JSON.parse(text.content), { answer: 'This is a mock response.', reasoning: '', function_calls: [] });
+  } finally {
+    mockProvider.reset();
+  }
+});
+
+test('a model that rejects the tools parameter is asked again with the text protocol', async () => {
+  const complete = mockProvider.complete;
+  const toolModes = [];
+  mockProvider.complete = function (request) {
+    toolModes.push(request.tools ? 'native' : 'text');
+    if (request.tools) {
+      return Promise.reject(Object.assign(new Error('LLM request failed with status 400: tools are not supported'), { toolsUnsupported: true }));
+    }
+    return complete.call(this, request);
+  };
+
+  try {
+    const outcome = await replayFixture({
+      name: 'text fallback',
+      prompt: 'Hello',
+      userId: 'test-user',
+      llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+      responses: [
+        JSON.stringify({ answer: '', reasoning: 'Hand over', function_calls: [{ function: 'setSpecialization', parameters: { specializationName: 'secretary' } }] }),
+        JSON.stringify({ answer: 'Hi.', reasoning: '', function_calls: [] })
+      ]
+    });
+    assert.equal(outcome.answer, 'Hi.');
+    assert.deepEqual(outcome.functionCalls, [{ function: 'setSpecialization', parameters: { specializationName: 'secretary' }, success: true }]);
+    // Once refused, the rest of the run stays on the text protocol
+    assert.deepEqual(toolModes, ['native', 'text', 'text']);
+  } finally {
+    mockProvider.complete = complete;
+  }
+});
@@ -0,0 +1,146 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+import {
+  addUsage,
+  createUsageTotals,
+  getModelPrice,
+  getSpendLimits,
+  reachedSpendLimit,
+  roundCost,
+  usageCost
+} from '../llmUsage.mjs';
+import { localDateString } from '../reminderSchedule.mjs';
+
+const USAGE_VARIABLES = ['LLM_PRICES', 'LLM_UNPRICED_PRICE', 'LLM_DAILY_SPEND_LIMIT', 'LLM_MONTHLY_SPEND_LIMIT', 'LLM_SPEND_LIMIT_MODEL'];
+
+// Run fn with only the given usage settings, restoring the environment afterwards
+async function withEnv(variables, fn) {
+  const saved = Object.fromEntries(USAGE_VARIABLES.map(name => [name, process.env[name]]));
+  USAGE_VARIABLES.forEach(name => delete process.env[name]);
+  Object.assign(process.env, variables);
+  try {
+    return await fn();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+}
+
+const sonnet = { provider: 'openrouter', model: 'anthropic/claude-sonnet-4.5' };
+const unpriced = { provider: 'openrouter', model: 'acme/house-model' };
+const million = { promptTokens: 1e6, completionTokens: 1e5, totalTokens: 1.1e6 };
+
+test('prices match the longest model name, with free providers and models', () => withEnv({}, () => {
+  assert.deepEqual(getModelPrice(sonnet), { input: 3, output: 15 });
+  assert.deepEqual(getModelPrice({ provider: 'openai', model: 'gpt-4o-mini' }), { input: 0.15, output: 0.6 });
+  assert.deepEqual(getModelPrice({ provider: 'openrouter', model: 'meta-llama/llama-3.3-70b-instruct:free' }), { input: 0, output: 0 });
+  assert.deepEqual(getModelPrice({ provider: 'mock', model: 'scripted' }), { input: 0, output: 0 });
+  assert.equal(getModelPrice(unpriced), null);
+}));
+
+test('LLM_PRICES adds and overrides prices', () => withEnv({ LLM_PRICES: '{"House-Model": {"input": 1, "output": 2}, "gpt-4o": {"input": 5, "output": 20}}' }, () => {
+  assert.deepEqual(getModelPrice(unpriced), { input: 1, output: 2 });
+  assert.deepEqual(getModelPrice({ provider: 'openai', model: 'gpt-4o-mini' }), { input: 5, output: 20 });
+}));
+
+test('unpriced models are free without limits and charged conservatively with them', async () => {
+  await withEnv({}, () => {
+    assert.equal(usageCost(sonnet, million), 4.5);
+    assert.equal(usageCost(sonnet, null), 0);
+    assert.equal(usageCost(unpriced, million), 0);
+  });
+  await withEnv({ LLM_DAILY_SPEND_LIMIT: '5' }, () => {
+    // The highest built-in prices: 15 per million input and 75 per million output tokens
+    assert.equal(usageCost(unpriced, million), 22.5);
+    assert.equal(usageCost(sonnet, million), 4.5);
+  });
+  await withEnv({ LLM_MONTHLY_SPEND_LIMIT: '50', LLM_UNPRICED_PRICE: '{"input": 1, "output": 2}' }, () => {
+    assert.equal(usageCost(unpriced, million), 1.2);
+  });
+});
+
+test('usage adds up per run and per model', () => withEnv({}, () => {
+  const totals = createUsageTotals();
+  addUsage(totals, sonnet, million);
+  addUsage(totals, sonnet, { promptTokens: 1000, completionTokens: 0 });
+  addUsage(totals, unpriced, null);
+
+  assert.equal(totals.requests, 3);
+  assert.equal(totals.promptTokens, 1001000);
+  assert.equal(totals.totalTokens, 1101000);
+  assert.equal(roundCost(totals.cost), 4.503);
+  assert.deepEqual(totals.unpriced, ['openrouter/acme/house-model']);
+  assert.deepEqual(Object.keys(totals.models), ['openrouter/anthropic/claude-sonnet-4.5', 'openrouter/acme/house-model']);
+  assert.equal(totals.models['openrouter/acme/house-model'].requests, 1);
+  assert.equal(roundCost(0.1234567891), 0.123457);
+}));
+
+test('spend limits and the fallback model come from the environment', async () => {
+  await withEnv({}, () => {
+    assert.deepEqual(getSpendLimits(), { daily: null, monthly: null, fallback: null });
+    assert.equal(reachedSpendLimit({ today: 100, month: 100 }, getSpendLimits()), null);
+  });
+  await withEnv({ LLM_DAILY_SPEND_LIMIT: '1', LLM_MONTHLY_SPEND_LIMIT: '10', LLM_SPEND_LIMIT_MODEL: '{"provider": "openrouter", "model": "x/small:free"}' }, () => {
+    const limits = getSpendLimits();
+    assert.equal(limits.daily, 1);
+    assert.equal(limits.monthly, 10);
+    assert.equal(limits.fallback.provider, 'openrouter');
+    assert.equal(limits.fallback.model, 'x/small:free');
+    assert.equal(reachedSpendLimit({ today: 0.5, month: 5 }, limits), null);
+    assert.equal(reachedSpendLimit({ today: 1, month: 5 }, limits), 'daily');
+    assert.equal(reachedSpendLimit({ today: 0, month: 10 }, limits), 'monthly');
+  });
+  await withEnv({ LLM_SPEND_LIMIT_MODEL: 'not json' }, () => {
+    assert.equal(getSpendLimits().fallback, null);
+  });
+});
+
+test('runs are booked in llm_usage and stop at the daily limit', () => withEnv({ LLM_DAILY_SPEND_LIMIT: '1' }, async () => {
+  const today = localDateString(new Date(), process.env.DEFAULT_TIMEZONE || 'UTC');
+  const fixture = {
+    name: 'usage',
+    prompt: 'Hello',
+    userId: 'test-user',
+    llm: { provider: 'mock', model: 'scripted', toolMode: 'native' }
+  };
+
+  const booked = await replayFixture({
+    ...fixture,
+    seed: { llm_usage: [] },
+    responses: [{ content: 'Hi.', toolCalls: [], usage: { promptTokens: 1200, completionTokens: 30, totalTokens: 1230 } }]
+  });
+  assert.equal(booked.answer, 'Hi.');
+  assert.deepEqual(booked.tables.llm_usage, [{
+    id: 1,
+    user_id: 'test-user',
+    day: today,
+    provider: 'mock',
+    model: 'scripted',
+    requests: 1,
+    prompt_tokens: 1200,
+    completion_tokens: 30,
+    total_tokens: 1230,
+    cost: 0
+  }]);
+
+  // A later run adds to the same row
+  const again = await replayFixture({
+    ...fixture,
+    seed: { llm_usage: booked.tables.llm_usage },
+    responses: [{ content: 'Hi again.', toolCalls: [], usage: { promptTokens: 800, completionTokens: 20, totalTokens: 820 } }]
+  });
+  assert.deepEqual(again.tables.llm_usage.map(row => [row.id, row.requests, row.prompt_tokens, row.completion_tokens, row.total_tokens]), [[1, 2, 2000, 50, 2050]]);
+
+  const stopped = await replayFixture({
+    ...fixture,
+    seed: { llm_usage: [{ id: 1, user_id: 'test-user', day: today, provider: 'openrouter', model: 'gpt-4o', requests: 40, cost: 1.25 }] },
+    responses: []
+  });
+  assert.equal(stopped.answer, "You've reached today's AI spending limit of $1.00, so I can't answer right now. It resets tomorrow.");
+}));
@@ -0,0 +1,77 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { boundingBox, distanceMeters, groupVisits, matchPlace, parseLocationPings } from '../locations.mjs';
+
+const now = new Date('2026-10-18T15:00:00Z');
+
+const home = { id: 1, name: 'Home', latitude: 52.52, longitude: 13.405, radius_m: 150 };
+const office = { id: 2, name: 'Office', latitude: 52.5, longitude: 13.45, radius_m: null };
+
+test('pings from each app format are normalized and sorted', () => {
+  const pings = parseLocationPings({
+    locations: [
+      { lat: '52.52', lon: '13.405', acc: '12', tst: 1792335600 },
+      { type: 'Feature', geometry: { type: 'Point', coordinates: [13.45, 52.5] }, properties: { timestamp: '2026-10-18T08:00:00Z', horizontal_accuracy: 5 } },
+      '52.51, 13.41',
+      { coords: { latitude: 52.53, longitude: 13.4 }, timestamp: 1792332000000 }
+    ]
+  }, { now });
+
+  assert.deepEqual(pings, [
+    { latitude: 52.5, longitude: 13.45, accuracy: 5, recordedAt: new Date('2026-10-18T08:00:00Z') },
+    { latitude: 52.53, longitude: 13.4, accuracy: null, recordedAt: new Date('2026-10-18T14:00:00Z') },
+    { latitude: 52.52, longitude: 13.405, accuracy: 12, recordedAt: new Date('2026-10-18T15:00:00Z') },
+    { latitude: 52.51, longitude: 13.41, accuracy: null, recordedAt: now }
+  ]);
+  assert.equal(parseLocationPings({ latitude: 1, longitude: 2 }, { now }).length, 1);
+});
+
+test('invalid pings name the ping that failed', () => {
+  assert.throws(() => parseLocationPings([{ lat: 1, lon: 2 }, { lat: 91, lon: 2 }]), /Invalid latitude: 91 \(ping 2\)/);
+  assert.throws(() => parseLocationPings([{ lat: 1 }]), /Invalid longitude: undefined \(ping 1\)/);
+  assert.throws(() => parseLocationPings([{ lat: 1, lon: 2, timestamp: 'soon' }]), /Invalid timestamp: soon/);
+  assert.throws(() => parseLocationPings([42]), /Invalid location ping: 42/);
+});
+
+test('distances and bounding boxes', () => {
+  assert.equal(distanceMeters(home, home), 0);
+  // One degree of latitude is about 111 km
+  assert.ok(Math.abs(distanceMeters({ latitude: 0, longitude: 0 }, { latitude: 1, longitude: 0 }) - 111195) < 10);
+
+  const box = boundingBox(home, 1000);
+  const north = { latitude: box.maxLatitude, longitude: home.longitude };
+  const east = { latitude: home.latitude, longitude: box.maxLongitude };
+  assert.ok(Math.abs(distanceMeters(home, north) - 1000) < 5);
+  assert.ok(Math.abs(distanceMeters(home, east) - 1000) < 5);
+});
+
+test('pings match the nearest place whose radius contains them', () => {
+  assert.equal(matchPlace({ latitude: 52.5201, longitude: 13.4051 }, [home, office]), home);
+  // Office has no radius, so the default of 100 meters applies
+  assert.equal(matchPlace({ latitude: 52.5005, longitude: 13.45 }, [home, office]), office);
+  assert.equal(matchPlace({ latitude: 52.502, longitude: 13.45 }, [home, office]), null);
+
+  const nearby = { id: 3, latitude: 52.5203, longitude: 13.405, radius_m: 500 };
+  assert.equal(matchPlace({ latitude: 52.5204, longitude: 13.405 }, [home, nearby]), nearby);
+});
+
+test('consecutive pings in a place become one visit', () => {
+  const ping = (minutes, place) => ({
+    latitude: place ? place.latitude : 0,
+    longitude: place ? place.longitude : 0,
+    recorded_at: new Date(now.getTime() + minutes * 60000).toISOString()
+  });
+  const visits = groupVisits([
+    ping(0, home), ping(20, home), ping(45, home),
+    ping(50, null),
+    ping(60, office), ping(120, office),
+    ping(130, home)
+  ], [home, office]);
+
+  assert.deepEqual(visits.map(visit => [visit.place.name, visit.arrivedAt.toISOString(), visit.leftAt.toISOString(), visit.pings]), [
+    ['Home', '2026-10-18T15:00:00.000Z', '2026-10-18T15:45:00.000Z', 3],
+    ['Office', '2026-10-18T16:00:00.000Z', '2026-10-18T16:00:00.000Z', 1],
+    ['Office', '2026-10-18T17:00:00.000Z', '2026-10-18T17:00:00.000Z', 1],
+    ['Home', '2026-10-18T17:10:00.000Z', '2026-10-18T17:10:00.000Z', 1]
+  ]);
+});
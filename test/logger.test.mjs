@@ -0,0 +1,124 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { getLogContext, log, redact, runWithContext, setLogContext } from '../logger.mjs';
+
+// Run fn and return the log lines it wrote to stdout and stderr, parsed
+async function captureLog(fn) {
+  const lines = [];
+  const { log: consoleLog, error: consoleError } = console;
+  console.log = line => lines.push({ stream: 'stdout', ...JSON.parse(line) });
+  console.error = line => lines.push({ stream: 'stderr', ...JSON.parse(line) });
+  try {
+    await fn();
+  } finally {
+    console.log = consoleLog;
+    console.error = consoleError;
+  }
+  return lines;
+}
+
+test('secret and personal fields are redacted', () => {
+  assert.deepEqual(redact({
+    password: 'hunter2',
+    apiKey: 'abc',
+    'X-Api-Key': 'abc',
+    refresh_token: 'abc',
+    userEmail: 'sam@example.com',
+    latitude: 52.5,
+    token: null,
+    count: 3,
+    nested: [{ phone: '555 123 4567', name: 'Sam' }]
+  }), {
+    password: '[REDACTED]',
+    apiKey: '[REDACTED]',
+    'X-Api-Key': '[REDACTED]',
+    refresh_token: '[REDACTED]',
+    userEmail: '[REDACTED]',
+    latitude: '[REDACTED]',
+    token: null,
+    count: 3,
+    nested: [{ phone: '[REDACTED]', name: 'Sam' }]
+  });
+});
+
+test('emails, phone numbers and tokens are masked inside text', () => {
+  assert.equal(redact('Mail sam.lee+work@example.co.uk today'), 'Mail [email] today');
+  assert.equal(redact('Call +49 30 1234567, (555) 123-4567 or 555.123.4567'), 'Call [phone], [phone] or [phone]');
+  assert.equal(redact('Authorization: Bearer abc.def-123'), 'Authorization: Bearer [REDACTED]');
+  assert.equal(redact('key sk-abcdefghijklmnopqrstuv'), 'key [REDACTED]');
+  assert.equal(redact('jwt eyJhbGciOi.eyJzdWIiOi.c2lnbmF0dXJl'), 'jwt [REDACTED]');
+  // Order numbers and dates are left alone
+  assert.equal(redact('Order 2026-10-18 #12345678'), 'Order 2026-10-18 #12345678');
+});
+
+test('long strings, deep objects, errors and LOG_REDACT_KEYS', () => {
+  assert.equal(redact('a'.repeat(4010)), `${'a'.repeat(4000)}... (10 more characters)`);
+  assert.deepEqual(redact({ a: { b: { c: { d: { e: { f: { g: 1 } } } } } } }), { a: { b: { c: { d: { e: { f: '[...]' } } } } } });
+
+  const error = Object.assign(new Error('No user sam@example.com'), { code: 'E_USER' });
+  const serialized = redact(error);
+  assert.equal(serialized.message, 'No user [email]');
+  assert.equal(serialized.code, 'E_USER');
+  assert.doesNotMatch(serialized.stack, /sam@example\.com/);
+
+  const saved = process.env.LOG_REDACT_KEYS;
+  process.env.LOG_REDACT_KEYS = 'diagnosis, Blood-Type';
+  try {
+    assert.deepEqual(redact({ diagnosis: 'flu', blood_type: 'A', note: 'ok' }), { diagnosis: '[REDACTED]', blood_type: '[REDACTED]', note: 'ok' });
+  } finally {
+    if (saved === undefined) {
+      delete process.env.LOG_REDACT_KEYS;
+    } else {
+      process.env.LOG_REDACT_KEYS = saved;
+    }
+  }
+});
+
+test('log lines carry the request context and go to stderr from warn up', async () => {
+  const lines = await captureLog(() => runWithContext({ requestId: 'request-1' }, () => {
+    setLogContext({ userId: 'user-1' });
+    log.info('Saved', { table: 'todo_list', email: 'sam@example.com' });
+    log.warn('Slow', 1200);
+    log.error('Failed', new Error('boom'));
+  }));
+
+  assert.deepEqual(lines.map(line => [line.stream, line.level, line.message, line.requestId, line.userId]), [
+    ['stdout', 'info', 'Saved', 'request-1', 'user-1'],
+    ['stderr', 'warn', 'Slow', 'request-1', 'user-1'],
+    ['stderr', 'error', 'Failed', 'request-1', 'user-1']
+  ]);
+  assert.equal(lines[0].table, 'todo_list');
+  assert.equal(lines[0].email, '[REDACTED]');
+  assert.equal(lines[1].detail, 1200);
+  assert.equal(lines[2].error.message, 'boom');
+  assert.deepEqual(getLogContext(), {});
+});
+
+test('concurrent contexts keep their own fields, and LOG_LEVEL filters', async () => {
+  const run = async requestId => runWithContext({ requestId }, async () => {
+    await new Promise(resolve => setTimeout(resolve, requestId === 'a' ? 10 : 1));
+    log.info('Done');
+  });
+  const lines = await captureLog(() => Promise.all([run('a'), run('b')]));
+  assert.deepEqual(lines.map(line => line.requestId), ['b', 'a']);
+
+  const saved = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = 'warn';
+  try {
+    const filtered = await captureLog(() => {
+      log.debug('Hidden');
+      log.info('Hidden');
+      log.warn('Shown');
+    });
+    assert.deepEqual(filtered.map(line => line.message), ['Shown']);
+
+    process.env.LOG_LEVEL = 'silent';
+    assert.deepEqual(await captureLog(() => log.error('Hidden')), []);
+  } finally {
+    if (saved === undefined) {
+      delete process.env.LOG_LEVEL;
+    } else {
+      process.env.LOG_LEVEL = saved;
+    }
+  }
+});
@@ -0,0 +1,104 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+import { enforceTablePolicy } from '../tablePolicies.mjs';
+
+// Rows of one user stay out of reach of another user's runs
+
+const call = (name, args) => ({ content: '', toolCalls: [{ name: name, arguments: args }] });
+
+const seed = () => ({
+  todo_list: [
+    { id: 1, user_id: 'test-user', description: 'Buy seeds' },
+    { id: 2, user_id: 'other-user', description: 'Call the bank' }
+  ],
+  knowledge_snippets: [
+    { id: 1, user_id: 'test-user', topic: 'Apples', content: 'Likes opal apples', confidence: 0.9 },
+    { id: 2, user_id: 'other-user', topic: 'Apples', content: 'Allergic to apples', confidence: 0.9 }
+  ]
+});
+
+// Run the scripted replies as test-user and return the function results and tables
+function runScript(responses) {
+  return replayFixture({
+    name: 'ownership',
+    prompt: 'Tidy my list',
+    userId: 'test-user',
+    specialization: 'secretary',
+    seed: seed(),
+    llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+    responses: [...responses, 'Done.']
+  });
+}
+
+test('reads, updates and deletes only reach the caller\'s rows', async () => {
+  const byId = { column: 'id', operator: 'eq', value: 2 };
+  const outcome = await runScript([
+    call('dynamicSupabaseOperation', { from: 'todo_list', action: 'select' }),
+    call('dynamicSupabaseOperation', { from: 'todo_list', action: 'update', data: { description: 'Mine now', user_id: 'test-user' }, filter: byId }),
+    call('dynamicSupabaseOperation', { from: 'todo_list', action: 'delete', filter: byId }),
+    call('dynamicSupabaseOperation', { from: 'todo_list', action: 'insert', data: { description: 'Plant seeds', user_id: 'other-user' } })
+  ]);
+
+  const [select, update, remove, insert] = outcome.functionResults;
+  assert.deepEqual(select.data.map(row => row.description), ['Buy seeds']);
+  assert.deepEqual(update.data, []);
+  assert.deepEqual(remove.data, []);
+  assert.equal(insert.data[0].user_id, 'test-user');
+  assert.deepEqual(outcome.tables.todo_list.slice(0, 2), seed().todo_list);
+});
+
+test('knowledge search only finds the caller\'s snippets', async () => {
+  const outcome = await runScript([call('retrieveRelevantKnowledge', { query: 'Apples' })]);
+  const contents = JSON.stringify(outcome.functionResults[0].data);
+  assert.match(contents, /Likes opal apples/);
+  assert.doesNotMatch(contents, /Allergic/);
+});
+
+test('an upsert can\'t take over another user\'s row by id or by another conflict column', async () => {
+  const outcome = await runScript([
+    call('dynamicSupabaseOperation', { from: 'todo_list', action: 'upsert', data: { id: 2, description: 'Mine now' } }),
+    call('dynamicSupabaseOperation', {
+      from: 'todo_list',
+      action: 'upsert',
+      data: { description: 'Call the bank', project_id: 7 },
+      options: { onConflict: 'description' }
+    })
+  ]);
+
+  assert.deepEqual(outcome.functionResults.map(result => result.success), [false, false]);
+  assert.match(outcome.functionResults[0].error, /Cannot modify rows that belong to another user: 2/);
+  assert.match(outcome.functionResults[1].error, /Cannot modify rows that belong to another user: Call the bank/);
+  assert.deepEqual(outcome.tables.todo_list, seed().todo_list);
+});
+
+test('an upsert still updates the user\'s own row through its conflict column', async () => {
+  const outcome = await runScript([
+    call('dynamicSupabaseOperation', {
+      from: 'todo_list',
+      action: 'upsert',
+      data: { description: 'Buy seeds', project_id: 7 },
+      options: { onConflict: 'description' }
+    })
+  ]);
+
+  assert.equal(outcome.functionResults[0].success, true);
+  assert.deepEqual(outcome.tables.todo_list, [
+    { id: 1, user_id: 'test-user', description: 'Buy seeds', project_id: 7 },
+    { id: 2, user_id: 'other-user', description: 'Call the bank' }
+  ]);
+});
+
+test('upserts can only match on readable columns', () => {
+  process.env.DATABASE_TABLE_POLICIES = JSON.stringify({
+    notes: { actions: ['upsert'], readableColumns: ['id', 'title'], writableColumns: ['title', 'body'] }
+  });
+  try {
+    const upsert = options => enforceTablePolicy({ from: 'notes', action: 'upsert', data: { title: 'Plan', body: 'Beds' }, options: options });
+    assert.doesNotThrow(() => upsert({ onConflict: 'title' }));
+    assert.doesNotThrow(() => upsert({ onConflict: 'user_id,title' }));
+    assert.throws(() => upsert({ onConflict: 'body' }), /Cannot match upserts on columns of notes: body/);
+  } finally {
+    delete process.env.DATABASE_TABLE_POLICIES;
+  }
+});
@@ -0,0 +1,49 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+import { getTool, getToolAccess } from '../toolRegistry.mjs';
+
+// Several function calls in one model reply: independent calls run side by side,
+// calls on the same table keep their order, and results come back in request order
+
+const call = (name, args) => ({ name: name, arguments: args });
+
+test('calls on one table wait for the earlier writes, and results keep the request order', async () => {
+  const outcome = await replayFixture({
+    name: 'parallel calls',
+    prompt: 'Add milk and show my lists',
+    userId: 'test-user',
+    specialization: 'secretary',
+    seed: {
+      todo_list: [{ id: 1, user_id: 'test-user', description: 'Buy seeds' }],
+      shopping_list: [{ id: 1, user_id: 'test-user', description: 'Eggs' }]
+    },
+    llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+    responses: [
+      {
+        content: '',
+        toolCalls: [
+          call('dynamicSupabaseOperation', { from: 'shopping_list', action: 'insert', data: { description: 'Milk' } }),
+          call('dynamicSupabaseOperation', { from: 'todo_list', action: 'select', columns: 'description' }),
+          call('dynamicSupabaseOperation', { from: 'shopping_list', action: 'select', columns: 'description' }),
+          call('dynamicSupabaseOperation', { from: 'shopping_list', action: 'update', data: { description: 'Oat milk' }, filter: { column: 'description', operator: 'eq', value: 'Milk' } })
+        ]
+      },
+      'Done.'
+    ]
+  });
+
+  assert.deepEqual(outcome.functionCalls.map(functionCall => functionCall.parameters.action), ['insert', 'select', 'select', 'update']);
+  const [, todos, shopping] = outcome.functionResults.map(result => result.data);
+  assert.deepEqual(todos, [{ description: 'Buy seeds' }]);
+  // The select sees the insert before it and not the update after it
+  assert.deepEqual(shopping, [{ description: 'Eggs' }, { description: 'Milk' }]);
+  assert.deepEqual(outcome.tables.shopping_list.map(row => row.description), ['Eggs', 'Oat milk']);
+});
+
+test('tool access names the resources a call touches', () => {
+  const database = getTool('dynamicSupabaseOperation');
+  assert.deepEqual(getToolAccess(database, { from: 'todo_list', action: 'select' }), { resource: ['table:todo_list'], readOnly: true });
+  assert.deepEqual(getToolAccess(database, { from: 'todo_list', action: 'delete' }), { resource: ['table:todo_list'], readOnly: false });
+  assert.equal(getToolAccess(getTool('setSpecialization'), {}).readOnly, false);
+});
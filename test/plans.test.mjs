@@ -0,0 +1,87 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+import { localDateString, parseLocalDate } from '../reminderSchedule.mjs';
+
+// Projects, goals and milestones, driven through the agent with scripted replies
+
+// Sunday, October 18 2026, 15:00 UTC
+const now = new Date('2026-10-18T15:00:00Z');
+
+const call = (name, args) => ({ content: '', toolCalls: [{ name: name, arguments: args }] });
+
+// Run the scripted replies against a fresh database and return the function results and tables
+function runScript(responses, seed = {}) {
+  return replayFixture({
+    name: 'plans',
+    prompt: 'Plan the garden',
+    userId: 'test-user',
+    specialization: 'projectManager',
+    seed: { projects: [], goals: [], milestones: [], todo_list: [], ...seed },
+    llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+    responses: [...responses, 'Done.']
+  });
+}
+
+test('due and target dates are calendar dates in the user\'s time zone', () => {
+  assert.equal(parseLocalDate('2027-05-01', { now }), '2027-05-01');
+  assert.equal(parseLocalDate('friday', { now }), '2026-10-23');
+  assert.equal(parseLocalDate('october 25', { now }), '2026-10-25');
+  assert.equal(parseLocalDate('today', { now, timeZone: 'Pacific/Auckland' }), '2026-10-19');
+  assert.equal(localDateString(now, 'America/Los_Angeles'), '2026-10-18');
+  assert.throws(() => parseLocalDate('someday', { now }), /Invalid date: couldn't understand "someday"/);
+});
+
+test('milestones drive progress and to-do items link to the project', async () => {
+  const outcome = await runScript([
+    call('createProject', { name: 'Garden', targetDate: '2027-05-01', milestones: ['Plan beds', { title: 'Plant', dueDate: '2027-04-15' }] }),
+    call('updateProjectOrGoal', { item: 'garden', completeMilestones: [1], linkTodos: [1] })
+  ], { todo_list: [{ id: 1, user_id: 'test-user', description: 'Buy seeds' }] });
+
+  const [created, updated] = outcome.functionResults.map(result => result.data.project);
+  assert.deepEqual(created.milestones, [
+    { number: 1, title: 'Plan beds', dueDate: null, done: false },
+    { number: 2, title: 'Plant', dueDate: '2027-04-15', done: false }
+  ]);
+  assert.equal(created.percentComplete, 0);
+  assert.equal(updated.percentComplete, 50);
+  assert.deepEqual(updated.milestones.map(milestone => milestone.done), [true, false]);
+  assert.deepEqual(updated.todos, [{ id: 1, description: 'Buy seeds' }]);
+
+  assert.equal(outcome.tables.projects[0].target_date, '2027-05-01');
+  assert.equal(outcome.tables.todo_list[0].project_id, 1);
+});
+
+test('an invalid milestone date fails before anything is written', async () => {
+  const outcome = await runScript([
+    call('createGoal', { name: 'Grow tomatoes', milestones: ['Sow', { title: 'Harvest', dueDate: 'someday' }] })
+  ]);
+
+  assert.equal(outcome.functionResults[0].success, false);
+  assert.match(outcome.functionResults[0].error, /Invalid date: couldn't understand "someday"/);
+  assert.deepEqual(outcome.tables.goals, []);
+  assert.deepEqual(outcome.tables.milestones, []);
+});
+
+test('finding items by name, completing the last milestone and listing what is due', async () => {
+  const outcome = await runScript([
+    call('updateProjectOrGoal', { item: 'g', percentComplete: 10 }),
+    call('updateProjectOrGoal', { item: 'garden', completeMilestones: ['plant'] }),
+    call('listProjectsAndGoals', { dueBy: '2027-05-31' })
+  ], {
+    projects: [{ id: 1, user_id: 'test-user', name: 'Garden', status: 'active', target_date: '2027-05-01', percent_complete: 50 }],
+    goals: [{ id: 1, user_id: 'test-user', project_id: 1, name: 'Grow tomatoes', status: 'active', target_date: '2027-08-01', percent_complete: 0 }],
+    milestones: [
+      { id: 1, user_id: 'test-user', project_id: 1, position: 1, title: 'Plan beds', due_date: null, done_at: '2026-10-01T09:00:00.000Z' },
+      { id: 2, user_id: 'test-user', project_id: 1, position: 2, title: 'Plant seedlings', due_date: '2027-04-15', done_at: null }
+    ]
+  });
+  const [ambiguous, completed, listed] = outcome.functionResults;
+
+  assert.equal(ambiguous.error, 'Several items match "g": project 1 "Garden", goal 1 "Grow tomatoes"; pass type or an id');
+  assert.equal(completed.data.project.percentComplete, 100);
+  assert.match(completed.data.note, /ask the user whether to mark it completed/);
+  assert.deepEqual(listed.data.items.map(item => item.name), ['Garden']);
+  assert.deepEqual(listed.data.due.map(item => [item.name, item.due, item.date]), [['Garden', 'target date', '2027-05-01']]);
+  assert.equal(outcome.tables.goals[0].percent_complete, 0);
+});
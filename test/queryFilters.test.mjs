@@ -0,0 +1,112 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+import { applyFilter, applyPagination, filterColumns } from '../queryFilters.mjs';
+
+// The filter compiler shared by every dynamicSupabaseOperation action
+
+const call = (name, args) => ({ content: '', toolCalls: [{ name: name, arguments: args }] });
+
+// Records the supabase-js methods a filter is applied with
+function recordingQuery() {
+  const calls = [];
+  const query = new Proxy({}, {
+    get: (target, method) => method === 'calls' ? calls : (...args) => {
+      calls.push([method, ...args]);
+      return query;
+    }
+  });
+  return query;
+}
+
+const compile = filter => applyFilter(recordingQuery(), filter).calls;
+
+test('top-level conditions use supabase-js methods and groups become logic trees', () => {
+  assert.deepEqual(compile([
+    { column: 'status', operator: 'eq', value: 'done' },
+    { column: 'notes', operator: 'is', value: null },
+    { column: 'description', operator: 'ilike', value: 'seed' },
+    { column: 'id', operator: 'in', value: [1, 2] },
+    { column: 'due', operator: 'range', value: ['2026-10-01', '2026-10-31'] },
+    { column: 'description', operator: 'fts', value: 'tomato seeds', options: { type: 'websearch', config: 'english' } }
+  ]), [
+    ['eq', 'status', 'done'],
+    ['is', 'notes', null],
+    ['ilike', 'description', '%seed%'],
+    ['in', 'id', [1, 2]],
+    ['gte', 'due', '2026-10-01'],
+    ['lte', 'due', '2026-10-31'],
+    ['textSearch', 'description', 'tomato seeds', { type: 'websearch', config: 'english' }]
+  ]);
+
+  assert.deepEqual(compile({ not: { column: 'status', operator: 'in', value: ['done', 'dropped'] } }), [
+    ['not', 'status', 'in', '(done,dropped)']
+  ]);
+
+  assert.deepEqual(compile({
+    or: [
+      { column: 'description', operator: 'like', value: 'Buy, then plant' },
+      { not: { and: [{ column: 'notes', operator: 'is', value: null }, { column: 'id', operator: 'gt', value: 2 }] } }
+    ]
+  }), [
+    ['or', 'description.like."%Buy, then plant%",not.and(notes.is.null,id.gt.2)']
+  ]);
+});
+
+test('invalid filters are rejected with the path of the problem', () => {
+  assert.throws(() => compile({ or: [] }), /filter\.or must be a non-empty list of filters/);
+  assert.throws(() => compile({ and: [{ column: 'id', operator: 'between', value: 1 }] }),
+    /Unsupported filter operator at filter\.and\[0\]: between/);
+  assert.throws(() => compile({ column: 'id', operator: 'in', value: 1 }), /filter\.value must be a list for the in operator/);
+  assert.throws(() => compile({ column: 'notes', operator: 'is', value: 'empty' }), /must be null, true or false/);
+  assert.throws(() => compile({ operator: 'eq', value: 1 }), /filter\.column is required/);
+});
+
+test('filter columns and pagination ranges', () => {
+  assert.deepEqual(filterColumns({ or: [{ column: 'a', operator: 'eq', value: 1 }, { not: { column: 'b', operator: 'is', value: null } }] }), ['a', 'b']);
+  assert.deepEqual(applyPagination(recordingQuery(), { offset: 20, limit: 10 }).calls, [['range', 20, 29]]);
+  assert.deepEqual(applyPagination(recordingQuery(), { offset: 5 }).calls, [['range', 5, 1004]]);
+  assert.deepEqual(applyPagination(recordingQuery(), {}).calls, []);
+});
+
+test('compound filters select, page and update rows through the agent', async () => {
+  const todo = (id, description, projectId, createdAt) => ({ id: id, user_id: 'test-user', description: description, project_id: projectId, goal_id: null, created_at: createdAt });
+  const outcome = await replayFixture({
+    name: 'query-filters',
+    prompt: 'Tidy my to-do list',
+    userId: 'test-user',
+    specialization: 'secretary',
+    seed: {
+      todo_list: [
+        todo(1, 'Buy seeds', 1, '2026-10-01T09:00:00.000Z'),
+        todo(2, 'Plant seeds', null, '2026-10-02T09:00:00.000Z'),
+        todo(3, 'Call the plumber', null, '2026-10-16T09:00:00.000Z'),
+        todo(4, 'Water the garden', 1, '2026-10-17T09:00:00.000Z'),
+        { ...todo(5, 'Buy seeds', null, '2026-10-01T09:00:00.000Z'), user_id: 'other-user' }
+      ]
+    },
+    llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+    responses: [
+      call('dynamicSupabaseOperation', {
+        from: 'todo_list',
+        action: 'select',
+        filter: { or: [{ column: 'description', operator: 'ilike', value: 'seeds' }, { not: { column: 'project_id', operator: 'is', value: null } }] },
+        order: [{ column: 'id', ascending: false }],
+        pagination: { offset: 1, limit: 2 }
+      }),
+      call('dynamicSupabaseOperation', {
+        from: 'todo_list',
+        action: 'update',
+        data: { project_id: 2 },
+        filter: [{ column: 'project_id', operator: 'is', value: null }, { column: 'created_at', operator: 'lt', value: '2026-10-11T00:00:00.000Z' }]
+      }),
+      'Done.'
+    ]
+  });
+  const [selected, updated] = outcome.functionResults;
+
+  // Rows 4, 2 and 1 match; the page skips the first
+  assert.deepEqual(selected.data.map(item => item.id), [2, 1]);
+  assert.equal(updated.success, true, updated.error);
+  assert.deepEqual(outcome.tables.todo_list.map(item => item.project_id), [1, 2, null, 1, null]);
+});
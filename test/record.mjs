@@ -0,0 +1,42 @@
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { loadFixture, recordFixture, saveFixture } from './harness.mjs';
+
+// Record scenario fixtures against a real model, turning a scripted scenario into
+// one recorded from that model:
+//   npm run test:record -- test/fixtures/add-existing-apples.json [--provider openrouter] [--model name] [--tool-mode native]
+// The fixture needs name, prompt and seed; its llm, responses, functionResults and
+// expect fields are overwritten. Check the recorded expect block before committing it.
+
+dotenv.config();
+
+const { values: flags, positionals: files } = parseArgs({
+  allowPositionals: true,
+  options: {
+    provider: { type: 'string', short: 'p' },
+    model: { type: 'string', short: 'm' },
+    'tool-mode': { type: 'string' },
+    verbose: { type: 'boolean', short: 'v' }
+  }
+});
+
+if (files.length === 0) {
+  process.stderr.write('Usage: node test/record.mjs <fixture.json>... [--provider name] [--model name] [--tool-mode mode]\n');
+  process.exit(1);
+}
+
+// The harness turns the log off; show warnings and errors, or everything with --verbose
+if (process.env.LOG_LEVEL === 'silent') {
+  process.env.LOG_LEVEL = flags.verbose ? 'info' : 'warn';
+}
+
+const llm = {};
+if (flags.provider) llm.provider = flags.provider;
+if (flags.model) llm.model = flags.model;
+if (flags['tool-mode']) llm.toolMode = flags['tool-mode'];
+
+for (const file of files) {
+  const fixture = await recordFixture(loadFixture(file), llm);
+  saveFixture(fixture);
+  process.stdout.write(`Recorded ${file}: ${fixture.responses.length} model replies, ${fixture.expect.functionCalls.length} function calls\n`);
+}
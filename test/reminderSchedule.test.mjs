@@ -0,0 +1,110 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import {
+  describeRecurrence,
+  firstOccurrence,
+  nextOccurrence,
+  parseLocalDate,
+  parseRecurrence,
+  parseReminderSchedule,
+  parseReminderTime
+} from '../reminderSchedule.mjs';
+
+// Sunday, October 18 2026, 15:00 UTC
+const now = new Date('2026-10-18T15:00:00Z');
+
+function iso(date) {
+  return date.toISOString();
+}
+
+test('recurrence phrases become RRULEs', () => {
+  assert.equal(parseRecurrence('every day'), 'FREQ=DAILY');
+  assert.equal(parseRecurrence('every weekday'), 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+  assert.equal(parseRecurrence('every weekday at 9am'), 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+  assert.equal(parseRecurrence('every weekend'), 'FREQ=WEEKLY;BYDAY=SA,SU');
+  assert.equal(parseRecurrence('every monday and thursday at 14:30'), 'FREQ=WEEKLY;BYDAY=MO,TH');
+  assert.equal(parseRecurrence('every other week'), 'FREQ=WEEKLY;INTERVAL=2');
+  assert.equal(parseRecurrence('every month on the 31st'), 'FREQ=MONTHLY;BYMONTHDAY=31');
+  assert.equal(parseRecurrence('monthly on the 15th'), 'FREQ=MONTHLY;BYMONTHDAY=15');
+  assert.equal(parseRecurrence('every 2 months on the 1st'), 'FREQ=MONTHLY;INTERVAL=2;BYMONTHDAY=1');
+  assert.equal(parseRecurrence('the 5th of every month'), 'FREQ=MONTHLY;BYMONTHDAY=5');
+  assert.equal(parseRecurrence('RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;COUNT=10'), 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR;COUNT=10');
+  assert.equal(parseRecurrence('none'), null);
+});
+
+test('invalid recurrences are rejected', () => {
+  assert.throws(() => parseRecurrence('every month on the 32nd'), /BYMONTHDAY/);
+  assert.throws(() => parseRecurrence('now and then'), /Invalid recurrence/);
+  assert.throws(() => parseRecurrence('FREQ=WEEKLY;BYDAY=XX'), /BYDAY/);
+});
+
+test('reminder times are read in the user\'s time zone', () => {
+  assert.equal(iso(parseReminderTime('in 20 minutes', { now })), '2026-10-18T15:20:00.000Z');
+  assert.equal(iso(parseReminderTime('tomorrow at 9am', { now, timeZone: 'America/New_York' })), '2026-10-19T13:00:00.000Z');
+  // 9am has passed today, so it means tomorrow
+  assert.equal(iso(parseReminderTime('9am', { now })), '2026-10-19T09:00:00.000Z');
+  assert.equal(iso(parseReminderTime('end of day', { now })), '2026-10-18T17:00:00.000Z');
+  assert.equal(iso(parseReminderTime('tomorrow end of day', { now })), '2026-10-19T17:00:00.000Z');
+  assert.throws(() => parseReminderTime('2026-10-01 08:00', { now }), /in the past/);
+  assert.throws(() => parseReminderTime('whenever', { now }), /Invalid reminder time/);
+});
+
+test('"next" weekdays are in next week', () => {
+  // Said on a Sunday: "monday" is tomorrow, "next monday" a week later
+  assert.equal(iso(parseReminderTime('monday', { now })), '2026-10-19T09:00:00.000Z');
+  assert.equal(iso(parseReminderTime('next monday', { now })), '2026-10-26T09:00:00.000Z');
+  assert.equal(parseLocalDate('next friday', { now: new Date('2026-10-20T12:00:00Z') }), '2026-10-30');
+  assert.equal(parseLocalDate('friday', { now: new Date('2026-10-20T12:00:00Z') }), '2026-10-23');
+});
+
+test('calendar dates', () => {
+  assert.equal(parseLocalDate('end of day', { now }), '2026-10-18');
+  assert.equal(parseLocalDate('end of month', { now }), '2026-10-31');
+  assert.equal(parseLocalDate('end of week', { now: new Date('2026-10-20T12:00:00Z') }), '2026-10-25');
+  assert.equal(parseLocalDate('in 3 weeks', { now }), '2026-11-08');
+  assert.throws(() => parseLocalDate('2026-02-30', { now }), /Invalid date/);
+});
+
+test('schedules in when start on a day the rule allows', () => {
+  const weekdays = parseReminderSchedule({ when: 'every weekday at 9am', now });
+  assert.equal(iso(weekdays.occurrenceAt), '2026-10-19T09:00:00.000Z');
+  assert.equal(weekdays.recurrence, 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR');
+
+  const monthly = parseReminderSchedule({ when: 'every month on the 31st at 8am', now });
+  assert.equal(iso(monthly.occurrenceAt), '2026-10-31T08:00:00.000Z');
+  assert.equal(describeRecurrence(monthly.recurrence), 'every month on day 31');
+
+  const withRecurrence = parseReminderSchedule({ when: 'tomorrow', recurrence: 'the 5th of every month', now });
+  assert.equal(iso(withRecurrence.occurrenceAt), '2026-11-05T09:00:00.000Z');
+});
+
+test('monthly days past the end of a month fall on its last day', () => {
+  const dates = [];
+  let occurrence = new Date('2026-10-31T08:00:00Z');
+  for (let count = 1; count <= 6; count++) {
+    occurrence = nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=31', occurrence, 'UTC', count);
+    dates.push(iso(occurrence).slice(0, 10));
+  }
+  assert.deepEqual(dates, ['2026-11-30', '2026-12-31', '2027-01-31', '2027-02-28', '2027-03-31', '2027-04-30']);
+
+  // Leap years keep February 29
+  assert.equal(iso(nextOccurrence('FREQ=MONTHLY;BYMONTHDAY=30', new Date('2028-01-30T08:00:00Z'), 'UTC')).slice(0, 10), '2028-02-29');
+  // A start on the last day of a short month is already on the rule's day
+  assert.equal(iso(firstOccurrence('FREQ=MONTHLY;BYMONTHDAY=31', new Date('2027-02-28T08:00:00Z'), 'UTC').occurrenceAt), '2027-02-28T08:00:00.000Z');
+});
+
+test('repeating reminders keep their wall-clock time across daylight saving changes', () => {
+  // 9am New York: EDT (UTC-4) until November 1 2026, then EST (UTC-5)
+  const beforeChange = new Date('2026-10-31T13:00:00Z');
+  assert.equal(iso(nextOccurrence('FREQ=DAILY', beforeChange, 'America/New_York')), '2026-11-01T14:00:00.000Z');
+  assert.equal(iso(nextOccurrence('FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR', beforeChange, 'America/New_York')), '2026-11-02T14:00:00.000Z');
+  // Hourly reminders stay an hour apart in real time
+  assert.equal(iso(nextOccurrence('FREQ=HOURLY', new Date('2026-11-01T05:30:00Z'), 'America/New_York')), '2026-11-01T06:30:00.000Z');
+  // 2:30am doesn't exist on March 14 2027 in New York; it resolves to just after the change
+  assert.equal(iso(parseReminderTime('2027-03-14 02:30', { now, timeZone: 'America/New_York' })), '2027-03-14T07:30:00.000Z');
+});
+
+test('rules end after COUNT occurrences or at UNTIL', () => {
+  assert.equal(nextOccurrence('FREQ=DAILY;COUNT=3', new Date('2026-10-20T09:00:00Z'), 'UTC', 3), null);
+  assert.equal(nextOccurrence('FREQ=DAILY;UNTIL=20261020T235959Z', new Date('2026-10-20T09:00:00Z'), 'UTC'), null);
+});
@@ -0,0 +1,20 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { listFixtures, replayFixture } from './harness.mjs';
+
+// Replays every scenario in test/fixtures and checks the answer, the
+// function calls the agent made and the final state of the seeded tables.
+
+for (const fixture of listFixtures()) {
+  test(fixture.description || fixture.name, async () => {
+    const outcome = await replayFixture(fixture);
+
+    assert.deepEqual(
+      outcome.functionCalls,
+      fixture.expect.functionCalls,
+      'function calls differ from the scenario'
+    );
+    assert.deepEqual(outcome.tables, fixture.expect.tables, 'table state differs from the scenario');
+    assert.equal(outcome.answer, fixture.expect.answer);
+  });
+}
@@ -0,0 +1,59 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { startFakeDatabase } from './harness.mjs';
+import { mockProvider } from '../llmProviders.mjs';
+
+// Multi-turn chat sessions through the handler and the session routes
+
+const asUser = userId => ({ authorizer: { lambda: { userId: userId } } });
+
+const query = (body, userId = 'test-user') => ({
+  httpMethod: 'POST',
+  rawPath: '/',
+  headers: { 'content-type': 'application/json' },
+  requestContext: asUser(userId),
+  body: JSON.stringify({ llm: { toolMode: 'native' }, ...body })
+});
+
+const route = (method, path, userId = 'test-user') => ({ httpMethod: method, rawPath: path, requestContext: asUser(userId) });
+
+test('a session carries earlier turns into the next run and can be listed, read and deleted', async () => {
+  const database = await startFakeDatabase({ chat_sessions: [], chat_messages: [] });
+  const { handler } = database.agent;
+  process.env.LLM_PROVIDER = 'mock';
+  mockProvider.reset();
+  mockProvider.enqueue('Noted: the plumber comes on Tuesday.', 'On Tuesday.');
+  try {
+    const first = JSON.parse((await handler(query({ query: 'The plumber comes on Tuesday', newSession: true }))).body);
+    assert.ok(first.sessionId);
+
+    const second = JSON.parse((await handler(query({ query: 'When does the plumber come?', sessionId: first.sessionId }))).body);
+    assert.equal(second.sessionId, first.sessionId);
+    assert.equal(second.message, 'On Tuesday.');
+
+    // The second run saw the first turn
+    const [, secondPrompt] = mockProvider.requests.map(request => JSON.stringify(request.messages));
+    assert.match(secondPrompt, /The plumber comes on Tuesday/);
+    assert.match(secondPrompt, /Noted: the plumber comes on Tuesday\./);
+
+    const sessions = JSON.parse((await handler(route('GET', '/sessions'))).body);
+    assert.deepEqual(sessions.map(session => [session.id, session.title]), [[first.sessionId, 'The plumber comes on Tuesday']]);
+
+    const session = JSON.parse((await handler(route('GET', `/sessions/${first.sessionId}`))).body);
+    assert.deepEqual(session.messages.map(message => message.role), ['user', 'assistant', 'user', 'assistant']);
+
+    // Another user can't see or delete it
+    assert.deepEqual(JSON.parse((await handler(route('GET', '/sessions', 'other-user'))).body), []);
+    assert.equal((await handler(route('GET', `/sessions/${first.sessionId}`, 'other-user'))).statusCode, 404);
+    assert.equal((await handler(route('DELETE', `/sessions/${first.sessionId}`, 'other-user'))).statusCode, 404);
+
+    const deleted = await handler(route('DELETE', `/sessions/${first.sessionId}`));
+    assert.deepEqual(JSON.parse(deleted.body), { deleted: String(first.sessionId) });
+    assert.deepEqual(database.tables.chat_sessions, []);
+    assert.deepEqual(database.tables.chat_messages, []);
+  } finally {
+    delete process.env.LLM_PROVIDER;
+    mockProvider.reset();
+    database.close();
+  }
+});
@@ -0,0 +1,62 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { startFakeDatabase } from './harness.mjs';
+import { mockProvider } from '../llmProviders.mjs';
+import { builtInSpecializations, resolveSpecialization } from '../specializations.mjs';
+
+// Specializations change the instructions, tools and model of the rest of the run
+
+const toolNames = request => (request.tools || []).map(tool => tool.function.name).sort();
+
+test('a table row overrides the built-in definition field by field', () => {
+  const builtIn = resolveSpecialization('secretary');
+  assert.equal(builtIn.description, builtInSpecializations.secretary.description);
+  assert.ok(builtIn.instructionText.length > 0);
+  assert.equal(builtIn.allowedTools, null);
+
+  const row = resolveSpecialization('secretary', { instruction_text: 'Be brief.', allowed_tools: ['setSpecialization'] });
+  assert.equal(row.instructionText, 'Be brief.');
+  assert.deepEqual(row.allowedTools, ['setSpecialization']);
+  assert.equal(row.description, builtInSpecializations.secretary.description);
+
+  assert.equal(resolveSpecialization('travelAgent'), null);
+  assert.equal(resolveSpecialization('travelAgent', { description: 'Books trips' }).description, 'Books trips');
+});
+
+test('after a handoff the prompt, tools and model are the specialization\'s', async () => {
+  const database = await startFakeDatabase({
+    specializations: [{
+      id: 1,
+      name: 'codeAssistant',
+      description: 'Writes code',
+      instruction_text: 'Always answer in Rust.',
+      allowed_tools: ['retrieveRelevantKnowledge', 'setSpecialization'],
+      model_config: { provider: 'mock', model: 'code-model' }
+    }]
+  });
+  process.env.LLM_PROVIDER = 'mock';
+  process.env.LLM_MODEL = 'router-model';
+  mockProvider.reset();
+  mockProvider.enqueue(
+    { content: '', toolCalls: [{ name: 'setSpecialization', arguments: { specializationName: 'codeAssistant' } }] },
+    'fn main() {}'
+  );
+  try {
+    const result = await database.agent.runAIAgent('Write me a hello world', 'test-user', { llm: { toolMode: 'native' } });
+    assert.equal(result.specialization, 'codeAssistant');
+
+    const [router, codeAssistant] = mockProvider.requests;
+    assert.equal(router.model, 'router-model');
+    assert.deepEqual(toolNames(router), ['retrieveRelevantKnowledge', 'setSpecialization']);
+    assert.doesNotMatch(router.messages[0].content, /Always answer in Rust/);
+
+    assert.equal(codeAssistant.model, 'code-model');
+    assert.deepEqual(toolNames(codeAssistant), ['retrieveRelevantKnowledge', 'setSpecialization']);
+    assert.match(codeAssistant.messages[0].content, /Always answer in Rust\./);
+  } finally {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_MODEL;
+    mockProvider.reset();
+    database.close();
+  }
+});
@@ -0,0 +1,79 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { startFakeDatabase } from './harness.mjs';
+import { mockProvider } from '../llmProviders.mjs';
+import { describeTables, enforceTablePolicy, getTablePolicies } from '../tablePolicies.mjs';
+
+// Table policies for dynamicSupabaseOperation and the table list in the prompt
+
+const byId = { column: 'id', operator: 'eq', value: 1 };
+
+test('tables, actions and unfiltered writes are checked against the policy', () => {
+  assert.throws(() => enforceTablePolicy({ from: 'specializations', action: 'select' }), /^Error: Table not available: specializations \(available: todo_list, /);
+  assert.throws(() => enforceTablePolicy({ from: 'knowledge_snippets', action: 'delete', filter: byId }),
+    /Action delete is not allowed on knowledge_snippets \(allowed: select, join, search\)/);
+  assert.throws(() => enforceTablePolicy({ from: 'todo_list', action: 'delete' }), /A filter is required to delete rows in todo_list/);
+  assert.throws(() => enforceTablePolicy({ from: 'todo_list', action: 'update', data: { description: 'x' }, filter: [] }),
+    /A filter is required to update rows in todo_list/);
+  assert.equal(enforceTablePolicy({ from: 'todo_list', action: 'delete', filter: byId }).from, 'todo_list');
+});
+
+test('columns are checked for reads and writes, and * is narrowed to the readable ones', () => {
+  assert.equal(enforceTablePolicy({ from: 'knowledge_snippets', action: 'select' }).columns,
+    'id,topic,content,source,confidence,related_entities,last_updated');
+  assert.throws(() => enforceTablePolicy({ from: 'knowledge_snippets', action: 'select', columns: 'topic,embedding' }),
+    /Columns not readable in knowledge_snippets: embedding/);
+  assert.throws(() => enforceTablePolicy({ from: 'todo_list', action: 'select', filter: { column: 'user_id', operator: 'eq', value: 'other-user' } }),
+    /Cannot filter on columns of todo_list: user_id/);
+  assert.throws(() => enforceTablePolicy({ from: 'places', action: 'update', data: { id: 9, name: 'Home' }, filter: byId }),
+    /Columns not writable in places: id \(writable: name, latitude, longitude, radius_m, tags, channel\)/);
+  // The owner column is set by the agent, so it is ignored rather than rejected
+  assert.equal(enforceTablePolicy({ from: 'places', action: 'insert', data: { name: 'Home', user_id: 'other-user' } }).action, 'insert');
+});
+
+test('DATABASE_TABLE_POLICIES adds, changes and removes tables', () => {
+  process.env.DATABASE_TABLE_POLICIES = JSON.stringify({
+    habits: { description: 'Habit tracker', actions: ['select', 'insert'], writableColumns: ['name'] },
+    todo_list: { allowUnfilteredWrites: true },
+    interactions: null
+  });
+  try {
+    const policies = getTablePolicies();
+    assert.equal(policies.interactions, undefined);
+    assert.deepEqual(policies.habits.confirm, {});
+    assert.equal(enforceTablePolicy({ from: 'habits', action: 'insert', data: { name: 'Stretch' } }).from, 'habits');
+    assert.throws(() => enforceTablePolicy({ from: 'habits', action: 'update', data: { name: 'Run' }, filter: byId }), /Action update is not allowed on habits/);
+    assert.equal(enforceTablePolicy({ from: 'todo_list', action: 'delete' }).action, 'delete');
+    assert.throws(() => enforceTablePolicy({ from: 'interactions', action: 'select' }), /Table not available: interactions/);
+  } finally {
+    delete process.env.DATABASE_TABLE_POLICIES;
+  }
+});
+
+test('the table list uses introspected columns and falls back to the policy\'s', () => {
+  const tables = describeTables({ todo_list: [{ name: 'id', type: 'bigint' }, { name: 'user_id', type: 'text' }, { name: 'priority', type: 'integer' }] });
+
+  assert.match(tables, /^- todo_list - User's current to-do items \(id bigint, priority integer\)\n  Actions: select, insert, update, delete, upsert, join, search\. Writable columns: all$/m);
+  assert.match(tables, /^- shopping_list - User's shopping items \(id, created_at, description\)$/m);
+  assert.match(tables, /^  Actions: select, join, search$/m);
+  assert.doesNotMatch(tables, /user_id/);
+});
+
+test('the prompt describes the live schema of the database', async () => {
+  const database = await startFakeDatabase({
+    todo_list: [{ id: 1, user_id: 'test-user', description: 'Buy seeds', priority: 2, created_at: '2026-10-01T09:00:00.000Z' }]
+  });
+  process.env.LLM_PROVIDER = 'mock';
+  mockProvider.reset();
+  mockProvider.enqueue('Done.');
+  try {
+    await database.agent.runAIAgent('What is on my list?', 'test-user', { specialization: 'secretary', llm: { toolMode: 'native' } });
+
+    const [systemPrompt] = mockProvider.requests[0].messages;
+    assert.match(systemPrompt.content, /- todo_list - User's current to-do items \(id integer, description string, priority integer, created_at string\)/);
+  } finally {
+    delete process.env.LLM_PROVIDER;
+    mockProvider.reset();
+    database.close();
+  }
+});
@@ -0,0 +1,64 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+import { getTool, getToolAccess, getToolsForSpecialization, validateToolArguments } from '../toolRegistry.mjs';
+import { builtInSpecializations } from '../specializations.mjs';
+import '../index.mjs';
+
+const names = tools => tools.map(tool => tool.name);
+
+const MUTATING_TOOLS = [
+  'dynamicSupabaseOperation', 'synthesizeKnowledge', 'forgetKnowledge', 'rollbackKnowledge', 'undoLastChange',
+  'scheduleReminder', 'snoozeReminder', 'cancelReminder', 'draftEmail', 'reviseEmailDraft', 'sendEmailDraft',
+  'savePlace', 'createProject', 'createGoal', 'updateProjectOrGoal', 'updateUserPreferences'
+];
+
+test('the router only gets tools that read', () => {
+  const routerTools = getToolsForSpecialization('router');
+  assert.deepEqual(names(routerTools), ['setSpecialization', 'retrieveRelevantKnowledge']);
+  MUTATING_TOOLS.forEach(name => assert.ok(!names(routerTools).includes(name), `${name} is available to the router`));
+  assert.equal(getToolAccess(getTool('retrieveRelevantKnowledge'), {}).readOnly, true);
+});
+
+test('tools are scoped to the specializations that own them', () => {
+  const secretary = names(getToolsForSpecialization('secretary'));
+  const projectManager = names(getToolsForSpecialization('projectManager'));
+  const codeAssistant = names(getToolsForSpecialization('codeAssistant', builtInSpecializations.codeAssistant.allowedTools));
+
+  ['sendEmailDraft', 'scheduleReminder', 'undoLastChange', 'updateUserPreferences', 'savePlace', 'listProjectsAndGoals']
+    .forEach(name => assert.ok(secretary.includes(name), `secretary lacks ${name}`));
+  ['createProject', 'updateProjectOrGoal'].forEach(name => assert.ok(!secretary.includes(name), `secretary has ${name}`));
+
+  ['createProject', 'createGoal', 'updateProjectOrGoal', 'listProjectsAndGoals', 'dynamicSupabaseOperation', 'synthesizeKnowledge']
+    .forEach(name => assert.ok(projectManager.includes(name), `projectManager lacks ${name}`));
+  ['sendEmailDraft', 'scheduleReminder', 'forgetKnowledge', 'undoLastChange'].forEach(name => assert.ok(!projectManager.includes(name), `projectManager has ${name}`));
+
+  assert.deepEqual(codeAssistant.sort(), ['forgetKnowledge', 'getKnowledgeHistory', 'retrieveRelevantKnowledge', 'rollbackKnowledge', 'setSpecialization', 'synthesizeKnowledge']);
+  // A specialization no tool names only gets the shared ones
+  assert.deepEqual(names(getToolsForSpecialization('travelAgent')), ['setSpecialization', 'retrieveRelevantKnowledge']);
+});
+
+test('arguments are validated against the schema', () => {
+  assert.deepEqual(validateToolArguments(getTool('setSpecialization'), {}), [{ path: 'specializationName', message: 'is required' }]);
+  assert.deepEqual(validateToolArguments(getTool('dynamicSupabaseOperation'), { from: 'todo_list', action: 'drop' }), [
+    { path: 'action', message: 'must be one of: select, insert, update, delete, upsert, join, search' }
+  ]);
+});
+
+test('a call to a tool outside the specialization is refused', async () => {
+  const outcome = await replayFixture({
+    name: 'router-undo',
+    prompt: 'Undo that',
+    userId: 'test-user',
+    seed: { mutation_journal: [] },
+    llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+    responses: [{ content: '', toolCalls: [{ name: 'undoLastChange', arguments: {} }] }, 'Done.']
+  });
+
+  assert.deepEqual(outcome.functionResults[0], {
+    function: 'undoLastChange',
+    success: false,
+    data: null,
+    error: 'Function undoLastChange is not available to the router specialization'
+  });
+});
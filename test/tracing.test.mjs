@@ -0,0 +1,137 @@
+import assert from 'assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { test } from 'node:test';
+import { log } from '../logger.mjs';
+import { currentSpan, finishedSpans, registerTraceExporter, withSpan } from '../tracing.mjs';
+
+// Traces exported to the memory exporter, one list of spans per trace
+const exported = [];
+registerTraceExporter('memory', {
+  async export(spans) {
+    exported.push(spans);
+  }
+});
+
+// Run fn with the tracing settings given, restoring them and clearing the exports afterwards
+async function withTraceEnv(variables, fn) {
+  const names = ['TRACE_EXPORTER', 'TRACE_FILE', 'OTEL_EXPORTER_OTLP_ENDPOINT', 'OTEL_EXPORTER_OTLP_TRACES_ENDPOINT'];
+  const saved = Object.fromEntries(names.map(name => [name, process.env[name]]));
+  names.forEach(name => delete process.env[name]);
+  Object.assign(process.env, variables);
+  exported.length = 0;
+  try {
+    return await fn();
+  } finally {
+    Object.entries(saved).forEach(([name, value]) => {
+      if (value === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = value;
+      }
+    });
+  }
+}
+
+test('nested spans share the trace and export once the root ends', () => withTraceEnv({ TRACE_EXPORTER: 'memory' }, async () => {
+  const result = await withSpan('request', { 'user.id': 'user-1' }, async root => {
+    await Promise.all(['first', 'second'].map(name => withSpan(`tool ${name}`, {}, async span => {
+      await withSpan('query', { table: 'todo_list' }, async () => {});
+      assert.equal(span.parentSpanId, root.spanId);
+    })));
+    assert.equal(currentSpan(), root);
+    assert.equal(finishedSpans().length, 4);
+    assert.equal(exported.length, 0);
+    return 'answer';
+  }, { kind: 'server' });
+
+  assert.equal(result, 'answer');
+  assert.equal(currentSpan(), null);
+  assert.equal(exported.length, 1);
+
+  const spans = exported[0];
+  const byName = Object.fromEntries(spans.map(span => [span.name, span]));
+  assert.deepEqual(spans.map(span => span.name).sort(), ['query', 'query', 'request', 'tool first', 'tool second']);
+  assert.ok(spans.every(span => span.traceId === byName.request.traceId && span.status.code === 'ok' && span.endTime >= span.startTime));
+  assert.equal(byName.request.parentSpanId, null);
+  assert.equal(byName.request.kind, 'server');
+  assert.equal(byName.request.attributes['service.name'], process.env.OTEL_SERVICE_NAME || 'personal-agent');
+  const queryParents = spans.filter(span => span.name === 'query').map(span => span.parentSpanId).sort();
+  assert.deepEqual(queryParents, [byName['tool first'].spanId, byName['tool second'].spanId].sort());
+}));
+
+test('a throwing span records the error and rethrows it', () => withTraceEnv({ TRACE_EXPORTER: 'memory' }, async () => {
+  await assert.rejects(withSpan('request', {}, () => withSpan('sendEmail', {}, async () => {
+    throw new Error('No user sam@example.com');
+  })), /No user sam@example\.com/);
+
+  const [child, root] = exported[0];
+  assert.deepEqual(child.status, { code: 'error', message: 'No user [email]' });
+  assert.deepEqual(child.events.map(event => [event.name, event.attributes]), [
+    ['exception', { 'exception.type': 'Error', 'exception.message': 'No user [email]' }]
+  ]);
+  assert.equal(root.status.code, 'error');
+}));
+
+test('span attributes are redacted and log lines name the active span', () => withTraceEnv({ TRACE_EXPORTER: 'memory' }, async () => {
+  const lines = [];
+  const consoleLog = console.log;
+  console.log = line => lines.push(JSON.parse(line));
+  try {
+    await withSpan('request', { 'http.authorization': 'Bearer abc', query: 'mail sam@example.com' }, async span => {
+      span.setAttributes({ password: 'hunter2' }).addEvent('retry', { email: 'sam@example.com', attempt: 2 });
+      log.info('Inside');
+    });
+  } finally {
+    console.log = consoleLog;
+  }
+
+  const [span] = exported[0];
+  assert.equal(span.attributes['http.authorization'], '[REDACTED]');
+  assert.equal(span.attributes.query, 'mail [email]');
+  assert.equal(span.attributes.password, '[REDACTED]');
+  assert.deepEqual(span.events[0].attributes, { email: '[REDACTED]', attempt: 2 });
+  assert.equal(lines[0].traceId, span.traceId);
+  assert.equal(lines[0].spanId, span.spanId);
+}));
+
+test('the file exporter appends one JSON line per span', () => {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'));
+  const file = path.join(directory, 'traces.jsonl');
+
+  return withTraceEnv({ TRACE_EXPORTER: 'file', TRACE_FILE: file }, async () => {
+    await withSpan('request', {}, () => withSpan('llm', { model: 'scripted' }, async () => {}));
+    await withSpan('request', {}, async () => {});
+
+    const lines = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.map(line => line.name), ['llm', 'request', 'request']);
+    assert.equal(lines[0].parentSpanId, lines[1].spanId);
+    assert.notEqual(lines[1].traceId, lines[2].traceId);
+    assert.equal(lines[0].attributes.model, 'scripted');
+    assert.ok(lines.every(line => typeof line.durationMs === 'number' && !Number.isNaN(Date.parse(line.start))));
+  }).finally(() => fs.rmSync(directory, { recursive: true, force: true }));
+});
+
+test('export failures are logged, not thrown', () => withTraceEnv({ TRACE_EXPORTER: 'failing' }, async () => {
+  registerTraceExporter('failing', {
+    async export() {
+      throw new Error('collector down');
+    }
+  });
+  const lines = [];
+  const consoleError = console.error;
+  console.error = line => lines.push(JSON.parse(line));
+  try {
+    assert.equal(await withSpan('request', {}, async () => 'answer'), 'answer');
+  } finally {
+    console.error = consoleError;
+  }
+  assert.equal(lines[0].message, 'Trace export failed');
+  assert.equal(lines[0].error.message, 'collector down');
+}));
+
+test('without an exporter or endpoint nothing is exported', () => withTraceEnv({}, async () => {
+  assert.equal(await withSpan('request', {}, async () => 1), 1);
+  assert.equal(exported.length, 0);
+}));
@@ -0,0 +1,82 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+
+// Journaled changes and undoLastChange, across two runs of the agent
+
+const call = (name, args) => ({ content: '', toolCalls: [{ name: name, arguments: args }] });
+
+// Run the scripted replies as test-user against the given tables
+function runScript(responses, seed) {
+  return replayFixture({
+    name: 'undo',
+    prompt: 'Change my list',
+    userId: 'test-user',
+    specialization: 'secretary',
+    seed: { mutation_journal: [], ...seed },
+    llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+    responses: [...responses, 'Done.']
+  });
+}
+
+// Every column is present, as in the database, so before images restore all of them
+const list = [
+  { id: 1, user_id: 'test-user', description: 'Buy seeds', project_id: null },
+  { id: 2, user_id: 'test-user', description: 'Water the beds', project_id: null }
+];
+
+test('undo puts back the rows a run inserted and updated', async () => {
+  const changed = await runScript([
+    call('dynamicSupabaseOperation', { from: 'todo_list', action: 'insert', data: { description: 'Mow the lawn' } }),
+    call('dynamicSupabaseOperation', { from: 'todo_list', action: 'update', data: { description: 'Buy bulbs' }, filter: { column: 'id', operator: 'eq', value: 1 } })
+  ], { todo_list: list });
+
+  assert.deepEqual(changed.tables.todo_list.map(row => row.description), ['Buy bulbs', 'Water the beds', 'Mow the lawn']);
+  assert.deepEqual(changed.tables.mutation_journal.map(entry => [entry.operation, entry.row_id, entry.before?.description ?? null]), [
+    ['insert', 3, null],
+    ['update', 1, 'Buy seeds']
+  ]);
+
+  const undone = await runScript([call('undoLastChange', {})], changed.tables);
+  assert.equal(undone.functionResults[0].success, true);
+  assert.deepEqual(undone.functionResults[0].data.reverted.map(change => [change.operation, change.id]), [['update', 1], ['insert', 3]]);
+  assert.deepEqual(undone.tables.todo_list, list);
+  assert.ok(undone.tables.mutation_journal.every(entry => entry.undone_at));
+
+  // Everything is undone, so there's nothing left for a second undo
+  const again = await runScript([call('undoLastChange', {})], undone.tables);
+  assert.equal(again.functionResults[0].error, 'No changes found to undo');
+});
+
+test('an upsert matched on its conflict column is undone as an update, not deleted', async () => {
+  const changed = await runScript([
+    call('dynamicSupabaseOperation', {
+      from: 'todo_list',
+      action: 'upsert',
+      data: { description: 'Buy seeds', project_id: 7 },
+      options: { onConflict: 'description' }
+    })
+  ], { todo_list: list });
+
+  const [entry] = changed.tables.mutation_journal;
+  assert.equal(entry.row_id, 1);
+  assert.deepEqual(entry.before, list[0]);
+
+  const undone = await runScript([call('undoLastChange', {})], changed.tables);
+  assert.equal(undone.functionResults[0].success, true);
+  assert.deepEqual(undone.tables.todo_list, list);
+});
+
+test('a change that a later run touched again is reported as a conflict and left alone', async () => {
+  const first = await runScript([
+    call('dynamicSupabaseOperation', { from: 'todo_list', action: 'update', data: { description: 'Buy bulbs' }, filter: { column: 'id', operator: 'eq', value: 1 } })
+  ], { todo_list: list });
+  const second = await runScript([
+    call('dynamicSupabaseOperation', { from: 'todo_list', action: 'update', data: { description: 'Buy tulips' }, filter: { column: 'id', operator: 'eq', value: 1 } })
+  ], first.tables);
+
+  const firstRun = second.tables.mutation_journal[0].run_id;
+  const undone = await runScript([call('undoLastChange', { runId: firstRun })], second.tables);
+  assert.deepEqual(undone.functionResults[0].data.conflicts, [{ table: 'todo_list', id: 1, operation: 'update' }]);
+  assert.equal(undone.tables.todo_list[0].description, 'Buy tulips');
+});
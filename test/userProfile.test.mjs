@@ -0,0 +1,63 @@
+import assert from 'assert/strict';
+import { test } from 'node:test';
+import { replayFixture } from './harness.mjs';
+import { mockProvider } from '../llmProviders.mjs';
+import { renderPreferences, validatePreference } from '../userProfile.mjs';
+
+test('preference values are checked', () => {
+  assert.equal(validatePreference('verbosity', ' brief '), 'brief');
+  assert.equal(validatePreference('timezone', 'Europe/Berlin'), 'Europe/Berlin');
+  assert.equal(validatePreference('locale', 'en-GB'), 'en-GB');
+  assert.equal(validatePreference('notes', 'no emoji'), 'no emoji');
+  assert.equal(validatePreference('tone', null), null);
+  assert.throws(() => validatePreference('tone', 'sarcastic'), /Invalid tone: sarcastic \(use one of casual, neutral, formal\)/);
+  assert.throws(() => validatePreference('timezone', 'Mars/Olympus'), /Invalid timezone: Mars\/Olympus/);
+  assert.throws(() => validatePreference('locale', 'not a locale'), /Invalid locale/);
+  assert.throws(() => validatePreference('color', 'blue'), /Invalid preference: color/);
+});
+
+test('set preferences render as a prompt block', () => {
+  assert.equal(renderPreferences(null), '');
+  assert.equal(renderPreferences({ tone: null, notes: '' }), '');
+
+  const block = renderPreferences({ name: 'Sam', units: 'metric', verbosity: 'brief', notes: 'no emoji', timezone: null });
+  assert.match(block, /^\n\n--- USER PREFERENCES/);
+  assert.deepEqual(block.split('\n').slice(3), [
+    '- Call the user Sam',
+    '- Units: metric units (km, kg, °C)',
+    '- Answer length: one or two sentences, no lists or extra suggestions unless asked',
+    '- Also: no emoji'
+  ]);
+});
+
+test('preferences are in the prompt, and a change applies to the same run', async () => {
+  const prompts = [];
+  const complete = mockProvider.complete;
+  mockProvider.complete = function (request) {
+    prompts.push(JSON.stringify(request.messages));
+    return complete.call(this, request);
+  };
+
+  try {
+    const outcome = await replayFixture({
+      name: 'preferences',
+      prompt: 'Stop being so chatty',
+      userId: 'test-user',
+      specialization: 'secretary',
+      seed: { user_profile: [{ id: 1, user_id: 'test-user', tone: 'casual', verbosity: 'detailed' }] },
+      llm: { provider: 'mock', model: 'scripted', toolMode: 'native' },
+      responses: [
+        { content: '', toolCalls: [{ name: 'updateUserPreferences', arguments: { verbosity: 'brief', clear: ['tone'] } }] },
+        'Got it.'
+      ]
+    });
+
+    assert.match(prompts[0], /Tone: casual and friendly/);
+    assert.match(prompts[0], /Answer length: thorough/);
+    assert.doesNotMatch(prompts[1], /Tone:/);
+    assert.match(prompts[1], /Answer length: one or two sentences/);
+    assert.deepEqual(outcome.tables.user_profile, [{ id: 1, user_id: 'test-user', tone: null, verbosity: 'brief' }]);
+  } finally {
+    mockProvider.complete = complete;
+  }
+});
@@ -0,0 +1,226 @@
+import { log } from './logger.mjs';
+
+// Tool registry
+// Every function the agent can call is registered here with a name, a one-line
+// description, longer prompt instructions, a JSON Schema for its parameters and
+// the specializations allowed to use it. The prompt documentation, the native
+// tool definitions and argument validation are all generated from these entries.
+//
+// Tools that change data irreversibly can declare confirm(params), resolving to
+// { summary, affectedRows, preview } when the call has to wait for the user's
+// confirmation, or null to run it straight away. With alwaysConfirm: true the
+// call is held even when CONFIRMATION_MODE is off.
+
+const tools = {};
+
+// Register a tool. Specializations default to ['*'] (every specialization).
+export function registerTool(tool) {
+  if (!tool.name || typeof tool.handler !== 'function') {
+    throw new Error('A tool needs a name and a handler function');
+  }
+  tools[tool.name] = {
+    description: '',
+    instructions: '',
+    parameters: { type: 'object', properties: {} },
+    specializations: ['*'],
+    ...tool
+  };
+  return tools[tool.name];
+}
+
+export function getTool(name) {
+  return tools[name] || null;
+}
+
+// Describe what a call touches so independent calls can run in parallel.
+// Tools may declare access(params) returning { resource, readOnly }, where resource
+// is a name or a list of names; by default
+// calls to the same tool are treated as writes to a shared resource.
+export function getToolAccess(tool, params) {
+  if (!tool) {
+    return { resource: null, readOnly: true };
+  }
+  if (typeof tool.access === 'function') {
+    try {
+      return { readOnly: false, ...tool.access(params || {}) };
+    } catch (error) {
+      log.error('Error describing tool access', { tool: tool.name, error: error });
+    }
+  }
+  return { resource: `tool:${tool.name}`, readOnly: false };
+}
+
+// A tool is allowed when it is registered for the specialization and, if the
+// specialization restricts its tool set, listed in allowedTools. Tools marked
+// alwaysAvailable (like setSpecialization) ignore the allowedTools restriction.
+export function isToolAllowed(tool, specialization, allowedTools = null) {
+  const registered = tool.specializations.includes('*') || tool.specializations.includes(specialization);
+  if (!registered) {
+    return false;
+  }
+  return !allowedTools || tool.alwaysAvailable === true || allowedTools.includes(tool.name);
+}
+
+// Tools available to a specialization, in registration order
+export function getToolsForSpecialization(specialization, allowedTools = null) {
+  return Object.values(tools).filter(tool => isToolAllowed(tool, specialization, allowedTools));
+}
+
+// OpenAI-style tools list for native tool calling
+export function getToolDefinitions(specialization, allowedTools = null) {
+  return getToolsForSpecialization(specialization, allowedTools).map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+// Describe a schema's type the way the prompt always has, e.g. "(String)"
+function describeType(schema) {
+  if (!schema.type) {
+    return 'Any';
+  }
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  return types.map(type => type.charAt(0).toUpperCase() + type.slice(1)).join('|');
+}
+
+// Render the parameter list for the prompt from the tool's JSON Schema
+function renderParameters(schema) {
+  const required = schema.required || [];
+  const properties = schema.properties || {};
+
+  return Object.entries(properties).map(([name, property]) => {
+    let line = `  - ${name} (${required.includes(name) ? 'Required' : 'Optional'}): (${describeType(property)})`;
+    if (property.description) {
+      line += ` ${property.description}`;
+    }
+    if (property.enum) {
+      line += ` (one of: ${property.enum.join(', ')})`;
+    }
+    return line;
+  }).join('\n');
+}
+
+// Generate the AVAILABLE FUNCTIONS section of the instructions prompt.
+// A tool's instructions may be a function when they depend on runtime data.
+export function renderToolDocumentation(specialization, allowedTools = null) {
+  const sections = getToolsForSpecialization(specialization, allowedTools).map((tool, index) => {
+    const instructions = typeof tool.instructions === 'function' ? tool.instructions() : tool.instructions;
+    let section = `  ${index + 1}. ${tool.name}\n  Description:\n`;
+    section += instructions
+      ? instructions.trim().split('\n').map(line => `  ${line.trim() ? line.trimEnd() : ''}`).join('\n')
+      : `  - ${tool.description}`;
+    section += `\n  \n  Parameters:\n${renderParameters(tool.parameters) || '  - none'}\n`;
+    return section;
+  });
+
+  return `  AVAILABLE FUNCTIONS\n${sections.join('  \n')}`;
+}
+
+// Type check for a single JSON Schema type name
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'boolean':
+      return typeof value === 'boolean';
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'null':
+      return value === null;
+    default:
+      return true;
+  }
+}
+
+// Validate a value against the subset of JSON Schema the tools use: type, enum,
+// required, properties, additionalProperties, items, anyOf, minimum/maximum,
+// minLength and minItems. Returns a list of { path, message } errors.
+export function validateSchema(schema, value, path = '') {
+  const errors = [];
+  const at = path || '(root)';
+
+  if (!schema || Object.keys(schema).length === 0) {
+    return errors;
+  }
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => validateSchema(option, value, path).length === 0);
+    if (!matches) {
+      errors.push({ path: at, message: 'does not match any of the allowed shapes' });
+    }
+    return errors;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path: at, message: `must be of type ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: at, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path: at, message: `must be at least ${schema.minLength} characters long` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: at, message: `must contain at least ${schema.minItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(schema.items, item, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (matchesType(value, 'object')) {
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        errors.push({ path: path ? `${path}.${name}` : name, message: 'is required' });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      const propertyPath = path ? `${path}.${name}` : name;
+      if (properties[name]) {
+        errors.push(...validateSchema(properties[name], propertyValue, propertyPath));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, message: 'is not an allowed parameter' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(schema.additionalProperties, propertyValue, propertyPath));
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Validate a tool call's arguments against the tool's parameter schema
+export function validateToolArguments(tool, args) {
+  return validateSchema(tool.parameters, args === undefined ? {} : args);
+}
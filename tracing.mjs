@@ -0,0 +1,241 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import fetch from 'node-fetch';
+import { contextStorage, log, redact } from './logger.mjs';
+
+// Span tracing.
+//
+// Spans follow OpenTelemetry's data model: trace and span ids, a parent, a kind,
+// attributes, events and a status. withSpan runs a function as a span that is the
+// parent of every span started inside it, through the same async context as the
+// logger, so concurrent calls each get the right parent. When a trace's root span
+// ends, its spans go to the exporter named by TRACE_EXPORTER:
+//   otlp: OTLP/HTTP JSON, posted to OTEL_EXPORTER_OTLP_TRACES_ENDPOINT or
+//         OTEL_EXPORTER_OTLP_ENDPOINT + /v1/traces, with OTEL_EXPORTER_OTLP_HEADERS
+//         (e.g. "x-api-key=abc,x-team=ops")
+//   file: one JSON span per line, appended to TRACE_FILE (default traces.jsonl), for development
+//   none: nothing is exported
+// The default is otlp when an endpoint is set, else none. OTEL_SERVICE_NAME names
+// the service (default personal-agent). Attributes are redacted like log fields.
+
+const DEFAULT_SERVICE_NAME = 'personal-agent';
+const DEFAULT_TRACE_FILE = 'traces.jsonl';
+const EXPORT_TIMEOUT_MS = 5000;
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+// Wall-clock time in milliseconds with sub-millisecond precision
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+function serviceName() {
+  return process.env.OTEL_SERVICE_NAME || DEFAULT_SERVICE_NAME;
+}
+
+// OTLP attribute values are typed
+function otlpValue(value) {
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(otlpValue) } };
+  }
+  if (typeof value === 'boolean') {
+    return { boolValue: value };
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  return { stringValue: typeof value === 'string' ? value : JSON.stringify(value) };
+}
+
+function otlpAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key: key, value: otlpValue(value) }));
+}
+
+function nanos(milliseconds) {
+  return (BigInt(Math.floor(milliseconds)) * 1000000n + BigInt(Math.round((milliseconds % 1) * 1e6))).toString();
+}
+
+function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId ? { parentSpanId: span.parentSpanId } : {}),
+    name: span.name,
+    kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+    startTimeUnixNano: nanos(span.startTime),
+    endTimeUnixNano: nanos(span.endTime),
+    attributes: otlpAttributes(span.attributes),
+    events: span.events.map(event => ({
+      timeUnixNano: nanos(event.time),
+      name: event.name,
+      attributes: otlpAttributes(event.attributes)
+    })),
+    status: { code: STATUS_CODES[span.status.code], ...(span.status.message ? { message: span.status.message } : {}) }
+  };
+}
+
+function parseHeaders(text) {
+  return Object.fromEntries((text || '').split(',')
+    .map(pair => pair.split('=').map(part => decodeURIComponent(part.trim())))
+    .filter(([name, value]) => name && value !== undefined));
+}
+
+function otlpEndpoint() {
+  if (process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT) {
+    return process.env.OTEL_EXPORTER_OTLP_TRACES_ENDPOINT;
+  }
+  return process.env.OTEL_EXPORTER_OTLP_ENDPOINT
+    ? `${process.env.OTEL_EXPORTER_OTLP_ENDPOINT.replace(/\/$/, '')}/v1/traces`
+    : null;
+}
+
+// Exporters take a list of ended spans and resolve once they are written
+const exporters = {
+  otlp: {
+    async export(spans) {
+      const endpoint = otlpEndpoint();
+      if (!endpoint) {
+        throw new Error('OTEL_EXPORTER_OTLP_ENDPOINT is not set');
+      }
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...parseHeaders(process.env.OTEL_EXPORTER_OTLP_HEADERS) },
+        body: JSON.stringify({
+          resourceSpans: [{
+            resource: { attributes: otlpAttributes({ 'service.name': serviceName() }) },
+            scopeSpans: [{ scope: { name: serviceName() }, spans: spans.map(toOtlpSpan) }]
+          }]
+        }),
+        signal: AbortSignal.timeout(EXPORT_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`OTLP export failed with status ${response.status}: ${await response.text()}`);
+      }
+    }
+  },
+  file: {
+    async export(spans) {
+      const lines = spans.map(span => JSON.stringify({
+        traceId: span.traceId,
+        spanId: span.spanId,
+        parentSpanId: span.parentSpanId,
+        name: span.name,
+        kind: span.kind,
+        start: new Date(span.startTime).toISOString(),
+        durationMs: Math.round((span.endTime - span.startTime) * 1000) / 1000,
+        attributes: span.attributes,
+        events: span.events,
+        status: span.status
+      }));
+      await fs.promises.appendFile(process.env.TRACE_FILE || DEFAULT_TRACE_FILE, lines.join('\n') + '\n');
+    }
+  },
+  none: {
+    async export() {}
+  }
+};
+
+// Add or replace an exporter: { export(spans) } resolving once the spans are written
+export function registerTraceExporter(name, exporter) {
+  exporters[name] = exporter;
+}
+
+function getTraceExporter() {
+  const name = process.env.TRACE_EXPORTER || (otlpEndpoint() ? 'otlp' : 'none');
+  return exporters[name] || exporters.none;
+}
+
+function createSpan(name, attributes, kind, parent) {
+  return {
+    traceId: parent ? parent.traceId : randomId(16),
+    spanId: randomId(8),
+    parentSpanId: parent ? parent.spanId : null,
+    name: name,
+    kind: kind,
+    startTime: now(),
+    endTime: null,
+    attributes: redact({ 'service.name': serviceName(), ...attributes }),
+    events: [],
+    status: { code: 'unset' },
+    // Ended spans of the whole trace, shared by every span in it
+    finished: parent ? parent.finished : [],
+
+    setAttributes(values) {
+      Object.assign(this.attributes, redact(values));
+      return this;
+    },
+
+    addEvent(eventName, eventAttributes = {}) {
+      this.events.push({ name: eventName, time: now(), attributes: redact(eventAttributes) });
+      return this;
+    },
+
+    // 'ok' or 'error', with a description for errors
+    setStatus(code, message) {
+      this.status = message ? { code: code, message: redact(String(message)) } : { code: code };
+      return this;
+    },
+
+    // Mark the span failed, with the error as an OpenTelemetry exception event
+    recordError(error) {
+      const message = error instanceof Error ? error.message : String(error);
+      this.setStatus('error', message);
+      return this.addEvent('exception', {
+        'exception.type': error instanceof Error ? error.name : 'Error',
+        'exception.message': message
+      });
+    }
+  };
+}
+
+// The innermost span running now, or null
+export function currentSpan() {
+  return contextStorage.getStore()?.span || null;
+}
+
+// Spans of the current trace that have ended so far
+export function finishedSpans() {
+  return currentSpan()?.finished || [];
+}
+
+// Send a finished trace to the exporter. Export errors are logged, never thrown.
+async function exportTrace(spans) {
+  try {
+    await getTraceExporter().export(spans);
+  } catch (error) {
+    log.warn('Trace export failed', error);
+  }
+}
+
+// Run fn(span) as a span named name. The span ends when fn settles: with status
+// ok, or error if it throws. Options: kind ('internal', 'server' or 'client').
+// A root span exports its trace before withSpan returns, so a Lambda invocation
+// doesn't end with spans unsent.
+export async function withSpan(name, attributes, fn, options = {}) {
+  const parent = currentSpan();
+  const span = createSpan(name, attributes, options.kind || 'internal', parent);
+  const store = contextStorage.getStore();
+
+  try {
+    const result = await contextStorage.run({ ...store, fields: store?.fields || {}, span: span }, () => fn(span));
+    if (span.status.code === 'unset') {
+      span.setStatus('ok');
+    }
+    return result;
+  } catch (error) {
+    span.recordError(error);
+    throw error;
+  } finally {
+    span.endTime = now();
+    span.finished.push(span);
+    if (!parent) {
+      await exportTrace(span.finished);
+    }
+  }
+}
@@ -0,0 +1,98 @@
+import { isValidTimeZone } from './reminderSchedule.mjs';
+
+// User preferences stored in user_profile and rendered into every prompt.
+// Each preference has a description for the tool schema, either a list of values
+// (with the instruction each one gives the model) or a validate function, and
+// a render function for the preferences block.
+
+export const PROFILE_PREFERENCES = {
+  name: {
+    description: 'What to call the user',
+    render: value => `Call the user ${value}`
+  },
+  timezone: {
+    description: 'IANA time zone, e.g. Europe/Berlin',
+    validate: value => isValidTimeZone(value),
+    render: value => `Time zone: ${value}`
+  },
+  locale: {
+    description: 'Language and region, e.g. en-GB',
+    validate: value => {
+      try {
+        return Intl.getCanonicalLocales(value).length === 1;
+      } catch (error) {
+        return false;
+      }
+    },
+    render: value => `Locale: ${value} (use its spelling, and date and number formats)`
+  },
+  units: {
+    description: 'Measurement units',
+    values: {
+      metric: 'metric units (km, kg, °C)',
+      imperial: 'imperial units (miles, lb, °F)'
+    },
+    render: (value, text) => `Units: ${text}`
+  },
+  tone: {
+    description: 'How formal answers are',
+    values: {
+      casual: 'casual and friendly',
+      neutral: 'plain and matter-of-fact',
+      formal: 'polite and formal'
+    },
+    render: (value, text) => `Tone: ${text}`
+  },
+  verbosity: {
+    description: 'How long answers are',
+    values: {
+      brief: 'one or two sentences, no lists or extra suggestions unless asked',
+      normal: 'a short paragraph at most',
+      detailed: 'thorough, with relevant detail and suggestions'
+    },
+    render: (value, text) => `Answer length: ${text}`
+  },
+  humor: {
+    description: 'How much humor answers have',
+    values: {
+      none: 'no jokes',
+      light: 'an occasional light touch',
+      playful: 'playful humor is welcome'
+    },
+    render: (value, text) => `Humor: ${text}`
+  },
+  notes: {
+    description: 'Other standing instructions, e.g. "no emoji"',
+    render: value => `Also: ${value}`
+  }
+};
+
+// Check one preference value; throws an "Invalid" error naming the allowed values
+export function validatePreference(name, value) {
+  const preference = PROFILE_PREFERENCES[name];
+  if (!preference) {
+    throw new Error(`Invalid preference: ${name} (use one of ${Object.keys(PROFILE_PREFERENCES).join(', ')})`);
+  }
+  if (value === null) {
+    return null;
+  }
+  const text = String(value).trim();
+  if (preference.values && !preference.values[text]) {
+    throw new Error(`Invalid ${name}: ${text} (use one of ${Object.keys(preference.values).join(', ')})`);
+  }
+  if (preference.validate && !preference.validate(text)) {
+    throw new Error(`Invalid ${name}: ${text}`);
+  }
+  return text;
+}
+
+// The preferences block for the system prompt, or '' when nothing is set
+export function renderPreferences(profile) {
+  const lines = Object.entries(PROFILE_PREFERENCES)
+    .filter(([name]) => profile && profile[name])
+    .map(([name, preference]) => `- ${preference.render(profile[name], preference.values && preference.values[profile[name]])}`);
+  if (lines.length === 0) {
+    return '';
+  }
+  return `\n\n--- USER PREFERENCES (write the final answer to match them; change them with updateUserPreferences when the user asks):\n${lines.join('\n')}`;
+}